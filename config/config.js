@@ -86,6 +86,8 @@ module.exports = {
   bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
   qrCodeLength: parseInt(process.env.QR_CODE_LENGTH) || 10,
   qrCodeExpirationHours: parseInt(process.env.QR_CODE_EXPIRATION_HOURS) || 24,
+  // Master secret the per-event QR signing keys are derived from (rotating JWT_SECRET would otherwise invalidate signed QR codes)
+  qrSigningSecret: process.env.QR_SIGNING_SECRET || jwtSecret,
   allowedOrigins: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:5173'],
   logLevel: process.env.LOG_LEVEL || 'info',
   // Cloudflare R2 Configuration
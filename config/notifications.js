@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Transports de notification (email / SMS)
+// NOTIFICATION_EMAIL_TRANSPORT: 'smtp' | 'file'   (défaut: smtp si SMTP_HOST est défini)
+// NOTIFICATION_SMS_TRANSPORT:   'webhook' | 'file' (défaut: webhook si SMS_WEBHOOK_URL est défini)
+// En production, le transport fichier doit être choisi explicitement : sans configuration,
+// les envois échouent et la livraison est marquée en échec au lieu d'être écrite sur le disque
+module.exports = {
+  emailTransport: process.env.NOTIFICATION_EMAIL_TRANSPORT || (process.env.SMTP_HOST || isProduction ? 'smtp' : 'file'),
+  smsTransport: process.env.NOTIFICATION_SMS_TRANSPORT || (process.env.SMS_WEBHOOK_URL || isProduction ? 'webhook' : 'file'),
+
+  // Adresse d'expédition par défaut (le nom affiché vient des paramètres de l'événement)
+  fromEmail: process.env.NOTIFICATION_FROM_EMAIL || 'no-reply@qrevent.app',
+  fromName: process.env.NOTIFICATION_FROM_NAME || 'Qrevent',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true pour le port 465
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  },
+
+  // Fournisseur SMS générique: POST JSON { to, from, message, reference }
+  smsWebhook: {
+    url: process.env.SMS_WEBHOOK_URL,
+    token: process.env.SMS_WEBHOOK_TOKEN,
+    timeoutMs: parseInt(process.env.SMS_WEBHOOK_TIMEOUT_MS) || 10000
+  },
+
+  // Transport fichier (développement local)
+  fileDirectory: process.env.NOTIFICATION_FILE_DIR || 'logs/notifications',
+
+  // Options Bull propres aux notifications (plus de tentatives que les images)
+  queueOptions: {
+    attempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    backoff: {
+      type: 'exponential',
+      delay: 30000
+    },
+    removeOnComplete: true,
+    removeOnFail: 500
+  }
+};
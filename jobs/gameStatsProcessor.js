@@ -9,6 +9,7 @@
  */
 
 const { supabaseService } = require('../config/supabase');
+const gameTeamService = require('../services/gameTeamService');
 const logger = require('../utils/logger');
 
 const CONFIG = {
@@ -56,12 +57,24 @@ const calculateGameStats = async (gameId) => {
       ? scoreData.reduce((sum, p) => sum + p.total_score, 0) / scoreData.length
       : 0;
 
+    // Classement des équipes (mode équipes uniquement)
+    const { data: game, error: gameError } = await supabaseService
+      .from('games')
+      .select('id, event_id, type, settings')
+      .eq('id', gameId)
+      .single();
+
+    if (gameError) throw gameError;
+
+    const teamStats = await gameTeamService.getTeamStats(game);
+
     // Mettre à jour les stats du jeu
     const { error: updateError } = await supabaseService
       .from('games')
       .update({
         players_count: playersCount,
         avg_score: Math.round(avgScore * 100) / 100, // 2 décimales
+        team_stats: teamStats,
         updated_at: new Date().toISOString()
       })
       .eq('id', gameId);
@@ -73,10 +86,11 @@ const calculateGameStats = async (gameId) => {
       gameId,
       playersCount,
       avgScore,
+      teamsCount: teamStats?.teams_count ?? null,
       duration: `${duration}ms`
     });
 
-    return { success: true, playersCount, avgScore };
+    return { success: true, playersCount, avgScore, teamStats };
   } catch (error) {
     logger.error(`❌ Failed to calculate stats for game ${gameId}:`, error.message);
     throw error;
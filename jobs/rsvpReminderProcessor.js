@@ -0,0 +1,104 @@
+/**
+ * RSVP Reminder Processor
+ *
+ * Exécute les campagnes de relance RSVP actives dont le prochain passage est dû.
+ * Les heures de silence et la cadence par famille sont gérées par le service.
+ *
+ * Usage: node jobs/rsvpReminderProcessor.js
+ * Cron: *\/15 * * * * cd /path && node jobs/rsvpReminderProcessor.js once
+ */
+
+const reminderCampaignService = require('../services/reminderCampaignService');
+const { notificationQueue, waitForDirectSends } = require('../services/notificationQueue');
+const logger = require('../utils/logger');
+
+const CONFIG = {
+  // Intervalle de vérification des campagnes dues (ms)
+  // Par défaut: 15 minutes
+  CHECK_INTERVAL: parseInt(process.env.RSVP_REMINDER_INTERVAL_MS) || 15 * 60 * 1000
+};
+
+let isRunning = false;
+
+/**
+ * Traite les campagnes dues (un seul passage à la fois)
+ */
+const processCampaigns = async () => {
+  if (isRunning) {
+    logger.warn('Previous reminder run still in progress, skipping');
+    return [];
+  }
+
+  isRunning = true;
+
+  try {
+    const results = await reminderCampaignService.processDueCampaigns();
+
+    if (results.length > 0) {
+      const reminded = results.reduce((sum, result) => sum + (result.reminded || 0), 0);
+      const failed = results.filter(result => result.error).length;
+      logger.info(`Reminder run completed: ${results.length} campaign(s), ${reminded} reminder(s) queued, ${failed} failed`);
+    }
+
+    return results;
+  } catch (error) {
+    logger.error('Error in reminder run:', error.message);
+    return [];
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Boucle principale
+ */
+const startProcessor = async () => {
+  logger.info('📨 RSVP Reminder Processor started');
+  logger.info(`Check interval: ${CONFIG.CHECK_INTERVAL / 1000}s`);
+
+  setInterval(processCampaigns, CONFIG.CHECK_INTERVAL);
+
+  // Premier passage immédiat
+  await processCampaigns();
+
+  // Gestion gracieuse de l'arrêt
+  process.on('SIGTERM', () => {
+    logger.info('Received SIGTERM, shutting down...');
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('Received SIGINT, shutting down...');
+    process.exit(0);
+  });
+};
+
+// Mode one-shot (pour cron)
+const runOnce = async () => {
+  logger.info('Running one-time reminder pass...');
+  const results = await processCampaigns();
+
+  // Sans Redis, les relances partent en direct : les laisser aboutir avant de quitter
+  await waitForDirectSends();
+
+  // La file de notifications garde une connexion Redis ouverte
+  await notificationQueue.close();
+  process.exit(results.some(result => result.error) ? 1 : 0);
+};
+
+// Exécuter si lancé directement
+if (require.main === module) {
+  const mode = process.argv[2] || 'daemon';
+
+  if (mode === 'once') {
+    runOnce();
+  } else {
+    startProcessor();
+  }
+}
+
+module.exports = {
+  processCampaigns,
+  startProcessor,
+  CONFIG
+};
@@ -75,10 +75,14 @@ const isSupabaseUnavailable = (error) => {
 /**
  * Vérifie un token JWT localement
  * Retourne le payload décodé ou null si invalide
+ * Les tokens à portée limitée (scope "scanner") ne sont pas des sessions utilisateur
  */
 const verifyLocalJWT = (token) => {
     try {
         const decoded = jwt.verify(token, config.jwtSecret);
+        if (decoded && decoded.scope) {
+            return null;
+        }
         return decoded;
     } catch (error) {
         console.log('[AuthHybrid] Local JWT verification failed:', error.message);
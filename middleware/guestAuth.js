@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { families, guests, qrCodes, events, games } = require('../utils/database');
 const config = require('../config/config');
+const invitationResolutionService = require('../services/invitationResolutionService');
+const gamePlayGuardService = require('../services/gamePlayGuardService');
 
 // Middleware pour authentifier un invité via QR code ou token d'accès
 const authenticateGuest = async (req, res, next) => {
@@ -157,6 +159,20 @@ const authenticateGuest = async (req, res, next) => {
     }
 
     // Vérifier le QR code si pas de token
+    if (!guestData && qrCode) {
+      // Codes famille : family_invitations (code actuel ou ancien code redirigé)
+      const invitation = await invitationResolutionService.findStoredInvitation(qrCode);
+      if (invitation && invitationResolutionService.checkInvitation(invitation).valid) {
+        guestData = {
+          family_id: invitation.family_id,
+          qr_code: qrCode,
+          game_id: gameId,
+          event_id: invitation.event_id
+        };
+        accessType = 'family';
+      }
+    }
+
     if (!guestData && qrCode) {
       const qrData = await qrCodes.findByCode(qrCode);
       
@@ -252,7 +268,10 @@ const authenticateGuest = async (req, res, next) => {
         hasPlayed = !!participation;
       }
 
-      if (hasPlayed) {
+      // Mode entraînement : les parties peuvent être rejouées
+      const isPractice = gamePlayGuardService.getPlayPolicy(game) === gamePlayGuardService.PLAY_POLICIES.UNLIMITED;
+
+      if (hasPlayed && !isPractice) {
         return res.status(403).json({
           success: false,
           message: 'You have already played this game'
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { extractToken, setAuthErrorHeaders, authenticateToken } = require('./auth');
+const scannerAccessService = require('../services/scannerAccessService');
+const logger = require('../utils/logger');
+
+// Middleware pour authentifier le personnel d'accueil via une session scanner
+// (token JWT de portée "scanner", limité à un seul événement)
+const authenticateScanner = async (req, res, next) => {
+  const token = extractToken(req);
+
+  if (!token) {
+    setAuthErrorHeaders(res);
+    return res.status(401).json({
+      success: false,
+      message: 'Scanner session required',
+      code: 'NO_TOKEN'
+    });
+  }
+
+  try {
+    const credential = await scannerAccessService.verifySession(token);
+    req.scanner = {
+      credentialId: credential.id,
+      eventId: credential.event_id,
+      label: credential.label,
+      expiresAt: credential.expires_at
+    };
+    next();
+  } catch (error) {
+    if (!error.code) {
+      logger.error('Error verifying scanner session:', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication error',
+        code: 'AUTH_ERROR'
+      });
+    }
+
+    setAuthErrorHeaders(res);
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+};
+
+// Accepte une session scanner ou une session utilisateur (organisateur, collaborateur)
+const authenticateScannerOrUser = (req, res, next) => {
+  const token = extractToken(req);
+  const payload = token ? jwt.decode(token) : null;
+
+  if (payload && payload.scope === scannerAccessService.SCANNER_SCOPE) {
+    return authenticateScanner(req, res, next);
+  }
+  return authenticateToken(req, res, next);
+};
+
+module.exports = {
+  authenticateScanner,
+  authenticateScannerOrUser
+};
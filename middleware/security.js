@@ -1,6 +1,7 @@
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const logger = require('../utils/logger');
+const { SIGNED_QR_PATTERN } = require('../services/qrSigningService');
 
 // ============================================
 // 🛡️ SECURITY: Get real client IP, preventing IP spoofing
@@ -332,10 +333,11 @@ const validateQRCode = (req, res, next) => {
     });
   }
 
-  // Regex strict : uniquement alphanumérique, 10-50 caractères
-  const qrCodeRegex = /^[a-zA-Z0-9]{10,50}$/;
+  // Regex strict : alphanumérique et tirets (UUID v4, FAM-uuid), 10-100 caractères
+  const qrCodeRegex = /^[a-zA-Z0-9-]{10,100}$/;
 
-  if (!qrCodeRegex.test(qrCode)) {
+  // Les QR codes signés (SIG-...) ont leur propre format
+  if (!qrCodeRegex.test(qrCode) && !SIGNED_QR_PATTERN.test(qrCode)) {
     logger.warn('🚫 Invalid QR code format detected', {
       ip: req.ip,
       qrCode: qrCode.substring(0, 20), // Log partial for debugging
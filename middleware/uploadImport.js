@@ -0,0 +1,42 @@
+const multer = require('multer');
+const path = require('path');
+
+// Configure storage
+const storage = multer.memoryStorage();
+
+// Filter for guest list spreadsheets (CSV, XLSX)
+const fileFilter = (req, file, cb) => {
+    // Les navigateurs envoient des types MIME variés pour le CSV
+    const allowedMimetypes = [
+        'text/csv',
+        'text/plain',
+        'application/csv',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/octet-stream'
+    ];
+
+    const allowedExtensions = /\.csv$|\.xlsx$/i;
+
+    const ext = path.extname(file.originalname).toLowerCase();
+    const isValidExt = allowedExtensions.test(ext);
+    const isValidMime = allowedMimetypes.includes(file.mimetype);
+
+    // Accepter si l'extension ET le mimetype sont valides
+    if (isValidExt && isValidMime) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Type de fichier non supporté! Formats acceptés: CSV, XLSX'), false);
+    }
+};
+
+// Initialize multer
+const uploadImport = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB max pour une liste d'invités
+    },
+    fileFilter: fileFilter,
+});
+
+module.exports = uploadImport;
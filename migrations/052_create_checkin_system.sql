@@ -0,0 +1,152 @@
+-- Migration: Système de check-in le jour J
+-- Description: Appareils de scan nommés par événement, check-ins idempotents,
+-- arrivées partielles des familles et synchronisation des scans hors-ligne
+
+-- Appareils de scan enregistrés pour un événement (ex: "Porte 2", "Tablette accueil")
+CREATE TABLE IF NOT EXISTS scanner_devices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    registered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    last_seen_at TIMESTAMP WITH TIME ZONE,
+    last_sync_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(event_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scanner_devices_event ON scanner_devices(event_id);
+
+DROP TRIGGER IF EXISTS update_scanner_devices_updated_at ON scanner_devices;
+CREATE TRIGGER update_scanner_devices_updated_at BEFORE UPDATE ON scanner_devices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Les codes famille (FAM-uuid) dépassent parfois 50 caractères
+ALTER TABLE attendance ALTER COLUMN qr_code TYPE VARCHAR(100);
+
+-- Une ligne d'attendance peut désormais représenter un invité OU une arrivée (partielle) de famille
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS family_invitation_id UUID REFERENCES family_invitations(id) ON DELETE CASCADE;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS scanner_device_id UUID REFERENCES scanner_devices(id) ON DELETE SET NULL;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS arrived_count INTEGER NOT NULL DEFAULT 1 CHECK (arrived_count > 0);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS client_scan_id VARCHAR(100); -- ID généré par la tablette pour les scans hors-ligne
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'live' CHECK (source IN ('live', 'offline_sync'));
+
+-- Un même scan hors-ligne ne peut être importé qu'une seule fois
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_client_scan
+ON attendance(event_id, client_scan_id) WHERE client_scan_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_family_invitation ON attendance(family_invitation_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_device ON attendance(scanner_device_id);
+
+COMMENT ON TABLE scanner_devices IS 'Appareils de scan nommés (portes, tablettes) utilisés pour le check-in le jour de l''événement';
+COMMENT ON COLUMN attendance.arrived_count IS 'Nombre de personnes arrivées lors de ce scan (arrivées partielles des familles)';
+COMMENT ON COLUMN attendance.client_scan_id IS 'Identifiant unique du scan côté client, garantit l''idempotence de la synchronisation hors-ligne';
+
+-- ============================================
+-- Enregistrement atomique d'un check-in
+-- ============================================
+-- Verrouille l'invité / l'invitation le temps du calcul pour que deux portes
+-- qui scannent la même famille au même instant ne dépassent pas invited_count.
+CREATE OR REPLACE FUNCTION record_check_in(
+    p_event_id UUID,
+    p_qr_code VARCHAR(100),
+    p_guest_id UUID DEFAULT NULL,
+    p_family_invitation_id UUID DEFAULT NULL,
+    p_arrived_count INTEGER DEFAULT 1,
+    p_allowed_count INTEGER DEFAULT 1,
+    p_scanner_device_id UUID DEFAULT NULL,
+    p_verified_by UUID DEFAULT NULL,
+    p_client_scan_id VARCHAR(100) DEFAULT NULL,
+    p_scanned_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_source VARCHAR(20) DEFAULT 'live',
+    p_clamp_to_remaining BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_existing attendance%ROWTYPE;
+    v_last JSONB;
+    v_inserted JSONB;
+    v_already INTEGER;
+    v_remaining INTEGER;
+    v_count INTEGER := GREATEST(COALESCE(p_arrived_count, 1), 1);
+BEGIN
+    -- Scan hors-ligne déjà importé : on renvoie le résultat précédent
+    IF p_client_scan_id IS NOT NULL THEN
+        SELECT * INTO v_existing
+        FROM attendance
+        WHERE event_id = p_event_id AND client_scan_id = p_client_scan_id;
+
+        IF FOUND THEN
+            RETURN jsonb_build_object('status', 'duplicate', 'attendance', to_jsonb(v_existing));
+        END IF;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext(COALESCE(p_guest_id::text, p_family_invitation_id::text, p_qr_code)));
+
+    SELECT COALESCE(SUM(arrived_count), 0) INTO v_already
+    FROM attendance a
+    WHERE a.event_id = p_event_id
+      AND a.status = 'arrived'
+      AND (
+        (p_guest_id IS NOT NULL AND a.guest_id = p_guest_id) OR
+        (p_guest_id IS NULL AND p_family_invitation_id IS NOT NULL AND a.family_invitation_id = p_family_invitation_id) OR
+        (p_guest_id IS NULL AND p_family_invitation_id IS NULL AND a.qr_code = p_qr_code)
+      );
+
+    v_remaining := GREATEST(p_allowed_count - v_already, 0);
+
+    IF v_remaining = 0 OR (v_count > v_remaining AND NOT p_clamp_to_remaining) THEN
+        SELECT to_jsonb(a) || jsonb_build_object('scanner_device_name', sd.name) INTO v_last
+        FROM attendance a
+        LEFT JOIN scanner_devices sd ON sd.id = a.scanner_device_id
+        WHERE a.event_id = p_event_id
+          AND a.status = 'arrived'
+          AND (
+            (p_guest_id IS NOT NULL AND a.guest_id = p_guest_id) OR
+            (p_guest_id IS NULL AND p_family_invitation_id IS NOT NULL AND a.family_invitation_id = p_family_invitation_id) OR
+            (p_guest_id IS NULL AND p_family_invitation_id IS NULL AND a.qr_code = p_qr_code)
+          )
+        ORDER BY a.timestamp DESC
+        LIMIT 1;
+
+        RETURN jsonb_build_object(
+            'status', CASE WHEN v_remaining = 0 THEN 'already_checked_in' ELSE 'over_capacity' END,
+            'already_arrived', v_already,
+            'remaining', v_remaining,
+            'last_check_in', v_last
+        );
+    END IF;
+
+    v_count := LEAST(v_count, v_remaining);
+
+    INSERT INTO attendance (
+        event_id, guest_id, family_invitation_id, qr_code, verified_by, scanner_device_id,
+        status, arrived_count, client_scan_id, source, timestamp
+    ) VALUES (
+        p_event_id, p_guest_id, p_family_invitation_id, p_qr_code, p_verified_by, p_scanner_device_id,
+        'arrived', v_count, p_client_scan_id, COALESCE(p_source, 'live'), COALESCE(p_scanned_at, NOW())
+    )
+    RETURNING to_jsonb(attendance.*) INTO v_inserted;
+
+    IF p_guest_id IS NOT NULL THEN
+        UPDATE guests
+        SET attendance_status = 'arrived',
+            attendance_time = COALESCE(p_scanned_at, NOW())
+        WHERE id = p_guest_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'checked_in',
+        'attendance', v_inserted,
+        'already_arrived', v_already + v_count,
+        'remaining', v_remaining - v_count,
+        'clamped', v_count < GREATEST(COALESCE(p_arrived_count, 1), 1)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_check_in TO service_role;
@@ -0,0 +1,53 @@
+-- Migration: Date limite RSVP, verrouillage et historique des réponses
+-- Description: Date limite par événement avec délai de grâce optionnel, verrouillage
+-- manuel par l'organisateur et historique append-only de chaque modification de RSVP
+
+-- Fenêtre de réponse par événement
+ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_grace_period_hours INTEGER NOT NULL DEFAULT 0 CHECK (rsvp_grace_period_hours >= 0 AND rsvp_grace_period_hours <= 720);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_locked BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_locked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_locked_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Historique des modifications de RSVP (une ligne par soumission qui change quelque chose)
+CREATE TABLE IF NOT EXISTS family_rsvp_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    family_id UUID REFERENCES families(id) ON DELETE SET NULL,
+    family_invitation_id UUID REFERENCES family_invitations(id) ON DELETE SET NULL,
+    family_name VARCHAR(255), -- Conservé même si la famille est supprimée
+    changed_by_type VARCHAR(20) NOT NULL CHECK (changed_by_type IN ('guest', 'organizer', 'system')),
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL pour un invité
+    source VARCHAR(50) NOT NULL, -- 'public_invitation', 'invitation_code', ...
+    attending_before INTEGER NOT NULL DEFAULT 0,
+    attending_after INTEGER NOT NULL DEFAULT 0,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ member_name, field, from, to }]
+    previous_state JSONB,
+    new_state JSONB,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_family_rsvp_history_event ON family_rsvp_history(event_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_family_rsvp_history_invitation ON family_rsvp_history(family_invitation_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_family_rsvp_history_family ON family_rsvp_history(family_id);
+
+-- Append-only: une entrée d'historique ne peut jamais être modifiée
+-- (la suppression reste possible via la cascade quand l'événement est supprimé)
+-- Voir 072 : les mises à NULL des ON DELETE SET NULL sont acceptées
+CREATE OR REPLACE FUNCTION prevent_rsvp_history_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RAISE EXCEPTION 'family_rsvp_history is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS family_rsvp_history_append_only ON family_rsvp_history;
+CREATE TRIGGER family_rsvp_history_append_only BEFORE UPDATE ON family_rsvp_history FOR EACH ROW EXECUTE FUNCTION prevent_rsvp_history_update();
+
+REVOKE UPDATE, DELETE ON family_rsvp_history FROM anon, authenticated;
@@ -0,0 +1,8 @@
+-- Migration: Accompagnants nommés (plus-ones) sur les invitations famille
+-- Description: L'organisateur accorde un nombre d'accompagnants hors liste des membres,
+-- en plus de invited_count. Les réponses RSVP de ces accompagnants sont marquées.
+
+ALTER TABLE family_invitations ADD COLUMN IF NOT EXISTS plus_ones_allowed INTEGER NOT NULL DEFAULT 0 CHECK (plus_ones_allowed >= 0 AND plus_ones_allowed <= 10);
+
+ALTER TABLE family_rsvp ADD COLUMN IF NOT EXISTS is_plus_one BOOLEAN NOT NULL DEFAULT FALSE;
+
@@ -0,0 +1,61 @@
+-- Migration: Notifications invités (email / SMS)
+-- Description: Coordonnées de contact des familles, paramètres d'expéditeur par événement
+-- et journal de livraison des notifications envoyées via la file Bull
+
+-- Coordonnées de contact d'une famille (destinataire des emails / SMS)
+ALTER TABLE families ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+ALTER TABLE families ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
+
+-- Paramètres d'expéditeur par événement
+CREATE TABLE IF NOT EXISTS event_notification_settings (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    sender_name VARCHAR(100), -- "Marie & Thomas"
+    reply_to_email VARCHAR(255),
+    sms_sender_id VARCHAR(11), -- Identifiant alphanumérique SMS (11 caractères max)
+    email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    sms_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    locale VARCHAR(5) NOT NULL DEFAULT 'fr' CHECK (locale IN ('fr', 'en')),
+    auto_rsvp_confirmation BOOLEAN NOT NULL DEFAULT FALSE, -- Email de confirmation après chaque réponse RSVP
+    signature TEXT,
+    template_overrides JSONB NOT NULL DEFAULT '{}'::jsonb, -- { "rsvp_reminder": { "subject": "...", "text": "...", "sms": "..." } }
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_event_notification_settings_updated_at ON event_notification_settings;
+CREATE TRIGGER update_event_notification_settings_updated_at BEFORE UPDATE ON event_notification_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Journal de livraison (une ligne par message et par destinataire)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms')),
+    recipient VARCHAR(255) NOT NULL, -- Adresse email ou numéro de téléphone
+    recipient_name VARCHAR(255),
+    family_id UUID REFERENCES families(id) ON DELETE SET NULL,
+    family_invitation_id UUID REFERENCES family_invitations(id) ON DELETE SET NULL,
+    guest_id UUID REFERENCES guests(id) ON DELETE SET NULL,
+    variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'retrying', 'sent', 'failed', 'cancelled')),
+    transport VARCHAR(20), -- 'smtp', 'webhook_sms', 'file'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    job_id VARCHAR(100),
+    provider_message_id VARCHAR(255),
+    subject TEXT, -- Sujet effectivement envoyé
+    error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL pour les envois automatiques
+    queued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_event ON notification_deliveries(event_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_invitation ON notification_deliveries(family_invitation_id);
+
+DROP TRIGGER IF EXISTS update_notification_deliveries_updated_at ON notification_deliveries;
+CREATE TRIGGER update_notification_deliveries_updated_at BEFORE UPDATE ON notification_deliveries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,59 @@
+-- Migration: Campagnes de relance RSVP
+-- Description: Relances programmées des familles qui n'ont pas ouvert l'invitation,
+-- l'ont ouverte sans répondre ou n'ont répondu que partiellement.
+-- Cadence configurable, heures de silence dans le fuseau de l'organisateur,
+-- arrêt automatique dès que la famille répond, statistiques d'ouverture et de conversion.
+
+CREATE TABLE IF NOT EXISTS rsvp_reminder_campaigns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'paused', 'completed', 'cancelled')),
+    channel VARCHAR(10) NOT NULL DEFAULT 'email' CHECK (channel IN ('email', 'sms')),
+    target_segments TEXT[] NOT NULL DEFAULT ARRAY['never_opened', 'opened_no_response', 'partial_response'],
+    cadence_days INTEGER NOT NULL DEFAULT 7 CHECK (cadence_days BETWEEN 1 AND 60), -- Délai entre deux relances d'une même famille
+    max_reminders INTEGER NOT NULL DEFAULT 3 CHECK (max_reminders BETWEEN 1 AND 10),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE, -- NULL = jusqu'à la date limite RSVP de l'événement
+    quiet_hours_start TIME NOT NULL DEFAULT '21:00', -- Aucun envoi entre start et end (heure locale)
+    quiet_hours_end TIME NOT NULL DEFAULT '09:00',
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- preferences.timezone de l'organisateur
+    custom_message TEXT,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rsvp_reminder_campaigns_event ON rsvp_reminder_campaigns(event_id);
+CREATE INDEX IF NOT EXISTS idx_rsvp_reminder_campaigns_due ON rsvp_reminder_campaigns(next_run_at) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_rsvp_reminder_campaigns_updated_at ON rsvp_reminder_campaigns;
+CREATE TRIGGER update_rsvp_reminder_campaigns_updated_at BEFORE UPDATE ON rsvp_reminder_campaigns FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Suivi par famille (une ligne par famille relancée au moins une fois)
+CREATE TABLE IF NOT EXISTS rsvp_reminder_recipients (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    campaign_id UUID REFERENCES rsvp_reminder_campaigns(id) ON DELETE CASCADE NOT NULL,
+    family_invitation_id UUID REFERENCES family_invitations(id) ON DELETE CASCADE NOT NULL,
+    family_id UUID REFERENCES families(id) ON DELETE SET NULL,
+    initial_segment VARCHAR(30) NOT NULL, -- Segment lors de la première relance
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'responded', 'exhausted', 'no_contact', 'stopped')),
+    reminders_sent INTEGER NOT NULL DEFAULT 0,
+    first_reminded_at TIMESTAMP WITH TIME ZONE,
+    last_reminded_at TIMESTAMP WITH TIME ZONE,
+    next_reminder_at TIMESTAMP WITH TIME ZONE,
+    last_delivery_id UUID REFERENCES notification_deliveries(id) ON DELETE SET NULL,
+    opened_at TIMESTAMP WITH TIME ZONE, -- Première ouverture de l'invitation après une relance
+    responded_at TIMESTAMP WITH TIME ZONE, -- Conversion: réponse après une relance
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(campaign_id, family_invitation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rsvp_reminder_recipients_campaign ON rsvp_reminder_recipients(campaign_id, status);
+
+DROP TRIGGER IF EXISTS update_rsvp_reminder_recipients_updated_at ON rsvp_reminder_recipients;
+CREATE TRIGGER update_rsvp_reminder_recipients_updated_at BEFORE UPDATE ON rsvp_reminder_recipients FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,128 @@
+-- Migration: Import groupé d'invités et de familles (CSV / XLSX)
+-- Description: Rattachement d'un invité à son foyer et fonction d'import transactionnelle.
+-- Le plan (insertions / mises à jour) est calculé côté API puis appliqué en une seule
+-- transaction : une erreur sur une ligne annule tout l'import.
+
+-- Foyer d'un invité (familles importées)
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS family_id UUID REFERENCES families(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_guests_family ON guests(family_id);
+
+-- p_families: [{ "key": "dupont", "id": null|uuid, "name": "...", "members": [...], "max_people": 4, "email": "...", "phone": "..." }]
+-- p_guests:   [{ "id": null|uuid, "family_key": "dupont"|null, "first_name": "...", "last_name": "...", "email": "...", ... }]
+CREATE OR REPLACE FUNCTION import_guests_batch(
+    p_event_id UUID,
+    p_user_id UUID,
+    p_families JSONB DEFAULT '[]'::jsonb,
+    p_guests JSONB DEFAULT '[]'::jsonb
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_family JSONB;
+    v_guest JSONB;
+    v_family_id UUID;
+    v_guest_id UUID;
+    v_family_ids JSONB := '{}'::jsonb;
+    v_families_created INTEGER := 0;
+    v_families_updated INTEGER := 0;
+    v_guests_created INTEGER := 0;
+    v_guests_updated INTEGER := 0;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = p_event_id AND organizer_id = p_user_id AND is_active = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Event not found or access denied';
+    END IF;
+
+    FOR v_family IN SELECT * FROM jsonb_array_elements(COALESCE(p_families, '[]'::jsonb)) LOOP
+        v_family_id := NULL;
+
+        IF v_family->>'id' IS NOT NULL THEN
+            UPDATE families
+            SET members = ARRAY(SELECT jsonb_array_elements_text(v_family->'members')),
+                max_people = GREATEST(COALESCE(max_people, 1), COALESCE((v_family->>'max_people')::INTEGER, 1)),
+                email = COALESCE(email, NULLIF(v_family->>'email', '')),
+                phone = COALESCE(phone, NULLIF(v_family->>'phone', ''))
+            WHERE id = (v_family->>'id')::UUID AND event_id = p_event_id
+            RETURNING id INTO v_family_id;
+
+            IF v_family_id IS NULL THEN
+                RAISE EXCEPTION 'Family % does not belong to event %', v_family->>'id', p_event_id;
+            END IF;
+
+            v_families_updated := v_families_updated + 1;
+        ELSE
+            INSERT INTO families (name, members, max_people, email, phone, user_id, event_id)
+            VALUES (
+                v_family->>'name',
+                ARRAY(SELECT jsonb_array_elements_text(v_family->'members')),
+                COALESCE((v_family->>'max_people')::INTEGER, 1),
+                NULLIF(v_family->>'email', ''),
+                NULLIF(v_family->>'phone', ''),
+                p_user_id,
+                p_event_id
+            )
+            RETURNING id INTO v_family_id;
+
+            v_families_created := v_families_created + 1;
+        END IF;
+
+        v_family_ids := v_family_ids || jsonb_build_object(v_family->>'key', v_family_id);
+    END LOOP;
+
+    FOR v_guest IN SELECT * FROM jsonb_array_elements(COALESCE(p_guests, '[]'::jsonb)) LOOP
+        v_family_id := NULLIF(v_family_ids->>(v_guest->>'family_key'), '')::UUID;
+
+        IF v_guest->>'id' IS NOT NULL THEN
+            -- Seuls les champs renseignés dans le fichier écrasent l'existant
+            UPDATE guests
+            SET first_name = COALESCE(NULLIF(v_guest->>'first_name', ''), first_name),
+                last_name = COALESCE(NULLIF(v_guest->>'last_name', ''), last_name),
+                phone = COALESCE(NULLIF(v_guest->>'phone', ''), phone),
+                dietary_restrictions = COALESCE(NULLIF(v_guest->>'dietary_restrictions', ''), dietary_restrictions),
+                notes = COALESCE(NULLIF(v_guest->>'notes', ''), notes),
+                plus_one = COALESCE((v_guest->>'plus_one')::BOOLEAN, plus_one),
+                family_id = COALESCE(v_family_id, family_id)
+            WHERE id = (v_guest->>'id')::UUID AND event_id = p_event_id
+            RETURNING id INTO v_guest_id;
+
+            IF v_guest_id IS NULL THEN
+                RAISE EXCEPTION 'Guest % does not belong to event %', v_guest->>'id', p_event_id;
+            END IF;
+
+            v_guests_updated := v_guests_updated + 1;
+        ELSE
+            INSERT INTO guests (
+                event_id, family_id, first_name, last_name, email, phone,
+                dietary_restrictions, notes, plus_one
+            ) VALUES (
+                p_event_id,
+                v_family_id,
+                v_guest->>'first_name',
+                v_guest->>'last_name',
+                LOWER(v_guest->>'email'),
+                NULLIF(v_guest->>'phone', ''),
+                NULLIF(v_guest->>'dietary_restrictions', ''),
+                NULLIF(v_guest->>'notes', ''),
+                COALESCE((v_guest->>'plus_one')::BOOLEAN, FALSE)
+            );
+
+            v_guests_created := v_guests_created + 1;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'families_created', v_families_created,
+        'families_updated', v_families_updated,
+        'guests_created', v_guests_created,
+        'guests_updated', v_guests_updated,
+        'family_ids', v_family_ids
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION import_guests_batch TO service_role;
@@ -0,0 +1,107 @@
+-- Migration: Placement automatique des invités
+-- Description: Étiquettes de tables et d'invités (enfants, VIP, ...), contraintes
+-- "doit être avec" / "ne doit pas être avec" entre invités ou familles, et fonction
+-- d'application transactionnelle d'un plan de table calculé côté API.
+
+-- Étiquettes (normalisées en minuscules côté API)
+ALTER TABLE seating_tables ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE families ADD COLUMN IF NOT EXISTS seating_tags TEXT[] DEFAULT '{}';
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS seating_tags TEXT[] DEFAULT '{}';
+
+-- Contraintes de placement entre deux invités et/ou familles
+CREATE TABLE IF NOT EXISTS seating_constraints (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    constraint_type VARCHAR(20) NOT NULL CHECK (constraint_type IN ('together', 'apart')),
+    strength VARCHAR(10) NOT NULL DEFAULT 'hard' CHECK (strength IN ('hard', 'soft')),
+    subject_a_type VARCHAR(10) NOT NULL CHECK (subject_a_type IN ('guest', 'family')),
+    subject_a_id UUID NOT NULL,
+    subject_b_type VARCHAR(10) NOT NULL CHECK (subject_b_type IN ('guest', 'family')),
+    subject_b_id UUID NOT NULL,
+    note TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (subject_a_type <> subject_b_type OR subject_a_id <> subject_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seating_constraints_event ON seating_constraints(event_id);
+
+DROP TRIGGER IF EXISTS update_seating_constraints_updated_at ON seating_constraints;
+CREATE TRIGGER update_seating_constraints_updated_at
+    BEFORE UPDATE ON seating_constraints
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- p_assignments: [{ "table_id": uuid, "type": "family"|"guest", "id": uuid }]
+-- p_reset: supprime d'abord les placements invités/familles existants (les invités manuels sont conservés)
+CREATE OR REPLACE FUNCTION apply_seating_plan(
+    p_event_id UUID,
+    p_user_id UUID,
+    p_assignments JSONB DEFAULT '[]'::jsonb,
+    p_reset BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_assignment JSONB;
+    v_table_id UUID;
+    v_removed INTEGER := 0;
+    v_created INTEGER := 0;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = p_event_id AND organizer_id = p_user_id AND is_active = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Event not found or access denied';
+    END IF;
+
+    IF p_reset THEN
+        DELETE FROM table_assignments
+        WHERE assignment_type IN ('guest', 'family')
+          AND table_id IN (SELECT id FROM seating_tables WHERE event_id = p_event_id);
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+    END IF;
+
+    FOR v_assignment IN SELECT * FROM jsonb_array_elements(COALESCE(p_assignments, '[]'::jsonb)) LOOP
+        SELECT id INTO v_table_id
+        FROM seating_tables
+        WHERE id = (v_assignment->>'table_id')::UUID AND event_id = p_event_id;
+
+        IF v_table_id IS NULL THEN
+            RAISE EXCEPTION 'Table % does not belong to event %', v_assignment->>'table_id', p_event_id;
+        END IF;
+
+        IF v_assignment->>'type' = 'family' THEN
+            DELETE FROM table_assignments
+            WHERE family_id = (v_assignment->>'id')::UUID
+              AND table_id IN (SELECT id FROM seating_tables WHERE event_id = p_event_id);
+
+            INSERT INTO table_assignments (table_id, family_id, assignment_type)
+            VALUES (v_table_id, (v_assignment->>'id')::UUID, 'family');
+        ELSE
+            DELETE FROM table_assignments
+            WHERE guest_id = (v_assignment->>'id')::UUID
+              AND table_id IN (SELECT id FROM seating_tables WHERE event_id = p_event_id);
+
+            INSERT INTO table_assignments (table_id, guest_id, assignment_type)
+            VALUES (v_table_id, (v_assignment->>'id')::UUID, 'guest');
+        END IF;
+
+        v_created := v_created + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'assignments_removed', v_removed,
+        'assignments_created', v_created
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_seating_plan TO service_role;
+
+COMMENT ON TABLE seating_constraints IS 'Seating constraints between guests/families: together or apart, hard or soft';
+COMMENT ON COLUMN seating_tables.tags IS 'Table tags (kids, vip, ...) matched against family/guest seating_tags by the auto-assign solver';
@@ -0,0 +1,14 @@
+-- Migration: Choix de menu et allergènes par membre
+-- Description: Les plats au choix sont définis dans events.menu_settings.menu_items
+-- (une entrée avec "id" et "options" = un plat au choix). Chaque membre d'une famille
+-- choisit une option par plat dans son RSVP et déclare ses allergènes (liste fixe des
+-- 14 allergènes réglementaires) en plus du texte libre dietary_restrictions.
+
+-- { "<id du plat>": "<id de l'option>" }
+ALTER TABLE family_rsvp ADD COLUMN IF NOT EXISTS meal_choices JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- gluten, crustaceans, eggs, fish, peanuts, soybeans, milk, nuts, celery, mustard, sesame, sulphites, lupin, molluscs
+ALTER TABLE family_rsvp ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN family_rsvp.meal_choices IS 'Meal option chosen per course: { course_id: option_id } (courses from events.menu_settings.menu_items)';
+COMMENT ON COLUMN family_rsvp.allergens IS 'Declared allergens from the fixed list; free text stays in dietary_restrictions';
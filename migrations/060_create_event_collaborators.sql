@@ -0,0 +1,256 @@
+-- Migration: Collaboration multi-organisateurs
+-- Description: Collaborateurs d'un événement avec un rôle (propriétaire, co-organisateur,
+-- wedding planner, lecteur, accueil) et invitations par email à collaborer.
+-- L'organisateur principal (events.organizer_id) reste propriétaire sans ligne dédiée.
+
+CREATE TABLE IF NOT EXISTS event_collaborators (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'co_organizer', 'planner', 'viewer', 'door_staff')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_collaborators_user ON event_collaborators(user_id);
+
+DROP TRIGGER IF EXISTS update_event_collaborators_updated_at ON event_collaborators;
+CREATE TRIGGER update_event_collaborators_updated_at
+    BEFORE UPDATE ON event_collaborators
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Invitations à collaborer : seul le hash du jeton est stocké, le lien est envoyé par email
+CREATE TABLE IF NOT EXISTS event_collaborator_invitations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'co_organizer', 'planner', 'viewer', 'door_staff')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_collaborator_invitations_event ON event_collaborator_invitations(event_id, status);
+
+DROP TRIGGER IF EXISTS update_event_collaborator_invitations_updated_at ON event_collaborator_invitations;
+CREATE TRIGGER update_event_collaborator_invitations_updated_at
+    BEFORE UPDATE ON event_collaborator_invitations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Rôle d'un utilisateur sur un événement actif (NULL si aucun accès)
+CREATE OR REPLACE FUNCTION event_user_role(p_event_id UUID, p_user_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN e.organizer_id = p_user_id THEN 'owner'
+        ELSE (
+            SELECT ec.role::TEXT FROM event_collaborators ec
+            WHERE ec.event_id = e.id AND ec.user_id = p_user_id
+        )
+    END
+    FROM events e
+    WHERE e.id = p_event_id AND e.is_active = TRUE;
+$$;
+
+GRANT EXECUTE ON FUNCTION event_user_role TO service_role;
+
+-- Les fonctions d'import et de placement acceptent désormais les collaborateurs autorisés à modifier
+CREATE OR REPLACE FUNCTION import_guests_batch(
+    p_event_id UUID,
+    p_user_id UUID,
+    p_families JSONB DEFAULT '[]'::jsonb,
+    p_guests JSONB DEFAULT '[]'::jsonb
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_family JSONB;
+    v_guest JSONB;
+    v_family_id UUID;
+    v_guest_id UUID;
+    v_family_ids JSONB := '{}'::jsonb;
+    v_families_created INTEGER := 0;
+    v_families_updated INTEGER := 0;
+    v_guests_created INTEGER := 0;
+    v_guests_updated INTEGER := 0;
+    v_owner_id UUID;
+BEGIN
+    IF COALESCE(event_user_role(p_event_id, p_user_id), '') NOT IN ('owner', 'co_organizer', 'planner') THEN
+        RAISE EXCEPTION 'Event not found or access denied';
+    END IF;
+
+    -- Les familles restent rattachées à l'organisateur principal, même importées par un collaborateur
+    SELECT organizer_id INTO v_owner_id FROM events WHERE id = p_event_id;
+
+    FOR v_family IN SELECT * FROM jsonb_array_elements(COALESCE(p_families, '[]'::jsonb)) LOOP
+        v_family_id := NULL;
+
+        IF v_family->>'id' IS NOT NULL THEN
+            UPDATE families
+            SET members = ARRAY(SELECT jsonb_array_elements_text(v_family->'members')),
+                max_people = GREATEST(COALESCE(max_people, 1), COALESCE((v_family->>'max_people')::INTEGER, 1)),
+                email = COALESCE(email, NULLIF(v_family->>'email', '')),
+                phone = COALESCE(phone, NULLIF(v_family->>'phone', ''))
+            WHERE id = (v_family->>'id')::UUID AND event_id = p_event_id
+            RETURNING id INTO v_family_id;
+
+            IF v_family_id IS NULL THEN
+                RAISE EXCEPTION 'Family % does not belong to event %', v_family->>'id', p_event_id;
+            END IF;
+
+            v_families_updated := v_families_updated + 1;
+        ELSE
+            INSERT INTO families (name, members, max_people, email, phone, user_id, event_id)
+            VALUES (
+                v_family->>'name',
+                ARRAY(SELECT jsonb_array_elements_text(v_family->'members')),
+                COALESCE((v_family->>'max_people')::INTEGER, 1),
+                NULLIF(v_family->>'email', ''),
+                NULLIF(v_family->>'phone', ''),
+                v_owner_id,
+                p_event_id
+            )
+            RETURNING id INTO v_family_id;
+
+            v_families_created := v_families_created + 1;
+        END IF;
+
+        v_family_ids := v_family_ids || jsonb_build_object(v_family->>'key', v_family_id);
+    END LOOP;
+
+    FOR v_guest IN SELECT * FROM jsonb_array_elements(COALESCE(p_guests, '[]'::jsonb)) LOOP
+        v_family_id := NULLIF(v_family_ids->>(v_guest->>'family_key'), '')::UUID;
+
+        IF v_guest->>'id' IS NOT NULL THEN
+            -- Seuls les champs renseignés dans le fichier écrasent l'existant
+            UPDATE guests
+            SET first_name = COALESCE(NULLIF(v_guest->>'first_name', ''), first_name),
+                last_name = COALESCE(NULLIF(v_guest->>'last_name', ''), last_name),
+                phone = COALESCE(NULLIF(v_guest->>'phone', ''), phone),
+                dietary_restrictions = COALESCE(NULLIF(v_guest->>'dietary_restrictions', ''), dietary_restrictions),
+                notes = COALESCE(NULLIF(v_guest->>'notes', ''), notes),
+                plus_one = COALESCE((v_guest->>'plus_one')::BOOLEAN, plus_one),
+                family_id = COALESCE(v_family_id, family_id)
+            WHERE id = (v_guest->>'id')::UUID AND event_id = p_event_id
+            RETURNING id INTO v_guest_id;
+
+            IF v_guest_id IS NULL THEN
+                RAISE EXCEPTION 'Guest % does not belong to event %', v_guest->>'id', p_event_id;
+            END IF;
+
+            v_guests_updated := v_guests_updated + 1;
+        ELSE
+            INSERT INTO guests (
+                event_id, family_id, first_name, last_name, email, phone,
+                dietary_restrictions, notes, plus_one
+            ) VALUES (
+                p_event_id,
+                v_family_id,
+                v_guest->>'first_name',
+                v_guest->>'last_name',
+                LOWER(v_guest->>'email'),
+                NULLIF(v_guest->>'phone', ''),
+                NULLIF(v_guest->>'dietary_restrictions', ''),
+                NULLIF(v_guest->>'notes', ''),
+                COALESCE((v_guest->>'plus_one')::BOOLEAN, FALSE)
+            );
+
+            v_guests_created := v_guests_created + 1;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'families_created', v_families_created,
+        'families_updated', v_families_updated,
+        'guests_created', v_guests_created,
+        'guests_updated', v_guests_updated,
+        'family_ids', v_family_ids
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION import_guests_batch TO service_role;
+
+CREATE OR REPLACE FUNCTION apply_seating_plan(
+    p_event_id UUID,
+    p_user_id UUID,
+    p_assignments JSONB DEFAULT '[]'::jsonb,
+    p_reset BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_assignment JSONB;
+    v_table_id UUID;
+    v_removed INTEGER := 0;
+    v_created INTEGER := 0;
+BEGIN
+    IF COALESCE(event_user_role(p_event_id, p_user_id), '') NOT IN ('owner', 'co_organizer', 'planner') THEN
+        RAISE EXCEPTION 'Event not found or access denied';
+    END IF;
+
+    IF p_reset THEN
+        DELETE FROM table_assignments
+        WHERE assignment_type IN ('guest', 'family')
+          AND table_id IN (SELECT id FROM seating_tables WHERE event_id = p_event_id);
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+    END IF;
+
+    FOR v_assignment IN SELECT * FROM jsonb_array_elements(COALESCE(p_assignments, '[]'::jsonb)) LOOP
+        SELECT id INTO v_table_id
+        FROM seating_tables
+        WHERE id = (v_assignment->>'table_id')::UUID AND event_id = p_event_id;
+
+        IF v_table_id IS NULL THEN
+            RAISE EXCEPTION 'Table % does not belong to event %', v_assignment->>'table_id', p_event_id;
+        END IF;
+
+        IF v_assignment->>'type' = 'family' THEN
+            DELETE FROM table_assignments
+            WHERE family_id = (v_assignment->>'id')::UUID
+              AND table_id IN (SELECT id FROM seating_tables WHERE event_id = p_event_id);
+
+            INSERT INTO table_assignments (table_id, family_id, assignment_type)
+            VALUES (v_table_id, (v_assignment->>'id')::UUID, 'family');
+        ELSE
+            DELETE FROM table_assignments
+            WHERE guest_id = (v_assignment->>'id')::UUID
+              AND table_id IN (SELECT id FROM seating_tables WHERE event_id = p_event_id);
+
+            INSERT INTO table_assignments (table_id, guest_id, assignment_type)
+            VALUES (v_table_id, (v_assignment->>'id')::UUID, 'guest');
+        END IF;
+
+        v_created := v_created + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'assignments_removed', v_removed,
+        'assignments_created', v_created
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_seating_plan TO service_role;
+
+COMMENT ON TABLE event_collaborators IS 'Users sharing an event with a role (owner, co_organizer, planner, viewer, door_staff); the organizer_id is always owner';
+COMMENT ON TABLE event_collaborator_invitations IS 'Email invitations to collaborate on an event (sha256 of the token, single use)';
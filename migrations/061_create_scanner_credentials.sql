@@ -0,0 +1,33 @@
+-- Migration: Accès scanner pour le personnel d'accueil
+-- Description: Identifiants temporaires limités à un événement (code PIN ou lien magique)
+-- émis par l'organisateur. Ils donnent une session "scanner" qui ne permet que de vérifier
+-- les QR codes, chercher un invité par nom et voir sa table, jusqu'au lendemain de l'événement.
+
+CREATE TABLE IF NOT EXISTS scanner_credentials (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    label VARCHAR(100) NOT NULL, -- Personne ou poste (ex: "Sophie - entrée principale")
+    method VARCHAR(20) NOT NULL CHECK (method IN ('pin', 'magic_link')),
+    pin_hash VARCHAR(64), -- HMAC du code PIN, jamais le code en clair
+    token_hash VARCHAR(64) UNIQUE, -- SHA-256 du jeton du lien magique
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((method = 'pin' AND pin_hash IS NOT NULL) OR (method = 'magic_link' AND token_hash IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scanner_credentials_event ON scanner_credentials(event_id);
+CREATE INDEX IF NOT EXISTS idx_scanner_credentials_pin ON scanner_credentials(event_id, pin_hash) WHERE pin_hash IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_scanner_credentials_updated_at ON scanner_credentials;
+CREATE TRIGGER update_scanner_credentials_updated_at
+    BEFORE UPDATE ON scanner_credentials
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE scanner_credentials IS 'Identifiants scanner du personnel d''accueil (PIN ou lien magique), limités à un événement et expirant le lendemain';
+COMMENT ON COLUMN scanner_credentials.pin_hash IS 'HMAC-SHA256 (event_id:pin) avec le secret JWT, permet la recherche sans stocker le code';
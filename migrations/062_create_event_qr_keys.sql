@@ -0,0 +1,22 @@
+-- Migration: Clés de signature des QR codes
+-- Description: Versions de la clé Ed25519 de chaque événement utilisée pour signer les QR codes
+-- (format compact vérifiable hors-ligne par les scanners). La clé privée n'est jamais stockée :
+-- elle est dérivée du secret serveur, de l'événement et de la version. Une rotation retire la
+-- version active, les QR codes signés avec une version retirée sont refusés.
+
+CREATE TABLE IF NOT EXISTS event_qr_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version > 0 AND version <= 65535),
+    public_key VARCHAR(64) NOT NULL, -- Clé publique Ed25519 brute (32 octets) en base64url
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (event_id, version)
+);
+
+-- Une seule version active par événement
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_qr_keys_active ON event_qr_keys(event_id) WHERE retired_at IS NULL;
+
+COMMENT ON TABLE event_qr_keys IS 'Versions des clés de signature Ed25519 des QR codes signés, par événement';
+COMMENT ON COLUMN event_qr_keys.version IS 'Version de la clé, incluse dans chaque QR code signé';
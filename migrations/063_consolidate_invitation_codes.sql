@@ -0,0 +1,79 @@
+-- Migration: Modèle unique des invitations famille
+-- Description: Les QR codes famille historiques (qr_codes avec family_id) sont regroupés dans
+-- family_invitations. Un code historique devient le qr_code de l'invitation créée pour sa
+-- famille, ou une redirection vers l'invitation déjà existante (une seule invitation par
+-- famille et par événement). Les lignes qr_codes sont conservées pour les QR codes imprimés.
+-- Le compteur de scans est incrémenté de façon atomique par record_invitation_scan.
+-- Backfill équivalent côté application : node scripts/consolidate-invitations.js
+
+CREATE TABLE IF NOT EXISTS invitation_code_redirects (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    legacy_code VARCHAR(100) UNIQUE NOT NULL,
+    family_invitation_id UUID NOT NULL REFERENCES family_invitations(id) ON DELETE CASCADE,
+    qr_code_id UUID REFERENCES qr_codes(id) ON DELETE SET NULL, -- Ligne qr_codes d'origine
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_code_redirects_invitation ON invitation_code_redirects(family_invitation_id);
+
+COMMENT ON TABLE invitation_code_redirects IS 'Anciens codes d''invitation (qr_codes famille) redirigés vers leur invitation family_invitations';
+
+-- Backfill 1 : familles sans invitation, le code historique devient le code de l'invitation
+INSERT INTO family_invitations (
+    family_id, event_id, user_id, invited_count, qr_code, qr_expires_at,
+    is_valid, scan_count, last_scanned_at, created_at
+)
+SELECT DISTINCT ON (q.event_id, q.family_id)
+    q.family_id, q.event_id, q.generated_by, COALESCE(q.invited_count, 1), q.code, q.expires_at,
+    TRUE, COALESCE(q.scan_count, 0), q.last_scanned_at, q.created_at
+FROM qr_codes q
+WHERE q.family_id IS NOT NULL
+  AND q.is_valid = TRUE
+  AND NOT EXISTS (
+      SELECT 1 FROM family_invitations fi
+      WHERE fi.event_id = q.event_id AND fi.family_id = q.family_id
+  )
+  AND NOT EXISTS (SELECT 1 FROM family_invitations fi WHERE fi.qr_code = q.code)
+ORDER BY q.event_id, q.family_id, q.created_at DESC
+ON CONFLICT DO NOTHING;
+
+-- Backfill 2 : les autres codes historiques valides redirigent vers l'invitation de leur famille
+INSERT INTO invitation_code_redirects (legacy_code, family_invitation_id, qr_code_id)
+SELECT q.code, fi.id, q.id
+FROM qr_codes q
+JOIN family_invitations fi ON fi.event_id = q.event_id AND fi.family_id = q.family_id
+WHERE q.family_id IS NOT NULL
+  AND q.is_valid = TRUE
+  AND fi.qr_code <> q.code
+ON CONFLICT (legacy_code) DO NOTHING;
+
+-- Incrémente le compteur de scans d'une invitation (family_invitations) ou d'un QR code (qr_codes)
+CREATE OR REPLACE FUNCTION record_invitation_scan(
+    p_source VARCHAR(30),
+    p_id UUID
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_scan_count INTEGER;
+BEGIN
+    IF p_source = 'qr_codes' THEN
+        UPDATE qr_codes
+        SET scan_count = COALESCE(scan_count, 0) + 1, last_scanned_at = NOW()
+        WHERE id = p_id
+        RETURNING scan_count INTO v_scan_count;
+    ELSE
+        UPDATE family_invitations
+        SET scan_count = COALESCE(scan_count, 0) + 1, last_scanned_at = NOW()
+        WHERE id = p_id
+        RETURNING scan_count INTO v_scan_count;
+    END IF;
+
+    RETURN v_scan_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_invitation_scan TO service_role;
@@ -0,0 +1,44 @@
+-- Migration: Ouvertures des invitations
+-- Description: Chaque ouverture d'une invitation publique est enregistrée (famille, design
+-- assigné, appareil, site d'origine) pour les statistiques par événement et par design :
+-- ouvertures dans le temps, familles uniques, délai ouverture -> RSVP, conversion par design.
+-- Le compteur invitation_designs.views_count est maintenu par trigger à partir de cette table.
+
+CREATE TABLE IF NOT EXISTS invitation_opens (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    family_invitation_id UUID REFERENCES family_invitations(id) ON DELETE SET NULL,
+    family_id UUID REFERENCES families(id) ON DELETE SET NULL,
+    design_id UUID REFERENCES invitation_designs(id) ON DELETE SET NULL, -- Design assigné à la famille au moment de l'ouverture
+    source VARCHAR(50) NOT NULL, -- 'public_invitation', 'invitation_code'
+    resolved_from VARCHAR(30), -- Type de code utilisé (invitationResolutionService.RESOLVED_FROM)
+    device_type VARCHAR(20) NOT NULL DEFAULT 'unknown' CHECK (device_type IN ('mobile', 'tablet', 'desktop', 'bot', 'unknown')),
+    referrer_host VARCHAR(255), -- NULL = accès direct (QR code, application de messagerie)
+    user_agent TEXT,
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_opens_event ON invitation_opens(event_id, opened_at);
+CREATE INDEX IF NOT EXISTS idx_invitation_opens_design ON invitation_opens(design_id, opened_at);
+CREATE INDEX IF NOT EXISTS idx_invitation_opens_family ON invitation_opens(family_id);
+
+COMMENT ON TABLE invitation_opens IS 'Ouvertures des invitations publiques (une ligne par ouverture)';
+
+-- Compteur de vues du design assigné
+CREATE OR REPLACE FUNCTION increment_design_views_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.design_id IS NOT NULL THEN
+        UPDATE invitation_designs
+        SET views_count = COALESCE(views_count, 0) + 1
+        WHERE id = NEW.design_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS increment_design_views_count_on_open ON invitation_opens;
+CREATE TRIGGER increment_design_views_count_on_open
+    AFTER INSERT ON invitation_opens
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_design_views_count();
@@ -0,0 +1,57 @@
+-- Migration: Versions publiées des designs d'invitation
+-- Description: Publier un design crée une version immuable (nom, template, image, custom_data).
+-- Les invités voient toujours la version publiée ; invitation_designs devient le brouillon
+-- en cours d'édition. Historique des versions, comparaison et retour à une version précédente
+-- (qui publie une nouvelle version identique à l'ancienne, l'historique n'est jamais réécrit).
+
+CREATE TABLE IF NOT EXISTS invitation_design_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    design_id UUID NOT NULL REFERENCES invitation_designs(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version > 0),
+    name VARCHAR(255) NOT NULL,
+    template VARCHAR(100) NOT NULL,
+    cover_image TEXT,
+    custom_data JSONB NOT NULL DEFAULT '{}',
+    note TEXT, -- Commentaire de l'organisateur à la publication
+    rolled_back_from INTEGER, -- Version restaurée, NULL pour une publication normale
+    published_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (design_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_design_versions_design ON invitation_design_versions(design_id, version DESC);
+
+COMMENT ON TABLE invitation_design_versions IS 'Versions publiées (immuables) des designs d''invitation';
+
+-- Une version publiée ne peut pas être modifiée
+CREATE OR REPLACE FUNCTION prevent_invitation_design_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Published invitation design versions are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_invitation_design_version_update ON invitation_design_versions;
+CREATE TRIGGER prevent_invitation_design_version_update
+    BEFORE UPDATE ON invitation_design_versions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_invitation_design_version_update();
+
+-- Version actuellement montrée aux invités
+ALTER TABLE invitation_designs ADD COLUMN IF NOT EXISTS published_version INTEGER;
+
+COMMENT ON COLUMN invitation_designs.published_version IS 'Version publiée montrée aux invités (invitation_design_versions), NULL si jamais publié';
+
+-- Les designs déjà publiés deviennent leur version 1
+INSERT INTO invitation_design_versions (design_id, event_id, version, name, template, cover_image, custom_data, published_by, created_at)
+SELECT d.id, d.event_id, 1, d.name, d.template, d.cover_image, COALESCE(d.custom_data, '{}'::jsonb), d.user_id, d.updated_at
+FROM invitation_designs d
+WHERE d.status IN ('published', 'completed')
+  AND NOT EXISTS (SELECT 1 FROM invitation_design_versions v WHERE v.design_id = d.id)
+ON CONFLICT (design_id, version) DO NOTHING;
+
+UPDATE invitation_designs
+SET published_version = 1
+WHERE status IN ('published', 'completed')
+  AND published_version IS NULL;
@@ -0,0 +1,30 @@
+-- Migration: Templates privés des designs d'invitation
+-- Description: Les templates système (classic, elegant, floral...) et le schéma JSON de leur
+-- custom_data sont définis dans services/invitationTemplateService.js. Cette table stocke les
+-- templates privés : un organisateur enregistre un design comme point de départ réutilisable
+-- pour ses prochains événements (template système de base + custom_data + image par défaut).
+
+CREATE TABLE IF NOT EXISTS invitation_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    template VARCHAR(100) NOT NULL, -- Template système de base (clé du registre)
+    default_custom_data JSONB NOT NULL DEFAULT '{}',
+    cover_image TEXT,
+    source_design_id UUID REFERENCES invitation_designs(id) ON DELETE SET NULL,
+    source_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_templates_user ON invitation_templates(user_id, created_at DESC);
+
+COMMENT ON TABLE invitation_templates IS 'Templates privés réutilisables enregistrés par les organisateurs à partir de leurs designs';
+
+DROP TRIGGER IF EXISTS update_invitation_templates_updated_at ON invitation_templates;
+CREATE TRIGGER update_invitation_templates_updated_at
+    BEFORE UPDATE ON invitation_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,35 @@
+-- Migration: Mode quiz en direct (animé par le DJ / l'animateur)
+-- Description: Une session live par jeu. L'animateur fait avancer les questions une par une
+-- (ordre de game_questions.sort_order), les invités connectés reçoivent la question en cours
+-- avec son compte à rebours et les réponses sont notées selon la justesse et la rapidité.
+-- Cycle : lobby -> question -> reveal -> question -> ... -> finished
+-- Le statut du jeu (games.status) passe à 'active' au démarrage et à 'completed' à la fin.
+
+CREATE TABLE IF NOT EXISTS game_live_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    game_id UUID NOT NULL UNIQUE REFERENCES games(id) ON DELETE CASCADE,
+    state VARCHAR(20) NOT NULL DEFAULT 'lobby' CHECK (state IN ('lobby', 'question', 'reveal', 'finished')),
+    question_index INTEGER NOT NULL DEFAULT -1, -- Position dans les questions actives triées par sort_order
+    question_id UUID REFERENCES game_questions(id) ON DELETE SET NULL,
+    question_started_at TIMESTAMP WITH TIME ZONE,
+    question_ends_at TIMESTAMP WITH TIME ZONE,
+    host_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE game_live_sessions IS 'État des sessions de quiz en direct (question en cours et compte à rebours)';
+
+DROP TRIGGER IF EXISTS update_game_live_sessions_updated_at ON game_live_sessions;
+CREATE TRIGGER update_game_live_sessions_updated_at
+    BEFORE UPDATE ON game_live_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Temps de réponse mesuré côté serveur depuis l'affichage de la question
+ALTER TABLE game_answers
+ADD COLUMN IF NOT EXISTS response_time_ms INTEGER;
+
+COMMENT ON COLUMN game_answers.response_time_ms IS 'Temps de réponse en mode live (ms depuis le début de la question)';
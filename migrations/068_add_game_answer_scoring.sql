@@ -0,0 +1,23 @@
+-- Migration: Notation côté serveur des questions texte, ordre et photo
+-- Description:
+-- - accepted_answers : variantes acceptées pour les questions texte (en plus de correct_answer),
+--   comparées après normalisation (casse, accents, ponctuation) avec une tolérance aux fautes de frappe
+-- - Les réponses photo attendent la validation de l'organisateur (review_status = 'pending') ;
+--   les points sont attribués à la validation et le classement est recalculé
+
+ALTER TABLE game_questions
+ADD COLUMN IF NOT EXISTS accepted_answers JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN game_questions.accepted_answers IS 'Variantes de réponse acceptées (questions texte)';
+
+ALTER TABLE game_answers
+ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) CHECK (review_status IN ('pending', 'approved', 'rejected')),
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN game_answers.review_status IS 'Validation manuelle des réponses photo (NULL pour les réponses notées automatiquement)';
+
+-- File de validation de l'organisateur
+CREATE INDEX IF NOT EXISTS idx_game_answers_review
+ON game_answers(question_id, answered_at)
+WHERE review_status IS NOT NULL;
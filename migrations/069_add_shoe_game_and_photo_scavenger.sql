@@ -0,0 +1,53 @@
+-- Migration: Jeu de la chaussure et chasse aux photos
+-- Description:
+-- - shoe_game : les invités votent en direct ("qui est le plus susceptible de...") parmi les options
+--   de chaque question ; les résultats sont agrégés par question (get_game_vote_counts)
+-- - photo_scavenger : chaque question photo est une consigne de la liste ; un invité la complète
+--   en envoyant une photo qui rejoint la galerie de l'événement (game_answers.gallery_id)
+--   et le classement compte les consignes validées (get_photo_scavenger_progress)
+
+ALTER TABLE game_answers
+ADD COLUMN IF NOT EXISTS gallery_id UUID REFERENCES event_gallery(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN game_answers.gallery_id IS 'Photo de la galerie qui complète une consigne (chasse aux photos)';
+
+-- Votes par question et par option d'un jeu
+CREATE OR REPLACE FUNCTION get_game_vote_counts(p_game_id UUID)
+RETURNS TABLE (question_id UUID, answer TEXT, votes BIGINT)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT ga.question_id, ga.answer, COUNT(*) AS votes
+    FROM game_answers ga
+    JOIN game_questions gq ON gq.id = ga.question_id
+    WHERE gq.game_id = p_game_id
+    GROUP BY ga.question_id, ga.answer;
+$$;
+
+-- Avancement de chaque joueur d'une chasse aux photos (consignes validées uniquement)
+CREATE OR REPLACE FUNCTION get_photo_scavenger_progress(p_game_id UUID)
+RETURNS TABLE (
+    participation_id UUID,
+    player_name TEXT,
+    player_type TEXT,
+    prompts_completed BIGINT,
+    score BIGINT,
+    last_completed_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT
+        gp.id,
+        gp.player_name::TEXT,
+        gp.player_type::TEXT,
+        COUNT(ga.id) FILTER (WHERE ga.review_status = 'approved'),
+        COALESCE(SUM(ga.points_earned) FILTER (WHERE ga.review_status = 'approved'), 0),
+        MAX(ga.answered_at) FILTER (WHERE ga.review_status = 'approved')
+    FROM game_participations gp
+    LEFT JOIN game_answers ga ON ga.participation_id = gp.id
+    WHERE gp.game_id = p_game_id
+    GROUP BY gp.id;
+$$;
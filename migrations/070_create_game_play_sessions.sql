@@ -0,0 +1,38 @@
+-- Migration: Protection anti-triche des jeux publics
+-- Description: Remplace le suivi par adresse IP (game_ip_tracking), qui bloquait toute une
+-- famille derrière le Wi-Fi de la salle et se contournait en passant sur les données mobiles.
+-- - Une partie par accès (game_guest_access / game_family_access), famille ou invité
+-- - Jeton d'appareil signé remis au premier GET /api/games/public/:gameId (game_participations.device_id)
+-- - Politique par jeu dans games.settings.play_policy : one_per_guest (défaut), one_per_device, unlimited
+-- - Début de partie horodaté par le serveur (game_play_sessions) pour refuser les durées impossibles
+
+CREATE TABLE IF NOT EXISTS game_play_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    player_key TEXT NOT NULL, -- family:<id>, guest:<id> ou token:<access_token>
+    device_id TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    participation_id UUID REFERENCES game_participations(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE game_play_sessions IS 'Début (horodaté par le serveur) et fin de chaque partie d''un jeu public';
+
+-- Une seule partie en cours par joueur et par jeu
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_play_sessions_open
+ON game_play_sessions(game_id, player_key)
+WHERE completed_at IS NULL;
+
+-- Appareil ayant joué la partie (politique one_per_device)
+ALTER TABLE game_participations
+ADD COLUMN IF NOT EXISTS device_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_game_participations_game_device
+ON game_participations(game_id, device_id)
+WHERE device_id IS NOT NULL;
+
+COMMENT ON COLUMN game_participations.device_id IS 'Identifiant du jeton d''appareil signé utilisé pour jouer';
+
+DROP TABLE IF EXISTS game_ip_tracking;
@@ -0,0 +1,46 @@
+-- Migration: Mode équipes des jeux
+-- Description: Les scores individuels (game_participations) sont regroupés par équipe :
+-- famille (families), table du plan de salle (table_assignments) ou équipes définies par l'organisateur.
+-- Configuration dans games.settings.team_mode : { source, aggregation, best_n }
+-- - source : family | table | custom
+-- - aggregation : sum | average | best_n (somme des N meilleurs scores de l'équipe)
+-- Le job jobs/gameStatsProcessor.js enregistre le classement des équipes dans games.team_stats.
+
+CREATE TABLE IF NOT EXISTS game_teams (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    color VARCHAR(20),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(game_id, name)
+);
+
+COMMENT ON TABLE game_teams IS 'Équipes définies par l''organisateur pour un jeu (team_mode.source = custom)';
+
+DROP TRIGGER IF EXISTS update_game_teams_updated_at ON game_teams;
+CREATE TRIGGER update_game_teams_updated_at
+    BEFORE UPDATE ON game_teams
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Membres d'une équipe : une famille entière ou un invité, dans une seule équipe par jeu
+CREATE TABLE IF NOT EXISTS game_team_members (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    team_id UUID NOT NULL REFERENCES game_teams(id) ON DELETE CASCADE,
+    game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    family_id UUID REFERENCES families(id) ON DELETE CASCADE,
+    guest_id UUID REFERENCES guests(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((family_id IS NULL) <> (guest_id IS NULL)),
+    UNIQUE(game_id, family_id),
+    UNIQUE(game_id, guest_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_team_members_team ON game_team_members(team_id);
+
+-- Classement des équipes calculé par le job de statistiques
+ALTER TABLE games
+ADD COLUMN IF NOT EXISTS team_stats JSONB;
+
+COMMENT ON COLUMN games.team_stats IS 'Statistiques par équipe (mode équipes), mises à jour par jobs/gameStatsProcessor.js';
@@ -0,0 +1,25 @@
+-- Migration: Historique RSVP append-only compatible avec ON DELETE SET NULL
+-- Description: Postgres applique ON DELETE SET NULL par un UPDATE. Le trigger de 053 refusait
+-- tout UPDATE, si bien que supprimer une famille, son invitation ou un utilisateur ayant
+-- modifié un RSVP échouait. Seule la mise à NULL de family_id, family_invitation_id et
+-- changed_by est désormais acceptée (family_name reste conservé) ; tout autre changement est refusé.
+
+CREATE OR REPLACE FUNCTION prevent_rsvp_history_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF (to_jsonb(NEW) - ARRAY['family_id', 'family_invitation_id', 'changed_by'])
+           = (to_jsonb(OLD) - ARRAY['family_id', 'family_invitation_id', 'changed_by'])
+       AND (NEW.family_id IS NOT DISTINCT FROM OLD.family_id OR NEW.family_id IS NULL)
+       AND (NEW.family_invitation_id IS NOT DISTINCT FROM OLD.family_invitation_id OR NEW.family_invitation_id IS NULL)
+       AND (NEW.changed_by IS NOT DISTINCT FROM OLD.changed_by OR NEW.changed_by IS NULL)
+    THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'family_rsvp_history is append-only';
+END;
+$$;
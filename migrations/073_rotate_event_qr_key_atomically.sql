@@ -0,0 +1,40 @@
+-- Migration: Rotation atomique des clés de signature des QR codes
+-- Description: La rotation retirait la version active puis insérait la suivante en deux écritures.
+-- Un échec ou une rotation concurrente entre les deux laissait l'événement sans clé active.
+-- Les deux écritures sont désormais faites dans une seule transaction.
+
+CREATE OR REPLACE FUNCTION rotate_event_qr_key(
+    p_event_id UUID,
+    p_current_version INTEGER,
+    p_public_key VARCHAR(64),
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS event_qr_keys
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_key event_qr_keys%ROWTYPE;
+BEGIN
+    -- Le verrou posé par l'UPDATE fait attendre une rotation concurrente, qui ne trouve
+    -- ensuite plus la version active attendue
+    UPDATE event_qr_keys
+    SET retired_at = NOW()
+    WHERE event_id = p_event_id
+      AND version = p_current_version
+      AND retired_at IS NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'QR signing key version % is no longer active', p_current_version;
+    END IF;
+
+    INSERT INTO event_qr_keys (event_id, version, public_key, created_by)
+    VALUES (p_event_id, p_current_version + 1, p_public_key, p_created_by)
+    RETURNING * INTO v_key;
+
+    RETURN v_key;
+END;
+$$;
+
+COMMENT ON FUNCTION rotate_event_qr_key IS 'Retire la clé active d''un événement et crée la version suivante dans la même transaction';
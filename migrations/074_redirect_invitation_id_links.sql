@@ -0,0 +1,12 @@
+-- Migration: Liens d'invitation par identifiant
+-- Description: Certains liens envoyés contenaient l'id de l'invitation (/invite/{family_invitation_id})
+-- au lieu de son code. Ces ids deviennent des redirections vers leur invitation, ce qui permet à
+-- la résolution des invitations de ne plus chercher les UUID parmi les ids d'invitation et
+-- d'événement. Les liens /invite/{event_id} ne désignent aucune famille et ne sont plus résolus.
+-- Backfill équivalent côté application : node scripts/consolidate-invitations.js
+
+INSERT INTO invitation_code_redirects (legacy_code, family_invitation_id)
+SELECT fi.id::TEXT, fi.id
+FROM family_invitations fi
+WHERE fi.qr_code IS DISTINCT FROM fi.id::TEXT
+ON CONFLICT (legacy_code) DO NOTHING;
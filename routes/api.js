@@ -4,8 +4,19 @@ const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken, authorizeRole, validateRequest } = require('../middleware/auth');
 const { validateQRCode, qrVerifyLimiter, uploadLimiter } = require('../middleware/security');
+const { authenticateScannerOrUser } = require('../middleware/scannerAuth');
 const qrCodeService = require('../services/qrCodeService');
-const { users, events, guests, qrCodes, attendance, families, familyInvitations, familyRsvp, storyEvents, games, wishes, feedback, seatingTables } = require('../utils/database');
+const checkInService = require('../services/checkInService');
+const invitationResolutionService = require('../services/invitationResolutionService');
+const invitationAnalyticsService = require('../services/invitationAnalyticsService');
+const rsvpPolicyService = require('../services/rsvpPolicyService');
+const rsvpValidationService = require('../services/rsvpValidationService');
+const mealChoiceService = require('../services/mealChoiceService');
+const notificationService = require('../services/notificationService');
+const liveEventsService = require('../services/liveEventsService');
+const { PLAY_POLICIES } = require('../services/gamePlayGuardService');
+const { TEAM_SOURCES, TEAM_AGGREGATIONS } = require('../services/gameTeamService');
+const { users, events, guests, qrCodes, attendance, families, familyInvitations, familyRsvp, storyEvents, games, wishes, feedback, seatingTables, eventCollaborators } = require('../utils/database');
 const eventsSafe = require('../utils/db/events.safe'); // 🛡️ Safe layer for robust event creation
 const { updateEventIfOwner, softDeleteEventIfOwner, getEventIfOwner, updateGuestIfEventOwner, deleteGuestIfEventOwner } = require('../utils/db/atomicOperations');
 const upload = require('../middleware/upload');
@@ -22,6 +33,15 @@ const logger = require('../utils/logger');
 const { redisService, imageProcessingQueue } = require('../services/redisService');
 const { supabaseService } = require('../config/supabase');
 const userCleanupOrchestrator = require('../services/userCleanupOrchestrator');
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getEventRole,
+  authorizeEvent,
+  canAccessEvent,
+  findAccessibleEvents
+} = require('../services/eventAccessService');
 
 const router = express.Router();
 
@@ -187,7 +207,9 @@ const familyValidationSchema = {
     [Segments.BODY]: Joi.object().keys({
       name: Joi.string().required().max(100),
       members: Joi.array().items(Joi.string()).optional(),
-      max_people: Joi.number().integer().min(1).max(100).optional()
+      max_people: Joi.number().integer().min(1).max(100).optional(),
+      email: Joi.string().email().max(255).allow(null, '').optional(),
+      phone: Joi.string().pattern(/^\+?[0-9 ().-]{6,30}$/).allow(null, '').optional()
     })
   }),
 
@@ -198,7 +220,9 @@ const familyValidationSchema = {
     [Segments.BODY]: Joi.object().keys({
       name: Joi.string().optional().max(100),
       members: Joi.array().items(Joi.string()).optional(),
-      max_people: Joi.number().integer().min(1).max(100).optional()
+      max_people: Joi.number().integer().min(1).max(100).optional(),
+      email: Joi.string().email().max(255).allow(null, '').optional(),
+      phone: Joi.string().pattern(/^\+?[0-9 ().-]{6,30}$/).allow(null, '').optional()
     })
   }),
 
@@ -285,13 +309,24 @@ const feedbackValidationSchema = {
   })
 };
 
+// Anti-cheat policy, photo review and team mode are read by the game services, other settings are free-form
+const gameSettingsSchema = Joi.object().keys({
+  play_policy: Joi.string().valid(...Object.values(PLAY_POLICIES)),
+  require_review: Joi.boolean(),
+  team_mode: Joi.object().keys({
+    source: Joi.string().valid(...Object.values(TEAM_SOURCES)).required(),
+    aggregation: Joi.string().valid(...Object.values(TEAM_AGGREGATIONS)).default(TEAM_AGGREGATIONS.SUM),
+    best_n: Joi.number().integer().min(1).max(50)
+  }).allow(null)
+}).unknown(true);
+
 const gameValidationSchema = {
   create: celebrate({
     [Segments.BODY]: Joi.object().keys({
       name: Joi.string().required().max(200),
       type: Joi.string().required().valid('quiz', 'puzzle', 'shoe_game', 'photo_scavenger', 'blind_test', 'twelve_months', 'memory', 'trivia'),
       description: Joi.string().max(1000).optional(),
-      settings: Joi.object().optional()
+      settings: gameSettingsSchema.optional()
     })
   }),
 
@@ -302,7 +337,7 @@ const gameValidationSchema = {
     [Segments.BODY]: Joi.object().keys({
       name: Joi.string().max(200).optional(),
       description: Joi.string().max(1000).optional(),
-      settings: Joi.object().optional()
+      settings: gameSettingsSchema.optional()
     })
   }),
 
@@ -323,6 +358,7 @@ const questionValidationSchema = {
       question_type: Joi.string().valid('multiple_choice', 'text', 'photo', 'boolean', 'ordering').optional(),
       options: Joi.array().items(Joi.object()).optional(),
       correct_answer: Joi.string().max(500).optional(),
+      accepted_answers: Joi.array().items(Joi.string().trim().max(500)).max(20).optional(),
       points: Joi.number().integer().min(1).max(100).optional(),
       time_limit: Joi.number().integer().min(5).max(300).optional(),
       media_url: Joi.string().uri().optional(),
@@ -339,6 +375,7 @@ const questionValidationSchema = {
       question_type: Joi.string().valid('multiple_choice', 'text', 'photo', 'boolean', 'ordering').optional(),
       options: Joi.array().items(Joi.object()).optional(),
       correct_answer: Joi.string().max(500).optional(),
+      accepted_answers: Joi.array().items(Joi.string().trim().max(500)).max(20).optional(),
       points: Joi.number().integer().min(1).max(100).optional(),
       time_limit: Joi.number().integer().min(5).max(300).optional(),
       media_url: Joi.string().uri().optional().allow(null),
@@ -352,7 +389,8 @@ const questionValidationSchema = {
 // GET /api/events - Get all events for the authenticated user
 router.get('/events', authenticateToken, async (req, res) => {
   try {
-    const eventsList = await events.findByOrganizer(req.user.id);
+    // Own events and events shared with the user (access_role tells which)
+    const eventsList = await findAccessibleEvents(req.user.id);
 
     // Add compatibility fields for each event
     const eventsWithCompatibility = eventsList.map(event => ({
@@ -576,7 +614,8 @@ router.get('/events/:eventId', authenticateToken, async (req, res) => {
       });
     }
 
-    if (event.organizer_id !== req.user.id) {
+    const role = await getEventRole(event, req.user.id);
+    if (!hasPermission(role, PERMISSIONS.VIEW)) {
       logger.warn('❌ Permission denied', { eventOrgId: event.organizer_id, userId: req.user.id });
       return res.status(404).json({
         success: false,
@@ -591,7 +630,9 @@ router.get('/events/:eventId', authenticateToken, async (req, res) => {
       ...event,
       // Support both old and new naming conventions
       bride_name: event.bride_name || event.partner2_name,
-      groom_name: event.groom_name || event.partner1_name
+      groom_name: event.groom_name || event.partner1_name,
+      // Lets the frontend hide what the current user cannot do
+      access: { role, permissions: ROLE_PERMISSIONS[role] }
     };
     
     res.json({
@@ -614,7 +655,7 @@ router.get('/events/:eventId/progress', authenticateToken, async (req, res) => {
 
     // 1. Verify event ownership
     const event = await events.findById(eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
@@ -826,8 +867,8 @@ router.delete('/events/:eventId', authenticateToken, async (req, res) => {
       match: eventOwnerId === userId
     });
 
-    // Verify ownership
-    if (eventOwnerId !== userId) {
+    // Verify ownership (primary organizer or collaborator with the owner role)
+    if (!(await canAccessEvent(event, userId, PERMISSIONS.DELETE_EVENT))) {
       logger.warn('Permission denied - user is not event owner', {
         eventId,
         eventOwnerId,
@@ -856,7 +897,7 @@ router.delete('/events/:eventId', authenticateToken, async (req, res) => {
         updated_at: new Date().toISOString()
       })
       .eq('id', eventId)
-      .eq('organizer_id', userId);
+      .eq('organizer_id', event.organizer_id);
 
     if (updateError) {
       logger.error('Error updating event for soft delete', {
@@ -922,7 +963,7 @@ router.post('/events/:eventId/upload-banner', authenticateToken, upload.single('
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -1103,7 +1144,7 @@ router.delete('/events/:eventId/remove-banner', authenticateToken, async (req, r
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -1171,7 +1212,7 @@ router.post('/events/:eventId/upload-cover', authenticateToken, upload.single('c
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -1373,7 +1414,7 @@ router.get('/events/:eventId/guests', authenticateToken, async (req, res) => {
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -1410,7 +1451,7 @@ router.post('/events/:eventId/guests', authenticateToken, guestValidationSchema.
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -1529,7 +1570,7 @@ router.post('/events/:eventId/generate-qr-codes', authenticateToken, async (req,
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -1557,39 +1598,47 @@ router.post('/events/:eventId/generate-qr-codes', authenticateToken, async (req,
 
 // POST /api/verify-qr/:qrCode - Verify a QR code (for scanning at event)
 // 🛡️ Rate limité pour prévenir les scans abusifs
-router.post('/verify-qr/:qrCode', qrVerifyLimiter, validateQRCode, async (req, res) => {
+// 🔐 Session scanner du personnel d'accueil (limitée à son événement) ou utilisateur avec le droit check-in
+// Idempotent: délègue au checkInService (validité, expiration, double scan)
+router.post('/verify-qr/:qrCode', qrVerifyLimiter, authenticateScannerOrUser, validateQRCode, async (req, res) => {
   try {
-    const result = await qrCodeService.validateQRCode(req.params.qrCode);
+    let eventId = req.scanner ? req.scanner.eventId : null;
 
-    if (!result.success) {
-      return res.status(400).json(result);
+    if (!req.scanner) {
+      const subject = await checkInService.resolveCode(req.params.qrCode);
+      if (subject && !(await authorizeEvent(subject.eventId, req.user.id, PERMISSIONS.CHECK_IN))) {
+        return res.status(404).json({ success: false, status: 'not_found', message: 'Unknown QR code' });
+      }
+      eventId = subject ? subject.eventId : null;
     }
 
-    // Log attendance
-    const attendanceData = {
-      event_id: result.event.id,
-      guest_id: result.guest.id,
-      qr_code: result.qrCode,
-      verified_by: req.user ? req.user.id : null, // Could be verified by admin or scanner
-      status: 'arrived',
-      timestamp: new Date().toISOString()
-    };
+    const result = await checkInService.checkIn({
+      qrCode: req.params.qrCode,
+      eventId,
+      verifiedBy: req.user ? req.user.id : null,
+      scanner: req.scanner || null,
+      timeZone: req.user?.preferences?.timezone
+    });
 
-    const attendanceRecord = await attendance.create(attendanceData);
+    if (!result.success) {
+      return res.status(checkInService.httpStatusFor(result.status)).json(result);
+    }
 
-    // Update guest attendance status
-    await guests.update(result.guest.id, {
-      attendance_status: 'arrived',
-      attendance_time: new Date().toISOString()
-    });
+    const eventRow = await events.findById(result.data.attendance.event_id);
+    // Door staff only get what they need at the entrance
+    const event = req.scanner && eventRow ? { id: eventRow.id, title: eventRow.title, date: eventRow.date } : eventRow;
 
     res.json({
       success: true,
       message: 'QR code verified successfully',
+      status: result.status,
       data: {
-        guest: result.guest,
-        event: result.event,
-        attendance: attendanceRecord
+        guest: result.data.guest,
+        family: result.data.family,
+        event: event,
+        attendance: result.data.attendance,
+        already_arrived: result.data.already_arrived,
+        remaining: result.data.remaining
       }
     });
   } catch (error) {
@@ -1618,12 +1667,15 @@ router.get('/invitations', authenticateToken, async (req, res) => {
     let eventsList;
     let pagination = { page, limit, total: 0, totalPages: 0 };
 
+    // Événements partagés avec l'utilisateur (collaborateur), listés avec les siens
+    const sharedEventIds = (await eventCollaborators.findEventsByUser(req.user.id)).map(event => event.id);
+
     // Essayer d'abord la méthode optimisée (vue matérialisée)
     try {
       const eventsOptimized = require('../utils/db/eventsOptimized');
       const result = await eventsOptimized.findByOrganizerWithStats(
         req.user.id,
-        { page, limit }
+        { page, limit, sharedEventIds }
       );
       eventsList = result.events;
       pagination = result.pagination;
@@ -1634,11 +1686,16 @@ router.get('/invitations', authenticateToken, async (req, res) => {
       // 🔥 FIX CRITIQUE: Récupérer tous les events avec stats en UNE SEULE requête
       const { supabaseService } = require('../config/supabase');
 
-      // Récupérer les events paginés
-      const { data: allEvents, error: eventsError, count } = await supabaseService
+      // Récupérer les events paginés (propres et partagés)
+      let eventsQuery = supabaseService
         .from('events')
-        .select('*', { count: 'exact' })
-        .eq('organizer_id', req.user.id)
+        .select('*', { count: 'exact' });
+
+      eventsQuery = sharedEventIds.length > 0
+        ? eventsQuery.or(`organizer_id.eq.${req.user.id},id.in.(${sharedEventIds.join(',')})`)
+        : eventsQuery.eq('organizer_id', req.user.id);
+
+      const { data: allEvents, error: eventsError, count } = await eventsQuery
         .eq('is_active', true)
         .order('created_at', { ascending: false })
         .range((page - 1) * limit, page * limit - 1);
@@ -1828,7 +1885,7 @@ router.put('/families/:familyId', authenticateToken, familyValidationSchema.upda
     console.log(`🔄 UPDATE Family ${req.params.familyId} - Data received:`, JSON.stringify(req.body, null, 2));
 
     const family = await families.findById(req.params.familyId);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || !(await authorizeEvent(family.event_id, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Family not found'
@@ -1914,7 +1971,7 @@ router.put('/families/:familyId', authenticateToken, familyValidationSchema.upda
 router.delete('/families/:familyId', authenticateToken, async (req, res) => {
   try {
     const family = await families.findById(req.params.familyId);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || !(await authorizeEvent(family.event_id, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Family not found'
@@ -1944,13 +2001,13 @@ router.post('/events/:eventId/families/:familyId/generate-qr', authenticateToken
     } catch (e) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    // Verify family belongs to user
+    // Verify family belongs to the event
     const family = await families.findById(req.params.familyId);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || family.event_id !== event.id) {
       return res.status(404).json({ success: false, message: 'Family not found' });
     }
 
@@ -1995,13 +2052,13 @@ router.post('/events/:eventId/families/:familyId/generate-multiple-qr', authenti
     } catch (e) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    // Verify family belongs to user
+    // Verify family belongs to the event
     const family = await families.findById(req.params.familyId);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || family.event_id !== event.id) {
       return res.status(404).json({ success: false, message: 'Family not found' });
     }
 
@@ -2371,7 +2428,7 @@ router.get('/events/:eventId/story-events', authenticateToken, async (req, res)
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -2408,7 +2465,7 @@ router.post('/events/:eventId/story-events', authenticateToken, storyEventValida
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -2455,7 +2512,7 @@ router.put('/events/:eventId/story-events/:storyEventId', authenticateToken, sto
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -2516,7 +2573,7 @@ router.delete('/events/:eventId/story-events/:storyEventId', authenticateToken,
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -2558,19 +2615,10 @@ router.delete('/events/:eventId/story-events/:storyEventId', authenticateToken,
 
 // ==================== GAMES ROUTES ====================
 
-// Helper function to verify event ownership
-async function verifyEventOwnership(eventId, userId) {
-  const event = await events.findById(eventId);
-  if (!event || event.organizer_id !== userId) {
-    return null;
-  }
-  return event;
-}
-
 // GET /api/events/:eventId/games - Get all games for an event
 router.get('/events/:eventId/games', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2597,7 +2645,7 @@ router.get('/events/:eventId/games', authenticateToken, async (req, res) => {
 // GET /api/events/:eventId/games/:gameId - Get a specific game with questions
 router.get('/events/:eventId/games/:gameId', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2630,7 +2678,7 @@ router.get('/events/:eventId/games/:gameId', authenticateToken, async (req, res)
 // POST /api/events/:eventId/games - Create a new game
 router.post('/events/:eventId/games', authenticateToken, gameValidationSchema.create, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2664,7 +2712,7 @@ router.post('/events/:eventId/games', authenticateToken, gameValidationSchema.cr
 // POST /api/events/:eventId/games/with-questions - Create a new game with predefined questions
 router.post('/events/:eventId/games/with-questions', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2702,6 +2750,7 @@ router.post('/events/:eventId/games/with-questions', authenticateToken, async (r
       question_type: q.question_type || 'multiple_choice',
       options: q.options || [],
       correct_answer: q.correct_answer || null,
+      accepted_answers: q.accepted_answers || [],
       points: q.points || 1,
       time_limit: q.time_limit || null,
       sort_order: q.sort_order || index,
@@ -2730,7 +2779,7 @@ router.post('/events/:eventId/games/with-questions', authenticateToken, async (r
 // POST /api/events/:eventId/games/:gameId/qr-code - Generate QR code for a game
 router.post('/events/:eventId/games/:gameId/qr-code', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2796,7 +2845,7 @@ router.post('/events/:eventId/games/:gameId/qr-code', authenticateToken, async (
 // PUT /api/events/:eventId/games/:gameId - Update a game
 router.put('/events/:eventId/games/:gameId', authenticateToken, gameValidationSchema.update, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2831,7 +2880,7 @@ router.put('/events/:eventId/games/:gameId', authenticateToken, gameValidationSc
 // PATCH /api/events/:eventId/games/:gameId/status - Update game status
 router.patch('/events/:eventId/games/:gameId/status', authenticateToken, gameValidationSchema.updateStatus, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2866,7 +2915,7 @@ router.patch('/events/:eventId/games/:gameId/status', authenticateToken, gameVal
 // DELETE /api/events/:eventId/games/:gameId - Delete a game (soft delete)
 router.delete('/events/:eventId/games/:gameId', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2900,7 +2949,7 @@ router.delete('/events/:eventId/games/:gameId', authenticateToken, async (req, r
 // GET /api/events/:eventId/games/:gameId/stats - Get game statistics
 router.get('/events/:eventId/games/:gameId/stats', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2936,7 +2985,7 @@ router.get('/events/:eventId/games/:gameId/stats', authenticateToken, async (req
 // GET /api/events/:eventId/games/:gameId/questions - Get all questions for a game
 router.get('/events/:eventId/games/:gameId/questions', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -2971,7 +3020,7 @@ router.get('/events/:eventId/games/:gameId/questions', authenticateToken, async
 // POST /api/events/:eventId/games/:gameId/questions - Add a question to a game
 router.post('/events/:eventId/games/:gameId/questions', authenticateToken, questionValidationSchema.create, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -3012,7 +3061,7 @@ router.post('/events/:eventId/games/:gameId/questions', authenticateToken, quest
 // PUT /api/events/:eventId/games/:gameId/questions/:questionId - Update a question
 router.put('/events/:eventId/games/:gameId/questions/:questionId', authenticateToken, questionValidationSchema.update, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -3055,7 +3104,7 @@ router.put('/events/:eventId/games/:gameId/questions/:questionId', authenticateT
 // DELETE /api/events/:eventId/games/:gameId/questions/:questionId - Delete a question
 router.delete('/events/:eventId/games/:gameId/questions/:questionId', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -3097,7 +3146,7 @@ router.delete('/events/:eventId/games/:gameId/questions/:questionId', authentica
 // POST /api/events/:eventId/games/:gameId/questions/reorder - Reorder questions
 router.post('/events/:eventId/games/:gameId/questions/reorder', authenticateToken, async (req, res) => {
   try {
-    const event = await verifyEventOwnership(req.params.eventId, req.user.id);
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -3141,22 +3190,44 @@ router.post('/events/:eventId/games/:gameId/questions/reorder', authenticateToke
 // FAMILY INVITATIONS & RSVP ROUTES
 // ============================================================================
 
+// Validation schema for family invitations
+const familyInvitationValidationSchema = {
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      invitationId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      invited_count: Joi.number().integer().min(1).max(100).optional(),
+      plus_ones_allowed: Joi.number().integer().min(0).max(10).optional()
+    }).min(1)
+  })
+};
+
+const MAX_PLUS_ONES = 10;
+
+const isValidPlusOnes = (value) =>
+  value === undefined || (Number.isInteger(value) && value >= 0 && value <= MAX_PLUS_ONES);
+
 // POST /api/events/:eventId/families/:familyId/invite - Create invitation for family
 router.post('/events/:eventId/families/:familyId/invite', authenticateToken, async (req, res) => {
   try {
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    // Verify family belongs to user
+    // Verify family belongs to the event
     const family = await families.findById(req.params.familyId);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || family.event_id !== event.id) {
       return res.status(404).json({ success: false, message: 'Family not found' });
     }
 
-    const { invitedCount = 1 } = req.body;
+    const { invitedCount = 1, plusOnesAllowed } = req.body;
+
+    if (!isValidPlusOnes(plusOnesAllowed)) {
+      return res.status(400).json({ success: false, message: `plusOnesAllowed must be between 0 and ${MAX_PLUS_ONES}` });
+    }
 
     // Check if invitation already exists
     const existingInvitations = await familyInvitations.findByEvent(req.params.eventId);
@@ -3183,6 +3254,7 @@ router.post('/events/:eventId/families/:familyId/invite', authenticateToken, asy
       event_id: req.params.eventId,
       user_id: req.user.id,
       invited_count: invitedCount,
+      plus_ones_allowed: plusOnesAllowed || 0,
       qr_code: qrCode,
       qr_expires_at: expiresAt.toISOString(),
       is_valid: true,
@@ -3210,21 +3282,25 @@ router.post('/events/:eventId/families/:familyId/invite', authenticateToken, asy
 // POST /api/events/:eventId/family-invitations - Create invitation for family (alias for /families/:familyId/invite)
 router.post('/events/:eventId/family-invitations', authenticateToken, async (req, res) => {
   try {
-    const { family_id, invited_count } = req.body;
+    const { family_id, invited_count, plus_ones_allowed } = req.body;
 
     if (!family_id) {
       return res.status(400).json({ success: false, message: 'family_id is required' });
     }
 
+    if (!isValidPlusOnes(plus_ones_allowed)) {
+      return res.status(400).json({ success: false, message: `plus_ones_allowed must be between 0 and ${MAX_PLUS_ONES}` });
+    }
+
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    // Verify family belongs to user
+    // Verify family belongs to the event
     const family = await families.findById(family_id);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || family.event_id !== event.id) {
       return res.status(404).json({ success: false, message: 'Family not found' });
     }
 
@@ -3254,6 +3330,7 @@ router.post('/events/:eventId/family-invitations', authenticateToken, async (req
       event_id: req.params.eventId,
       user_id: req.user.id,
       invited_count: invitedCount,
+      plus_ones_allowed: plus_ones_allowed || 0,
       qr_code: qrCode,
       qr_expires_at: expiresAt.toISOString(),
       is_valid: true,
@@ -3283,7 +3360,7 @@ router.get('/events/:eventId/family-invitations', authenticateToken, async (req,
   try {
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
@@ -3315,6 +3392,47 @@ router.get('/events/:eventId/family-invitations', authenticateToken, async (req,
   }
 });
 
+// PATCH /api/family-invitations/:invitationId - Change invited seats / named plus-ones granted to a family
+router.patch('/family-invitations/:invitationId', authenticateToken, familyInvitationValidationSchema.update, async (req, res) => {
+  try {
+    const invitation = await familyInvitations.findById(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    // Verify event belongs to user
+    const event = await events.findById(invitation.event_id);
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    if (req.body.invited_count !== undefined) {
+      const family = await families.findById(invitation.family_id);
+      const maxPeople = family?.max_people || family?.members?.length || 1;
+      if (req.body.invited_count > maxPeople) {
+        return res.status(400).json({
+          success: false,
+          message: `Invited count (${req.body.invited_count}) exceeds maximum allowed (${maxPeople}) for this family`
+        });
+      }
+    }
+
+    const updatedInvitation = await familyInvitations.update(invitation.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Family invitation updated successfully',
+      data: updatedInvitation
+    });
+  } catch (error) {
+    logger.error('Error updating family invitation:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating family invitation'
+    });
+  }
+});
+
 // DELETE /api/family-invitations/:invitationId - Delete a family invitation
 router.delete('/family-invitations/:invitationId', authenticateToken, async (req, res) => {
   try {
@@ -3325,7 +3443,7 @@ router.delete('/family-invitations/:invitationId', authenticateToken, async (req
 
     // Verify event belongs to user
     const event = await events.findById(invitation.event_id);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({ success: false, message: 'Invitation not found' });
     }
 
@@ -3347,7 +3465,7 @@ router.delete('/family-invitations/:invitationId', authenticateToken, async (req
 // PUBLIC ROUTE (no auth required) - GET /api/public/invitation/:qrCode - Get invitation by QR code
 router.get('/public/invitation/:qrCode', async (req, res) => {
   try {
-    const invitation = await familyInvitations.findByQRCode(req.params.qrCode);
+    const invitation = await invitationResolutionService.resolveInvitation(req.params.qrCode);
 
     if (!invitation) {
       return res.status(404).json({
@@ -3356,25 +3474,23 @@ router.get('/public/invitation/:qrCode', async (req, res) => {
       });
     }
 
-    // Check if invitation is still valid
-    if (!invitation.is_valid) {
+    // Invalidated or expired
+    const validity = invitationResolutionService.checkInvitation(invitation);
+    if (!validity.valid) {
       return res.status(400).json({
         success: false,
-        message: 'This invitation has been invalidated'
+        code: validity.code,
+        message: validity.message
       });
     }
 
-    // Check if QR code has expired
-    if (invitation.qr_expires_at && new Date(invitation.qr_expires_at) < new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'This invitation has expired'
-      });
-    }
-
-    // Increment scan count (check if this comes from qr_codes table)
-    const sourceTable = invitation._source_table === 'qr_codes' ? 'qr_codes' : null;
-    await familyInvitations.incrementScan(invitation.id, sourceTable);
+    await invitationResolutionService.recordScan(invitation);
+    await invitationAnalyticsService.recordOpen({
+      invitation,
+      source: invitationAnalyticsService.OPEN_SOURCES.PUBLIC_INVITATION,
+      userAgent: req.get('User-Agent'),
+      referrer: req.get('Referer')
+    });
 
     // Get existing RSVP responses
     const rsvpResponses = await familyRsvp.findByInvitation(invitation.id);
@@ -3386,11 +3502,16 @@ router.get('/public/invitation/:qrCode', async (req, res) => {
           id: invitation.id,
           qr_code: invitation.qr_code,
           invited_count: invitation.invited_count,
-          created_at: invitation.created_at
+          created_at: invitation.created_at,
+          // Legacy code: the frontend should switch to the current invitation code
+          redirect_to: invitation.redirect_to
         },
         family: invitation.families,
         event: invitation.events,
-        rsvp_responses: rsvpResponses
+        rsvp_responses: rsvpResponses,
+        rsvp_window: rsvpPolicyService.getRsvpWindow(invitation.events),
+        rsvp_limits: rsvpValidationService.getInvitationLimits(invitation, invitation.families),
+        meal_options: mealChoiceService.getMealOptions(invitation.events?.menu_settings)
       }
     });
   } catch (error) {
@@ -3405,7 +3526,7 @@ router.get('/public/invitation/:qrCode', async (req, res) => {
 // PUBLIC ROUTE (no auth required) - POST /api/public/invitation/:qrCode/rsvp - Submit RSVP responses
 router.post('/public/invitation/:qrCode/rsvp', async (req, res) => {
   try {
-    const invitation = await familyInvitations.findByQRCode(req.params.qrCode);
+    const invitation = await invitationResolutionService.resolveInvitation(req.params.qrCode);
 
     if (!invitation) {
       return res.status(404).json({
@@ -3414,15 +3535,28 @@ router.post('/public/invitation/:qrCode/rsvp', async (req, res) => {
       });
     }
 
-    // Check if invitation is still valid
-    if (!invitation.is_valid) {
+    // Invalidated or expired
+    const validity = invitationResolutionService.checkInvitation(invitation);
+    if (!validity.valid) {
       return res.status(400).json({
         success: false,
-        message: 'This invitation has been invalidated'
+        code: validity.code,
+        message: validity.message
+      });
+    }
+
+    // Deadline (+ grace period) and organizer lock
+    const rsvpWindow = rsvpPolicyService.getRsvpWindow(invitation.events);
+    if (!rsvpWindow.is_open) {
+      return res.status(403).json({
+        success: false,
+        code: 'RSVP_CLOSED',
+        message: rsvpPolicyService.getClosedMessage(rsvpWindow),
+        data: { rsvp_window: rsvpWindow }
       });
     }
 
-    const { responses } = req.body; // Array of { member_name, will_attend, dietary_restrictions, notes }
+    const { responses } = req.body; // Array of { member_name, will_attend, dietary_restrictions, notes, meal_choices, allergens }
 
     if (!Array.isArray(responses) || responses.length === 0) {
       return res.status(400).json({
@@ -3431,15 +3565,45 @@ router.post('/public/invitation/:qrCode/rsvp', async (req, res) => {
       });
     }
 
+    // Previous answers are kept in the history before being overwritten
+    const previousResponses = await familyRsvp.findByInvitation(invitation.id);
+
+    // Members must be on the family list (or granted plus-ones) and fit in invited_count
+    const validation = rsvpValidationService.validateMemberResponses({
+      invitation,
+      family: invitation.families,
+      responses,
+      existingResponses: previousResponses,
+      mealCourses: mealChoiceService.getMealCourses(invitation.events?.menu_settings)
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_RSVP',
+        message: 'Some responses could not be accepted',
+        errors: validation.errors,
+        data: { limits: validation.limits }
+      });
+    }
+
     // Save each response
     const savedResponses = await Promise.all(
-      responses.map(async (response) => {
+      validation.responses.map(async (response) => {
+        const rsvpData = {
+          will_attend: response.will_attend,
+          dietary_restrictions: response.dietary_restrictions,
+          notes: response.notes,
+          meal_choices: response.meal_choices,
+          allergens: response.allergens,
+          is_plus_one: response.is_plus_one
+        };
+
         try {
-          return await familyRsvp.upsert(invitation.id, response.member_name, {
-            will_attend: response.will_attend,
-            dietary_restrictions: response.dietary_restrictions,
-            notes: response.notes
-          });
+          if (response.existing_id) {
+            return await familyRsvp.update(response.existing_id, { member_name: response.member_name, ...rsvpData });
+          }
+          return await familyRsvp.upsert(invitation.id, response.member_name, rsvpData);
         } catch (e) {
           logger.error('Error saving RSVP for member', { memberName: response.member_name, error: e.message });
           return null;
@@ -3450,6 +3614,33 @@ router.post('/public/invitation/:qrCode/rsvp', async (req, res) => {
     // Get updated stats
     const stats = await familyRsvp.getStats(invitation.id);
 
+    const currentResponses = await familyRsvp.findByInvitation(invitation.id);
+    await rsvpPolicyService.recordChange({
+      eventId: invitation.event_id,
+      familyId: invitation.family_id,
+      familyInvitationId: invitation.id,
+      familyName: invitation.families?.name || null,
+      changedByType: 'guest',
+      source: rsvpPolicyService.HISTORY_SOURCES.PUBLIC_INVITATION,
+      changes: rsvpPolicyService.diffMemberResponses(previousResponses, currentResponses),
+      attendingBefore: rsvpPolicyService.countAttendingMembers(previousResponses),
+      attendingAfter: rsvpPolicyService.countAttendingMembers(currentResponses),
+      previousState: rsvpPolicyService.snapshotMemberResponses(previousResponses),
+      newState: rsvpPolicyService.snapshotMemberResponses(currentResponses),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Confirmation email, when enabled in the event notification settings
+    await notificationService.sendRsvpConfirmation({ invitation, attendingCount: stats.attending });
+
+    liveEventsService.publish(invitation.event_id, liveEventsService.LIVE_EVENT_TYPES.RSVP, {
+      family_invitation_id: invitation.id,
+      family_name: invitation.families?.name || null,
+      invited_count: invitation.invited_count,
+      stats
+    });
+
     res.json({
       success: true,
       message: 'RSVP responses saved successfully',
@@ -3477,7 +3668,7 @@ router.get('/family-invitations/:invitationId/rsvp', authenticateToken, async (r
 
     // Verify event belongs to user
     const event = await events.findById(invitation.event_id);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({ success: false, message: 'Invitation not found' });
     }
 
@@ -3521,7 +3712,7 @@ router.get('/events/:eventId/wishes', authenticateToken, async (req, res) => {
   try {
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3656,6 +3847,13 @@ router.post('/events/:eventId/wishes', wishValidationSchema.create, async (req,
 
     const newWish = await wishes.create(wishData);
 
+    liveEventsService.publish(req.params.eventId, liveEventsService.LIVE_EVENT_TYPES.WISH, {
+      id: newWish.id,
+      author_name: newWish.author_name,
+      message: newWish.message.substring(0, 280),
+      created_at: newWish.created_at
+    });
+
     res.status(201).json({
       success: true,
       message: 'Wish created successfully',
@@ -3682,7 +3880,7 @@ router.put('/events/:eventId/wishes/:wishId/moderate', authenticateToken, async
   try {
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3720,7 +3918,7 @@ router.delete('/events/:eventId/wishes/:wishId', authenticateToken, async (req,
   try {
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3756,7 +3954,7 @@ router.get('/events/:eventId/wishes/stats', authenticateToken, async (req, res)
   try {
     // Verify event belongs to user
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3800,7 +3998,7 @@ router.get('/events/:eventId/feedbacks', authenticateToken, async (req, res) =>
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3851,7 +4049,7 @@ router.get('/events/:eventId/feedbacks/stats', authenticateToken, async (req, re
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3900,7 +4098,7 @@ router.post('/events/:eventId/feedbacks', authenticateToken, feedbackValidationS
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -3953,7 +4151,7 @@ router.put('/events/:eventId/feedbacks/:feedbackId', authenticateToken, feedback
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4010,7 +4208,7 @@ router.delete('/events/:eventId/feedbacks/:feedbackId', authenticateToken, async
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4055,7 +4253,7 @@ router.post('/events/:eventId/feedbacks/:feedbackId/moderate', authenticateToken
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4160,8 +4358,8 @@ router.post('/public/feedback/:eventId', async (req, res) => {
     // If QR code is provided, validate it
     let validFamilyId = familyId;
     if (qrCode) {
-      const invitation = await familyInvitations.findByQRCode(qrCode);
-      if (invitation && invitation.event_id === eventId && invitation.is_valid) {
+      const invitation = await invitationResolutionService.resolveInvitation(qrCode);
+      if (invitation && invitation.event_id === eventId && invitationResolutionService.checkInvitation(invitation).valid) {
         validFamilyId = invitation.family_id;
       }
     }
@@ -4263,7 +4461,8 @@ const seatingTableValidationSchema = {
       table_shape: Joi.string().valid('round', 'rectangular', 'square', 'oval').optional(),
       position_x: Joi.number().integer().optional(),
       position_y: Joi.number().integer().optional(),
-      notes: Joi.string().max(500).optional()
+      notes: Joi.string().max(500).optional(),
+      tags: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(10).unique().optional() // kids, vip, ...
     })
   }),
 
@@ -4274,7 +4473,8 @@ const seatingTableValidationSchema = {
       table_shape: Joi.string().valid('round', 'rectangular', 'square', 'oval').optional(),
       position_x: Joi.number().integer().optional(),
       position_y: Joi.number().integer().optional(),
-      notes: Joi.string().max(500).optional()
+      notes: Joi.string().max(500).optional(),
+      tags: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(10).unique().optional() // kids, vip, ...
     })
   }),
 
@@ -4309,7 +4509,7 @@ const seatingTableValidationSchema = {
 router.get('/events/:eventId/seating-tables', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4347,7 +4547,7 @@ router.get('/events/:eventId/seating-tables', authenticateToken, async (req, res
 router.get('/events/:eventId/seating-tables/available-families', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4374,7 +4574,7 @@ router.get('/events/:eventId/seating-tables/available-families', authenticateTok
 router.get('/events/:eventId/seating-tables/unassigned-guests', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4401,7 +4601,7 @@ router.get('/events/:eventId/seating-tables/unassigned-guests', authenticateToke
 router.get('/events/:eventId/seating-tables/stats', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4445,7 +4645,7 @@ router.get('/events/:eventId/seating-tables/stats', authenticateToken, async (re
 router.post('/events/:eventId/seating-tables', authenticateToken, seatingTableValidationSchema.create, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4477,7 +4677,7 @@ router.post('/events/:eventId/seating-tables', authenticateToken, seatingTableVa
 router.put('/events/:eventId/seating-tables/:tableId', authenticateToken, seatingTableValidationSchema.update, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4512,7 +4712,7 @@ router.put('/events/:eventId/seating-tables/:tableId', authenticateToken, seatin
 router.delete('/events/:eventId/seating-tables/:tableId', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4546,7 +4746,7 @@ router.delete('/events/:eventId/seating-tables/:tableId', authenticateToken, asy
 router.post('/events/:eventId/seating-tables/:tableId/assign-guest', authenticateToken, seatingTableValidationSchema.assignGuest, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4601,7 +4801,7 @@ router.post('/events/:eventId/seating-tables/:tableId/assign-guest', authenticat
 router.post('/events/:eventId/seating-tables/:tableId/assign-family', authenticateToken, seatingTableValidationSchema.assignFamily, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4617,7 +4817,7 @@ router.post('/events/:eventId/seating-tables/:tableId/assign-family', authentica
     }
 
     const family = await families.findById(req.body.familyId);
-    if (!family || family.user_id !== req.user.id) {
+    if (!family || family.event_id !== event.id) {
       return res.status(404).json({
         success: false,
         message: 'Family not found'
@@ -4648,7 +4848,7 @@ router.post('/events/:eventId/seating-tables/:tableId/assign-family', authentica
 router.post('/events/:eventId/seating-tables/:tableId/add-manual-guest', authenticateToken, seatingTableValidationSchema.addManualGuest, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4686,7 +4886,7 @@ router.post('/events/:eventId/seating-tables/:tableId/add-manual-guest', authent
 router.delete('/events/:eventId/seating-tables/:tableId/assignments/:assignmentId', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4720,7 +4920,7 @@ router.delete('/events/:eventId/seating-tables/:tableId/assignments/:assignmentI
 router.delete('/events/:eventId/seating-tables/:tableId/manual-guests/:manualGuestId', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4756,7 +4956,7 @@ router.post('/events/:eventId/seating-tables/:tableId/move-assignment', authenti
     const { assignmentId, targetTableId, seatNumber } = req.body;
 
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4808,7 +5008,7 @@ router.get('/events/:eventId/menu-settings', authenticateToken, async (req, res)
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4854,7 +5054,18 @@ router.put('/events/:eventId/menu-settings', authenticateToken, celebrate({
     avis: Joi.boolean().optional(),
     menu_type: Joi.string().valid('manual', 'file').optional(),
     menu_file_url: Joi.string().uri().allow(null).optional(),
-    menu_items: Joi.array().items(Joi.object()).optional()
+    // Items with an id and options become courses guests choose from in the RSVP
+    menu_items: Joi.array().items(Joi.object().keys({
+      id: Joi.string().trim().max(50).optional(),
+      choice_required: Joi.boolean().optional(),
+      options: Joi.array().items(Joi.object().keys({
+        id: Joi.string().trim().max(50).required(),
+        name: Joi.string().trim().max(200).required(),
+        description: Joi.string().trim().max(500).allow('', null).optional(),
+        allergens: Joi.array().items(Joi.string().valid(...mealChoiceService.ALLERGENS)).unique().optional(),
+        dietary_tags: Joi.array().items(Joi.string().valid(...mealChoiceService.DIETARY_TAGS)).unique().optional()
+      })).unique('id').max(20).optional()
+    }).unknown(true).with('options', 'id')).unique((a, b) => a.id && a.id === b.id).optional()
   }).min(1)
 }), async (req, res) => {
   try {
@@ -4868,7 +5079,7 @@ router.put('/events/:eventId/menu-settings', authenticateToken, celebrate({
       });
     }
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4930,7 +5141,7 @@ router.post('/events/:eventId/upload-menu', authenticateToken, uploadMenu.single
 
     // Verify event ownership
     const event = await events.findById(eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or you do not have permission to access it'
@@ -4982,7 +5193,7 @@ router.post('/events/:eventId/upload-menu', authenticateToken, uploadMenu.single
 router.get('/events/:eventId/programme-settings', authenticateToken, async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -5021,7 +5232,7 @@ router.put('/events/:eventId/programme-settings', authenticateToken, celebrate({
 }), async (req, res) => {
   try {
     const event = await events.findById(req.params.eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -5067,7 +5278,7 @@ router.post('/events/:eventId/upload-programme', authenticateToken, uploadMenu.s
   try {
     const eventId = req.params.eventId;
     const event = await events.findById(eventId);
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
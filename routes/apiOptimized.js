@@ -11,6 +11,7 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { dashboardLimiter } = require('../middleware/security.db');
 const eventsOptimized = require('../utils/db/eventsOptimized');
+const { PERMISSIONS, canAccessEvent } = require('../services/eventAccessService');
 
 const router = express.Router();
 
@@ -127,7 +128,7 @@ router.get('/events/:eventId/optimized', authenticateToken, async (req, res) =>
   try {
     const event = await eventsOptimized.findByIdWithGuests(req.params.eventId);
 
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -12,6 +12,7 @@ const { generalLimiter } = require('../middleware/rateLimiter');
 const logger = require('../utils/logger');
 const { sanitizeInput } = require('../utils/sanitize');
 const { createClient } = require('@supabase/supabase-js');
+const { PERMISSIONS, authorizeEvent, findAccessibleEvents, hasPermission } = require('../services/eventAccessService');
 
 const router = express.Router();
 
@@ -116,19 +117,48 @@ const paymentStatusLabels = {
     cancelled: 'Annulé'
 };
 
+/**
+ * Récupère un item budget si l'utilisateur a accès au budget de son événement
+ * @param {string} itemId - UUID de l'item
+ * @param {string} userId - UUID de l'utilisateur
+ * @param {string} columns - Colonnes à retourner (event_id est toujours inclus)
+ * @returns {Promise<Object|null>}
+ */
+const findAccessibleItem = async (itemId, userId, columns = 'id') => {
+    const { data: item, error } = await supabase
+        .from('budget_items')
+        .select(`${columns}, event_id`)
+        .eq('id', itemId)
+        .single();
+
+    if (error || !item) return null;
+
+    const event = await authorizeEvent(item.event_id, userId, PERMISSIONS.BUDGET);
+    return event ? item : null;
+};
+
 /**
  * @route GET /api/budget/items
- * @desc Récupérer tous les items budget de l'utilisateur
+ * @desc Récupérer tous les items budget des événements de l'utilisateur
  * @access Private
  */
 router.get('/items', authenticateToken, generalLimiter, async (req, res) => {
     try {
         const userId = req.user.id;
 
+        // Items des événements dont l'utilisateur gère le budget (propriétaire ou collaborateur)
+        const eventIds = (await findAccessibleEvents(userId))
+            .filter(event => hasPermission(event.access_role, PERMISSIONS.BUDGET))
+            .map(event => event.id);
+
+        if (eventIds.length === 0) {
+            return res.json({ success: true, data: [], count: 0 });
+        }
+
         const { data: items, error } = await supabase
             .from('budget_items')
             .select('*')
-            .eq('user_id', userId)
+            .in('event_id', eventIds)
             .order('created_at', { ascending: false });
 
         if (error) {
@@ -167,19 +197,13 @@ router.get('/event/:eventId',
             const userId = req.user.id;
             const { eventId } = req.params;
 
-            // Vérifier que l'utilisateur a accès à cet événement (organizer_id OU user_id)
-            const { data: event, error: eventError } = await supabase
-                .from('events')
-                .select('id')
-                .eq('id', eventId)
-                .or(`organizer_id.eq.${userId},user_id.eq.${userId}`)
-                .single();
+            // Vérifier que l'utilisateur a accès au budget de cet événement (propriétaire ou collaborateur)
+            const event = await authorizeEvent(eventId, userId, PERMISSIONS.BUDGET);
 
-            if (eventError || !event) {
-                console.warn('[Budget] Access denied - Event not found or user not organizer:', {
+            if (!event) {
+                console.warn('[Budget] Access denied - Event not found or no budget access:', {
                     eventId,
-                    userId,
-                    error: eventError?.message
+                    userId
                 });
                 return res.status(403).json({
                     success: false,
@@ -275,19 +299,13 @@ router.post('/items',
                 unit_price
             } = req.body;
 
-            // Vérifier que l'utilisateur a accès à cet événement (organizer_id OU user_id)
-            const { data: event, error: eventError } = await supabase
-                .from('events')
-                .select('id')
-                .eq('id', event_id)
-                .or(`organizer_id.eq.${userId},user_id.eq.${userId}`)
-                .single();
+            // Vérifier que l'utilisateur a accès au budget de cet événement (propriétaire ou collaborateur)
+            const event = await authorizeEvent(event_id, userId, PERMISSIONS.BUDGET);
 
-            if (eventError || !event) {
-                console.warn('[Budget] Create access denied - Event not found or user not organizer:', {
+            if (!event) {
+                console.warn('[Budget] Create access denied - Event not found or no budget access:', {
                     eventId: event_id,
-                    userId,
-                    error: eventError?.message
+                    userId
                 });
                 return res.status(403).json({
                     success: false,
@@ -364,15 +382,10 @@ router.put('/items/:itemId',
             const { itemId } = req.params;
             const updateData = req.body;
 
-            // Vérifier que l'item appartient à l'utilisateur
-            const { data: existingItem, error: checkError } = await supabase
-                .from('budget_items')
-                .select('id')
-                .eq('id', itemId)
-                .eq('user_id', userId)
-                .single();
+            // Vérifier que l'utilisateur a accès au budget de l'événement de l'item
+            const existingItem = await findAccessibleItem(itemId, userId, 'id');
 
-            if (checkError || !existingItem) {
+            if (!existingItem) {
                 return res.status(403).json({
                     success: false,
                     message: 'Accès non autorisé à cette dépense'
@@ -395,7 +408,6 @@ router.put('/items/:itemId',
                 .from('budget_items')
                 .update(sanitizedData)
                 .eq('id', itemId)
-                .eq('user_id', userId)
                 .select()
                 .single();
 
@@ -434,15 +446,10 @@ router.delete('/items/:itemId', authenticateToken, generalLimiter, async (req, r
         const userId = req.user.id;
         const { itemId } = req.params;
 
-        // Vérifier que l'item appartient à l'utilisateur
-        const { data: existingItem, error: checkError } = await supabase
-            .from('budget_items')
-            .select('id')
-            .eq('id', itemId)
-            .eq('user_id', userId)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de l'événement de l'item
+        const existingItem = await findAccessibleItem(itemId, userId, 'id');
 
-        if (checkError || !existingItem) {
+        if (!existingItem) {
             return res.status(403).json({
                 success: false,
                 message: 'Accès non autorisé à cette dépense'
@@ -452,8 +459,7 @@ router.delete('/items/:itemId', authenticateToken, generalLimiter, async (req, r
         const { error } = await supabase
             .from('budget_items')
             .delete()
-            .eq('id', itemId)
-            .eq('user_id', userId);
+            .eq('id', itemId);
 
         if (error) {
             logger.error('Error deleting budget item:', error);
@@ -488,19 +494,13 @@ router.get('/stats/:eventId', authenticateToken, generalLimiter, async (req, res
         const userId = req.user.id;
         const { eventId } = req.params;
 
-        // Vérifier l'accès à l'événement (organizer_id OU user_id)
-        const { data: event, error: eventError } = await supabase
-            .from('events')
-            .select('id, total_budget')
-            .eq('id', eventId)
-            .or(`organizer_id.eq.${userId},user_id.eq.${userId}`)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de cet événement (propriétaire ou collaborateur)
+        const event = await authorizeEvent(eventId, userId, PERMISSIONS.BUDGET);
 
-        if (eventError || !event) {
-            console.warn('[Budget] Stats access denied - Event not found or user not organizer:', {
+        if (!event) {
+            console.warn('[Budget] Stats access denied - Event not found or no budget access:', {
                 eventId,
-                userId,
-                error: eventError?.message
+                userId
             });
             return res.status(403).json({
                 success: false,
@@ -619,11 +619,18 @@ router.put('/event/:eventId/total', authenticateToken, generalLimiter, async (re
             });
         }
 
+        const allowedEvent = await authorizeEvent(eventId, userId, PERMISSIONS.BUDGET);
+        if (!allowedEvent) {
+            return res.status(403).json({
+                success: false,
+                message: 'Accès non autorisé à cet événement'
+            });
+        }
+
         const { data: event, error } = await supabase
             .from('events')
             .update({ total_budget })
             .eq('id', eventId)
-            .or(`organizer_id.eq.${userId},user_id.eq.${userId}`)
             .select()
             .single();
 
@@ -660,19 +667,13 @@ router.get('/export/:eventId', authenticateToken, generalLimiter, async (req, re
         const { eventId } = req.params;
         const { format = 'json' } = req.query;
 
-        // Vérifier l'accès à l'événement (organizer_id OU user_id)
-        const { data: event, error: eventError } = await supabase
-            .from('events')
-            .select('id, title, date')
-            .eq('id', eventId)
-            .or(`organizer_id.eq.${userId},user_id.eq.${userId}`)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de cet événement (propriétaire ou collaborateur)
+        const event = await authorizeEvent(eventId, userId, PERMISSIONS.BUDGET);
 
-        if (eventError || !event) {
-            console.warn('[Budget] Export access denied - Event not found or user not organizer:', {
+        if (!event) {
+            console.warn('[Budget] Export access denied - Event not found or no budget access:', {
                 eventId,
-                userId,
-                error: eventError?.message
+                userId
             });
             return res.status(403).json({
                 success: false,
@@ -778,15 +779,10 @@ router.get('/items/:itemId/details', authenticateToken, generalLimiter, async (r
         const userId = req.user.id;
         const { itemId } = req.params;
 
-        // Vérifier que l'item appartient à l'utilisateur
-        const { data: item, error: itemError } = await supabase
-            .from('budget_items')
-            .select('id')
-            .eq('id', itemId)
-            .eq('user_id', userId)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de l'événement de l'item
+        const item = await findAccessibleItem(itemId, userId, 'id');
 
-        if (itemError || !item) {
+        if (!item) {
             return res.status(403).json({
                 success: false,
                 message: 'Accès non autorisé à cette dépense'
@@ -832,15 +828,10 @@ router.post('/items/:itemId/details', authenticateToken, generalLimiter, async (
         const { itemId } = req.params;
         const { location, price, notes, sort_order } = req.body;
 
-        // Vérifier que l'item appartient à l'utilisateur
-        const { data: item, error: itemError } = await supabase
-            .from('budget_items')
-            .select('id, actual_amount')
-            .eq('id', itemId)
-            .eq('user_id', userId)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de l'événement de l'item
+        const item = await findAccessibleItem(itemId, userId, 'id, actual_amount');
 
-        if (itemError || !item) {
+        if (!item) {
             return res.status(403).json({
                 success: false,
                 message: 'Accès non autorisé à cette dépense'
@@ -910,15 +901,10 @@ router.put('/items/:itemId/details/:detailId', authenticateToken, generalLimiter
         const { itemId, detailId } = req.params;
         const { location, price, notes, sort_order, is_active } = req.body;
 
-        // Vérifier que l'item appartient à l'utilisateur
-        const { data: item, error: itemError } = await supabase
-            .from('budget_items')
-            .select('id')
-            .eq('id', itemId)
-            .eq('user_id', userId)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de l'événement de l'item
+        const item = await findAccessibleItem(itemId, userId, 'id');
 
-        if (itemError || !item) {
+        if (!item) {
             return res.status(403).json({
                 success: false,
                 message: 'Accès non autorisé à cette dépense'
@@ -991,15 +977,10 @@ router.delete('/items/:itemId/details/:detailId', authenticateToken, generalLimi
         const userId = req.user.id;
         const { itemId, detailId } = req.params;
 
-        // Vérifier que l'item appartient à l'utilisateur
-        const { data: item, error: itemError } = await supabase
-            .from('budget_items')
-            .select('id')
-            .eq('id', itemId)
-            .eq('user_id', userId)
-            .single();
+        // Vérifier que l'utilisateur a accès au budget de l'événement de l'item
+        const item = await findAccessibleItem(itemId, userId, 'id');
 
-        if (itemError || !item) {
+        if (!item) {
             return res.status(403).json({
                 success: false,
                 message: 'Accès non autorisé à cette dépense'
@@ -0,0 +1,100 @@
+/**
+ * Routes traiteur
+ * Liste des allergènes et rapport des plats choisis par table (JSON / CSV / PDF)
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const mealChoiceService = require('../services/mealChoiceService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const cateringValidationSchema = {
+  allergens: celebrate({
+    [Segments.QUERY]: Joi.object().keys({
+      locale: Joi.string().valid('fr', 'en').default('fr')
+    })
+  }),
+
+  report: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      format: Joi.string().valid(...mealChoiceService.REPORT_FORMATS).default('json'),
+      locale: Joi.string().valid('fr', 'en').default('fr')
+    })
+  })
+};
+
+/**
+ * GET /api/menu/allergens - Allergens guests can declare in the RSVP
+ */
+router.get('/menu/allergens', cateringValidationSchema.allergens, (req, res) => {
+  const { allergens } = mealChoiceService.getMealOptions(null, req.query.locale);
+  res.json({
+    success: true,
+    data: {
+      allergens,
+      dietary_tags: mealChoiceService.DIETARY_TAGS
+    }
+  });
+});
+
+/**
+ * GET /api/events/:eventId/catering-report - Dish counts per table for the caterer
+ * format: json (default) | csv | pdf
+ */
+router.get('/events/:eventId/catering-report', authenticateToken, generalLimiter, cateringValidationSchema.report, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const report = await mealChoiceService.buildCateringReport(event);
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          event: { id: event.id, title: event.title, date: event.date },
+          ...report
+        }
+      });
+    }
+
+    const buffer = req.query.format === 'pdf'
+      ? await mealChoiceService.renderCateringReportPdf(report, event, req.query.locale)
+      : mealChoiceService.renderCateringReportCsv(report, req.query.locale);
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.DATA_EXPORT,
+      resourceType: auditService.RESOURCE_TYPES.EVENT,
+      resourceId: event.id,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: { export: 'catering_report', format: req.query.format, attending: report.totals.attending }
+    });
+
+    res.setHeader('Content-Type', req.query.format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="catering-${event.id}.${req.query.format}"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Error building catering report:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building catering report'
+    });
+  }
+});
+
+module.exports = router;
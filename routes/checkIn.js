@@ -0,0 +1,372 @@
+/**
+ * Routes de check-in le jour J
+ * Appareils de scan nommés, check-ins idempotents et synchronisation hors-ligne
+ * QR codes signés : clés publiques de vérification hors-ligne et rotation
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { scannerDevices } = require('../utils/database');
+const checkInService = require('../services/checkInService');
+const qrSigningService = require('../services/qrSigningService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Random stored codes (UUID, FAM-uuid) or signed codes (SIG-...)
+const qrCodeSchema = Joi.alternatives().try(
+  Joi.string().trim().max(100).pattern(/^[a-zA-Z0-9-]+$/),
+  Joi.string().trim().pattern(qrSigningService.SIGNED_QR_PATTERN)
+);
+
+// Validation schemas
+const checkInValidationSchema = {
+  registerDevice: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      name: Joi.string().trim().max(100).required()
+    })
+  }),
+
+  updateDevice: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      deviceId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      name: Joi.string().trim().max(100).optional(),
+      is_active: Joi.boolean().optional()
+    }).min(1)
+  }),
+
+  checkIn: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      qr_code: qrCodeSchema.required(),
+      arrived_count: Joi.number().integer().min(1).max(100).optional(),
+      device_id: Joi.string().uuid().optional()
+    })
+  }),
+
+  sync: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      device_id: Joi.string().uuid().required(),
+      scans: Joi.array().items(
+        Joi.object().keys({
+          client_scan_id: Joi.string().trim().max(100).required(),
+          qr_code: qrCodeSchema.required(),
+          arrived_count: Joi.number().integer().min(1).max(100).optional(),
+          scanned_at: Joi.date().iso().required()
+        })
+      ).min(1).max(checkInService.MAX_SYNC_BATCH).unique('client_scan_id').required()
+    })
+  })
+};
+
+/**
+ * GET /api/events/:eventId/scanner-devices - List registered scanner devices
+ */
+router.get('/events/:eventId/scanner-devices', authenticateToken, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.CHECK_IN);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const devices = await scannerDevices.findByEvent(req.params.eventId);
+
+    res.json({
+      success: true,
+      data: devices,
+      count: devices.length
+    });
+  } catch (error) {
+    logger.error('Error fetching scanner devices:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scanner devices'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/scanner-devices - Register a named scanner device ("Door 2")
+ */
+router.post('/events/:eventId/scanner-devices', authenticateToken, checkInValidationSchema.registerDevice, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.CHECK_IN);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const existing = await scannerDevices.findByEvent(req.params.eventId);
+    if (existing.some(device => device.name.toLowerCase() === req.body.name.toLowerCase())) {
+      return res.status(409).json({
+        success: false,
+        message: 'A scanner device with this name already exists for this event'
+      });
+    }
+
+    const device = await scannerDevices.create({
+      event_id: req.params.eventId,
+      name: req.body.name,
+      registered_by: req.user.id,
+      is_active: true
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.SCANNER_DEVICE_REGISTER,
+      resourceType: auditService.RESOURCE_TYPES.SCANNER_DEVICE,
+      resourceId: device.id,
+      eventId: req.params.eventId,
+      ipAddress: req.ip,
+      details: { name: device.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Scanner device registered successfully',
+      data: device
+    });
+  } catch (error) {
+    logger.error('Error registering scanner device:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering scanner device'
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/:eventId/scanner-devices/:deviceId - Rename or (de)activate a device
+ */
+router.patch('/events/:eventId/scanner-devices/:deviceId', authenticateToken, checkInValidationSchema.updateDevice, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const device = await scannerDevices.findById(req.params.deviceId);
+    if (!device || device.event_id !== req.params.eventId) {
+      return res.status(404).json({ success: false, message: 'Scanner device not found' });
+    }
+
+    const updated = await scannerDevices.update(device.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Scanner device updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error updating scanner device:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating scanner device'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/check-in - Check in a scanned QR code
+ * Idempotent: scanning an already checked-in guest returns 409 with when/where it happened
+ */
+router.post('/events/:eventId/check-in', authenticateToken, checkInValidationSchema.checkIn, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.CHECK_IN);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const result = await checkInService.checkIn({
+      qrCode: req.body.qr_code,
+      eventId: req.params.eventId,
+      arrivedCount: req.body.arrived_count,
+      deviceId: req.body.device_id,
+      verifiedBy: req.user.id,
+      timeZone: req.user.preferences?.timezone
+    });
+
+    res.status(checkInService.httpStatusFor(result.status)).json(result);
+  } catch (error) {
+    logger.error('Error checking in guest:', { error: error.message, eventId: req.params.eventId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking in guest'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/check-in/sync - Upload scans queued while a device was offline
+ * Each scan carries a client_scan_id so re-uploading the same batch is harmless
+ */
+router.post('/events/:eventId/check-in/sync', authenticateToken, checkInValidationSchema.sync, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.CHECK_IN);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const device = await scannerDevices.findById(req.body.device_id);
+    if (!device || device.event_id !== req.params.eventId) {
+      return res.status(404).json({ success: false, message: 'Scanner device not found' });
+    }
+
+    const result = await checkInService.syncOfflineScans({
+      eventId: req.params.eventId,
+      deviceId: device.id,
+      scans: req.body.scans,
+      verifiedBy: req.user.id,
+      timeZone: req.user.preferences?.timezone
+    });
+
+    logger.info('Offline scans synchronized', {
+      eventId: req.params.eventId,
+      deviceId: device.id,
+      processed: result.processed,
+      conflicts: result.conflicts
+    });
+
+    res.json({
+      success: true,
+      message: 'Offline scans synchronized',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error syncing offline scans:', { error: error.message, eventId: req.params.eventId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while syncing offline scans'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/qr-signing-keys - Public keys to verify signed QR codes offline
+ */
+router.get('/events/:eventId/qr-signing-keys', authenticateToken, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.CHECK_IN);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const keys = await qrSigningService.listPublicKeys(event.id);
+
+    res.json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    logger.error('Error fetching QR signing keys:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching QR signing keys'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/qr-signing-keys/rotate - Replace the signing key
+ * Signed codes issued with the previous key are refused from now on
+ */
+router.post('/events/:eventId/qr-signing-keys/rotate', authenticateToken, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const key = await qrSigningService.rotateKey(event.id, req.user.id);
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.QR_SIGNING_KEY_ROTATE,
+      resourceType: auditService.RESOURCE_TYPES.EVENT,
+      resourceId: event.id,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: { version: key.version },
+      severity: auditService.SEVERITIES.WARNING
+    });
+
+    res.json({
+      success: true,
+      message: 'QR signing key rotated',
+      data: key
+    });
+  } catch (error) {
+    logger.error('Error rotating QR signing key:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating QR signing key'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/signed-qr-codes - Signed code of every valid invitation
+ */
+router.get('/events/:eventId/signed-qr-codes', authenticateToken, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const result = await qrSigningService.getSignedCodesForEvent(event.id);
+
+    res.json({
+      success: true,
+      data: result,
+      count: result.codes.length
+    });
+  } catch (error) {
+    logger.error('Error signing QR codes:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while signing QR codes'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/check-in/summary - Arrivals vs expected, per device
+ */
+router.get('/events/:eventId/check-in/summary', authenticateToken, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.CHECK_IN);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const summary = await checkInService.getEventSummary(req.params.eventId);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error fetching check-in summary:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching check-in summary'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,351 @@
+/**
+ * Routes de collaboration sur un événement
+ * Co-organisateurs, wedding planner, lecteurs et accueil : invitations par email et rôles
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { eventCollaborators } = require('../utils/database');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS, getEventAccess, hasPermission } = require('../services/eventAccessService');
+const collaboratorService = require('../services/collaboratorService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const COLLABORATOR_ERROR_STATUS = {
+  ROLE_NOT_ALLOWED: 403,
+  ALREADY_COLLABORATOR: 409,
+  INVITATION_NOT_FOUND: 404,
+  INVITATION_EXPIRED: 410,
+  EMAIL_MISMATCH: 403
+};
+
+// Validation schemas
+const collaboratorValidationSchema = {
+  eventParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  }),
+
+  invite: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      email: Joi.string().trim().email().max(255).required(),
+      role: Joi.string().valid(...Object.values(ROLES)).required()
+    })
+  }),
+
+  invitationParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      invitationId: Joi.string().uuid().required()
+    })
+  }),
+
+  updateRole: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      collaboratorId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      role: Joi.string().valid(...Object.values(ROLES)).required()
+    })
+  }),
+
+  collaboratorParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      collaboratorId: Joi.string().uuid().required()
+    })
+  }),
+
+  token: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      token: Joi.string().hex().length(64).required()
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a collaborator error code
+ */
+function sendCollaboratorError(res, error) {
+  return res.status(COLLABORATOR_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/events/:eventId/collaborators - Owner, collaborators and pending invitations
+ */
+router.get('/events/:eventId/collaborators', authenticateToken, generalLimiter, collaboratorValidationSchema.eventParams, async (req, res) => {
+  try {
+    const access = await getEventAccess(req.params.eventId, req.user.id);
+    if (!access || !hasPermission(access.role, PERMISSIONS.VIEW)) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const list = await collaboratorService.listCollaborators(access.event);
+
+    res.json({
+      success: true,
+      data: {
+        ...list,
+        // Invitations are only shown to members who can manage them
+        invitations: hasPermission(access.role, PERMISSIONS.MANAGE_COLLABORATORS) ? list.invitations : [],
+        access: { role: access.role, permissions: access.permissions },
+        roles: ROLE_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching collaborators:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collaborators'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/collaborators/invitations - Invite someone by email
+ */
+router.post('/events/:eventId/collaborators/invitations', authenticateToken, generalLimiter, collaboratorValidationSchema.invite, async (req, res) => {
+  try {
+    const access = await getEventAccess(req.params.eventId, req.user.id);
+    if (!access || !hasPermission(access.role, PERMISSIONS.MANAGE_COLLABORATORS)) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const result = await collaboratorService.inviteCollaborator({
+      event: access.event,
+      email: req.body.email,
+      role: req.body.role,
+      inviter: req.user,
+      inviterRole: access.role
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.COLLABORATOR_INVITE,
+      resourceType: auditService.RESOURCE_TYPES.COLLABORATOR,
+      resourceId: result.invitation.id,
+      eventId: access.event.id,
+      ipAddress: req.ip,
+      details: { email: result.invitation.email, role: result.invitation.role, email_sent: result.email_sent }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.email_sent ? 'Invitation sent' : 'Invitation created, the email could not be sent: share the link',
+      data: result
+    });
+  } catch (error) {
+    if (COLLABORATOR_ERROR_STATUS[error.code]) {
+      return sendCollaboratorError(res, error);
+    }
+
+    logger.error('Error inviting collaborator:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while inviting collaborator'
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId/collaborators/invitations/:invitationId - Revoke a pending invitation
+ */
+router.delete('/events/:eventId/collaborators/invitations/:invitationId', authenticateToken, generalLimiter, collaboratorValidationSchema.invitationParams, async (req, res) => {
+  try {
+    const access = await getEventAccess(req.params.eventId, req.user.id);
+    if (!access || !hasPermission(access.role, PERMISSIONS.MANAGE_COLLABORATORS)) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const invitation = await eventCollaborators.findInvitationById(req.params.invitationId);
+    if (!invitation || invitation.event_id !== access.event.id || invitation.status !== collaboratorService.INVITATION_STATUSES.PENDING) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+    if (!collaboratorService.canManageRole(access.role, invitation.role)) {
+      return res.status(403).json({ success: false, code: 'ROLE_NOT_ALLOWED', message: 'Only owners can revoke an owner invitation' });
+    }
+
+    await eventCollaborators.updateInvitation(invitation.id, { status: collaboratorService.INVITATION_STATUSES.REVOKED });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    logger.error('Error revoking collaborator invitation:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/:eventId/collaborators/:collaboratorId - Change the role of a collaborator
+ */
+router.patch('/events/:eventId/collaborators/:collaboratorId', authenticateToken, generalLimiter, collaboratorValidationSchema.updateRole, async (req, res) => {
+  try {
+    const access = await getEventAccess(req.params.eventId, req.user.id);
+    if (!access || !hasPermission(access.role, PERMISSIONS.MANAGE_COLLABORATORS)) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const collaborator = await eventCollaborators.findById(req.params.collaboratorId);
+    if (!collaborator || collaborator.event_id !== access.event.id) {
+      return res.status(404).json({ success: false, message: 'Collaborator not found' });
+    }
+    if (!collaboratorService.canManageRole(access.role, collaborator.role) || !collaboratorService.canManageRole(access.role, req.body.role)) {
+      return res.status(403).json({ success: false, code: 'ROLE_NOT_ALLOWED', message: 'Only owners can grant or change the owner role' });
+    }
+
+    const updated = await eventCollaborators.update(collaborator.id, { role: req.body.role });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.COLLABORATOR_ROLE_CHANGE,
+      resourceType: auditService.RESOURCE_TYPES.COLLABORATOR,
+      resourceId: collaborator.id,
+      eventId: access.event.id,
+      ipAddress: req.ip,
+      details: { user_id: collaborator.user_id, from: collaborator.role, to: req.body.role }
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error updating collaborator:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating collaborator'
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId/collaborators/:collaboratorId - Remove a collaborator (or leave the event)
+ */
+router.delete('/events/:eventId/collaborators/:collaboratorId', authenticateToken, generalLimiter, collaboratorValidationSchema.collaboratorParams, async (req, res) => {
+  try {
+    const access = await getEventAccess(req.params.eventId, req.user.id);
+    if (!access) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const collaborator = await eventCollaborators.findById(req.params.collaboratorId);
+    if (!collaborator || collaborator.event_id !== access.event.id) {
+      return res.status(404).json({ success: false, message: 'Collaborator not found' });
+    }
+
+    const isLeaving = collaborator.user_id === req.user.id;
+    if (!isLeaving && (!hasPermission(access.role, PERMISSIONS.MANAGE_COLLABORATORS) || !collaboratorService.canManageRole(access.role, collaborator.role))) {
+      return res.status(403).json({ success: false, code: 'ROLE_NOT_ALLOWED', message: 'You cannot remove this collaborator' });
+    }
+
+    await eventCollaborators.delete(collaborator.id);
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.COLLABORATOR_REMOVE,
+      resourceType: auditService.RESOURCE_TYPES.COLLABORATOR,
+      resourceId: collaborator.id,
+      eventId: access.event.id,
+      ipAddress: req.ip,
+      details: { user_id: collaborator.user_id, role: collaborator.role, left: isLeaving }
+    });
+
+    res.json({
+      success: true,
+      message: isLeaving ? 'You left the event' : 'Collaborator removed'
+    });
+  } catch (error) {
+    logger.error('Error removing collaborator:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing collaborator'
+    });
+  }
+});
+
+/**
+ * GET /api/collaborations/invitations/:token - Invitation details before accepting
+ */
+router.get('/collaborations/invitations/:token', authenticateToken, generalLimiter, collaboratorValidationSchema.token, async (req, res) => {
+  try {
+    const invitation = await collaboratorService.findPendingInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        event: { id: invitation.events.id, title: invitation.events.title, date: invitation.events.date },
+        role: invitation.role,
+        email: invitation.email,
+        invited_by: invitation.inviter?.name || null,
+        expires_at: invitation.expires_at,
+        email_matches: String(req.user.email || '').trim().toLowerCase() === invitation.email
+      }
+    });
+  } catch (error) {
+    if (COLLABORATOR_ERROR_STATUS[error.code]) {
+      return sendCollaboratorError(res, error);
+    }
+
+    logger.error('Error fetching collaborator invitation:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+});
+
+/**
+ * POST /api/collaborations/invitations/:token/accept - Join the event with the invited role
+ */
+router.post('/collaborations/invitations/:token/accept', authenticateToken, generalLimiter, collaboratorValidationSchema.token, async (req, res) => {
+  try {
+    const result = await collaboratorService.acceptInvitation({ token: req.params.token, user: req.user });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.COLLABORATOR_JOIN,
+      resourceType: auditService.RESOURCE_TYPES.COLLABORATOR,
+      resourceId: result.collaborator.id,
+      eventId: result.event.id,
+      ipAddress: req.ip,
+      details: { role: result.collaborator.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: result
+    });
+  } catch (error) {
+    if (COLLABORATOR_ERROR_STATUS[error.code]) {
+      return sendCollaboratorError(res, error);
+    }
+
+    logger.error('Error accepting collaborator invitation:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * Routes de duplication d'événement
+ * Réutiliser la structure d'un mariage (menu, programme, jeux, budget, tables...) pour le suivant
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { PERMISSIONS, getEventAccess, hasPermission } = require('../services/eventAccessService');
+const eventCloneService = require('../services/eventCloneService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const CLONE_PARTS = Object.values(eventCloneService.CLONE_PARTS);
+
+// Validation schemas
+const cloneValidationSchema = {
+  clone: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      title: Joi.string().trim().max(200),
+      date: Joi.date().iso().required(),
+      parts: Joi.array().items(Joi.string().valid(...CLONE_PARTS)).unique().min(1).default(CLONE_PARTS)
+    })
+  })
+};
+
+/**
+ * POST /api/events/:eventId/clone - Copy the selected parts of an event into a new event (no guests, RSVPs or QR codes)
+ */
+router.post('/events/:eventId/clone', authenticateToken, generalLimiter, cloneValidationSchema.clone, async (req, res) => {
+  try {
+    const access = await getEventAccess(req.params.eventId, req.user.id);
+    if (!access || !hasPermission(access.role, PERMISSIONS.EDIT)) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const { parts } = req.body;
+    if (parts.includes(eventCloneService.CLONE_PARTS.BUDGET_ITEMS) && !hasPermission(access.role, PERMISSIONS.BUDGET)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to the budget of this event' });
+    }
+
+    const result = await eventCloneService.cloneEvent({
+      source: access.event,
+      userId: req.user.id,
+      title: req.body.title || `${access.event.title} (copie)`,
+      date: req.body.date.toISOString().split('T')[0],
+      parts
+    });
+
+    logger.info('Event cloned', {
+      sourceEventId: access.event.id,
+      eventId: result.event.id,
+      userId: req.user.id,
+      parts
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Event cloned successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error cloning event:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cloning event'
+    });
+  }
+});
+
+module.exports = router;
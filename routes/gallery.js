@@ -1,5 +1,4 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const { celebrate, Segments } = require('celebrate');
 const Joi = require('joi');
 const { authenticateToken } = require('../middleware/auth');
@@ -7,11 +6,12 @@ const { uploadLimiter } = require('../middleware/security');
 const eventGallery = require('../utils/db/eventGallery');
 const { events } = require('../utils/database');
 const storageService = require('../services/storageService');
-const imageService = require('../services/imageService');
+const galleryService = require('../services/galleryService');
 const upload = require('../middleware/upload');
 const uploadVideo = require('../middleware/uploadVideo');
 const logger = require('../utils/logger');
-const { buildSecurePath, sanitizeFilename } = require('../utils/securityUtils');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const { buildSecurePath } = require('../utils/validationUtils');
 
 const router = express.Router();
 
@@ -42,26 +42,6 @@ const galleryValidationSchema = {
   })
 };
 
-/**
- * Helper: Verify event ownership
- */
-async function verifyEventOwnership(eventId, userId) {
-  const event = await events.findById(eventId);
-  if (!event || event.organizer_id !== userId) {
-    return null;
-  }
-  return event;
-}
-
-/**
- * Helper: Generate unique filename
- */
-function generateUniqueFilename(originalName, eventId) {
-  const ext = originalName.split('.').pop();
-  const sanitized = sanitizeFilename(originalName.split('.').slice(0, -1).join('.'));
-  return `${eventId}/${Date.now()}_${uuidv4().slice(0, 8)}_${sanitized}.${ext}`;
-}
-
 /**
  * GET /api/events/:eventId/gallery - Get gallery items for an event
  * Public access for approved items
@@ -175,64 +155,19 @@ router.post('/events/:eventId/gallery/upload', uploadLimiter, upload.single('fil
       });
     }
 
-    const fileType = isImage ? 'image' : 'video';
-
-    // Generate unique filename
-    const uniqueFilename = generateUniqueFilename(req.file.originalname, eventId);
-    const folder = buildSecurePath('gallery', eventId);
-
-    // Optimize image if needed
-    let processedBuffer = req.file.buffer;
-    let processedMimetype = req.file.mimetype;
-
-    if (isImage && req.file.size > 100 * 1024) {
-      try {
-        const optimized = await imageService.optimizeGalleryImage(req.file.buffer);
-        processedBuffer = optimized.buffer;
-        processedMimetype = optimized.mimetype;
-      } catch (optimizeError) {
-        logger.warn('Image optimization failed, using original:', optimizeError.message);
-      }
-    }
-
-    // Upload to storage
-    const fileToUpload = {
-      ...req.file,
-      buffer: processedBuffer,
-      mimetype: processedMimetype
-    };
-
-    const publicUrl = await storageService.uploadFile(fileToUpload, folder);
-    const r2Key = `${folder}/${uniqueFilename}`;
-
-    // Create gallery item
-    const galleryItem = await eventGallery.create({
-      event_id: eventId,
-      family_id: familyId || null,
-      guest_id: guestId || null,
-      uploaded_by: req.user?.id || null,
-      original_name: req.file.originalname,
-      file_name: uniqueFilename,
-      file_path: publicUrl,
-      file_size: processedBuffer.length,
-      mime_type: processedMimetype,
-      file_type: fileType,
-      r2_key: r2Key,
-      r2_url: publicUrl,
-      thumbnail_url: isImage ? publicUrl : null, // Videos would need thumbnail generation
-      caption: caption || null,
-      is_approved: true, // Auto-approve for now, can be moderated later
-      metadata: {
-        original_size: req.file.size,
-        optimized: processedBuffer.length !== req.file.size,
-        uploaded_from: req.headers['user-agent'] || 'unknown'
-      }
+    const galleryItem = await galleryService.storeGalleryUpload(req.file, {
+      eventId,
+      familyId,
+      guestId,
+      userId: req.user?.id,
+      caption,
+      userAgent: req.headers['user-agent']
     });
 
     logger.info('Gallery upload successful', {
       eventId,
       galleryId: galleryItem.id,
-      fileType,
+      fileType: galleryItem.file_type,
       uploadedBy: req.user?.id || 'guest'
     });
 
@@ -274,7 +209,7 @@ router.post('/events/:eventId/gallery/upload-video', uploadLimiter, uploadVideo.
       });
     }
 
-    const uniqueFilename = generateUniqueFilename(req.file.originalname, eventId);
+    const uniqueFilename = galleryService.generateUniqueFilename(req.file.originalname, eventId);
     const folder = buildSecurePath('gallery', eventId);
 
     const publicUrl = await storageService.uploadFile(req.file, folder);
@@ -301,6 +236,8 @@ router.post('/events/:eventId/gallery/upload-video', uploadLimiter, uploadVideo.
       }
     });
 
+    galleryService.publishGalleryUpload(galleryItem);
+
     res.status(201).json({
       success: true,
       message: 'Video uploaded successfully',
@@ -326,7 +263,7 @@ router.get('/events/:eventId/gallery/all', authenticateToken, async (req, res) =
     const { eventId } = req.params;
     const { type } = req.query;
 
-    const event = await verifyEventOwnership(eventId, req.user.id);
+    const event = await authorizeEvent(eventId, req.user.id, PERMISSIONS.VIEW);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -367,7 +304,7 @@ router.put('/gallery/:galleryId/caption', authenticateToken, galleryValidationSc
     }
 
     // Verify ownership
-    const event = await verifyEventOwnership(item.event_id, req.user.id);
+    const event = await authorizeEvent(item.event_id, req.user.id, PERMISSIONS.EDIT);
     if (!event && item.uploaded_by !== req.user.id) {
       return res.status(403).json({
         success: false,
@@ -404,7 +341,7 @@ router.delete('/gallery/:galleryId', authenticateToken, async (req, res) => {
     }
 
     // Verify ownership
-    const event = await verifyEventOwnership(item.event_id, req.user.id);
+    const event = await authorizeEvent(item.event_id, req.user.id, PERMISSIONS.EDIT);
     if (!event && item.uploaded_by !== req.user.id) {
       return res.status(403).json({
         success: false,
@@ -449,7 +386,7 @@ router.post('/gallery/:galleryId/moderate', authenticateToken, galleryValidation
     }
 
     // Verify ownership
-    const event = await verifyEventOwnership(item.event_id, req.user.id);
+    const event = await authorizeEvent(item.event_id, req.user.id, PERMISSIONS.EDIT);
     if (!event) {
       return res.status(403).json({
         success: false,
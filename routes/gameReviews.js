@@ -0,0 +1,126 @@
+/**
+ * Routes de validation des réponses photo des jeux
+ * L'organisateur valide ou refuse chaque photo, le classement est recalculé
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { games } = require('../utils/database');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const gameReviewService = require('../services/gameReviewService');
+const { REVIEW_STATUSES } = require('../services/gameScoringService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const REVIEW_ERROR_STATUS = {
+  ANSWER_NOT_FOUND: 404,
+  INVALID_POINTS: 400
+};
+
+// Validation schemas
+const reviewValidationSchema = {
+  list: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      gameId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      status: Joi.string().valid(...Object.values(REVIEW_STATUSES)).default(REVIEW_STATUSES.PENDING)
+    })
+  }),
+
+  review: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      gameId: Joi.string().uuid().required(),
+      answerId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      approved: Joi.boolean().required(),
+      points: Joi.number().integer().min(0).when('approved', { is: false, then: Joi.forbidden() })
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a review error code
+ */
+function sendReviewError(res, error) {
+  return res.status(REVIEW_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * Helper: Find a game of an event the user can access
+ */
+async function findEventGame(params, userId, permission) {
+  const event = await authorizeEvent(params.eventId, userId, permission);
+  if (!event) return null;
+
+  const game = await games.findById(params.gameId);
+  return game && game.event_id === event.id ? game : null;
+}
+
+/**
+ * GET /api/events/:eventId/games/:gameId/reviews - Photo answers to review (?status=pending|approved|rejected)
+ */
+router.get('/events/:eventId/games/:gameId/reviews', authenticateToken, generalLimiter, reviewValidationSchema.list, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.VIEW);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const answers = await gameReviewService.listReviewQueue(game, req.query.status);
+
+    res.json({
+      success: true,
+      data: answers
+    });
+  } catch (error) {
+    logger.error('Error fetching game review queue:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching answers to review'
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/:eventId/games/:gameId/reviews/:answerId - Approve (with points) or reject a photo answer
+ */
+router.patch('/events/:eventId/games/:gameId/reviews/:answerId', authenticateToken, generalLimiter, reviewValidationSchema.review, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.EDIT);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const result = await gameReviewService.reviewAnswer(game, req.params.answerId, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: req.body.approved ? 'Answer approved' : 'Answer rejected',
+      data: result
+    });
+  } catch (error) {
+    if (REVIEW_ERROR_STATUS[error.code]) {
+      return sendReviewError(res, error);
+    }
+
+    logger.error('Error reviewing game answer:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing answer'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+/**
+ * Routes du mode équipes des jeux (organisateur)
+ * Équipes personnalisées (familles et invités regroupés par l'organisateur) et classement des équipes
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { games } = require('../utils/database');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const gameTeamService = require('../services/gameTeamService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const TEAM_ERROR_STATUS = {
+  TEAM_MODE_DISABLED: 400,
+  TEAM_NOT_FOUND: 404,
+  TEAM_NAME_TAKEN: 409,
+  MEMBER_NOT_IN_EVENT: 400
+};
+
+const gameParams = {
+  eventId: Joi.string().uuid().required(),
+  gameId: Joi.string().uuid().required()
+};
+
+// A member is a whole family or a single guest
+const teamMembersSchema = Joi.array().items(
+  Joi.object().keys({
+    family_id: Joi.string().uuid(),
+    guest_id: Joi.string().uuid()
+  }).xor('family_id', 'guest_id')
+).max(200);
+
+// Validation schemas
+const teamValidationSchema = {
+  game: celebrate({
+    [Segments.PARAMS]: Joi.object().keys(gameParams)
+  }),
+
+  create: celebrate({
+    [Segments.PARAMS]: Joi.object().keys(gameParams),
+    [Segments.BODY]: Joi.object().keys({
+      name: Joi.string().trim().min(1).max(100).required(),
+      color: Joi.string().max(20).allow(null),
+      members: teamMembersSchema
+    })
+  }),
+
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      ...gameParams,
+      teamId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      name: Joi.string().trim().min(1).max(100),
+      color: Joi.string().max(20).allow(null),
+      members: teamMembersSchema
+    }).min(1)
+  }),
+
+  remove: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      ...gameParams,
+      teamId: Joi.string().uuid().required()
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a team error code
+ */
+function sendTeamError(res, error) {
+  return res.status(TEAM_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * Helper: Find a game of an event the user can access
+ */
+async function findEventGame(params, userId, permission) {
+  const event = await authorizeEvent(params.eventId, userId, permission);
+  if (!event) return null;
+
+  const game = await games.findById(params.gameId);
+  return game && game.event_id === event.id ? game : null;
+}
+
+/**
+ * GET /api/events/:eventId/games/:gameId/teams - Organizer-defined teams with their members
+ */
+router.get('/events/:eventId/games/:gameId/teams', authenticateToken, generalLimiter, teamValidationSchema.game, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.VIEW);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const teams = await gameTeamService.listTeams(game);
+
+    res.json({
+      success: true,
+      data: teams
+    });
+  } catch (error) {
+    logger.error('Error fetching game teams:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching teams'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/games/:gameId/teams - Create a team (members: [{ family_id } | { guest_id }])
+ */
+router.post('/events/:eventId/games/:gameId/teams', authenticateToken, generalLimiter, teamValidationSchema.create, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.EDIT);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const team = await gameTeamService.createTeam(game, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created',
+      data: team
+    });
+  } catch (error) {
+    if (TEAM_ERROR_STATUS[error.code]) {
+      return sendTeamError(res, error);
+    }
+
+    logger.error('Error creating game team:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating team'
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/:eventId/games/:gameId/teams/:teamId - Rename a team or replace its members
+ */
+router.patch('/events/:eventId/games/:gameId/teams/:teamId', authenticateToken, generalLimiter, teamValidationSchema.update, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.EDIT);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const team = await gameTeamService.updateTeam(game, req.params.teamId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Team updated',
+      data: team
+    });
+  } catch (error) {
+    if (TEAM_ERROR_STATUS[error.code]) {
+      return sendTeamError(res, error);
+    }
+
+    logger.error('Error updating game team:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating team'
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId/games/:gameId/teams/:teamId - Delete a team
+ */
+router.delete('/events/:eventId/games/:gameId/teams/:teamId', authenticateToken, generalLimiter, teamValidationSchema.remove, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.EDIT);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    await gameTeamService.deleteTeam(game, req.params.teamId);
+
+    res.json({
+      success: true,
+      message: 'Team deleted'
+    });
+  } catch (error) {
+    if (TEAM_ERROR_STATUS[error.code]) {
+      return sendTeamError(res, error);
+    }
+
+    logger.error('Error deleting game team:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting team'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/games/:gameId/team-leaderboard - Team ranking with the players of each team
+ */
+router.get('/events/:eventId/games/:gameId/team-leaderboard', authenticateToken, generalLimiter, teamValidationSchema.game, async (req, res) => {
+  try {
+    const game = await findEventGame(req.params, req.user.id, PERMISSIONS.VIEW);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const leaderboard = await gameTeamService.getTeamLeaderboard(game);
+
+    res.json({
+      success: true,
+      data: {
+        gameName: game.name,
+        gameType: game.type,
+        ...leaderboard
+      }
+    });
+  } catch (error) {
+    if (TEAM_ERROR_STATUS[error.code]) {
+      return sendTeamError(res, error);
+    }
+
+    logger.error('Error fetching team leaderboard:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching team leaderboard'
+    });
+  }
+});
+
+module.exports = router;
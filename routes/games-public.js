@@ -5,27 +5,43 @@ const { authenticateGuest, optionalGuestAuth } = require('../middleware/guestAut
 const { authenticateToken } = require('../middleware/auth');
 const { games } = require('../utils/database');
 const { supabaseService } = require('../config/supabase');
+const { PERMISSIONS, canAccessEvent } = require('../services/eventAccessService');
+const gameLiveService = require('../services/gameLiveService');
+const gameScoringService = require('../services/gameScoringService');
+const shoeGameService = require('../services/shoeGameService');
+const photoScavengerService = require('../services/photoScavengerService');
+const gamePlayGuardService = require('../services/gamePlayGuardService');
+const gameTeamService = require('../services/gameTeamService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const GUARD_ERROR_STATUS = {
+  ALREADY_PLAYED: 403,
+  ALREADY_PLAYED_DEVICE: 403,
+  DEVICE_TOKEN_REQUIRED: 400,
+  PLAY_NOT_STARTED: 409,
+  IMPOSSIBLE_COMPLETION_TIME: 422
+};
+
 // Validation schemas - simplified to accept various formats
 const playGameSchema = celebrate({
   [Segments.BODY]: Joi.object().keys({
     answers: Joi.alternatives().try(
       Joi.array().items(Joi.object({
         questionId: Joi.string().uuid().required(),
-        answer: Joi.alternatives().try(Joi.string().allow(''), Joi.boolean()).required(),
+        answer: Joi.alternatives().try(Joi.string().allow(''), Joi.boolean(), Joi.array().items(Joi.string())).required(),
         timeSpent: Joi.number().integer().min(0).optional()
       })),
       Joi.object().pattern(Joi.string(), Joi.object({
         questionId: Joi.string().uuid().required(),
-        answer: Joi.alternatives().try(Joi.string().allow(''), Joi.boolean()).required(),
+        answer: Joi.alternatives().try(Joi.string().allow(''), Joi.boolean(), Joi.array().items(Joi.string())).required(),
         timeSpent: Joi.number().integer().min(0).optional()
       }))
     ).required(),
     playerName: Joi.alternatives().try(Joi.string().max(100).allow(''), Joi.any()).optional(),
-    accessToken: Joi.string().optional()
+    accessToken: Joi.string().optional(),
+    deviceToken: Joi.string().optional()
   }).unknown(true)
 });
 
@@ -64,15 +80,21 @@ router.get('/public/:gameId', authenticateGuest, async (req, res) => {
       });
     }
 
+    // 🛡️ SECURITY: Jeton d'appareil signé (remis à la première visite) et politique de participation du jeu
+    const accessToken = req.query.token || req.headers['x-access-token'];
+    const device = gamePlayGuardService.resolveDevice(req.headers['x-device-token'] || req.query.deviceToken);
+    await gamePlayGuardService.assertCanPlay(game, req.guest, { accessToken, deviceId: device.deviceId });
+
+    // Début de partie horodaté par le serveur (durée vérifiée à l'envoi des réponses)
+    const play = await gamePlayGuardService.startPlay(game, req.guest, { accessToken, deviceId: device.deviceId });
+
     // Masquer les réponses correctes
     const sanitizedQuestions = game.questions.map(q => ({
       id: q.id,
       question: q.question,
       question_type: q.question_type,
-      options: q.options ? q.options.map(opt => ({
-        text: opt.text,
-        // Ne pas inclure isCorrect ici !
-      })) : null,
+      // Ne pas inclure isCorrect ici ! (éléments mélangés pour les questions d'ordre)
+      options: gameScoringService.getPlayableOptions(q),
       points: q.points,
       sort_order: q.sort_order,
       media_url: q.media_url,
@@ -88,6 +110,9 @@ router.get('/public/:gameId', authenticateGuest, async (req, res) => {
         description: game.description,
         total_questions: game.total_questions,
         questions: sanitizedQuestions,
+        playPolicy: gamePlayGuardService.getPlayPolicy(game),
+        startedAt: play.started_at,
+        deviceToken: device.deviceToken,
         guest: {
           accessType: req.guest.accessType,
           hasPlayed: req.guest.has_played || false
@@ -95,6 +120,10 @@ router.get('/public/:gameId', authenticateGuest, async (req, res) => {
       }
     });
   } catch (error) {
+    if (GUARD_ERROR_STATUS[error.code]) {
+      return sendGuardError(res, error);
+    }
+
     logger.error('Error fetching public game:', { error: error.message });
     res.status(500).json({
       success: false,
@@ -103,14 +132,17 @@ router.get('/public/:gameId', authenticateGuest, async (req, res) => {
   }
 });
 
-// Helper to get client IP
-function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || 
-         req.headers['x-real-ip'] || 
-         req.connection?.remoteAddress || 
-         req.socket?.remoteAddress ||
-         req.ip ||
-         'unknown';
+// Helper to answer with the status matching an anti-cheat error code
+function sendGuardError(res, error) {
+  return res.status(GUARD_ERROR_STATUS[error.code]).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    data: error.participation ? {
+      score: error.participation.total_score,
+      rank: error.participation.rank
+    } : undefined
+  });
 }
 
 // POST /api/games/public/:gameId/play - Jouer à un jeu
@@ -146,10 +178,6 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
       });
     }
     
-    // 🛡️ SECURITY: Get and check client IP
-    const clientIP = getClientIP(req);
-    console.log('[IP Check] Game:', gameId, 'IP:', clientIP);
-
     // Vérifier que le jeu existe et est actif
     const game = await games.getGameWithQuestions(gameId);
     if (!game || !game.is_active || game.status !== 'active') {
@@ -159,6 +187,24 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
       });
     }
 
+    // Un quiz animé en direct se joue question par question (routes /live)
+    if (await gameLiveService.isSessionRunning(gameId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ce jeu se joue en direct, question par question',
+        code: 'LIVE_SESSION_RUNNING'
+      });
+    }
+
+    // Une chasse aux photos se complète consigne par consigne (routes /scavenger)
+    if (photoScavengerService.isPhotoScavenger(game)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ce jeu se complète en envoyant une photo par consigne',
+        code: 'PHOTO_SCAVENGER_GAME'
+      });
+    }
+
     // 🛡️ SECURITY: Verify guest has event_id
     if (!req.guest.event_id) {
       console.error('[PlayGame] ❌ Guest has no event_id:', req.guest);
@@ -181,47 +227,10 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
       });
     }
 
-    // 🛡️ SECURITY: Check if this IP has already played this game
-    const { data: existingIP, error: ipError } = await supabaseService
-      .from('game_ip_tracking')
-      .select('*')
-      .eq('game_id', gameId)
-      .eq('ip_address', clientIP)
-      .single();
-    
-    if (ipError && ipError.code !== 'PGRST116') { // PGRST116 = not found, which is expected
-      console.error('[IP Check] Error:', ipError);
-    }
-    
-    if (existingIP) {
-      console.warn('[IP Blocked] IP already played:', clientIP, 'Game:', gameId);
-      return res.status(403).json({
-        success: false,
-        message: 'Vous avez déjà joué à ce jeu depuis cet appareil. Chaque participant ne peut jouer qu\'une seule fois.',
-        code: 'ALREADY_PLAYED_IP'
-      });
-    }
-
-    // Vérifier si déjà joué (par token/access)
-    const { data: existingParticipation } = await supabaseService
-      .from('game_participations')
-      .select('*')
-      .eq('game_id', gameId)
-      .eq('access_token', req.query.token || req.body.accessToken)
-      .eq('is_completed', true)
-      .single();
-
-    if (existingParticipation) {
-      return res.status(403).json({
-        success: false,
-        message: 'Vous avez déjà terminé ce jeu',
-        code: 'ALREADY_PLAYED',
-        data: {
-          score: existingParticipation.total_score,
-          rank: existingParticipation.rank
-        }
-      });
-    }
+    // 🛡️ SECURITY: Une partie par accès, par invité ou par appareil selon la politique du jeu
+    const accessToken = req.query.token || req.body.accessToken;
+    const deviceId = gamePlayGuardService.readDeviceToken(req.headers['x-device-token'] || req.body.deviceToken);
+    await gamePlayGuardService.assertCanPlay(game, req.guest, { accessToken, deviceId });
 
     // Normalize answers to array (handle both array and object with numeric keys)
     let answersArray = answers;
@@ -237,59 +246,41 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
       });
     }
     
+    // 🛡️ SECURITY: Durée de partie mesurée depuis l'affichage du jeu (GET /public/:gameId)
+    const play = await gamePlayGuardService.finishPlay(game, req.guest, {
+      accessToken,
+      answersCount: answersArray.length
+    });
+
     console.log('[Play] Processing', answersArray.length, 'answers');
 
     // Calculer le score
     let totalScore = 0;
     let correctAnswers = 0;
+    let pendingReview = 0;
     const answerRecords = [];
 
     for (const userAnswer of answersArray) {
       const question = game.questions.find(q => q.id === userAnswer.questionId);
       if (!question) continue;
 
-      let isCorrect = false;
-      let pointsEarned = 0;
-
-      switch (question.question_type) {
-        case 'multiple_choice':
-          const correctOption = question.options?.find(opt => opt.isCorrect);
-          if (correctOption && correctOption.text === userAnswer.answer) {
-            isCorrect = true;
-            pointsEarned = question.points;
-          }
-          break;
-        
-        case 'text':
-          if (question.correct_answer && 
-              question.correct_answer.toLowerCase().trim() === userAnswer.answer.toLowerCase().trim()) {
-            isCorrect = true;
-            pointsEarned = question.points;
-          }
-          break;
-        
-        case 'boolean':
-          if (question.correct_answer === userAnswer.answer) {
-            isCorrect = true;
-            pointsEarned = question.points;
-          }
-          break;
-        
-        default:
-          // Pour les autres types, on enregistre sans score automatique
-          pointsEarned = 0;
-      }
+      // Crédit partiel pour les questions d'ordre, photos notées après validation de l'organisateur
+      const { isCorrect, pointsEarned, reviewStatus } = gameScoringService.scoreAnswer(question, userAnswer.answer);
 
+      totalScore += pointsEarned;
       if (isCorrect) {
-        totalScore += pointsEarned;
         correctAnswers++;
       }
+      if (reviewStatus) {
+        pendingReview++;
+      }
 
       answerRecords.push({
         question_id: userAnswer.questionId,
-        answer: userAnswer.answer,
+        answer: gameScoringService.serializeAnswer(userAnswer.answer),
         is_correct: isCorrect,
-        points_earned: pointsEarned
+        points_earned: pointsEarned,
+        review_status: reviewStatus
       });
     }
 
@@ -302,7 +293,8 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
       guest_id: accessType === 'individual' ? req.guest.guest_id : null,
       family_id: accessType === 'family' ? req.guest.family_id : null,
       qr_code: req.guest.qr_code,
-      access_token: req.query.token || req.body.accessToken,
+      access_token: accessToken,
+      device_id: deviceId,
       player_name: playerName || (accessType === 'family' ? 'Famille' : 'Invité'),
       player_type: accessType,
       total_score: totalScore,
@@ -326,6 +318,8 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
     
     console.log('[PlayGame] ✅ Participation inserted:', participation.id);
 
+    await gamePlayGuardService.attachParticipation(play.session, participation.id);
+
     // Enregistrer les réponses détaillées
     if (answerRecords.length > 0) {
       console.log('[PlayGame] Saving answers:', answerRecords.map(a => ({...a, participation_id: participation.id})));
@@ -367,23 +361,6 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
     // Pour l'accès public (pas d'ID dans game_guest_access), on ne met à jour aucune table d'accès
     // La participation est déjà enregistrée dans game_participations
     
-    // 🛡️ SECURITY: Record IP address to prevent multiple plays
-    try {
-      await supabaseService
-        .from('game_ip_tracking')
-        .insert([{
-          game_id: gameId,
-          ip_address: clientIP,
-          user_agent: req.headers['user-agent'] || null,
-          score: totalScore,
-          player_name: playerName || 'Anonyme'
-        }]);
-      console.log('[IP Recorded] IP:', clientIP, 'Game:', gameId);
-    } catch (ipRecordError) {
-      // Log but don't fail the request if IP recording fails
-      console.error('[IP Record] Error:', ipRecordError.message);
-    }
-
     // 🔧 CORRECTION: Calcul direct du rang depuis game_participations
     console.log('[PlayGame] Calculating player rank for game:', gameId);
     
@@ -430,10 +407,15 @@ router.post('/public/:gameId/play', authenticateGuest, playGameSchema, async (re
         correctAnswers,
         totalQuestions: game.total_questions,
         rank: playerRank,
-        totalParticipants: totalParticipants
+        totalParticipants: totalParticipants,
+        pendingReview
       }
     });
   } catch (error) {
+    if (GUARD_ERROR_STATUS[error.code]) {
+      return sendGuardError(res, error);
+    }
+
     // 🛡️ SECURITY: Log detailed error for audit and debugging
     logger.error('Error playing game:', { 
       error: error.message,
@@ -459,23 +441,6 @@ router.post('/public/:gameId/validate-answer', authenticateGuest, async (req, re
   try {
     const { gameId } = req.params;
     const { questionId, answer } = req.body;
-    
-    // 🛡️ SECURITY: Check if IP has already played
-    const clientIP = getClientIP(req);
-    const { data: existingIP } = await supabaseService
-      .from('game_ip_tracking')
-      .select('*')
-      .eq('game_id', gameId)
-      .eq('ip_address', clientIP)
-      .single();
-    
-    if (existingIP) {
-      return res.status(403).json({
-        success: false,
-        message: 'Vous avez déjà joué à ce jeu depuis cet appareil.',
-        code: 'ALREADY_PLAYED_IP'
-      });
-    }
 
     // Récupérer le jeu avec les questions
     const game = await games.getGameWithQuestions(gameId);
@@ -494,6 +459,12 @@ router.post('/public/:gameId/validate-answer', authenticateGuest, async (req, re
       });
     }
 
+    // 🛡️ SECURITY: Pas de vérification de réponse pour qui a déjà joué
+    await gamePlayGuardService.assertCanPlay(game, req.guest, {
+      accessToken: req.query.token || req.body.accessToken,
+      deviceId: gamePlayGuardService.readDeviceToken(req.headers['x-device-token'] || req.body.deviceToken)
+    });
+
     // Trouver la question
     const question = game.questions.find(q => q.id === questionId);
     if (!question) {
@@ -504,43 +475,11 @@ router.post('/public/:gameId/validate-answer', authenticateGuest, async (req, re
     }
 
     // Vérifier la réponse
-    let isCorrect = false;
-    let correctAnswer = null;
-
     console.log('[Validate] Question:', question.question);
     console.log('[Validate] Question type:', question.question_type);
     console.log('[Validate] User answer:', answer);
-    console.log('[Validate] Options:', question.options);
-
-    switch (question.question_type) {
-      case 'multiple_choice':
-        const correctOption = question.options?.find(opt => opt.isCorrect);
-        correctAnswer = correctOption?.text || '';
-        console.log('[Validate] Correct option:', correctOption);
-        console.log('[Validate] Correct answer text:', correctAnswer);
-        if (correctOption && correctOption.text === answer) {
-          isCorrect = true;
-        }
-        break;
-      
-      case 'text':
-        correctAnswer = question.correct_answer || '';
-        if (question.correct_answer && 
-            question.correct_answer.toLowerCase().trim() === answer.toLowerCase().trim()) {
-          isCorrect = true;
-        }
-        break;
-      
-      case 'boolean':
-        correctAnswer = question.correct_answer || '';
-        if (question.correct_answer === answer) {
-          isCorrect = true;
-        }
-        break;
-      
-      default:
-        correctAnswer = question.correct_answer || '';
-    }
+
+    const { isCorrect, pointsEarned, reviewStatus, correctAnswer } = gameScoringService.scoreAnswer(question, answer);
 
     console.log('[Validate] Response:', { isCorrect, correctAnswer, userAnswer: answer });
 
@@ -550,10 +489,15 @@ router.post('/public/:gameId/validate-answer', authenticateGuest, async (req, re
         isCorrect,
         correctAnswer,
         userAnswer: answer,
-        points: isCorrect ? question.points : 0
+        points: pointsEarned,
+        pendingReview: !!reviewStatus
       }
     });
   } catch (error) {
+    if (GUARD_ERROR_STATUS[error.code]) {
+      return sendGuardError(res, error);
+    }
+
     logger.error('Error validating answer:', { error: error.message });
     res.status(500).json({
       success: false,
@@ -575,6 +519,45 @@ router.get('/public/:gameId/leaderboard', optionalGuestAuth, async (req, res) =>
       });
     }
 
+    // Jeu de la chaussure : votes agrégés, classement des options
+    if (shoeGameService.isShoeGame(game)) {
+      const results = await shoeGameService.getResults(game);
+      return res.json({
+        success: true,
+        data: {
+          gameName: game.name,
+          gameType: game.type,
+          gameStatus: game.status,
+          totalVotes: results.total_votes,
+          questions: results.questions,
+          leaderboard: results.leaderboard
+        }
+      });
+    }
+
+    // Chasse aux photos : classement par consignes validées
+    if (photoScavengerService.isPhotoScavenger(game)) {
+      const results = await photoScavengerService.getResults(game);
+      return res.json({
+        success: true,
+        data: {
+          gameName: game.name,
+          gameType: game.type,
+          gameStatus: game.status,
+          totalPrompts: results.total_prompts,
+          totalParticipants: results.leaderboard.length,
+          leaderboard: results.leaderboard.map(entry => ({
+            rank: entry.rank,
+            playerName: entry.player_name,
+            promptsCompleted: entry.prompts_completed,
+            score: entry.score,
+            completed: entry.completed,
+            isTop3: entry.rank <= 3
+          }))
+        }
+      });
+    }
+
     // 🔧 CORRECTION: Récupérer le classement avec calcul des rangs corrects
     const { data: participations, error } = await supabaseService
       .from('game_participations')
@@ -657,6 +640,7 @@ router.get('/public/:gameId/leaderboard', optionalGuestAuth, async (req, res) =>
       success: true,
       data: {
         gameName: game.name,
+        gameType: game.type,
         gameStatus: game.status,
         totalParticipants: leaderboard.length,
         leaderboard: leaderboard
@@ -671,6 +655,55 @@ router.get('/public/:gameId/leaderboard', optionalGuestAuth, async (req, res) =>
   }
 });
 
+// GET /api/games/public/:gameId/team-leaderboard - Classement public des équipes (mode équipes)
+router.get('/public/:gameId/team-leaderboard', optionalGuestAuth, async (req, res) => {
+  try {
+    const game = await games.findById(req.params.gameId);
+    if (!game || !game.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    if (!gameTeamService.getTeamMode(game)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team mode is not enabled for this game',
+        code: 'TEAM_MODE_DISABLED'
+      });
+    }
+
+    const { source, aggregation, best_n: bestN, teams } = await gameTeamService.getTeamLeaderboard(game);
+
+    res.json({
+      success: true,
+      data: {
+        gameName: game.name,
+        gameType: game.type,
+        gameStatus: game.status,
+        teamSource: source,
+        aggregation,
+        bestN,
+        totalTeams: teams.length,
+        leaderboard: teams.map(team => ({
+          rank: team.rank,
+          teamName: team.name,
+          score: team.score,
+          playersCount: team.players_count,
+          isTop3: team.rank <= 3
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching team leaderboard:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching team leaderboard'
+    });
+  }
+});
+
 // GET /api/games/public/:gameId/my-result - Résultat personnel (pour l'invité connecté)
 router.get('/public/:gameId/my-result', authenticateGuest, async (req, res) => {
   try {
@@ -738,11 +771,11 @@ router.post('/:gameId/generate-access', authenticateToken, async (req, res) => {
       });
     }
 
-    // Vérifier l'ownership de l'événement
+    // Vérifier les droits sur l'événement
     const { events, guests, families, qrCodes } = require('../utils/database');
     const event = await events.findById(game.event_id);
     
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.EDIT))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -802,17 +835,39 @@ router.get('/:gameId/full-leaderboard', authenticateToken, async (req, res) => {
       });
     }
 
-    // Vérifier l'ownership
+    // Vérifier les droits sur l'événement
     const { events } = require('../utils/database');
     const event = await events.findById(game.event_id);
     
-    if (!event || event.organizer_id !== req.user.id) {
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // Jeux avec un classement propre à leur type
+    if (shoeGameService.isShoeGame(game)) {
+      const results = await shoeGameService.getResults(game);
+      return res.json({
+        success: true,
+        data: { gameName: game.name, gameType: game.type, ...results }
+      });
+    }
+
+    if (photoScavengerService.isPhotoScavenger(game)) {
+      const results = await photoScavengerService.getResults(game);
+      return res.json({
+        success: true,
+        data: {
+          gameName: game.name,
+          gameType: game.type,
+          totalParticipants: results.leaderboard.length,
+          ...results
+        }
+      });
+    }
+
     // Récupérer le classement depuis la table game_participations
     const { data: participations, error } = await supabaseService
       .from('game_participations')
@@ -872,6 +927,7 @@ router.get('/:gameId/full-leaderboard', authenticateToken, async (req, res) => {
       success: true,
       data: {
         gameName: game.name,
+        gameType: game.type,
         totalParticipants: leaderboard?.length || 0,
         averageScore: leaderboard?.length > 0 
           ? leaderboard.reduce((sum, p) => sum + p.total_score, 0) / leaderboard.length 
@@ -0,0 +1,277 @@
+/**
+ * Routes du quiz en direct (mode animé)
+ * L'animateur pilote la session, les invités suivent la question en cours par SSE et répondent
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { authenticateGuest } = require('../middleware/guestAuth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { games } = require('../utils/database');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const gameLiveService = require('../services/gameLiveService');
+const liveEventsService = require('../services/liveEventsService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Below usual proxy idle timeouts
+
+const HOST_ACTIONS = ['start', 'next', 'reveal', 'finish'];
+
+const GUEST_MESSAGE_TYPES = [
+  liveEventsService.LIVE_EVENT_TYPES.GAME_SESSION,
+  liveEventsService.LIVE_EVENT_TYPES.GAME_ANSWER
+];
+
+const LIVE_ERROR_STATUS = {
+  LIVE_SESSION_NOT_FOUND: 404,
+  SESSION_ALREADY_RUNNING: 409,
+  GAME_COMPLETED: 409,
+  NO_QUESTIONS: 400,
+  NO_MORE_QUESTIONS: 409,
+  INVALID_TRANSITION: 409,
+  QUESTION_CLOSED: 409,
+  ALREADY_ANSWERED: 409,
+  GAME_TYPE_NOT_LIVE: 400,
+  INVALID_VOTE: 400
+};
+
+// Validation schemas
+const liveValidationSchema = {
+  gameParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      gameId: Joi.string().uuid().required()
+    })
+  }),
+
+  hostAction: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      gameId: Joi.string().uuid().required(),
+      action: Joi.string().valid(...HOST_ACTIONS).required()
+    })
+  }),
+
+  answer: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      gameId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      questionId: Joi.string().uuid().required(),
+      answer: Joi.alternatives().try(
+        Joi.string().max(1000).allow(''),
+        Joi.boolean(),
+        Joi.array().items(Joi.string().max(500)).max(50)
+      ).required(),
+      playerName: Joi.string().trim().max(100).allow(''),
+      accessToken: Joi.string()
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a live session error code
+ */
+function sendLiveError(res, error) {
+  return res.status(LIVE_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * Helper: Find a game the user may host (EDIT on its event)
+ */
+async function findHostedGame(gameId, userId, permission = PERMISSIONS.EDIT) {
+  const game = await games.findById(gameId);
+  if (!game) return null;
+
+  const event = await authorizeEvent(game.event_id, userId, permission);
+  return event ? game : null;
+}
+
+/**
+ * Helper: Find the game of a guest (authenticateGuest checked that it is active)
+ */
+async function findGuestGame(req) {
+  const game = await games.findById(req.params.gameId);
+  return game && game.event_id === req.guest.event_id ? game : null;
+}
+
+// ==================== HOST ====================
+
+/**
+ * GET /api/games/:gameId/live - Session state for the host screen (with the correct answer)
+ */
+router.get('/:gameId/live', authenticateToken, liveValidationSchema.gameParams, async (req, res) => {
+  try {
+    const game = await findHostedGame(req.params.gameId, req.user.id, PERMISSIONS.VIEW);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    const state = await gameLiveService.getSessionState(game, { forHost: true });
+
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    if (LIVE_ERROR_STATUS[error.code]) {
+      return sendLiveError(res, error);
+    }
+
+    logger.error('Error fetching live game session:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching live game session'
+    });
+  }
+});
+
+/**
+ * POST /api/games/:gameId/live/:action - Drive the session (start, next, reveal, finish)
+ */
+router.post('/:gameId/live/:action', authenticateToken, generalLimiter, liveValidationSchema.hostAction, async (req, res) => {
+  try {
+    const game = await findHostedGame(req.params.gameId, req.user.id);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    let state;
+    switch (req.params.action) {
+      case 'start':
+        state = await gameLiveService.startSession(game, req.user.id);
+        break;
+      case 'next':
+        state = await gameLiveService.nextQuestion(game);
+        break;
+      case 'reveal':
+        state = await gameLiveService.revealQuestion(game);
+        break;
+      case 'finish':
+        state = await gameLiveService.finishSession(game);
+        break;
+    }
+
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    if (LIVE_ERROR_STATUS[error.code]) {
+      return sendLiveError(res, error);
+    }
+
+    logger.error('Error updating live game session:', { error: error.message, action: req.params.action });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating live game session'
+    });
+  }
+});
+
+// ==================== GUESTS ====================
+
+/**
+ * GET /api/games/public/:gameId/live - SSE stream of the session (question, countdown, leaderboard)
+ * Same guest authentication as the other public game routes (?token= or ?qr=)
+ */
+router.get('/public/:gameId/live', authenticateGuest, liveValidationSchema.gameParams, async (req, res) => {
+  const { gameId } = req.params;
+  let game;
+  let snapshot;
+
+  try {
+    game = await findGuestGame(req);
+    if (!game) {
+      return res.status(403).json({ success: false, message: 'This game is not part of your event' });
+    }
+
+    snapshot = await gameLiveService.getSessionState(game);
+  } catch (error) {
+    if (LIVE_ERROR_STATUS[error.code]) {
+      return sendLiveError(res, error);
+    }
+
+    logger.error('Error opening live game stream:', { error: error.message, gameId });
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while opening live game stream'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  let messageId = 0;
+  const send = (type, data) => {
+    messageId++;
+    res.write(`id: ${messageId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+
+  // The event channel also carries the organizer dashboard updates: only this game goes to guests
+  const unsubscribe = liveEventsService.subscribe(game.event_id, (message) => {
+    if (GUEST_MESSAGE_TYPES.includes(message.type) && message.payload.game_id === gameId) {
+      send(message.type, message.payload);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  // Current question and countdown for guests joining mid-game
+  send(liveEventsService.LIVE_EVENT_TYPES.GAME_SESSION, snapshot);
+});
+
+/**
+ * POST /api/games/public/:gameId/live/answer - Answer the current question
+ * Scored by correctness and speed; the result is shown with the reveal
+ */
+router.post('/public/:gameId/live/answer', authenticateGuest, liveValidationSchema.answer, async (req, res) => {
+  try {
+    const game = await findGuestGame(req);
+    if (!game) {
+      return res.status(403).json({ success: false, message: 'This game is not part of your event' });
+    }
+
+    const result = await gameLiveService.submitAnswer(game, req.guest, {
+      questionId: req.body.questionId,
+      answer: req.body.answer,
+      playerName: req.body.playerName,
+      accessToken: req.query.token || req.body.accessToken || req.headers['x-access-token']
+    });
+
+    res.json({
+      success: true,
+      message: 'Answer received',
+      data: result
+    });
+  } catch (error) {
+    if (LIVE_ERROR_STATUS[error.code]) {
+      return sendLiveError(res, error);
+    }
+
+    logger.error('Error saving live answer:', { error: error.message, gameId: req.params.gameId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving answer'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+/**
+ * Routes de la chasse aux photos (côté invité)
+ * L'invité consulte sa liste de consignes et complète chacune en envoyant une photo
+ * Le token d'accès passe par ?token= ou l'en-tête x-access-token (corps multipart)
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateGuest } = require('../middleware/guestAuth');
+const { uploadLimiter } = require('../middleware/security');
+const upload = require('../middleware/upload');
+const { games } = require('../utils/database');
+const photoScavengerService = require('../services/photoScavengerService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SCAVENGER_ERROR_STATUS = {
+  PROMPT_NOT_FOUND: 404,
+  PROMPT_ALREADY_COMPLETED: 409,
+  IMAGE_REQUIRED: 400
+};
+
+// Validation schemas
+const scavengerValidationSchema = {
+  checklist: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      gameId: Joi.string().uuid().required()
+    })
+  }),
+
+  submit: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      gameId: Joi.string().uuid().required(),
+      questionId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      playerName: Joi.string().trim().max(100).allow('')
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a photo scavenger error code
+ */
+function sendScavengerError(res, error) {
+  return res.status(SCAVENGER_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * Helper: Find the photo scavenger game of a guest (authenticateGuest checked that it is active)
+ */
+async function findGuestScavenger(req) {
+  const game = await games.findById(req.params.gameId);
+  if (!game || game.event_id !== req.guest.event_id) return null;
+
+  return photoScavengerService.isPhotoScavenger(game) ? game : null;
+}
+
+function getAccessToken(req) {
+  return req.query.token || req.headers['x-access-token'];
+}
+
+/**
+ * GET /api/games/public/:gameId/scavenger - Prompts of the guest with the photos sent
+ */
+router.get('/public/:gameId/scavenger', authenticateGuest, scavengerValidationSchema.checklist, async (req, res) => {
+  try {
+    const game = await findGuestScavenger(req);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Photo scavenger game not found' });
+    }
+
+    const checklist = await photoScavengerService.getChecklist(game, req.guest, getAccessToken(req));
+
+    res.json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    logger.error('Error fetching photo scavenger checklist:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching checklist'
+    });
+  }
+});
+
+/**
+ * POST /api/games/public/:gameId/scavenger/:questionId - Complete a prompt with a photo (multipart "file")
+ * The photo is also added to the event gallery
+ */
+router.post('/public/:gameId/scavenger/:questionId', authenticateGuest, uploadLimiter, upload.single('file'), scavengerValidationSchema.submit, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const game = await findGuestScavenger(req);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Photo scavenger game not found' });
+    }
+
+    const item = await photoScavengerService.submitPhoto(game, req.guest, req.params.questionId, req.file, {
+      playerName: req.body.playerName,
+      accessToken: getAccessToken(req),
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: item.status === 'pending' ? 'Photo sent, waiting for approval' : 'Prompt completed',
+      data: item
+    });
+  } catch (error) {
+    if (SCAVENGER_ERROR_STATUS[error.code]) {
+      return sendScavengerError(res, error);
+    }
+
+    logger.error('Error submitting photo scavenger photo:', { error: error.message, gameId: req.params.gameId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting photo'
+    });
+  }
+});
+
+module.exports = router;
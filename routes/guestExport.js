@@ -0,0 +1,132 @@
+/**
+ * Routes d'export de la liste des invités (CSV / XLSX / PDF)
+ * Réponses RSVP, régimes alimentaires, placement à table et arrivées, pour traiteurs et lieux
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const guestExportService = require('../services/guestExportService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const { COLUMNS, DEFAULT_COLUMNS, RSVP_STATUSES } = guestExportService;
+
+// Validation schemas
+const guestExportValidationSchema = {
+  export: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      format: Joi.string().valid(...guestExportService.EXPORT_FORMATS).default('json'),
+      columns: Joi.string().pattern(/^[a-z_]+(,[a-z_]+)*$/).optional(), // "name,table,dietary_restrictions"
+      attending_only: Joi.boolean().optional(),
+      rsvp_status: Joi.string().valid(...Object.values(RSVP_STATUSES)).optional(),
+      has_dietary_restriction: Joi.boolean().optional(),
+      table_id: Joi.string().uuid().optional(),
+      unassigned: Joi.boolean().optional(),
+      checked_in: Joi.boolean().optional(),
+      search: Joi.string().trim().max(100).optional(),
+      sort: Joi.string().valid('name', 'family', 'table').default('family'),
+      locale: Joi.string().valid('fr', 'en').default('fr')
+    })
+  })
+};
+
+/**
+ * Helper: Human-readable summary of the active filters (printed on the PDF)
+ */
+function describeFilters(filters, locale) {
+  const labels = locale === 'en'
+    ? { attendingOnly: 'attending only', hasDietaryRestriction: 'with dietary restriction', unassigned: 'without table', checkedIn: 'checked in' }
+    : { attendingOnly: 'présents uniquement', hasDietaryRestriction: 'avec régime alimentaire', unassigned: 'sans table', checkedIn: 'arrivés' };
+
+  return Object.entries(labels)
+    .filter(([key]) => filters[key] === true)
+    .map(([, label]) => label)
+    .join(', ') || null;
+}
+
+/**
+ * GET /api/events/:eventId/guests/export - Export the guest list
+ * format: json (default) | csv | xlsx | pdf; columns: comma-separated keys (see data.columns in JSON)
+ */
+router.get('/events/:eventId/guests/export', authenticateToken, generalLimiter, guestExportValidationSchema.export, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const columns = req.query.columns ? [...new Set(req.query.columns.split(','))] : DEFAULT_COLUMNS;
+    const unknownColumns = columns.filter(column => !COLUMNS[column]);
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown column(s): ${unknownColumns.join(', ')}`,
+        available_columns: Object.keys(COLUMNS)
+      });
+    }
+
+    const filters = {
+      attendingOnly: req.query.attending_only,
+      rsvpStatus: req.query.rsvp_status,
+      hasDietaryRestriction: req.query.has_dietary_restriction,
+      tableId: req.query.table_id,
+      unassigned: req.query.unassigned,
+      checkedIn: req.query.checked_in,
+      search: req.query.search
+    };
+
+    const result = await guestExportService.exportGuests({
+      event,
+      format: req.query.format,
+      columns,
+      filters,
+      sort: req.query.sort,
+      locale: req.query.locale,
+      filtersLabel: describeFilters(filters, req.query.locale)
+    });
+
+    if (req.query.format !== 'json') {
+      await auditService.logEvent({
+        userId: req.user.id,
+        action: auditService.ACTIONS.DATA_EXPORT,
+        resourceType: auditService.RESOURCE_TYPES.GUEST,
+        eventId: event.id,
+        ipAddress: req.ip,
+        details: { format: req.query.format, columns, filters }
+      });
+
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="guests-${event.id}.${result.extension}"`);
+      return res.send(result.buffer);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        event: { id: event.id, title: event.title, date: event.date },
+        exportDate: new Date().toISOString(),
+        columns: columns.map(column => ({ key: column, label: COLUMNS[column][req.query.locale] })),
+        rows: result.rows,
+        summary: result.summary
+      },
+      count: result.rows.length
+    });
+  } catch (error) {
+    logger.error('Error exporting guests:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting guests'
+    });
+  }
+});
+
+module.exports = router;
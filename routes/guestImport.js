@@ -0,0 +1,172 @@
+/**
+ * Routes d'import groupé d'invités et de familles (CSV / XLSX)
+ * Correspondance des colonnes, regroupement par foyer, aperçu (dry-run) puis import transactionnel
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/security');
+const uploadImport = require('../middleware/uploadImport');
+const guestImportService = require('../services/guestImportService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const { IMPORT_ERROR_CODES } = guestImportService;
+
+// Multipart fields arrive as strings: mapping is a JSON object { field: "Column header" }
+const mappingSchema = Joi.object().pattern(
+  Joi.string().valid(...guestImportService.IMPORT_FIELDS),
+  Joi.string().trim().min(1).max(100)
+);
+
+// Validation schemas
+const guestImportValidationSchema = {
+  import: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      mapping: Joi.string().max(5000).optional(),
+      grouping: Joi.string().valid(...Object.values(guestImportService.GROUPING)).optional(),
+      dry_run: Joi.boolean().truthy('1').falsy('0').default(true),
+      on_error: Joi.string().valid('abort', 'skip').default('abort') // skip = import the valid rows only
+    })
+  })
+};
+
+/**
+ * Helper: Parse and validate the JSON column mapping
+ */
+function parseMapping(rawMapping) {
+  if (!rawMapping) return {};
+
+  let mapping;
+  try {
+    mapping = JSON.parse(rawMapping);
+  } catch (error) {
+    throw Object.assign(new Error('mapping must be a JSON object'), { code: IMPORT_ERROR_CODES.INVALID_MAPPING });
+  }
+
+  const { error, value } = mappingSchema.validate(mapping);
+  if (error) {
+    throw Object.assign(new Error(`Invalid mapping: ${error.message}`), { code: IMPORT_ERROR_CODES.INVALID_MAPPING });
+  }
+
+  return value;
+}
+
+/**
+ * GET /api/guests/import/fields - Importable fields and the column headers recognized automatically
+ */
+router.get('/guests/import/fields', authenticateToken, (req, res) => {
+  const fields = guestImportService.listImportFields();
+
+  res.json({
+    success: true,
+    data: {
+      fields,
+      groupings: Object.values(guestImportService.GROUPING),
+      max_rows: guestImportService.MAX_ROWS
+    },
+    count: fields.length
+  });
+});
+
+/**
+ * POST /api/events/:eventId/guests/import - Import guests and households from a CSV / XLSX file
+ * dry_run (default true) only returns the plan: inserts, updates, validation errors and warnings
+ */
+router.post('/events/:eventId/guests/import', authenticateToken, uploadLimiter, uploadImport.single('file'), guestImportValidationSchema.import, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A CSV or XLSX file is required (field "file")' });
+    }
+
+    const parsed = await guestImportService.parseSpreadsheet(req.file);
+    const { plan, payload } = await guestImportService.buildImportPlan({
+      eventId: event.id,
+      parsed,
+      mapping: parseMapping(req.body.mapping),
+      grouping: req.body.grouping || null
+    });
+
+    if (req.body.dry_run) {
+      return res.json({
+        success: true,
+        message: 'Dry run: nothing was imported',
+        dry_run: true,
+        data: plan
+      });
+    }
+
+    if (plan.errors.length > 0 && req.body.on_error === 'abort') {
+      return res.status(422).json({
+        success: false,
+        message: `${plan.summary.invalid_rows} row(s) have errors; fix them or use on_error=skip`,
+        code: 'IMPORT_VALIDATION_FAILED',
+        data: plan
+      });
+    }
+
+    if (payload.guests.length === 0 && payload.families.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Nothing to import',
+        dry_run: false,
+        data: plan
+      });
+    }
+
+    const result = await guestImportService.applyImportPlan({
+      eventId: event.id,
+      userId: req.user.id,
+      payload
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.DATA_IMPORT,
+      resourceType: auditService.RESOURCE_TYPES.GUEST,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: {
+        file_name: req.file.originalname,
+        rows: plan.summary.rows,
+        skipped_rows: plan.summary.invalid_rows,
+        guests_created: result.guests_created,
+        guests_updated: result.guests_updated,
+        families_created: result.families_created,
+        families_updated: result.families_updated
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.guests_created} guest(s) created, ${result.guests_updated} updated`,
+      dry_run: false,
+      data: { ...plan, result }
+    });
+  } catch (error) {
+    if (Object.values(IMPORT_ERROR_CODES).includes(error.code)) {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+
+    logger.error('Error importing guests:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing guests'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Routes des statistiques d'invitation
+ * Ouvertures, familles uniques, délai ouverture -> RSVP, conversion par design, appareils et origines
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const invitationAnalyticsService = require('../services/invitationAnalyticsService');
+const { invitationDesigns } = require('../utils/database');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const analyticsQuerySchema = Joi.object().keys({
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  interval: Joi.string().valid(...invitationAnalyticsService.INTERVALS).default('day')
+});
+
+// Validation schemas
+const analyticsValidationSchema = {
+  event: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: analyticsQuerySchema
+  }),
+
+  design: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      designId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: analyticsQuerySchema
+  })
+};
+
+const getRange = (query) => ({
+  from: query.from ? new Date(query.from).toISOString() : null,
+  to: query.to ? new Date(query.to).toISOString() : null,
+  interval: query.interval
+});
+
+/**
+ * GET /api/events/:eventId/invitation-analytics - Engagement of the event invitations, per design
+ */
+router.get('/events/:eventId/invitation-analytics', authenticateToken, generalLimiter, analyticsValidationSchema.event, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const analytics = await invitationAnalyticsService.getEventAnalytics(event.id, getRange(req.query));
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    logger.error('Error fetching invitation analytics:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation analytics'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/invitation-designs/:designId/analytics - Engagement of the families assigned to a design
+ */
+router.get('/events/:eventId/invitation-designs/:designId/analytics', authenticateToken, generalLimiter, analyticsValidationSchema.design, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const design = await invitationDesigns.findById(req.params.designId);
+    if (!design || design.event_id !== event.id) {
+      return res.status(404).json({ success: false, message: 'Invitation design not found' });
+    }
+
+    const analytics = await invitationAnalyticsService.getEventAnalytics(event.id, {
+      ...getRange(req.query),
+      designId: design.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        design: { id: design.id, name: design.name, template: design.template, status: design.status },
+        ...analytics
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching invitation design analytics:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation design analytics'
+    });
+  }
+});
+
+module.exports = router;
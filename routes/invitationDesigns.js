@@ -8,9 +8,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { supabaseService } = require('../config/supabase');
 const { authenticateToken } = require('../middleware/auth');
+const { invitationDesigns } = require('../utils/database');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const invitationDesignService = require('../services/invitationDesignService');
+const invitationTemplateService = require('../services/invitationTemplateService');
+const { PAPER_SIZES } = require('../services/printService');
 const logger = require('../utils/logger');
 
 // ============================================
@@ -23,9 +28,13 @@ const validateInvitationDesign = [
         .notEmpty().withMessage('Le nom est requis')
         .isLength({ min: 3, max: 255 }).withMessage('Le nom doit contenir entre 3 et 255 caractères'),
     body('template')
+        .if(body('template_id').not().exists())
         .trim()
         .notEmpty().withMessage('Le template est requis')
         .isLength({ max: 100 }).withMessage('Le template ne peut pas dépasser 100 caractères'),
+    body('template_id')
+        .optional()
+        .isUUID().withMessage('ID de template invalide'),
     body('status')
         .optional()
         .isIn(['draft', 'published', 'completed']).withMessage('Statut invalide'),
@@ -49,6 +58,61 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Numéro de version publiée, ou 'draft' pour le brouillon en cours d'édition
+const isVersion = (value) => value === invitationDesignService.DRAFT_VERSION || /^[1-9]\d*$/.test(String(value));
+
+const parseVersion = (value) =>
+    (value === invitationDesignService.DRAFT_VERSION ? value : parseInt(value, 10));
+
+/**
+ * Charge un design et l'événement auquel il appartient, si l'utilisateur y a accès
+ * (propriétaire ou collaborateur avec la permission demandée)
+ */
+const findAuthorizedDesign = async (designId, userId, permission) => {
+    const design = await invitationDesigns.findById(designId);
+    if (!design) {
+        return null;
+    }
+
+    const event = await authorizeEvent(design.event_id, userId, permission);
+    return event ? { design, event } : null;
+};
+
+const sendDesignNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Design non trouvé'
+});
+
+const sendVersionError = (res, error) => {
+    if (error.code === 'VERSION_NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Version non trouvée' });
+    }
+    if (error.code === 'FAMILY_NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Famille non trouvée pour cet événement' });
+    }
+    if (error.code === 'NAME_TAKEN') {
+        return res.status(400).json({
+            success: false,
+            message: 'Un autre design de cet événement utilise désormais le nom de cette version'
+        });
+    }
+    return null;
+};
+
+const sendTemplateError = (res, error) => {
+    if (error.code === invitationTemplateService.TEMPLATE_ERRORS.TEMPLATE_NOT_FOUND) {
+        return res.status(400).json({ success: false, message: 'Template inconnu' });
+    }
+    if (error.code === invitationTemplateService.TEMPLATE_ERRORS.INVALID_CUSTOM_DATA) {
+        return res.status(400).json({
+            success: false,
+            message: 'Les données personnalisées ne correspondent pas au template',
+            errors: error.errors
+        });
+    }
+    return null;
+};
+
 // ============================================
 // ROUTES
 // ============================================
@@ -69,15 +133,9 @@ router.get(
         const userId = req.user.id;
 
         try {
-            // Vérifier que l'événement appartient à l'utilisateur
-            const { data: event, error: eventError } = await supabaseService
-                .from('events')
-                .select('id')
-                .eq('id', eventId)
-                .eq('user_id', userId)
-                .single();
-
-            if (eventError || !event) {
+            // Propriétaire ou collaborateur de l'événement
+            const event = await authorizeEvent(eventId, userId, PERMISSIONS.VIEW);
+            if (!event) {
                 return res.status(404).json({
                     success: false,
                     message: 'Événement non trouvé'
@@ -127,18 +185,12 @@ router.post(
     async (req, res) => {
         const { eventId } = req.params;
         const userId = req.user.id;
-        const { name, template, status = 'draft', cover_image, custom_data = {} } = req.body;
+        const { name, template, template_id, status = 'draft', cover_image, custom_data = {} } = req.body;
 
         try {
-            // Vérifier que l'événement appartient à l'utilisateur
-            const { data: event, error: eventError } = await supabaseService
-                .from('events')
-                .select('id')
-                .eq('id', eventId)
-                .eq('user_id', userId)
-                .single();
-
-            if (eventError || !event) {
+            // Propriétaire ou collaborateur de l'événement
+            const event = await authorizeEvent(eventId, userId, PERMISSIONS.EDIT);
+            if (!event) {
                 return res.status(404).json({
                     success: false,
                     message: 'Événement non trouvé'
@@ -160,6 +212,15 @@ router.post(
                 });
             }
 
+            // Template système, ou template privé de l'organisateur complété par la requête
+            const content = await invitationTemplateService.resolveNewDesignContent({
+                template,
+                templateId: template_id,
+                customData: custom_data,
+                coverImage: cover_image,
+                userId
+            });
+
             // Créer le design
             const { data: design, error: createError } = await supabaseService
                 .from('invitation_designs')
@@ -167,10 +228,8 @@ router.post(
                     event_id: eventId,
                     user_id: userId,
                     name,
-                    template,
                     status,
-                    cover_image,
-                    custom_data: custom_data || {}
+                    ...content
                 })
                 .select()
                 .single();
@@ -185,12 +244,18 @@ router.post(
                 template: design.template
             });
 
+            // Créé directement publié : il devient sa version 1
+            const createdDesign = status === 'published'
+                ? (await invitationDesignService.publishDesign(design, userId)).design
+                : design;
+
             res.status(201).json({
                 success: true,
                 message: 'Design d\'invitation créé avec succès',
-                data: design
+                data: createdDesign
             });
         } catch (error) {
+            if (sendTemplateError(res, error)) return;
             logger.error('Error creating invitation design:', error);
             res.status(500).json({
                 success: false,
@@ -216,26 +281,17 @@ router.get(
         const userId = req.user.id;
 
         try {
-            const { data: design, error } = await supabaseService
-                .from('invitation_designs')
-                .select('*, events!inner(user_id)')
-                .eq('id', designId)
-                .eq('events.user_id', userId)
-                .single();
-
-            if (error || !design) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Design non trouvé'
-                });
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.VIEW);
+            if (!access) {
+                return sendDesignNotFound(res);
             }
 
-            // Remove the nested events object
-            const { events, ...designData } = design;
-
             res.json({
                 success: true,
-                data: designData
+                data: {
+                    ...access.design,
+                    has_unpublished_changes: await invitationDesignService.hasUnpublishedChanges(access.design)
+                }
             });
         } catch (error) {
             logger.error('Error fetching invitation design:', error);
@@ -266,23 +322,15 @@ router.put(
     async (req, res) => {
         const { designId } = req.params;
         const userId = req.user.id;
-        const updates = req.body;
+        // La version publiée ne change que par publication ou retour à une version
+        const { published_version, ...updates } = req.body;
 
         try {
-            // Vérifier que le design appartient à l'utilisateur
-            const { data: designCheck, error: checkError } = await supabaseService
-                .from('invitation_designs')
-                .select('id, event_id, events!inner(user_id)')
-                .eq('id', designId)
-                .eq('events.user_id', userId)
-                .single();
-
-            if (checkError || !designCheck) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Design non trouvé'
-                });
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.EDIT);
+            if (!access) {
+                return sendDesignNotFound(res);
             }
+            const designCheck = access.design;
 
             // Si le nom est modifié, vérifier qu'il n'est pas déjà utilisé
             if (updates.name) {
@@ -302,6 +350,15 @@ router.put(
                 }
             }
 
+            // Le custom_data doit respecter le schéma du template (les anciens templates libres restent acceptés tant qu'ils ne changent pas)
+            if (updates.template !== undefined || updates.custom_data !== undefined) {
+                invitationTemplateService.validateDesignContent({
+                    template: updates.template ?? designCheck.template,
+                    customData: updates.custom_data ?? designCheck.custom_data,
+                    allowLegacyTemplate: updates.template === undefined
+                });
+            }
+
             // Mettre à jour le design
             const { data: updatedDesign, error: updateError } = await supabaseService
                 .from('invitation_designs')
@@ -314,14 +371,24 @@ router.put(
                 throw updateError;
             }
 
+            // Passer au statut publié publie le brouillon (nouvelle version seulement s'il a changé)
+            let design = updatedDesign;
+            if (updates.status === 'published' && await invitationDesignService.hasUnpublishedChanges(design)) {
+                ({ design } = await invitationDesignService.publishDesign(design, userId));
+            }
+
             logger.info(`Updated invitation design ${designId}`);
 
             res.json({
                 success: true,
                 message: 'Design mis à jour avec succès',
-                data: updatedDesign
+                data: {
+                    ...design,
+                    has_unpublished_changes: await invitationDesignService.hasUnpublishedChanges(design)
+                }
             });
         } catch (error) {
+            if (sendTemplateError(res, error)) return;
             logger.error('Error updating invitation design:', error);
             res.status(500).json({
                 success: false,
@@ -347,19 +414,9 @@ router.delete(
         const userId = req.user.id;
 
         try {
-            // Vérifier que le design appartient à l'utilisateur et le supprimer
-            const { data: design, error: checkError } = await supabaseService
-                .from('invitation_designs')
-                .select('id, events!inner(user_id)')
-                .eq('id', designId)
-                .eq('events.user_id', userId)
-                .single();
-
-            if (checkError || !design) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Design non trouvé'
-                });
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.EDIT);
+            if (!access) {
+                return sendDesignNotFound(res);
             }
 
             // Supprimer le design
@@ -388,6 +445,314 @@ router.delete(
     }
 );
 
+/**
+ * POST /api/invitation-designs/:designId/publish
+ * Publie le brouillon du design comme nouvelle version (immuable) montrée aux invités
+ */
+router.post(
+    '/invitation-designs/:designId/publish',
+    authenticateToken,
+    [
+        param('designId').isUUID().withMessage('ID de design invalide'),
+        body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('La note ne peut pas dépasser 500 caractères'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const { designId } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.EDIT);
+            if (!access) {
+                return sendDesignNotFound(res);
+            }
+
+            if (!await invitationDesignService.hasUnpublishedChanges(access.design)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Aucune modification à publier depuis la dernière version'
+                });
+            }
+
+            const result = await invitationDesignService.publishDesign(access.design, userId, {
+                note: req.body.note || null
+            });
+
+            logger.info(`Published invitation design ${designId} version ${result.version.version}`);
+
+            res.status(201).json({
+                success: true,
+                message: `Version ${result.version.version} publiée avec succès`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Error publishing invitation design:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erreur lors de la publication du design'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/invitation-designs/:designId/versions
+ * Historique des versions publiées d'un design
+ */
+router.get(
+    '/invitation-designs/:designId/versions',
+    authenticateToken,
+    [
+        param('designId').isUUID().withMessage('ID de design invalide'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const { designId } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.VIEW);
+            if (!access) {
+                return sendDesignNotFound(res);
+            }
+
+            const [versions, hasUnpublishedChanges] = await Promise.all([
+                invitationDesignService.listVersions(access.design),
+                invitationDesignService.hasUnpublishedChanges(access.design)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    published_version: access.design.published_version,
+                    has_unpublished_changes: hasUnpublishedChanges,
+                    versions
+                },
+                count: versions.length
+            });
+        } catch (error) {
+            logger.error('Error fetching invitation design versions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erreur lors de la récupération des versions'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/invitation-designs/:designId/versions/:version
+ * Contenu d'une version publiée (ou du brouillon avec 'draft')
+ */
+router.get(
+    '/invitation-designs/:designId/versions/:version',
+    authenticateToken,
+    [
+        param('designId').isUUID().withMessage('ID de design invalide'),
+        param('version').custom(isVersion).withMessage('Version invalide'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const { designId } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.VIEW);
+            if (!access) {
+                return sendDesignNotFound(res);
+            }
+
+            const content = await invitationDesignService.getVersionContent(access.design, parseVersion(req.params.version));
+
+            res.json({
+                success: true,
+                data: content
+            });
+        } catch (error) {
+            if (sendVersionError(res, error)) return;
+            logger.error('Error fetching invitation design version:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erreur lors de la récupération de la version'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/invitation-designs/:designId/diff?from=1&to=draft
+ * Différences champ par champ entre deux versions (par défaut : version publiée -> brouillon)
+ */
+router.get(
+    '/invitation-designs/:designId/diff',
+    authenticateToken,
+    [
+        param('designId').isUUID().withMessage('ID de design invalide'),
+        query('from').optional().custom(isVersion).withMessage('Version de départ invalide'),
+        query('to').optional().custom(isVersion).withMessage('Version d\'arrivée invalide'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const { designId } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.VIEW);
+            if (!access) {
+                return sendDesignNotFound(res);
+            }
+
+            const { design } = access;
+            const from = req.query.from || design.published_version;
+            if (!from) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ce design n\'a jamais été publié : indiquez la version de départ'
+                });
+            }
+
+            const [fromContent, toContent] = await Promise.all([
+                invitationDesignService.getVersionContent(design, parseVersion(from)),
+                invitationDesignService.getVersionContent(design, parseVersion(req.query.to || invitationDesignService.DRAFT_VERSION))
+            ]);
+            const changes = invitationDesignService.diffContents(fromContent, toContent);
+
+            res.json({
+                success: true,
+                data: {
+                    from: fromContent.version,
+                    to: toContent.version,
+                    changes
+                },
+                count: changes.length
+            });
+        } catch (error) {
+            if (sendVersionError(res, error)) return;
+            logger.error('Error comparing invitation design versions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erreur lors de la comparaison des versions'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/invitation-designs/:designId/versions/:version/rollback
+ * Restaure une version dans le brouillon et la republie comme nouvelle version
+ * (publish: false pour seulement restaurer le brouillon)
+ */
+router.post(
+    '/invitation-designs/:designId/versions/:version/rollback',
+    authenticateToken,
+    [
+        param('designId').isUUID().withMessage('ID de design invalide'),
+        param('version').isInt({ min: 1 }).withMessage('Version invalide').toInt(),
+        body('publish').optional().isBoolean().withMessage('publish doit être un booléen').toBoolean(),
+        body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('La note ne peut pas dépasser 500 caractères'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const { designId, version } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.EDIT);
+            if (!access) {
+                return sendDesignNotFound(res);
+            }
+
+            const result = await invitationDesignService.rollbackDesign(access.design, version, userId, {
+                publish: req.body.publish !== false,
+                note: req.body.note || null
+            });
+
+            logger.info(`Rolled back invitation design ${designId} to version ${version}`, {
+                publishedVersion: result.version?.version || null
+            });
+
+            res.json({
+                success: true,
+                message: result.version
+                    ? `Version ${version} restaurée et publiée (version ${result.version.version})`
+                    : `Version ${version} restaurée dans le brouillon`,
+                data: result
+            });
+        } catch (error) {
+            if (sendVersionError(res, error)) return;
+            logger.error('Error rolling back invitation design:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erreur lors de la restauration de la version'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/invitation-designs/:designId/preview?family_id=&version=draft&format=json|pdf
+ * Aperçu du design pour une famille (nom, nombre d'invités... substitués) avant publication
+ */
+router.get(
+    '/invitation-designs/:designId/preview',
+    authenticateToken,
+    [
+        param('designId').isUUID().withMessage('ID de design invalide'),
+        query('family_id').optional().isUUID().withMessage('ID de famille invalide'),
+        query('version').optional().custom(isVersion).withMessage('Version invalide'),
+        query('format').optional().isIn(invitationDesignService.PREVIEW_FORMATS).withMessage('Format invalide'),
+        query('paper_size').optional().toUpperCase().isIn(Object.keys(PAPER_SIZES)).withMessage('Format de papier invalide'),
+        query('orientation').optional().isIn(['portrait', 'landscape']).withMessage('Orientation invalide'),
+        query('locale').optional().isIn(['fr', 'en']).withMessage('Langue invalide'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const { designId } = req.params;
+        const userId = req.user.id;
+        const locale = req.query.locale || 'fr';
+
+        try {
+            const access = await findAuthorizedDesign(designId, userId, PERMISSIONS.VIEW);
+            if (!access) {
+                return sendDesignNotFound(res);
+            }
+
+            const preview = await invitationDesignService.buildPreview({
+                event: access.event,
+                design: access.design,
+                version: parseVersion(req.query.version || invitationDesignService.DRAFT_VERSION),
+                familyId: req.query.family_id || null,
+                locale
+            });
+
+            if (req.query.format === 'pdf') {
+                const buffer = await invitationDesignService.renderPreviewPdf({
+                    event: access.event,
+                    preview,
+                    options: { paperSize: req.query.paper_size, orientation: req.query.orientation },
+                    locale
+                });
+
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `inline; filename="preview-${designId}-${preview.version}.pdf"`);
+                return res.send(buffer);
+            }
+
+            res.json({
+                success: true,
+                data: preview
+            });
+        } catch (error) {
+            if (sendVersionError(res, error)) return;
+            logger.error('Error previewing invitation design:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erreur lors de la génération de l\'aperçu'
+            });
+        }
+    }
+);
+
 /**
  * PATCH /api/invitation-designs/:designId/increment-views
  * Incrémente le compteur de vues d'un design
@@ -8,8 +8,12 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, validationResult } = require('express-validator');
+const crypto = require('crypto');
 const { supabaseService } = require('../config/supabase');
+const { familyInvitations } = require('../utils/database');
+const invitationResolutionService = require('../services/invitationResolutionService');
 const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
 const logger = require('../utils/logger');
 
 // ============================================
@@ -48,15 +52,9 @@ router.get(
         const userId = req.user.id;
 
         try {
-            // Vérifier que l'événement appartient à l'utilisateur
-            const { data: event, error: eventError } = await supabaseService
-                .from('events')
-                .select('id')
-                .eq('id', eventId)
-                .eq('user_id', userId)
-                .single();
-
-            if (eventError || !event) {
+            // Propriétaire ou collaborateur de l'événement
+            const event = await authorizeEvent(eventId, userId, PERMISSIONS.VIEW);
+            if (!event) {
                 return res.status(404).json({
                     success: false,
                     message: 'Événement non trouvé'
@@ -110,15 +108,9 @@ router.post(
         const userId = req.user.id;
 
         try {
-            // Vérifier que l'événement appartient à l'utilisateur
-            const { data: event, error: eventError } = await supabaseService
-                .from('events')
-                .select('id')
-                .eq('id', eventId)
-                .eq('user_id', userId)
-                .single();
-
-            if (eventError || !event) {
+            // Propriétaire ou collaborateur de l'événement
+            const event = await authorizeEvent(eventId, userId, PERMISSIONS.EDIT);
+            if (!event) {
                 return res.status(404).json({
                     success: false,
                     message: 'Événement non trouvé'
@@ -143,7 +135,7 @@ router.post(
             // Vérifier que la famille appartient à cet événement
             const { data: family, error: familyError } = await supabaseService
                 .from('families')
-                .select('id')
+                .select('id, max_people')
                 .eq('id', family_id)
                 .eq('event_id', eventId)
                 .single();
@@ -176,35 +168,23 @@ router.post(
                 throw assignError;
             }
 
-            // Générer un QR code pour cette famille si elle n'en a pas déjà un
-            const { data: existingQR } = await supabaseService
-                .from('qr_codes')
-                .select('id, code')
-                .eq('family_id', family_id)
-                .eq('event_id', eventId)
-                .maybeSingle();
-
-            let qrCode = existingQR?.code;
-
-            if (!existingQR) {
-                // Générer un nouveau code unique
-                const crypto = require('crypto');
-                qrCode = crypto.randomBytes(16).toString('hex');
-
-                // Créer le QR code
-                const { data: newQR, error: qrError } = await supabaseService
-                    .from('qr_codes')
-                    .insert({
-                        code: qrCode,
-                        family_id: family_id,
-                        event_id: eventId,
-                        created_at: new Date().toISOString()
-                    })
-                    .select()
-                    .single();
-
-                if (qrError) {
-                    logger.error('Error creating QR code:', qrError);
+            // Générer un code d'invitation pour cette famille si elle n'en a pas déjà un
+            const existingInvitation = await familyInvitations.findByEventAndFamily(eventId, family_id);
+
+            let qrCode = existingInvitation?.qr_code;
+
+            if (!existingInvitation) {
+                try {
+                    const newInvitation = await invitationResolutionService.issueInvitationCode({
+                        eventId,
+                        familyId: family_id,
+                        userId,
+                        invitedCount: family.max_people || 1,
+                        code: crypto.randomBytes(16).toString('hex')
+                    });
+                    qrCode = newInvitation.qr_code;
+                } catch (invitationError) {
+                    logger.error('Error creating family invitation:', invitationError);
                     // Continue anyway, QR code generation is not critical
                 }
             }
@@ -251,15 +231,14 @@ router.delete(
         const userId = req.user.id;
 
         try {
-            // Vérifier que l'assignation existe et appartient à l'utilisateur
+            // Vérifier que l'assignation existe et que l'utilisateur peut modifier son événement
             const { data: assignment, error: checkError } = await supabaseService
                 .from('invitation_family_assignments')
-                .select('id, event_id, events!inner(user_id)')
+                .select('id, event_id')
                 .eq('id', assignmentId)
-                .eq('events.user_id', userId)
-                .single();
+                .maybeSingle();
 
-            if (checkError || !assignment) {
+            if (checkError || !assignment || !(await authorizeEvent(assignment.event_id, userId, PERMISSIONS.EDIT))) {
                 return res.status(404).json({
                     success: false,
                     message: 'Assignation non trouvée'
@@ -312,15 +291,9 @@ router.post(
         const userId = req.user.id;
 
         try {
-            // Vérifier que l'événement appartient à l'utilisateur
-            const { data: event, error: eventError } = await supabaseService
-                .from('events')
-                .select('id')
-                .eq('id', eventId)
-                .eq('user_id', userId)
-                .single();
-
-            if (eventError || !event) {
+            // Propriétaire ou collaborateur de l'événement
+            const event = await authorizeEvent(eventId, userId, PERMISSIONS.EDIT);
+            if (!event) {
                 return res.status(404).json({
                     success: false,
                     message: 'Événement non trouvé'
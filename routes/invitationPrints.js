@@ -0,0 +1,160 @@
+/**
+ * Routes d'impression des invitations (PDF prêts pour l'imprimeur)
+ * Cartes d'invitation par famille et planches de QR codes étiquetés
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const printService = require('../services/printService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const { PRINT_TYPES, PAPER_SIZES } = printService;
+
+const commonPrintQuery = {
+  paper_size: Joi.string().uppercase().valid(...Object.keys(PAPER_SIZES)),
+  orientation: Joi.string().valid('portrait', 'landscape').default('portrait'),
+  crop_marks: Joi.boolean().default(false),
+  family_ids: Joi.string().pattern(/^[0-9a-f-]{36}(,[0-9a-f-]{36})*$/i).optional(), // "uuid,uuid"
+  locale: Joi.string().valid('fr', 'en').default('fr')
+};
+
+// Validation schemas
+const printValidationSchema = {
+  cards: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      ...commonPrintQuery,
+      paper_size: commonPrintQuery.paper_size.default('A5'),
+      bleed_mm: Joi.number().min(0).max(printService.MAX_BLEED_MM).default(0),
+      design_id: Joi.string().uuid().optional() // Design for families without assignment
+    })
+  }),
+  qrSheet: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      ...commonPrintQuery,
+      paper_size: commonPrintQuery.paper_size.default('A4'),
+      columns: Joi.number().integer().min(1).max(6).default(3),
+      rows: Joi.number().integer().min(1).max(8).default(4)
+    })
+  })
+};
+
+/**
+ * Helper: Send a generated PDF and audit the export
+ */
+async function sendPrint(req, res, { event, type, result, options }) {
+  await auditService.logEvent({
+    userId: req.user.id,
+    action: auditService.ACTIONS.DATA_EXPORT,
+    resourceType: auditService.RESOURCE_TYPES.FAMILY,
+    eventId: event.id,
+    ipAddress: req.ip,
+    details: { format: 'pdf', type, families: result.count, ...options }
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${type.replace('_', '-')}-${event.id}.pdf"`);
+  res.setHeader('X-Print-Count', String(result.count));
+  res.send(result.buffer);
+}
+
+/**
+ * GET /api/events/:eventId/print/invitation-cards - One print-ready card per family (PDF)
+ * Each family gets its assigned design; bleed_mm and crop_marks are for the print shop
+ */
+router.get('/events/:eventId/print/invitation-cards', authenticateToken, generalLimiter, printValidationSchema.cards, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const options = {
+      paperSize: req.query.paper_size,
+      orientation: req.query.orientation,
+      bleedMm: req.query.bleed_mm,
+      cropMarks: req.query.crop_marks
+    };
+
+    const result = await printService.renderInvitationCards({
+      event,
+      familyIds: req.query.family_ids ? req.query.family_ids.split(',') : null,
+      designId: req.query.design_id || null,
+      options,
+      locale: req.query.locale
+    });
+
+    if (result.count === 0) {
+      return res.status(400).json({ success: false, message: 'No family invitation to print' });
+    }
+
+    await sendPrint(req, res, { event, type: PRINT_TYPES.CARDS, result, options });
+  } catch (error) {
+    if (error.code === 'TOO_MANY_FAMILIES') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+
+    logger.error('Error rendering invitation cards:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rendering invitation cards'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/print/qr-sheet - Sheets of labelled QR codes (family name, invited count)
+ */
+router.get('/events/:eventId/print/qr-sheet', authenticateToken, generalLimiter, printValidationSchema.qrSheet, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const options = {
+      paperSize: req.query.paper_size,
+      orientation: req.query.orientation,
+      columns: req.query.columns,
+      rows: req.query.rows,
+      cropMarks: req.query.crop_marks
+    };
+
+    const result = await printService.renderQRSheets({
+      event,
+      familyIds: req.query.family_ids ? req.query.family_ids.split(',') : null,
+      options,
+      locale: req.query.locale
+    });
+
+    if (result.count === 0) {
+      return res.status(400).json({ success: false, message: 'No family invitation to print' });
+    }
+
+    await sendPrint(req, res, { event, type: PRINT_TYPES.QR_SHEET, result, options });
+  } catch (error) {
+    if (error.code === 'TOO_MANY_FAMILIES') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+
+    logger.error('Error rendering QR sheet:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rendering QR sheet'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * Routes du catalogue de templates d'invitation
+ * Templates système (avec le schéma de leur custom_data) et templates privés des organisateurs
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { invitationDesigns } = require('../utils/database');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const invitationTemplateService = require('../services/invitationTemplateService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const TEMPLATE_ERROR_STATUS = {
+  TEMPLATE_NOT_FOUND: 404,
+  TEMPLATE_NAME_TAKEN: 409,
+  TEMPLATE_LIMIT_REACHED: 400
+};
+
+// Validation schemas
+const templateValidationSchema = {
+  create: celebrate({
+    [Segments.BODY]: Joi.object().keys({
+      design_id: Joi.string().uuid().required(),
+      name: Joi.string().trim().min(3).max(255).required(),
+      description: Joi.string().trim().max(1000).allow('', null)
+    })
+  }),
+
+  templateParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      templateId: Joi.string().uuid().required()
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a template error code
+ */
+function sendTemplateError(res, error) {
+  return res.status(TEMPLATE_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/invitation-templates - System templates and the organizer's private templates
+ */
+router.get('/invitation-templates', authenticateToken, generalLimiter, async (req, res) => {
+  try {
+    const templates = await invitationTemplateService.listTemplates(req.user.id);
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    logger.error('Error fetching invitation templates:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation templates'
+    });
+  }
+});
+
+/**
+ * POST /api/invitation-templates - Save a design as a private template
+ */
+router.post('/invitation-templates', authenticateToken, generalLimiter, templateValidationSchema.create, async (req, res) => {
+  try {
+    const design = await invitationDesigns.findById(req.body.design_id);
+    const event = design && await authorizeEvent(design.event_id, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Invitation design not found' });
+    }
+
+    const template = await invitationTemplateService.saveDesignAsTemplate(design, req.user.id, {
+      name: req.body.name,
+      description: req.body.description || null
+    });
+
+    logger.info('Invitation design saved as template', { designId: design.id, templateId: template.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved',
+      data: template
+    });
+  } catch (error) {
+    if (TEMPLATE_ERROR_STATUS[error.code]) {
+      return sendTemplateError(res, error);
+    }
+
+    logger.error('Error saving invitation template:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving the invitation template'
+    });
+  }
+});
+
+/**
+ * DELETE /api/invitation-templates/:templateId - Delete a private template (designs created from it are kept)
+ */
+router.delete('/invitation-templates/:templateId', authenticateToken, generalLimiter, templateValidationSchema.templateParams, async (req, res) => {
+  try {
+    await invitationTemplateService.deletePrivateTemplate(req.params.templateId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    if (TEMPLATE_ERROR_STATUS[error.code]) {
+      return sendTemplateError(res, error);
+    }
+
+    logger.error('Error deleting invitation template:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting the invitation template'
+    });
+  }
+});
+
+module.exports = router;
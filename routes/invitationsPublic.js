@@ -10,6 +10,12 @@ const router = express.Router();
 const { param, body, validationResult } = require('express-validator');
 const { supabaseService } = require('../config/supabase');
 const logger = require('../utils/logger');
+const liveEventsService = require('../services/liveEventsService');
+const rsvpPolicyService = require('../services/rsvpPolicyService');
+const rsvpValidationService = require('../services/rsvpValidationService');
+const invitationResolutionService = require('../services/invitationResolutionService');
+const invitationAnalyticsService = require('../services/invitationAnalyticsService');
+const invitationDesignService = require('../services/invitationDesignService');
 
 // ============================================
 // VALIDATION MIDDLEWARE
@@ -27,6 +33,18 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Messages des invitations refusées (règles communes de invitationResolutionService)
+const INVITATION_ERROR_MESSAGES = {
+    [invitationResolutionService.INVITATION_ERRORS.INVALIDATED]: 'Cette invitation a été annulée',
+    [invitationResolutionService.INVITATION_ERRORS.EXPIRED]: 'Cette invitation a expiré'
+};
+
+const sendInvitationError = (res, validity) => res.status(400).json({
+    success: false,
+    code: validity.code,
+    message: INVITATION_ERROR_MESSAGES[validity.code] || validity.message
+});
+
 // ============================================
 // ROUTES PUBLIQUES
 // ============================================
@@ -46,41 +64,21 @@ router.get(
         const { code } = req.params;
 
         try {
-            // Chercher le QR code et récupérer les données liées
-            const { data: qrCode, error: qrError } = await supabaseService
-                .from('qr_codes')
-                .select(`
-                    id,
-                    code,
-                    family_id,
-                    event_id,
-                    scanned_at,
-                    families!inner(
-                        id,
-                        family_name,
-                        max_people
-                    ),
-                    events!inner(
-                        id,
-                        title,
-                        bride_name,
-                        groom_name,
-                        date,
-                        location,
-                        banner_image,
-                        cover_image
-                    )
-                `)
-                .eq('code', code)
-                .single();
+            // Invitation du code (code actuel, ancien QR code, code signé ou lien /invite)
+            const invitation = await invitationResolutionService.resolveInvitation(code);
 
-            if (qrError || !qrCode) {
+            if (!invitation) {
                 return res.status(404).json({
                     success: false,
                     message: 'Code d\'invitation invalide ou expiré'
                 });
             }
 
+            const validity = invitationResolutionService.checkInvitation(invitation);
+            if (!validity.valid) {
+                return sendInvitationError(res, validity);
+            }
+
             // Trouver l'assignation invitation-famille pour cette famille
             const { data: assignment, error: assignmentError } = await supabaseService
                 .from('invitation_family_assignments')
@@ -94,17 +92,19 @@ router.get(
                         name,
                         template,
                         cover_image,
-                        custom_data
+                        custom_data,
+                        published_version
                     )
                 `)
-                .eq('family_id', qrCode.family_id)
-                .eq('event_id', qrCode.event_id)
+                .eq('family_id', invitation.family_id)
+                .eq('event_id', invitation.event_id)
                 .maybeSingle();
 
             // Si pas d'assignation spécifique, utiliser un design par défaut
             let invitationDesign = null;
             if (assignment && assignment.invitation_designs) {
-                invitationDesign = assignment.invitation_designs;
+                // Les invités voient la version publiée, pas le brouillon en cours d'édition
+                invitationDesign = await invitationDesignService.getPublicContent(assignment.invitation_designs);
             } else {
                 // Design par défaut si aucune assignation
                 invitationDesign = {
@@ -120,51 +120,49 @@ router.get(
             const { data: rsvp } = await supabaseService
                 .from('family_rsvp')
                 .select('status, guests_count, message')
-                .eq('family_id', qrCode.family_id)
-                .eq('event_id', qrCode.event_id)
+                .eq('family_id', invitation.family_id)
+                .eq('event_id', invitation.event_id)
                 .maybeSingle();
 
-            // Mettre à jour la date de scan si première fois
-            if (!qrCode.scanned_at) {
-                await supabaseService
-                    .from('qr_codes')
-                    .update({ scanned_at: new Date().toISOString() })
-                    .eq('id', qrCode.id);
-            }
+            await invitationResolutionService.recordScan(invitation);
 
-            // Incrémenter les vues du design si assigné
-            if (assignment && assignment.invitation_id) {
-                await supabaseService
-                    .from('invitation_designs')
-                    .update({ views_count: supabaseService.raw('views_count + 1') })
-                    .eq('id', assignment.invitation_id);
-            }
+            // Ouverture enregistrée pour les statistiques (les vues du design suivent par trigger)
+            await invitationAnalyticsService.recordOpen({
+                invitation,
+                source: invitationAnalyticsService.OPEN_SOURCES.INVITATION_CODE,
+                designId: assignment?.invitation_id || null,
+                userAgent: req.get('User-Agent'),
+                referrer: req.get('Referer')
+            });
 
             logger.info(`Public invitation viewed via code ${code}`, {
-                familyId: qrCode.family_id,
-                eventId: qrCode.event_id,
+                familyId: invitation.family_id,
+                eventId: invitation.event_id,
                 hasAssignment: !!assignment
             });
 
             res.json({
                 success: true,
                 data: {
-                    id: qrCode.id,
-                    family_id: qrCode.family_id,
-                    family_name: qrCode.families.family_name,
-                    max_people: qrCode.families.max_people,
+                    id: invitation.id,
+                    family_id: invitation.family_id,
+                    family_name: invitation.families?.name || null,
+                    max_people: invitation.families?.max_people || invitation.invited_count,
+                    // Ancien code : le frontend doit passer au code actuel de l'invitation
+                    redirect_to: invitation.redirect_to,
                     event: {
-                        id: qrCode.events.id,
-                        title: qrCode.events.title,
-                        bride_name: qrCode.events.bride_name,
-                        groom_name: qrCode.events.groom_name,
-                        date: qrCode.events.date,
-                        location: qrCode.events.location,
-                        banner_image: qrCode.events.banner_image,
-                        cover_image: qrCode.events.cover_image
+                        id: invitation.events.id,
+                        title: invitation.events.title,
+                        bride_name: invitation.events.bride_name,
+                        groom_name: invitation.events.groom_name,
+                        date: invitation.events.date,
+                        location: invitation.events.location,
+                        banner_image: invitation.events.banner_image,
+                        cover_image: invitation.events.cover_image
                     },
                     invitation_design: invitationDesign,
-                    rsvp: rsvp || null
+                    rsvp: rsvp || null,
+                    rsvp_window: rsvpPolicyService.getRsvpWindow(invitation.events)
                 }
             });
         } catch (error) {
@@ -205,26 +203,66 @@ router.post(
         const { status, guests_count, message } = req.body;
 
         try {
-            // Vérifier que le code existe et récupérer les IDs
-            const { data: qrCode, error: qrError } = await supabaseService
-                .from('qr_codes')
-                .select('id, family_id, event_id')
-                .eq('code', code)
-                .single();
+            // Vérifier que le code existe et récupérer l'invitation
+            const invitation = await invitationResolutionService.resolveInvitation(code);
 
-            if (qrError || !qrCode) {
+            if (!invitation) {
                 return res.status(404).json({
                     success: false,
                     message: 'Code d\'invitation invalide'
                 });
             }
 
+            const validity = invitationResolutionService.checkInvitation(invitation);
+            if (!validity.valid) {
+                return sendInvitationError(res, validity);
+            }
+
+            // Date limite (+ délai de grâce) et verrouillage par l'organisateur
+            const rsvpWindow = rsvpPolicyService.getRsvpWindow(invitation.events);
+            if (!rsvpWindow.is_open) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'RSVP_CLOSED',
+                    message: rsvpWindow.closed_reason === rsvpPolicyService.RSVP_CLOSED_REASONS.LOCKED
+                        ? 'Les réponses sont closes pour cet événement. Contactez les organisateurs pour modifier votre réponse.'
+                        : 'La date limite de réponse est dépassée. Contactez les organisateurs pour modifier votre réponse.',
+                    data: { rsvp_window: rsvpWindow }
+                });
+            }
+
+            // Le nombre de personnes ne peut pas dépasser les places accordées par l'organisateur
+            const limits = rsvpValidationService.getInvitationLimits(invitation, null);
+            const validation = rsvpValidationService.validateGuestsCount({
+                status,
+                guestsCount: guests_count,
+                maxAttending: limits.max_attending
+            });
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'INVALID_RSVP',
+                    message: `Cette invitation est valable pour ${limits.max_attending} personne(s) maximum`,
+                    errors: validation.errors,
+                    data: { limits }
+                });
+            }
+
+            // Réponse précédente, conservée dans l'historique avant d'être écrasée
+            const { data: previousRsvp } = await supabaseService
+                .from('family_rsvp')
+                .select('status, guests_count, message')
+                .eq('family_id', invitation.family_id)
+                .eq('event_id', invitation.event_id)
+                .maybeSingle();
+
             // Créer ou mettre à jour le RSVP
             const { data: rsvp, error: rsvpError } = await supabaseService
                 .from('family_rsvp')
                 .upsert({
-                    family_id: qrCode.family_id,
-                    event_id: qrCode.event_id,
+                    family_id: invitation.family_id,
+                    event_id: invitation.event_id,
                     status,
                     guests_count: status === 'accepted' ? (guests_count || 1) : 0,
                     message: message?.trim() || null,
@@ -244,8 +282,8 @@ router.post(
             const { data: assignment } = await supabaseService
                 .from('invitation_family_assignments')
                 .select('invitation_id')
-                .eq('family_id', qrCode.family_id)
-                .eq('event_id', qrCode.event_id)
+                .eq('family_id', invitation.family_id)
+                .eq('event_id', invitation.event_id)
                 .maybeSingle();
 
             if (assignment && assignment.invitation_id) {
@@ -255,9 +293,35 @@ router.post(
                     .eq('id', assignment.invitation_id);
             }
 
+            await rsvpPolicyService.recordChange({
+                eventId: invitation.event_id,
+                familyId: invitation.family_id,
+                familyInvitationId: invitation.id,
+                familyName: invitation.families?.name || null,
+                changedByType: 'guest',
+                source: rsvpPolicyService.HISTORY_SOURCES.INVITATION_CODE,
+                changes: rsvpPolicyService.diffFamilyResponse(previousRsvp, rsvp),
+                attendingBefore: rsvpPolicyService.countAttendingGuests(previousRsvp),
+                attendingAfter: rsvpPolicyService.countAttendingGuests(rsvp),
+                previousState: previousRsvp || null,
+                newState: {
+                    status: rsvp.status,
+                    guests_count: rsvp.guests_count,
+                    message: rsvp.message
+                },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            liveEventsService.publish(invitation.event_id, liveEventsService.LIVE_EVENT_TYPES.RSVP, {
+                family_id: invitation.family_id,
+                status,
+                guests_count: rsvp.guests_count
+            });
+
             logger.info(`RSVP submitted via code ${code}`, {
-                familyId: qrCode.family_id,
-                eventId: qrCode.event_id,
+                familyId: invitation.family_id,
+                eventId: invitation.event_id,
                 status,
                 guestsCount: guests_count
             });
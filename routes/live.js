@@ -0,0 +1,88 @@
+/**
+ * Flux temps réel (Server-Sent Events) pour le tableau de bord du jour J
+ * Remplace le rafraîchissement de /api/dashboard/summary (vues matérialisées à 5 min)
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { events } = require('../utils/database');
+const checkInService = require('../services/checkInService');
+const liveEventsService = require('../services/liveEventsService');
+const { PERMISSIONS, canAccessEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Below usual proxy idle timeouts
+
+const liveValidationSchema = {
+  stream: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  })
+};
+
+/**
+ * GET /api/events/:eventId/live - SSE stream of check-ins, RSVPs, wishes and gallery uploads
+ * Authenticated through the usual cookie/Bearer token (EventSource sends cookies)
+ */
+router.get('/events/:eventId/live', authenticateToken, liveValidationSchema.stream, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const event = await events.findById(eventId);
+    if (!event || !(await canAccessEvent(event, req.user.id, PERMISSIONS.VIEW))) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+  } catch (error) {
+    logger.error('Error opening live stream:', { error: error.message, eventId });
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while opening live stream'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  let messageId = 0;
+  const send = (type, data) => {
+    messageId++;
+    res.write(`id: ${messageId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = liveEventsService.subscribe(eventId, (message) => send(message.type, message));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('Live stream closed', { eventId, userId: req.user.id });
+  });
+
+  logger.info('Live stream opened', {
+    eventId,
+    userId: req.user.id,
+    subscribers: liveEventsService.subscriberCount(eventId)
+  });
+
+  // Initial state so the dashboard does not wait for the first update
+  try {
+    const summary = await checkInService.getEventSummary(eventId);
+    send('snapshot', { type: 'snapshot', event_id: eventId, payload: { check_in: summary } });
+  } catch (error) {
+    logger.warn('Live stream snapshot failed', { eventId, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,7 @@
  * 🔒 Sécurité renforcée:
  * - Rate limiting spécifique par endpoint
  * - Validation stricte des UUIDs
- * - Vérification de propriété (ownership) sur toutes les opérations
+ * - Vérification des droits sur l'événement (propriétaire ou collaborateur) sur toutes les opérations
  * - Échappement des sorties
  * - Limites de taille/pagination
  */
@@ -15,6 +15,7 @@ const { authenticateToken } = require('../middleware/auth');
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
 const { supabase } = require('../config/supabase');
+const { PERMISSIONS, authorizeEvent, canAccessEvent, findAccessibleEvents, hasPermission } = require('../services/eventAccessService');
 
 const router = express.Router();
 
@@ -142,39 +143,32 @@ const statsValidation = celebrate({
 // ============================================
 
 /**
- * Vérifie si l'utilisateur est propriétaire de l'événement
- * @param {string} eventId - UUID de l'événement
- * @param {string} userId - UUID de l'utilisateur
- * @returns {Promise<boolean>}
- */
-const verifyEventOwnership = async (eventId, userId) => {
-    const { data: event, error } = await supabase
-        .from('events')
-        .select('organizer_id')
-        .eq('id', eventId)
-        .single();
-    
-    if (error || !event) return false;
-    return event.organizer_id === userId;
-};
-
-/**
- * Vérifie si l'utilisateur a accès à la conversation
+ * Vérifie si l'utilisateur a accès à la conversation (droits sur son événement)
  * @param {string} conversationId - UUID de la conversation
  * @param {string} userId - UUID de l'utilisateur
+ * @param {string} permission - Droit requis (lecture par défaut)
  * @returns {Promise<boolean>}
  */
-const verifyConversationAccess = async (conversationId, userId) => {
+const verifyConversationAccess = async (conversationId, userId, permission = PERMISSIONS.VIEW) => {
     const { data: conversation, error } = await supabase
         .from('conversations')
-        .select('organizer_id, event:events!inner(organizer_id)')
+        .select('event_id, event:events!inner(id, organizer_id, is_active)')
         .eq('id', conversationId)
         .single();
     
     if (error || !conversation) return false;
-    return conversation.organizer_id === userId || conversation.event?.organizer_id === userId;
+    return canAccessEvent(conversation.event, userId, permission);
 };
 
+/**
+ * Événements dont l'utilisateur peut lire la messagerie (propriétaire ou collaborateur)
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<string[]>}
+ */
+const getAccessibleEventIds = async (userId) => (await findAccessibleEvents(userId))
+    .filter(event => hasPermission(event.access_role, PERMISSIONS.VIEW))
+    .map(event => event.id);
+
 /**
  * Échappe le HTML pour prévenir XSS
  * @param {string} text - Texte à échapper
@@ -230,8 +224,8 @@ router.get('/conversations', authenticateToken, messageLimiter, async (req, res)
 
         // 🔒 Validation du event_id si fourni
         if (event_id) {
-            const isOwner = await verifyEventOwnership(event_id, userId);
-            if (!isOwner) {
+            const event = await authorizeEvent(event_id, userId, PERMISSIONS.VIEW);
+            if (!event) {
                 return res.status(403).json({
                     success: false,
                     message: 'Accès non autorisé à cet événement'
@@ -239,17 +233,18 @@ router.get('/conversations', authenticateToken, messageLimiter, async (req, res)
             }
         }
 
-        // 🔒 Requête avec filtrage par propriétaire
-        let query = supabase
+        // 🔒 Requête avec filtrage par événements accessibles
+        const eventIds = event_id ? [event_id] : await getAccessibleEventIds(userId);
+        if (eventIds.length === 0) {
+            return res.json({ success: true, data: [], count: 0 });
+        }
+
+        const query = supabase
             .from('conversation_summary_secure')
             .select('*')
-            .eq('organizer_id', userId)  // 🔒 Filtre obligatoire par propriétaire
+            .in('event_id', eventIds.slice(0, 1000))  // 🔒 Filtre obligatoire par événements accessibles
             .order('last_message_at', { ascending: false });
 
-        if (event_id) {
-            query = query.eq('event_id', event_id);
-        }
-
         const { data: conversations, error } = await query;
 
         if (error) {
@@ -307,9 +302,9 @@ router.post('/conversations', authenticateToken, conversationLimiter, conversati
         const userId = req.user.id;
         const { event_id, guest_id, family_id, subject } = req.body;
 
-        // 🔒 Vérification de propriété de l'événement
-        const isOwner = await verifyEventOwnership(event_id, userId);
-        if (!isOwner) {
+        // 🔒 Vérification des droits sur l'événement
+        const event = await authorizeEvent(event_id, userId, PERMISSIONS.EDIT);
+        if (!event) {
             logger.warn('Unauthorized conversation creation attempt', {
                 userId,
                 eventId: event_id,
@@ -387,7 +382,7 @@ router.post('/conversations', authenticateToken, conversationLimiter, conversati
                 event_id,
                 guest_id: guest_id || null,
                 family_id: family_id || null,
-                organizer_id: userId,
+                organizer_id: event.organizer_id, // Conversations restent rattachées à l'organisateur principal
                 subject: subject ? escapeHtml(subject) : null,
                 is_active: true
             })
@@ -509,7 +504,7 @@ router.post('/conversations/:conversationId/messages', authenticateToken, messag
         const { content, sender_type, attachments } = req.body;
 
         // 🔒 Vérification d'accès
-        const hasAccess = await verifyConversationAccess(conversationId, userId);
+        const hasAccess = await verifyConversationAccess(conversationId, userId, PERMISSIONS.EDIT);
         if (!hasAccess) {
             logger.warn('Unauthorized message send attempt', {
                 userId,
@@ -622,7 +617,7 @@ router.put('/:messageId/read', authenticateToken, messageLimiter, messageValidat
         // 🔒 Vérification que l'utilisateur a accès à ce message via la conversation
         const { data: messageWithConv, error: accessError } = await supabase
             .from('messages')
-            .select('conversation_id, conversation:conversations!inner(organizer_id, event:events!inner(organizer_id))')
+            .select('conversation_id, conversation:conversations!inner(event:events!inner(id, organizer_id, is_active))')
             .eq('id', messageId)
             .single();
 
@@ -633,10 +628,9 @@ router.put('/:messageId/read', authenticateToken, messageLimiter, messageValidat
             });
         }
 
-        const isOwner = messageWithConv.conversation?.organizer_id === userId || 
-                       messageWithConv.conversation?.event?.organizer_id === userId;
+        const hasAccess = await canAccessEvent(messageWithConv.conversation?.event, userId, PERMISSIONS.VIEW);
 
-        if (!isOwner) {
+        if (!hasAccess) {
             logger.warn('Unauthorized mark-as-read attempt', {
                 userId,
                 messageId,
@@ -743,7 +737,7 @@ router.delete('/conversations/:conversationId', authenticateToken, messageLimite
         const userId = req.user.id;
 
         // 🔒 Vérification d'accès
-        const hasAccess = await verifyConversationAccess(conversationId, userId);
+        const hasAccess = await verifyConversationAccess(conversationId, userId, PERMISSIONS.EDIT);
         if (!hasAccess) {
             logger.warn('Unauthorized conversation delete attempt', {
                 userId,
@@ -795,10 +789,10 @@ router.get('/stats', authenticateToken, messageLimiter, statsValidation, async (
         const userId = req.user.id;
         const { event_id } = req.query;
 
-        // 🔒 Vérification de propriété si event_id fourni
+        // 🔒 Vérification des droits si event_id fourni
         if (event_id) {
-            const isOwner = await verifyEventOwnership(event_id, userId);
-            if (!isOwner) {
+            const event = await authorizeEvent(event_id, userId, PERMISSIONS.VIEW);
+            if (!event) {
                 return res.status(403).json({
                     success: false,
                     message: 'Accès non autorisé'
@@ -806,23 +800,8 @@ router.get('/stats', authenticateToken, messageLimiter, statsValidation, async (
             }
         }
 
-        // 🔒 Récupération des événements de l'utilisateur
-        let eventQuery = supabase
-            .from('events')
-            .select('id')
-            .eq('organizer_id', userId);
-
-        if (event_id) {
-            eventQuery = eventQuery.eq('id', event_id);
-        }
-
-        const { data: events, error: eventsError } = await eventQuery;
-
-        if (eventsError) {
-            throw eventsError;
-        }
-
-        const eventIds = events.map(e => e.id);
+        // 🔒 Événements de l'utilisateur (propriétaire ou collaborateur)
+        const eventIds = event_id ? [event_id] : await getAccessibleEventIds(userId);
 
         if (eventIds.length === 0) {
             return res.json({
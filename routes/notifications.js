@@ -0,0 +1,348 @@
+/**
+ * Routes de notifications invités (email / SMS)
+ * Paramètres d'expéditeur par événement, envoi de modèles, aperçu et journal de livraison
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { familyInvitations, notificationSettings, notificationDeliveries } = require('../utils/database');
+const notificationService = require('../services/notificationService');
+const notificationTemplates = require('../services/notificationTemplates');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const templateSchema = Joi.string().valid(...Object.values(notificationTemplates.TEMPLATE_KEYS));
+const channelSchema = Joi.string().valid(...Object.values(notificationService.CHANNELS));
+
+// Variables the organizer can fill in, on top of the ones computed from the event
+const extraVariablesSchema = Joi.object().keys({
+  custom_message: Joi.string().trim().max(2000).allow('').optional(),
+  logistics: Joi.string().trim().max(2000).allow('').optional(),
+  gallery_url: Joi.string().uri({ scheme: ['http', 'https'] }).optional()
+}).default({});
+
+const templateOverrideSchema = Joi.object().keys({
+  subject: Joi.string().max(200).optional(),
+  text: Joi.string().max(5000).optional(),
+  sms: Joi.string().max(480).optional()
+});
+
+// Validation schemas
+const notificationValidationSchema = {
+  templates: celebrate({
+    [Segments.QUERY]: Joi.object().keys({
+      locale: Joi.string().valid('fr', 'en').default(notificationTemplates.DEFAULT_LOCALE)
+    })
+  }),
+
+  eventParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  }),
+
+  updateSettings: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      sender_name: Joi.string().trim().max(100).allow(null, '').optional(),
+      reply_to_email: Joi.string().email().allow(null, '').optional(),
+      sms_sender_id: Joi.string().pattern(/^[a-zA-Z0-9 ]{1,11}$/).allow(null, '').optional(),
+      email_enabled: Joi.boolean().optional(),
+      sms_enabled: Joi.boolean().optional(),
+      locale: Joi.string().valid('fr', 'en').optional(),
+      auto_rsvp_confirmation: Joi.boolean().optional(),
+      signature: Joi.string().max(500).allow(null, '').optional(),
+      template_overrides: Joi.object().pattern(templateSchema, templateOverrideSchema).optional()
+    }).min(1)
+  }),
+
+  preview: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      template: templateSchema.required(),
+      channel: channelSchema.default(notificationService.CHANNELS.EMAIL),
+      family_invitation_id: Joi.string().uuid().optional(),
+      variables: extraVariablesSchema
+    })
+  }),
+
+  send: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      template: templateSchema.required(),
+      channel: channelSchema.default(notificationService.CHANNELS.EMAIL),
+      family_invitation_ids: Joi.array().items(Joi.string().uuid()).min(1).max(1000).unique().optional(), // Omitted = all families
+      variables: extraVariablesSchema
+    })
+  }),
+
+  deliveries: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      status: Joi.string().valid(...Object.values(notificationService.DELIVERY_STATUSES)).optional(),
+      template: templateSchema.optional(),
+      channel: channelSchema.optional(),
+      family_invitation_id: Joi.string().uuid().optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0)
+    })
+  }),
+
+  retry: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      deliveryId: Joi.string().uuid().required()
+    })
+  })
+};
+
+/**
+ * GET /api/notifications/templates - Built-in templates (subject, text, sms)
+ */
+router.get('/notifications/templates', authenticateToken, notificationValidationSchema.templates, (req, res) => {
+  const templates = notificationTemplates.listTemplates(req.query.locale);
+
+  res.json({
+    success: true,
+    data: templates,
+    count: templates.length
+  });
+});
+
+/**
+ * GET /api/events/:eventId/notification-settings - Sender settings (defaults when never saved)
+ */
+router.get('/events/:eventId/notification-settings', authenticateToken, notificationValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const settings = await notificationService.getSettings(event.id);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error fetching notification settings:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/events/:eventId/notification-settings - Save sender settings
+ */
+router.put('/events/:eventId/notification-settings', authenticateToken, notificationValidationSchema.updateSettings, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    // Empty strings clear the optional fields
+    const settingsData = Object.fromEntries(
+      Object.entries(req.body).map(([key, value]) => [key, value === '' ? null : value])
+    );
+
+    const settings = await notificationSettings.upsert(event.id, settingsData);
+
+    res.json({
+      success: true,
+      message: 'Notification settings saved successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error saving notification settings:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving notification settings'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/notifications/preview - Render a template without sending it
+ */
+router.post('/events/:eventId/notifications/preview', authenticateToken, notificationValidationSchema.preview, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    let invitation = null;
+    if (req.body.family_invitation_id) {
+      invitation = await familyInvitations.findById(req.body.family_invitation_id);
+      if (!invitation || invitation.event_id !== event.id) {
+        return res.status(404).json({ success: false, message: 'Invitation not found' });
+      }
+    }
+
+    const preview = await notificationService.previewNotification({
+      event,
+      template: req.body.template,
+      channel: req.body.channel,
+      invitation,
+      extraVariables: req.body.variables
+    });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    logger.error('Error previewing notification:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing notification'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/notifications/send - Queue a template for some or all families
+ * Families without an email (or phone for SMS) are reported in "skipped"
+ */
+router.post('/events/:eventId/notifications/send', authenticateToken, notificationValidationSchema.send, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const result = await notificationService.sendToFamilies({
+      event,
+      template: req.body.template,
+      channel: req.body.channel,
+      familyInvitationIds: req.body.family_invitation_ids || null,
+      extraVariables: req.body.variables,
+      createdBy: req.user.id
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.NOTIFICATION_SEND,
+      resourceType: auditService.RESOURCE_TYPES.NOTIFICATION,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: {
+        template: req.body.template,
+        channel: req.body.channel,
+        queued: result.queued.length,
+        skipped: result.skipped.length
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${result.queued.length} notification(s) queued`,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'CHANNEL_DISABLED') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    logger.error('Error sending notifications:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending notifications'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/notifications/deliveries - Delivery log with per-status counts
+ */
+router.get('/events/:eventId/notifications/deliveries', authenticateToken, notificationValidationSchema.deliveries, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const [{ deliveries, total }, stats] = await Promise.all([
+      notificationDeliveries.findByEvent(event.id, {
+        status: req.query.status,
+        template: req.query.template,
+        channel: req.query.channel,
+        familyInvitationId: req.query.family_invitation_id,
+        limit: req.query.limit,
+        offset: req.query.offset
+      }),
+      notificationDeliveries.getStats(event.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      total,
+      stats
+    });
+  } catch (error) {
+    logger.error('Error fetching notification deliveries:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/notifications/deliveries/:deliveryId/retry - Queue a failed delivery again
+ */
+router.post('/events/:eventId/notifications/deliveries/:deliveryId/retry', authenticateToken, notificationValidationSchema.retry, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const delivery = await notificationDeliveries.findById(req.params.deliveryId);
+    if (!delivery || delivery.event_id !== event.id) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    if (delivery.status !== notificationService.DELIVERY_STATUSES.FAILED) {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed deliveries can be retried (current status: ${delivery.status})`
+      });
+    }
+
+    const updated = await notificationService.retryDelivery(delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued again',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error retrying notification delivery:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrying notification delivery'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,492 @@
+/**
+ * Routes des campagnes de relance RSVP
+ * Segments ciblés, cadence, heures de silence (fuseau de l'organisateur) et statistiques
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { reminderCampaigns, reminderRecipients } = require('../utils/database');
+const reminderCampaignService = require('../services/reminderCampaignService');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const { CAMPAIGN_STATUSES } = reminderCampaignService;
+
+const timeSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:MM format'
+});
+
+const campaignFields = {
+  name: Joi.string().trim().min(1).max(100),
+  channel: Joi.string().valid(...Object.values(notificationService.CHANNELS)),
+  target_segments: Joi.array().items(Joi.string().valid(...Object.values(reminderCampaignService.SEGMENTS))).min(1).unique(),
+  cadence_days: Joi.number().integer().min(1).max(60),
+  max_reminders: Joi.number().integer().min(1).max(10),
+  starts_at: Joi.date().iso(),
+  ends_at: Joi.date().iso().allow(null),
+  quiet_hours_start: timeSchema,
+  quiet_hours_end: timeSchema,
+  custom_message: Joi.string().trim().max(2000).allow(null, '')
+};
+
+// Validation schemas
+const reminderCampaignValidationSchema = {
+  eventParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  }),
+
+  campaignParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      campaignId: Joi.string().uuid().required()
+    })
+  }),
+
+  targets: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      channel: campaignFields.channel.default(notificationService.CHANNELS.EMAIL)
+    })
+  }),
+
+  create: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      ...campaignFields,
+      name: campaignFields.name.required(),
+      activate: Joi.boolean().default(false)
+    })
+  }),
+
+  update: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      campaignId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys(campaignFields).min(1)
+  })
+};
+
+/**
+ * Helper: Load a campaign of an owned event
+ */
+async function findOwnedCampaign(req) {
+  const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+  if (!event) {
+    return { event: null, campaign: null };
+  }
+
+  const campaign = await reminderCampaigns.findById(req.params.campaignId);
+  if (!campaign || campaign.event_id !== event.id) {
+    return { event, campaign: null };
+  }
+
+  return { event, campaign };
+}
+
+/**
+ * Helper: Organizer timezone (users.preferences.timezone), UTC when unset or unknown
+ */
+function getOrganizerTimezone(user) {
+  const timezone = user.preferences?.timezone;
+  return timezone && reminderCampaignService.isValidTimeZone(timezone)
+    ? timezone
+    : reminderCampaignService.DEFAULT_TIMEZONE;
+}
+
+/**
+ * Helper: First run of an activated campaign (never before starts_at)
+ */
+function getFirstRunAt(campaign) {
+  const now = new Date();
+  const startsAt = campaign.starts_at ? new Date(campaign.starts_at) : now;
+  return (startsAt > now ? startsAt : now).toISOString();
+}
+
+/**
+ * Helper: Record a campaign status change
+ */
+async function logStatusChange(req, campaign, status) {
+  await auditService.logEvent({
+    userId: req.user.id,
+    action: auditService.ACTIONS.REMINDER_CAMPAIGN_STATUS_CHANGE,
+    resourceType: auditService.RESOURCE_TYPES.REMINDER_CAMPAIGN,
+    resourceId: campaign.id,
+    eventId: campaign.event_id,
+    ipAddress: req.ip,
+    details: { from: campaign.status, to: status }
+  });
+}
+
+/**
+ * GET /api/events/:eventId/reminder-campaigns - Campaigns of an event with their stats
+ */
+router.get('/events/:eventId/reminder-campaigns', authenticateToken, reminderCampaignValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const campaigns = await reminderCampaigns.findByEvent(event.id);
+    const data = await Promise.all(campaigns.map(async campaign => ({
+      ...campaign,
+      stats: await reminderCampaignService.getCampaignStats(campaign.id)
+    })));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    logger.error('Error fetching reminder campaigns:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder campaigns'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/reminder-campaigns/targets - Families per segment (reachable on the channel)
+ */
+router.get('/events/:eventId/reminder-campaigns/targets', authenticateToken, reminderCampaignValidationSchema.targets, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const classified = await reminderCampaignService.getEventSegments(event.id);
+
+    res.json({
+      success: true,
+      data: {
+        channel: req.query.channel,
+        segments: reminderCampaignService.summarizeSegments(classified, req.query.channel),
+        families: classified.map(({ invitation, segment }) => ({
+          family_invitation_id: invitation.id,
+          family_name: invitation.families?.name || null,
+          segment
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching reminder targets:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder targets'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/reminder-campaigns - Create a campaign (draft, or active with "activate")
+ */
+router.post('/events/:eventId/reminder-campaigns', authenticateToken, reminderCampaignValidationSchema.create, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const { activate, ...campaignData } = req.body;
+
+    const campaign = await reminderCampaigns.create({
+      ...campaignData,
+      custom_message: campaignData.custom_message || null,
+      event_id: event.id,
+      created_by: req.user.id,
+      timezone: getOrganizerTimezone(req.user),
+      status: activate ? CAMPAIGN_STATUSES.ACTIVE : CAMPAIGN_STATUSES.DRAFT,
+      next_run_at: activate ? getFirstRunAt(campaignData) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder campaign created successfully',
+      data: campaign
+    });
+  } catch (error) {
+    logger.error('Error creating reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating reminder campaign'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/reminder-campaigns/:campaignId - Campaign, stats and per-family follow-up
+ */
+router.get('/events/:eventId/reminder-campaigns/:campaignId', authenticateToken, reminderCampaignValidationSchema.campaignParams, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    const [stats, recipients] = await Promise.all([
+      reminderCampaignService.getCampaignStats(campaign.id),
+      reminderRecipients.findByCampaign(campaign.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...campaign, stats, recipients }
+    });
+  } catch (error) {
+    logger.error('Error fetching reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder campaign'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/reminder-campaigns/:campaignId/stats - Opens and conversions
+ */
+router.get('/events/:eventId/reminder-campaigns/:campaignId/stats', authenticateToken, reminderCampaignValidationSchema.campaignParams, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    const stats = await reminderCampaignService.getCampaignStats(campaign.id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Error fetching reminder campaign stats:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder campaign stats'
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/:eventId/reminder-campaigns/:campaignId - Edit a draft, active or paused campaign
+ */
+router.patch('/events/:eventId/reminder-campaigns/:campaignId', authenticateToken, reminderCampaignValidationSchema.update, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    if ([CAMPAIGN_STATUSES.COMPLETED, CAMPAIGN_STATUSES.CANCELLED].includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${campaign.status} campaign can no longer be edited`
+      });
+    }
+
+    const updates = { ...req.body };
+    if (updates.custom_message === '') {
+      updates.custom_message = null;
+    }
+
+    const updated = await reminderCampaigns.update(campaign.id, updates);
+
+    res.json({
+      success: true,
+      message: 'Reminder campaign updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error updating reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reminder campaign'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/reminder-campaigns/:campaignId/activate - Start or resume a campaign
+ * Refreshes the quiet-hours timezone from the organizer preferences
+ */
+router.post('/events/:eventId/reminder-campaigns/:campaignId/activate', authenticateToken, reminderCampaignValidationSchema.campaignParams, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    if (![CAMPAIGN_STATUSES.DRAFT, CAMPAIGN_STATUSES.PAUSED].includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Only draft or paused campaigns can be activated (current status: ${campaign.status})`
+      });
+    }
+
+    const updated = await reminderCampaigns.update(campaign.id, {
+      status: CAMPAIGN_STATUSES.ACTIVE,
+      timezone: getOrganizerTimezone(req.user),
+      next_run_at: getFirstRunAt(campaign)
+    });
+
+    await logStatusChange(req, campaign, CAMPAIGN_STATUSES.ACTIVE);
+
+    res.json({
+      success: true,
+      message: 'Reminder campaign activated',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error activating reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while activating reminder campaign'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/reminder-campaigns/:campaignId/pause - Stop sending until activated again
+ */
+router.post('/events/:eventId/reminder-campaigns/:campaignId/pause', authenticateToken, reminderCampaignValidationSchema.campaignParams, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    if (campaign.status !== CAMPAIGN_STATUSES.ACTIVE) {
+      return res.status(409).json({
+        success: false,
+        message: `Only active campaigns can be paused (current status: ${campaign.status})`
+      });
+    }
+
+    const updated = await reminderCampaigns.update(campaign.id, {
+      status: CAMPAIGN_STATUSES.PAUSED,
+      next_run_at: null
+    });
+
+    await logStatusChange(req, campaign, CAMPAIGN_STATUSES.PAUSED);
+
+    res.json({
+      success: true,
+      message: 'Reminder campaign paused',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error pausing reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pausing reminder campaign'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/reminder-campaigns/:campaignId/cancel - Stop a campaign for good (stats are kept)
+ */
+router.post('/events/:eventId/reminder-campaigns/:campaignId/cancel', authenticateToken, reminderCampaignValidationSchema.campaignParams, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    if ([CAMPAIGN_STATUSES.COMPLETED, CAMPAIGN_STATUSES.CANCELLED].includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Campaign is already ${campaign.status}`
+      });
+    }
+
+    const updated = await reminderCampaigns.update(campaign.id, {
+      status: CAMPAIGN_STATUSES.CANCELLED,
+      next_run_at: null
+    });
+
+    await logStatusChange(req, campaign, CAMPAIGN_STATUSES.CANCELLED);
+
+    res.json({
+      success: true,
+      message: 'Reminder campaign cancelled',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error cancelling reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling reminder campaign'
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId/reminder-campaigns/:campaignId - Delete a draft campaign
+ */
+router.delete('/events/:eventId/reminder-campaigns/:campaignId', authenticateToken, reminderCampaignValidationSchema.campaignParams, async (req, res) => {
+  try {
+    const { event, campaign } = await findOwnedCampaign(req);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: 'Reminder campaign not found' });
+    }
+
+    if (campaign.status !== CAMPAIGN_STATUSES.DRAFT) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft campaigns can be deleted; cancel the campaign instead'
+      });
+    }
+
+    await reminderCampaigns.delete(campaign.id);
+
+    res.json({
+      success: true,
+      message: 'Reminder campaign deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting reminder campaign:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting reminder campaign'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+/**
+ * Routes organisateur pour la fenêtre de réponse RSVP
+ * Date limite + délai de grâce, verrouillage manuel et historique des modifications
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { events, familyInvitations, rsvpHistory } = require('../utils/database');
+const rsvpPolicyService = require('../services/rsvpPolicyService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const rsvpValidationSchema = {
+  eventParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  }),
+
+  updateSettings: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      rsvp_deadline: Joi.date().iso().allow(null).optional(),
+      rsvp_grace_period_hours: Joi.number().integer().min(0).max(720).optional()
+    }).min(1)
+  }),
+
+  history: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.QUERY]: Joi.object().keys({
+      since: Joi.date().iso().optional(),
+      family_id: Joi.string().uuid().optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+      offset: Joi.number().integer().min(0).default(0)
+    })
+  }),
+
+  invitationHistory: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      invitationId: Joi.string().uuid().required()
+    })
+  })
+};
+
+/**
+ * Helper: Add the organizer-facing summary to history entries
+ */
+const withSummary = (entries) =>
+  entries.map(entry => ({ ...entry, summary: rsvpPolicyService.describeEntry(entry) }));
+
+/**
+ * GET /api/events/:eventId/rsvp-settings - Current RSVP window (deadline, grace period, lock)
+ */
+router.get('/events/:eventId/rsvp-settings', authenticateToken, rsvpValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    res.json({
+      success: true,
+      data: rsvpPolicyService.getRsvpWindow(event)
+    });
+  } catch (error) {
+    logger.error('Error fetching RSVP settings:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching RSVP settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/events/:eventId/rsvp-settings - Set the RSVP deadline and grace period
+ * rsvp_deadline: null removes the deadline
+ */
+router.put('/events/:eventId/rsvp-settings', authenticateToken, rsvpValidationSchema.updateSettings, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const updateData = {};
+    if (req.body.rsvp_deadline !== undefined) {
+      updateData.rsvp_deadline = req.body.rsvp_deadline ? new Date(req.body.rsvp_deadline).toISOString() : null;
+    }
+    if (req.body.rsvp_grace_period_hours !== undefined) {
+      updateData.rsvp_grace_period_hours = req.body.rsvp_grace_period_hours;
+    }
+
+    const updatedEvent = await events.update(event.id, updateData);
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.RSVP_SETTINGS_UPDATE,
+      resourceType: auditService.RESOURCE_TYPES.EVENT,
+      resourceId: event.id,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: updateData
+    });
+
+    res.json({
+      success: true,
+      message: 'RSVP settings updated successfully',
+      data: rsvpPolicyService.getRsvpWindow(updatedEvent)
+    });
+  } catch (error) {
+    logger.error('Error updating RSVP settings:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating RSVP settings'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/rsvp-settings/lock - Close RSVPs immediately, whatever the deadline
+ */
+router.post('/events/:eventId/rsvp-settings/lock', authenticateToken, rsvpValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const updatedEvent = await events.update(event.id, {
+      rsvp_locked: true,
+      rsvp_locked_at: new Date().toISOString(),
+      rsvp_locked_by: req.user.id
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.RSVP_LOCK,
+      resourceType: auditService.RESOURCE_TYPES.EVENT,
+      resourceId: event.id,
+      eventId: event.id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'RSVPs locked successfully',
+      data: rsvpPolicyService.getRsvpWindow(updatedEvent)
+    });
+  } catch (error) {
+    logger.error('Error locking RSVPs:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while locking RSVPs'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/rsvp-settings/unlock - Reopen RSVPs (the deadline still applies)
+ */
+router.post('/events/:eventId/rsvp-settings/unlock', authenticateToken, rsvpValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const updatedEvent = await events.update(event.id, {
+      rsvp_locked: false,
+      rsvp_locked_at: null,
+      rsvp_locked_by: null
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.RSVP_UNLOCK,
+      resourceType: auditService.RESOURCE_TYPES.EVENT,
+      resourceId: event.id,
+      eventId: event.id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'RSVPs unlocked successfully',
+      data: rsvpPolicyService.getRsvpWindow(updatedEvent)
+    });
+  } catch (error) {
+    logger.error('Error unlocking RSVPs:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking RSVPs'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/rsvp-history - Every RSVP change of the event, most recent first
+ * Each entry carries a summary such as "Dupont family went from 4 attending to 2"
+ */
+router.get('/events/:eventId/rsvp-history', authenticateToken, rsvpValidationSchema.history, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const { entries, total } = await rsvpHistory.findByEvent(event.id, {
+      since: req.query.since ? new Date(req.query.since).toISOString() : null,
+      familyId: req.query.family_id || null,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({
+      success: true,
+      data: withSummary(entries),
+      count: entries.length,
+      total
+    });
+  } catch (error) {
+    logger.error('Error fetching RSVP history:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching RSVP history'
+    });
+  }
+});
+
+/**
+ * GET /api/family-invitations/:invitationId/rsvp-history - RSVP changes of one family invitation
+ */
+router.get('/family-invitations/:invitationId/rsvp-history', authenticateToken, rsvpValidationSchema.invitationHistory, async (req, res) => {
+  try {
+    const invitation = await familyInvitations.findById(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    const event = await authorizeEvent(invitation.event_id, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    const entries = await rsvpHistory.findByInvitation(invitation.id);
+
+    res.json({
+      success: true,
+      data: withSummary(entries),
+      count: entries.length
+    });
+  } catch (error) {
+    logger.error('Error fetching invitation RSVP history:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching RSVP history'
+    });
+  }
+});
+
+module.exports = router;
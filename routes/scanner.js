@@ -0,0 +1,400 @@
+/**
+ * Routes des accès scanner du personnel d'accueil
+ * Identifiants PIN / lien magique émis par l'organisateur, session "scanner" limitée à un
+ * événement : vérification des QR codes, recherche d'un invité par nom et de sa table
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { authenticateScanner } = require('../middleware/scannerAuth');
+const { authLimiter, generalLimiter } = require('../middleware/rateLimiter');
+const { events, scannerCredentials, scannerDevices } = require('../utils/database');
+const scannerAccessService = require('../services/scannerAccessService');
+const checkInService = require('../services/checkInService');
+const qrSigningService = require('../services/qrSigningService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Random stored codes (UUID, FAM-uuid) or signed codes (SIG-...)
+const qrCodeSchema = Joi.alternatives().try(
+  Joi.string().trim().max(100).pattern(/^[a-zA-Z0-9-]+$/),
+  Joi.string().trim().pattern(qrSigningService.SIGNED_QR_PATTERN)
+);
+
+const SCANNER_ERROR_STATUS = {
+  EVENT_DATE_REQUIRED: 400,
+  EVENT_PASSED: 400,
+  INVALID_CREDENTIAL: 401,
+  CREDENTIAL_REVOKED: 401,
+  CREDENTIAL_EXPIRED: 401
+};
+
+// Validation schemas
+const scannerValidationSchema = {
+  eventParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  }),
+
+  createCredential: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      label: Joi.string().trim().max(100).required(),
+      method: Joi.string().valid(...scannerAccessService.SCANNER_METHODS).default('pin')
+    })
+  }),
+
+  credentialParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      credentialId: Joi.string().uuid().required()
+    })
+  }),
+
+  openSession: celebrate({
+    [Segments.BODY]: Joi.object().keys({
+      event_id: Joi.string().uuid(),
+      pin: Joi.string().pattern(new RegExp(`^\\d{${scannerAccessService.PIN_LENGTH}}$`)),
+      token: Joi.string().hex().length(64)
+    }).xor('pin', 'token').with('pin', 'event_id')
+  }),
+
+  checkIn: celebrate({
+    [Segments.BODY]: Joi.object().keys({
+      qr_code: qrCodeSchema.required(),
+      arrived_count: Joi.number().integer().min(1).max(100).optional(),
+      device_id: Joi.string().uuid().optional()
+    })
+  }),
+
+  sync: celebrate({
+    [Segments.BODY]: Joi.object().keys({
+      device_id: Joi.string().uuid().required(),
+      scans: Joi.array().items(
+        Joi.object().keys({
+          client_scan_id: Joi.string().trim().max(100).required(),
+          qr_code: qrCodeSchema.required(),
+          arrived_count: Joi.number().integer().min(1).max(100).optional(),
+          scanned_at: Joi.date().iso().required()
+        })
+      ).min(1).max(checkInService.MAX_SYNC_BATCH).unique('client_scan_id').required()
+    })
+  }),
+
+  searchGuests: celebrate({
+    [Segments.QUERY]: Joi.object().keys({
+      q: Joi.string().trim().min(2).max(100).required()
+    })
+  })
+};
+
+/**
+ * Helper: Answer with the status matching a scanner error code
+ */
+function sendScannerError(res, error) {
+  return res.status(SCANNER_ERROR_STATUS[error.code]).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/events/:eventId/scanner-credentials - Scanner access issued for the event
+ */
+router.get('/events/:eventId/scanner-credentials', authenticateToken, generalLimiter, scannerValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const credentials = await scannerAccessService.listCredentials(event.id);
+
+    res.json({
+      success: true,
+      data: credentials,
+      count: credentials.length
+    });
+  } catch (error) {
+    logger.error('Error fetching scanner credentials:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scanner credentials'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/scanner-credentials - Issue a PIN or magic link for door staff
+ * The PIN / link is only shown in this response
+ */
+router.post('/events/:eventId/scanner-credentials', authenticateToken, generalLimiter, scannerValidationSchema.createCredential, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const result = await scannerAccessService.createCredential({
+      event,
+      label: req.body.label,
+      method: req.body.method,
+      createdBy: req.user.id
+    });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.SCANNER_CREDENTIAL_CREATE,
+      resourceType: auditService.RESOURCE_TYPES.SCANNER_CREDENTIAL,
+      resourceId: result.credential.id,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: { label: result.credential.label, method: result.credential.method, expiresAt: result.credential.expires_at }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Scanner access created',
+      data: result
+    });
+  } catch (error) {
+    if (SCANNER_ERROR_STATUS[error.code]) {
+      return sendScannerError(res, error);
+    }
+    logger.error('Error creating scanner credential:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating scanner access'
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId/scanner-credentials/:credentialId - Revoke a scanner access
+ */
+router.delete('/events/:eventId/scanner-credentials/:credentialId', authenticateToken, generalLimiter, scannerValidationSchema.credentialParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const credential = await scannerCredentials.findById(req.params.credentialId);
+    if (!credential || credential.event_id !== event.id) {
+      return res.status(404).json({ success: false, message: 'Scanner access not found' });
+    }
+    if (credential.revoked_at) {
+      return res.status(409).json({ success: false, message: 'Scanner access already revoked' });
+    }
+
+    const revoked = await scannerAccessService.revokeCredential(credential, req.user.id);
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.SCANNER_CREDENTIAL_REVOKE,
+      resourceType: auditService.RESOURCE_TYPES.SCANNER_CREDENTIAL,
+      resourceId: credential.id,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: { label: credential.label }
+    });
+
+    res.json({
+      success: true,
+      message: 'Scanner access revoked',
+      data: revoked
+    });
+  } catch (error) {
+    logger.error('Error revoking scanner credential:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking scanner access'
+    });
+  }
+});
+
+/**
+ * POST /api/scanner/sessions - Open a scanner session with a PIN (and its event) or a magic link token
+ */
+router.post('/scanner/sessions', authLimiter, scannerValidationSchema.openSession, async (req, res) => {
+  try {
+    const session = await scannerAccessService.openSession({
+      eventId: req.body.event_id,
+      pin: req.body.pin,
+      token: req.body.token
+    });
+
+    await auditService.logEvent({
+      userId: null,
+      action: auditService.ACTIONS.SCANNER_LOGIN,
+      resourceType: auditService.RESOURCE_TYPES.SCANNER_CREDENTIAL,
+      resourceId: session.credential.id,
+      eventId: session.credential.event_id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: { label: session.credential.label, method: session.credential.method }
+    });
+
+    const event = await events.findById(session.credential.event_id);
+
+    res.json({
+      success: true,
+      data: {
+        token: session.token,
+        expires_at: session.expires_at,
+        label: session.credential.label,
+        event: event ? { id: event.id, title: event.title, date: event.date } : null
+      }
+    });
+  } catch (error) {
+    if (SCANNER_ERROR_STATUS[error.code]) {
+      await auditService.logEvent({
+        userId: null,
+        action: auditService.ACTIONS.SCANNER_LOGIN,
+        resourceType: auditService.RESOURCE_TYPES.SCANNER_CREDENTIAL,
+        eventId: req.body.event_id || null,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        details: { method: req.body.token ? 'magic_link' : 'pin', reason: error.code },
+        severity: auditService.SEVERITIES.WARNING,
+        success: false
+      });
+      return sendScannerError(res, error);
+    }
+    logger.error('Error opening scanner session:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening scanner session'
+    });
+  }
+});
+
+/**
+ * GET /api/scanner/session - Current scanner session (event, label, expiry)
+ */
+router.get('/scanner/session', authenticateScanner, async (req, res) => {
+  try {
+    const event = await events.findById(req.scanner.eventId);
+
+    res.json({
+      success: true,
+      data: {
+        label: req.scanner.label,
+        expires_at: req.scanner.expiresAt,
+        event: event ? { id: event.id, title: event.title, date: event.date } : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching scanner session:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scanner session'
+    });
+  }
+});
+
+/**
+ * POST /api/scanner/check-in - Check in a scanned QR code of the session's event
+ */
+router.post('/scanner/check-in', authenticateScanner, scannerValidationSchema.checkIn, async (req, res) => {
+  try {
+    const result = await checkInService.checkIn({
+      qrCode: req.body.qr_code,
+      eventId: req.scanner.eventId,
+      arrivedCount: req.body.arrived_count,
+      deviceId: req.body.device_id,
+      scanner: req.scanner
+    });
+
+    res.status(checkInService.httpStatusFor(result.status)).json(result);
+  } catch (error) {
+    logger.error('Error checking in guest from scanner session:', { error: error.message, eventId: req.scanner.eventId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking in guest'
+    });
+  }
+});
+
+/**
+ * POST /api/scanner/check-in/sync - Upload scans queued while the device was offline
+ */
+router.post('/scanner/check-in/sync', authenticateScanner, scannerValidationSchema.sync, async (req, res) => {
+  try {
+    const device = await scannerDevices.findById(req.body.device_id);
+    if (!device || device.event_id !== req.scanner.eventId) {
+      return res.status(404).json({ success: false, message: 'Scanner device not found' });
+    }
+
+    const result = await checkInService.syncOfflineScans({
+      eventId: req.scanner.eventId,
+      deviceId: device.id,
+      scans: req.body.scans,
+      scanner: req.scanner
+    });
+
+    res.json({
+      success: true,
+      message: 'Offline scans synchronized',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error syncing offline scans from scanner session:', { error: error.message, eventId: req.scanner.eventId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while syncing offline scans'
+    });
+  }
+});
+
+/**
+ * GET /api/scanner/qr-signing-keys - Public keys to verify signed QR codes offline
+ */
+router.get('/scanner/qr-signing-keys', authenticateScanner, async (req, res) => {
+  try {
+    const keys = await qrSigningService.listPublicKeys(req.scanner.eventId);
+
+    res.json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    logger.error('Error fetching QR signing keys from scanner session:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching QR signing keys'
+    });
+  }
+});
+
+/**
+ * GET /api/scanner/guests?q= - Find a guest by name and their table
+ */
+router.get('/scanner/guests', authenticateScanner, scannerValidationSchema.searchGuests, async (req, res) => {
+  try {
+    const results = await scannerAccessService.searchGuests(req.scanner.eventId, req.query.q);
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length
+    });
+  } catch (error) {
+    logger.error('Error searching guests from scanner session:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching guests'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+/**
+ * Routes d'export du plan de salle
+ * Plan des tables (SVG / PDF), marque-places et liste "Trouvez votre table"
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const seatingChartService = require('../services/seatingChartService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const eventParams = Joi.object().keys({
+  eventId: Joi.string().uuid().required()
+});
+
+// Validation schemas
+const seatingChartValidationSchema = {
+  floorPlan: celebrate({
+    [Segments.PARAMS]: eventParams,
+    [Segments.QUERY]: Joi.object().keys({
+      format: Joi.string().valid(...seatingChartService.CHART_FORMATS).default('json'),
+      paper_size: Joi.string().uppercase().valid(...Object.keys(seatingChartService.CHART_PAPER_SIZES)).default('A4'),
+      show_guests: Joi.boolean().default(true),
+      locale: Joi.string().valid('fr', 'en').default('fr')
+    })
+  }),
+  placeCards: celebrate({
+    [Segments.PARAMS]: eventParams,
+    [Segments.QUERY]: Joi.object().keys({
+      sort: Joi.string().valid('name', 'table').default('table'),
+      fold: Joi.boolean().default(false), // Tent cards folded in two
+      table_id: Joi.string().uuid().optional(),
+      locale: Joi.string().valid('fr', 'en').default('fr')
+    })
+  }),
+  escortList: celebrate({
+    [Segments.PARAMS]: eventParams,
+    [Segments.QUERY]: Joi.object().keys({
+      format: Joi.string().valid('json', 'pdf').default('json'),
+      locale: Joi.string().valid('fr', 'en').default('fr')
+    })
+  })
+};
+
+/**
+ * Helper: Audit a file export of the seating plan
+ */
+async function auditExport(req, event, details) {
+  await auditService.logEvent({
+    userId: req.user.id,
+    action: auditService.ACTIONS.DATA_EXPORT,
+    resourceType: auditService.RESOURCE_TYPES.SEATING_TABLE,
+    eventId: event.id,
+    ipAddress: req.ip,
+    details
+  });
+}
+
+/**
+ * GET /api/events/:eventId/seating-chart - Floor plan of the event
+ * format: json (default) | svg | pdf (plan page + one list per table)
+ */
+router.get('/events/:eventId/seating-chart', authenticateToken, generalLimiter, seatingChartValidationSchema.floorPlan, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const tables = await seatingChartService.getSeatingChart(event.id);
+    const { format, locale } = req.query;
+    const showGuests = req.query.show_guests;
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: tables,
+        count: tables.length
+      });
+    }
+
+    if (tables.length === 0) {
+      return res.status(400).json({ success: false, message: 'This event has no seating table' });
+    }
+
+    await auditExport(req, event, { type: 'floor_plan', format, tables: tables.length });
+
+    if (format === 'svg') {
+      res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="seating-plan-${event.id}.svg"`);
+      return res.send(seatingChartService.renderFloorPlanSvg({ event, tables, showGuests, locale }));
+    }
+
+    const buffer = await seatingChartService.renderFloorPlanPdf({ event, tables, paperSize: req.query.paper_size, showGuests, locale });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="seating-plan-${event.id}.pdf"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Error exporting seating chart:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting seating chart'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/seating-chart/place-cards - Printable place cards (PDF)
+ */
+router.get('/events/:eventId/seating-chart/place-cards', authenticateToken, generalLimiter, seatingChartValidationSchema.placeCards, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const tables = await seatingChartService.getSeatingChart(event.id);
+    let entries = req.query.sort === 'name'
+      ? seatingChartService.getEscortList(tables)
+      : tables.flatMap(table => table.people
+        .filter(p => !p.companion)
+        .map(p => ({ ...p, table_id: table.id, table: table.name })));
+
+    if (req.query.table_id) {
+      entries = entries.filter(entry => entry.table_id === req.query.table_id);
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ success: false, message: 'No seated guest to print' });
+    }
+
+    const buffer = await seatingChartService.renderPlaceCardsPdf({ event, entries, fold: req.query.fold, locale: req.query.locale });
+
+    await auditExport(req, event, { type: 'place_cards', format: 'pdf', cards: entries.length, fold: req.query.fold });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="place-cards-${event.id}.pdf"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Error exporting place cards:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting place cards'
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId/seating-chart/escort-list - Alphabetical "find your table" list
+ * format: json (default) | pdf
+ */
+router.get('/events/:eventId/seating-chart/escort-list', authenticateToken, generalLimiter, seatingChartValidationSchema.escortList, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const entries = seatingChartService.getEscortList(await seatingChartService.getSeatingChart(event.id));
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: entries,
+        count: entries.length
+      });
+    }
+
+    const buffer = await seatingChartService.renderEscortListPdf({ event, entries, locale: req.query.locale });
+
+    await auditExport(req, event, { type: 'escort_list', format: 'pdf', entries: entries.length });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="find-your-table-${event.id}.pdf"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Error exporting escort list:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting escort list'
+    });
+  }
+});
+
+module.exports = router;
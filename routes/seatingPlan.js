@@ -0,0 +1,316 @@
+/**
+ * Routes du placement automatique (plan de table)
+ * Contraintes entre invités / familles, étiquettes de placement et proposition de plan
+ */
+
+const express = require('express');
+const { celebrate, Segments } = require('celebrate');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { families, guests, seatingConstraints } = require('../utils/database');
+const seatingSolverService = require('../services/seatingSolverService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, authorizeEvent } = require('../services/eventAccessService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const { CONSTRAINT_TYPES, CONSTRAINT_STRENGTHS, SUBJECT_TYPES, ASSIGN_MODES } = seatingSolverService;
+
+const subjectSchema = Joi.object().keys({
+  type: Joi.string().valid(...SUBJECT_TYPES).required(),
+  id: Joi.string().uuid().required()
+});
+
+const tagsSchema = Joi.array().items(Joi.string().trim().lowercase().max(30)).max(10).unique().required();
+
+// Validation schemas
+const seatingPlanValidationSchema = {
+  eventParams: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    })
+  }),
+  createConstraint: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      type: Joi.string().valid(...Object.values(CONSTRAINT_TYPES)).required(),
+      strength: Joi.string().valid(...Object.values(CONSTRAINT_STRENGTHS)).default(CONSTRAINT_STRENGTHS.HARD),
+      subject_a: subjectSchema.required(),
+      subject_b: subjectSchema.required(),
+      note: Joi.string().max(500).optional().allow('')
+    })
+  }),
+  deleteConstraint: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      constraintId: Joi.string().uuid().required()
+    })
+  }),
+  familyTags: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      familyId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({ tags: tagsSchema })
+  }),
+  guestTags: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required(),
+      guestId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({ tags: tagsSchema })
+  }),
+  autoAssign: celebrate({
+    [Segments.PARAMS]: Joi.object().keys({
+      eventId: Joi.string().uuid().required()
+    }),
+    [Segments.BODY]: Joi.object().keys({
+      mode: Joi.string().valid(...Object.values(ASSIGN_MODES)).default(ASSIGN_MODES.FILL),
+      dry_run: Joi.boolean().default(true)
+    })
+  })
+};
+
+/**
+ * Helper: Find a constraint subject (guest or family) of the event
+ */
+async function findSubject(subject, eventId) {
+  const record = subject.type === 'family'
+    ? await families.findById(subject.id)
+    : await guests.findById(subject.id);
+
+  if (!record || record.event_id !== eventId) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * GET /api/events/:eventId/seating-constraints - List seating constraints
+ */
+router.get('/events/:eventId/seating-constraints', authenticateToken, seatingPlanValidationSchema.eventParams, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.VIEW);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const constraints = await seatingConstraints.findByEvent(event.id);
+
+    res.json({
+      success: true,
+      data: constraints,
+      count: constraints.length
+    });
+  } catch (error) {
+    logger.error('Error fetching seating constraints:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching seating constraints'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/seating-constraints - Add a "together" / "apart" constraint between guests or families
+ */
+router.post('/events/:eventId/seating-constraints', authenticateToken, seatingPlanValidationSchema.createConstraint, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const { type, strength, subject_a: subjectA, subject_b: subjectB, note } = req.body;
+
+    if (subjectA.type === subjectB.type && subjectA.id === subjectB.id) {
+      return res.status(400).json({ success: false, message: 'A constraint needs two different subjects' });
+    }
+
+    const [recordA, recordB] = await Promise.all([findSubject(subjectA, event.id), findSubject(subjectB, event.id)]);
+    if (!recordA || !recordB) {
+      return res.status(404).json({ success: false, message: 'Guest or family not found for this event' });
+    }
+
+    const constraint = await seatingConstraints.create({
+      event_id: event.id,
+      constraint_type: type,
+      strength,
+      subject_a_type: subjectA.type,
+      subject_a_id: subjectA.id,
+      subject_b_type: subjectB.type,
+      subject_b_id: subjectB.id,
+      note: note || null,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Seating constraint created',
+      data: constraint
+    });
+  } catch (error) {
+    logger.error('Error creating seating constraint:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating seating constraint'
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId/seating-constraints/:constraintId - Remove a constraint
+ */
+router.delete('/events/:eventId/seating-constraints/:constraintId', authenticateToken, seatingPlanValidationSchema.deleteConstraint, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const constraint = await seatingConstraints.findById(req.params.constraintId);
+    if (!constraint || constraint.event_id !== event.id) {
+      return res.status(404).json({ success: false, message: 'Seating constraint not found' });
+    }
+
+    await seatingConstraints.delete(constraint.id);
+
+    res.json({
+      success: true,
+      message: 'Seating constraint deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting seating constraint:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting seating constraint'
+    });
+  }
+});
+
+/**
+ * PUT /api/events/:eventId/families/:familyId/seating-tags - Set the seating tags of a family (kids, vip, ...)
+ */
+router.put('/events/:eventId/families/:familyId/seating-tags', authenticateToken, seatingPlanValidationSchema.familyTags, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const family = await findSubject({ type: 'family', id: req.params.familyId }, event.id);
+    if (!family) {
+      return res.status(404).json({ success: false, message: 'Family not found' });
+    }
+
+    const updated = await families.update(family.id, { seating_tags: req.body.tags });
+
+    res.json({
+      success: true,
+      message: 'Seating tags updated',
+      data: { id: updated.id, seating_tags: updated.seating_tags }
+    });
+  } catch (error) {
+    logger.error('Error updating family seating tags:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating seating tags'
+    });
+  }
+});
+
+/**
+ * PUT /api/events/:eventId/guests/:guestId/seating-tags - Set the seating tags of an individual guest
+ */
+router.put('/events/:eventId/guests/:guestId/seating-tags', authenticateToken, seatingPlanValidationSchema.guestTags, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const guest = await findSubject({ type: 'guest', id: req.params.guestId }, event.id);
+    if (!guest) {
+      return res.status(404).json({ success: false, message: 'Guest not found' });
+    }
+
+    const updated = await guests.update(guest.id, { seating_tags: req.body.tags });
+
+    res.json({
+      success: true,
+      message: 'Seating tags updated',
+      data: { id: updated.id, seating_tags: updated.seating_tags }
+    });
+  } catch (error) {
+    logger.error('Error updating guest seating tags:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating seating tags'
+    });
+  }
+});
+
+/**
+ * POST /api/events/:eventId/seating-tables/auto-assign - Propose (dry_run, default) or apply a seating plan
+ * mode: fill (keep current assignments) | reset (re-plan every guest and family)
+ */
+router.post('/events/:eventId/seating-tables/auto-assign', authenticateToken, generalLimiter, seatingPlanValidationSchema.autoAssign, async (req, res) => {
+  try {
+    const event = await authorizeEvent(req.params.eventId, req.user.id, PERMISSIONS.EDIT);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const plan = await seatingSolverService.buildSeatingPlan(event.id, req.body.mode);
+
+    if (plan.tables.length === 0) {
+      return res.status(400).json({ success: false, message: 'Create seating tables before running the auto-assignment' });
+    }
+
+    if (req.body.dry_run) {
+      return res.json({
+        success: true,
+        message: 'Dry run: nothing was assigned',
+        dry_run: true,
+        data: plan
+      });
+    }
+
+    const result = await seatingSolverService.applySeatingPlan({ eventId: event.id, userId: req.user.id, plan });
+
+    await auditService.logEvent({
+      userId: req.user.id,
+      action: auditService.ACTIONS.SEATING_AUTO_ASSIGN,
+      resourceType: auditService.RESOURCE_TYPES.SEATING_TABLE,
+      eventId: event.id,
+      ipAddress: req.ip,
+      details: {
+        mode: plan.mode,
+        score: plan.score,
+        assignments_created: result.assignments_created,
+        assignments_removed: result.assignments_removed,
+        unplaced: plan.unplaced.length,
+        violations: plan.violations.length
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${result.assignments_created} assignment(s) created`,
+      dry_run: false,
+      data: { ...plan, result }
+    });
+  } catch (error) {
+    logger.error('Error auto-assigning seating tables:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while auto-assigning seating tables'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const invitationResolutionService = require('../services/invitationResolutionService');
+const logger = require('../utils/logger');
+
+/**
+ * Backfill des invitations famille : les anciens QR codes famille (qr_codes) sont regroupés
+ * dans family_invitations (nouvelle invitation ou redirection vers l'invitation existante),
+ * et les liens contenant l'id d'une invitation deviennent des redirections.
+ * Équivalent applicatif des migrations 063 et 074, sans risque à relancer.
+ *
+ * Usage : node scripts/consolidate-invitations.js [--event=<eventId>] [--dry-run]
+ */
+async function consolidateInvitations({ eventId = null, dryRun = false } = {}) {
+    logger.info('Démarrage du regroupement des invitations famille...', { eventId, dryRun });
+
+    const summary = await invitationResolutionService.consolidateLegacyCodes({ eventId, dryRun });
+
+    summary.errors.forEach(({ code, error }) => {
+        logger.error(`❌ Erreur pour le QR code ${code}: ${error}`);
+    });
+
+    logger.info(`Regroupement terminé${dryRun ? ' (simulation)' : ''}:`);
+    logger.info(`  📊 QR codes famille: ${summary.total}`);
+    logger.info(`  ✅ Invitations créées: ${summary.created}`);
+    logger.info(`  ↪️ Redirections créées: ${summary.redirected}`);
+    logger.info(`  ⏭️ Ignorés: ${summary.skipped}`);
+    logger.info(`  🔗 Liens par id d'invitation redirigés: ${summary.id_links}`);
+    logger.info(`  ❌ Erreurs: ${summary.errors.length}`);
+
+    return summary;
+}
+
+// Vérifier si exécuté directement
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const eventArg = args.find(arg => arg.startsWith('--event='));
+
+    consolidateInvitations({
+        eventId: eventArg ? eventArg.split('=')[1] : null,
+        dryRun: args.includes('--dry-run')
+    })
+        .then((summary) => {
+            process.exit(summary.errors.length > 0 ? 1 : 0);
+        })
+        .catch((error) => {
+            console.error('Regroupement des invitations échoué:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { consolidateInvitations };
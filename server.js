@@ -18,6 +18,26 @@ const healthRoutes = require('./routes/health');
 const invitationDesignsRoutes = require('./routes/invitationDesigns');
 const invitationFamilyAssignmentsRoutes = require('./routes/invitationFamilyAssignments');
 const invitationsPublicRoutes = require('./routes/invitationsPublic');
+const checkInRoutes = require('./routes/checkIn');
+const liveRoutes = require('./routes/live');
+const rsvpRoutes = require('./routes/rsvp');
+const notificationRoutes = require('./routes/notifications');
+const reminderCampaignRoutes = require('./routes/reminderCampaigns');
+const guestImportRoutes = require('./routes/guestImport');
+const guestExportRoutes = require('./routes/guestExport');
+const invitationPrintRoutes = require('./routes/invitationPrints');
+const seatingPlanRoutes = require('./routes/seatingPlan');
+const seatingChartRoutes = require('./routes/seatingChart');
+const cateringRoutes = require('./routes/catering');
+const collaboratorRoutes = require('./routes/collaborators');
+const scannerRoutes = require('./routes/scanner');
+const invitationAnalyticsRoutes = require('./routes/invitationAnalytics');
+const invitationTemplateRoutes = require('./routes/invitationTemplates');
+const eventCloneRoutes = require('./routes/eventClone');
+const gamesLiveRoutes = require('./routes/gamesLive');
+const gameReviewRoutes = require('./routes/gameReviews');
+const gamesScavengerRoutes = require('./routes/gamesScavenger');
+const gameTeamRoutes = require('./routes/gameTeams');
 
 // Import middleware
 const { limiter, securityHeaders, additionalSecurityHeaders, preventParamPollution } = require('./middleware/security');
@@ -312,7 +332,27 @@ app.use('/api/auth', authRoutes);
 app.use('/api', invitationsPublicRoutes); // Public invitation routes (NO AUTH required, must be first)
 app.use('/api', invitationDesignsRoutes); // Invitation designs routes (must be before apiRoutes)
 app.use('/api', invitationFamilyAssignmentsRoutes); // Invitation family assignments routes (must be before apiRoutes)
+app.use('/api', checkInRoutes); // Day-of check-in: scanner devices, idempotent scans, offline sync
+app.use('/api', liveRoutes); // Live arrivals dashboard (SSE)
+app.use('/api', rsvpRoutes); // RSVP deadline, lock and change history
+app.use('/api', notificationRoutes); // Guest email/SMS notifications and delivery log
+app.use('/api', reminderCampaignRoutes); // Automated RSVP reminder campaigns
+app.use('/api', guestImportRoutes); // Bulk guest/family import from CSV/XLSX
+app.use('/api', guestExportRoutes); // Guest list export (CSV/XLSX/PDF)
+app.use('/api', invitationPrintRoutes); // Print-ready invitation cards and QR sheets (PDF)
+app.use('/api', seatingPlanRoutes); // Seating constraints, tags and auto-assignment
+app.use('/api', seatingChartRoutes); // Floor plan (SVG/PDF), place cards and escort list
+app.use('/api', cateringRoutes); // Allergens and caterer report (meal choices per table)
+app.use('/api', collaboratorRoutes); // Event collaborators, roles and invitations
+app.use('/api', scannerRoutes); // Door-staff scanner access (PIN / magic link sessions)
+app.use('/api', invitationAnalyticsRoutes); // Invitation opens and engagement per design
+app.use('/api', invitationTemplateRoutes); // Invitation template catalogue and private templates
+app.use('/api', eventCloneRoutes); // Copy the structure of an event into a new one
+app.use('/api', gameReviewRoutes); // Organizer review of photo answers (game rankings recomputed)
+app.use('/api', gameTeamRoutes); // Game team mode: custom teams and team leaderboard
 app.use('/api', apiRoutes);
+app.use('/api/games', gamesLiveRoutes); // Hosted live quiz: session control, guest SSE stream and answers
+app.use('/api/games', gamesScavengerRoutes); // Photo scavenger: guest checklist and photo uploads
 app.use('/api/games', gamesPublicRoutes);
 app.use('/api/budget', budgetRoutes);
 app.use('/api/messages', messageRoutes);
@@ -296,6 +296,34 @@ class AuditService {
     QR_SCAN: 'qr_scan',
     QR_VALIDATE: 'qr_validate',
     QR_INVALIDATE: 'qr_invalidate',
+    QR_SIGNING_KEY_ROTATE: 'qr_signing_key_rotate',
+
+    // Check-in
+    CHECK_IN: 'check_in',
+    CHECK_IN_REJECTED: 'check_in_rejected',
+    CHECK_IN_SYNC: 'check_in_sync',
+    SCANNER_DEVICE_REGISTER: 'scanner_device_register',
+    SCANNER_CREDENTIAL_CREATE: 'scanner_credential_create',
+    SCANNER_CREDENTIAL_REVOKE: 'scanner_credential_revoke',
+    SCANNER_LOGIN: 'scanner_login',
+
+    // RSVP
+    RSVP_SETTINGS_UPDATE: 'rsvp_settings_update',
+    RSVP_LOCK: 'rsvp_lock',
+    RSVP_UNLOCK: 'rsvp_unlock',
+
+    // Notifications
+    NOTIFICATION_SEND: 'notification_send',
+    REMINDER_CAMPAIGN_STATUS_CHANGE: 'reminder_campaign_status_change',
+
+    // Seating
+    SEATING_AUTO_ASSIGN: 'seating_auto_assign',
+
+    // Collaboration
+    COLLABORATOR_INVITE: 'collaborator_invite',
+    COLLABORATOR_JOIN: 'collaborator_join',
+    COLLABORATOR_ROLE_CHANGE: 'collaborator_role_change',
+    COLLABORATOR_REMOVE: 'collaborator_remove',
 
     // Data Operations
     DATA_EXPORT: 'data_export',
@@ -319,6 +347,13 @@ class AuditService {
     GUEST: 'guest',
     QR_CODE: 'qr_code',
     FAMILY: 'family',
+    ATTENDANCE: 'attendance',
+    SCANNER_DEVICE: 'scanner_device',
+    SCANNER_CREDENTIAL: 'scanner_credential',
+    NOTIFICATION: 'notification',
+    REMINDER_CAMPAIGN: 'reminder_campaign',
+    SEATING_TABLE: 'seating_table',
+    COLLABORATOR: 'collaborator',
     SESSION: 'session',
     SYSTEM: 'system'
   };
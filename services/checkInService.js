@@ -0,0 +1,472 @@
+const { qrCodes, guests, familyInvitations, attendance, scannerDevices } = require('../utils/database');
+const auditService = require('./auditService');
+const liveEventsService = require('./liveEventsService');
+const qrSigningService = require('./qrSigningService');
+const invitationResolutionService = require('./invitationResolutionService');
+const logger = require('../utils/logger');
+
+/**
+ * Check-in service (day-of scanning at the venue)
+ *
+ * - Validates the scanned code (is_valid, expires_at, event) WITHOUT counting the scan
+ * - Records arrivals atomically through the record_check_in RPC (migration 052)
+ * - Is idempotent: a guest already checked in gets "already checked in at 18:42 by Door 2"
+ * - Supports partial family arrivals against family_invitations.invited_count
+ * - Replays offline scans uploaded by tablets that lost connectivity
+ * - Accepts signed codes (qrSigningService) alongside the random stored codes
+ */
+
+const MAX_SYNC_BATCH = 500;
+
+// HTTP status to use for each check-in outcome
+const STATUS_HTTP_CODES = {
+  checked_in: 200,
+  duplicate: 200,
+  not_found: 404,
+  wrong_event: 400,
+  invalid: 400,
+  expired: 400,
+  inactive_device: 403,
+  already_checked_in: 409,
+  over_capacity: 409
+};
+
+/**
+ * Format a timestamp as HH:mm for staff-facing messages
+ */
+const formatTime = (date, timeZone = 'UTC') => {
+  try {
+    return new Date(date).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', timeZone });
+  } catch (error) {
+    // Unknown timezone in user preferences
+    return new Date(date).toISOString().substring(11, 16);
+  }
+};
+
+const reject = (status, message, extra = {}) => ({ success: false, status, message, ...extra });
+
+/**
+ * Resolve a scanned code into a check-in subject (guest or family invitation)
+ * Looks in qr_codes first, then family_invitations (own code or legacy redirect). Never increments scan_count.
+ * Signed codes resolve to the stored code of the invitation they point to (null when not genuine).
+ */
+const resolveCode = async (code) => {
+  if (qrSigningService.isSignedCode(code)) {
+    const signed = await qrSigningService.verifySignedCode(code);
+    const storedCode = signed.valid ? await qrSigningService.findStoredCode(signed.payload) : null;
+    return storedCode ? resolveCode(storedCode) : null;
+  }
+
+  const qrDoc = await qrCodes.findAnyByCode(code);
+
+  if (qrDoc && qrDoc.family_id) {
+    const invitation = await familyInvitations.findByEventAndFamily(qrDoc.event_id, qrDoc.family_id);
+    return {
+      type: 'family',
+      eventId: qrDoc.event_id,
+      qrCode: qrDoc.code,
+      guestId: null,
+      familyInvitationId: invitation ? invitation.id : null,
+      allowedCount: (invitation && invitation.invited_count) || qrDoc.invited_count || 1,
+      isValid: qrDoc.is_valid !== false && (!invitation || invitation.is_valid !== false),
+      expiresAt: qrDoc.expires_at,
+      label: qrDoc.families?.name || invitation?.families?.name || null,
+      guest: null,
+      family: qrDoc.families || invitation?.families || null,
+      // Consolidated legacy codes count on their family invitation
+      counter: invitation
+        ? { table: 'family_invitations', id: invitation.id }
+        : { table: 'qr_codes', id: qrDoc.id }
+    };
+  }
+
+  if (qrDoc) {
+    const guest = qrDoc.guests || (qrDoc.guest_id ? await guests.findById(qrDoc.guest_id) : null);
+    return {
+      type: 'guest',
+      eventId: qrDoc.event_id,
+      qrCode: qrDoc.code,
+      guestId: qrDoc.guest_id,
+      familyInvitationId: null,
+      allowedCount: guest && guest.plus_one ? 2 : 1,
+      isValid: qrDoc.is_valid !== false,
+      expiresAt: qrDoc.expires_at,
+      label: guest ? `${guest.first_name || ''} ${guest.last_name || ''}`.trim() : null,
+      guest,
+      family: null,
+      counter: { table: 'qr_codes', id: qrDoc.id }
+    };
+  }
+
+  const invitation = await invitationResolutionService.findStoredInvitation(code);
+  if (invitation) {
+    return {
+      type: 'family',
+      eventId: invitation.event_id,
+      qrCode: invitation.qr_code,
+      guestId: null,
+      familyInvitationId: invitation.id,
+      allowedCount: invitation.invited_count || 1,
+      isValid: invitation.is_valid !== false,
+      expiresAt: invitation.qr_expires_at,
+      label: invitation.families?.name || null,
+      guest: null,
+      family: invitation.families || null,
+      counter: { table: 'family_invitations', id: invitation.id }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Count a successful scan on the source row (qr_codes or family_invitations)
+ */
+const incrementScanCounter = async (counter) => {
+  if (counter.table === 'qr_codes') {
+    await qrCodes.incrementScan(counter.id);
+  } else {
+    await familyInvitations.incrementScan(counter.id);
+  }
+};
+
+/**
+ * Check in a scanned code
+ * @param {Object} params
+ * @param {string} params.qrCode - Scanned code
+ * @param {string} [params.eventId] - Event the scanner is working for (rejects codes of other events)
+ * @param {number} [params.arrivedCount] - People arriving with this scan (defaults to everyone still expected)
+ * @param {string} [params.deviceId] - Registered scanner device
+ * @param {string} [params.verifiedBy] - User performing the scan
+ * @param {Object} [params.scanner] - Door-staff scanner credential performing the scan ({ credentialId, label })
+ * @param {string} [params.clientScanId] - Client-side scan ID (offline sync idempotency)
+ * @param {string} [params.scannedAt] - When the scan actually happened (offline sync)
+ * @param {string} [params.source] - 'live' or 'offline_sync'
+ * @param {string} [params.timeZone] - Timezone used in staff-facing messages
+ * @returns {Promise<Object>} - { success, status, message, data }
+ */
+const checkIn = async ({
+  qrCode,
+  eventId = null,
+  arrivedCount = null,
+  deviceId = null,
+  verifiedBy = null,
+  scanner = null,
+  clientScanId = null,
+  scannedAt = null,
+  source = 'live',
+  timeZone = 'UTC'
+}) => {
+  if (!qrCode) {
+    throw new Error('QR code is required');
+  }
+
+  let device = null;
+  if (deviceId) {
+    device = await scannerDevices.findById(deviceId);
+    if (!device || (eventId && device.event_id !== eventId)) {
+      return reject('inactive_device', 'Scanner device not registered for this event');
+    }
+    if (!device.is_active) {
+      return reject('inactive_device', `Scanner device "${device.name}" has been deactivated`);
+    }
+  }
+
+  // Tell forged, retired and expired signed codes apart from unknown ones
+  if (qrSigningService.isSignedCode(qrCode)) {
+    const signed = await qrSigningService.verifySignedCode(qrCode);
+    if (!signed.valid) {
+      return reject(signed.status, signed.message);
+    }
+  }
+
+  const subject = await resolveCode(qrCode);
+
+  if (!subject) {
+    return reject('not_found', 'Unknown QR code');
+  }
+
+  const scopeEventId = eventId || (device && device.event_id);
+  if (scopeEventId && subject.eventId !== scopeEventId) {
+    return reject('wrong_event', 'This QR code belongs to another event');
+  }
+
+  if (!subject.isValid) {
+    return reject('invalid', 'This QR code has been invalidated');
+  }
+
+  const scanTime = scannedAt ? new Date(scannedAt) : new Date();
+  if (subject.expiresAt && new Date(subject.expiresAt) < scanTime) {
+    return reject('expired', 'This QR code has expired');
+  }
+
+  const isOffline = source === 'offline_sync';
+  const result = await attendance.recordCheckIn({
+    eventId: subject.eventId,
+    qrCode: subject.qrCode,
+    guestId: subject.guestId,
+    familyInvitationId: subject.familyInvitationId,
+    arrivedCount: arrivedCount || subject.allowedCount,
+    allowedCount: subject.allowedCount,
+    scannerDeviceId: device ? device.id : null,
+    verifiedBy,
+    clientScanId,
+    scannedAt: scannedAt ? scanTime.toISOString() : null,
+    source,
+    // People already went through the door: offline scans and "whole family" scans
+    // are clamped to the remaining places instead of being rejected
+    clampToRemaining: isOffline || !arrivedCount
+  });
+
+  const subjectData = {
+    type: subject.type,
+    label: subject.label,
+    guest: subject.guest,
+    family: subject.family,
+    family_invitation_id: subject.familyInvitationId,
+    invited_count: subject.allowedCount
+  };
+
+  if (result.status === 'duplicate') {
+    return {
+      success: true,
+      status: 'duplicate',
+      message: 'This scan has already been synchronized',
+      data: { ...subjectData, attendance: result.attendance }
+    };
+  }
+
+  if (result.status === 'already_checked_in' || result.status === 'over_capacity') {
+    const last = result.last_check_in;
+    const at = last ? formatTime(last.timestamp, timeZone) : null;
+    const by = last && last.scanner_device_name ? ` by ${last.scanner_device_name}` : '';
+    const message = result.status === 'already_checked_in'
+      ? `${subject.label || 'Guest'} already checked in${at ? ` at ${at}` : ''}${by}`
+      : `Only ${result.remaining} of ${subject.allowedCount} places remaining for ${subject.label || 'this invitation'}`;
+
+    await auditService.logEvent({
+      userId: verifiedBy,
+      action: auditService.ACTIONS.CHECK_IN_REJECTED,
+      resourceType: auditService.RESOURCE_TYPES.QR_CODE,
+      resourceId: subject.counter.id,
+      eventId: subject.eventId,
+      details: {
+        reason: result.status,
+        scannerDeviceId: device ? device.id : null,
+        scannerCredentialId: scanner ? scanner.credentialId : null,
+        scannedBy: scanner ? scanner.label : null,
+        alreadyArrived: result.already_arrived,
+        source
+      },
+      severity: auditService.SEVERITIES.WARNING,
+      success: false
+    });
+
+    return reject(result.status, message, {
+      data: {
+        ...subjectData,
+        already_arrived: result.already_arrived,
+        remaining: result.remaining,
+        last_check_in: last || null
+      }
+    });
+  }
+
+  try {
+    await incrementScanCounter(subject.counter);
+    if (device) {
+      await scannerDevices.touch(device.id);
+    }
+  } catch (error) {
+    // The arrival is recorded, counters are best effort
+    logger.warn('Check-in recorded but counters could not be updated', { error: error.message });
+  }
+
+  await auditService.logEvent({
+    userId: verifiedBy,
+    action: auditService.ACTIONS.CHECK_IN,
+    resourceType: auditService.RESOURCE_TYPES.ATTENDANCE,
+    resourceId: result.attendance.id,
+    eventId: subject.eventId,
+    details: {
+      qrCodeId: subject.counter.id,
+      type: subject.type,
+      arrivedCount: result.attendance.arrived_count,
+      alreadyArrived: result.already_arrived,
+      scannerDeviceId: device ? device.id : null,
+      scannerCredentialId: scanner ? scanner.credentialId : null,
+      scannedBy: scanner ? scanner.label : null,
+      source
+    },
+    severity: auditService.SEVERITIES.INFO,
+    success: true
+  });
+
+  liveEventsService.publish(subject.eventId, liveEventsService.LIVE_EVENT_TYPES.CHECK_IN, {
+    attendance_id: result.attendance.id,
+    type: subject.type,
+    label: subject.label,
+    arrived_count: result.attendance.arrived_count,
+    already_arrived: result.already_arrived,
+    invited_count: subject.allowedCount,
+    scanner_device: device ? { id: device.id, name: device.name } : null,
+    scanned_by: scanner ? scanner.label : null,
+    source,
+    timestamp: result.attendance.timestamp
+  });
+
+  return {
+    success: true,
+    status: 'checked_in',
+    message: `${subject.label || 'Guest'} checked in (${result.already_arrived}/${subject.allowedCount})`,
+    data: {
+      ...subjectData,
+      attendance: result.attendance,
+      already_arrived: result.already_arrived,
+      remaining: result.remaining,
+      clamped: !!result.clamped
+    }
+  };
+};
+
+/**
+ * Replay scans queued by a device while it was offline
+ * Scans are applied in the order they happened; the first arrival recorded wins
+ * and later conflicting scans are reported instead of creating duplicates.
+ */
+const syncOfflineScans = async ({ eventId, deviceId, scans, verifiedBy = null, scanner = null, timeZone = 'UTC' }) => {
+  if (!Array.isArray(scans) || scans.length === 0) {
+    throw new Error('Scans array is required');
+  }
+  if (scans.length > MAX_SYNC_BATCH) {
+    throw new Error(`Cannot sync more than ${MAX_SYNC_BATCH} scans at once`);
+  }
+
+  const ordered = [...scans].sort((a, b) => new Date(a.scanned_at) - new Date(b.scanned_at));
+  const now = Date.now();
+  const summary = { processed: 0, checked_in: 0, duplicates: 0, conflicts: 0, rejected: 0 };
+  const results = [];
+
+  for (const scan of ordered) {
+    // Tablet clocks drift: never record an arrival in the future
+    const scannedAt = new Date(Math.min(new Date(scan.scanned_at).getTime(), now)).toISOString();
+    let outcome;
+
+    try {
+      outcome = await checkIn({
+        qrCode: scan.qr_code,
+        eventId,
+        arrivedCount: scan.arrived_count || null,
+        deviceId,
+        verifiedBy,
+        scanner,
+        clientScanId: scan.client_scan_id,
+        scannedAt,
+        source: 'offline_sync',
+        timeZone
+      });
+    } catch (error) {
+      logger.error('Error syncing offline scan', { clientScanId: scan.client_scan_id, error: error.message });
+      outcome = reject('error', 'Server error while processing this scan');
+    }
+
+    let resolution = null;
+    if (outcome.status === 'checked_in') {
+      summary.checked_in++;
+      if (outcome.data.clamped) {
+        summary.conflicts++;
+        resolution = 'partially_applied';
+      }
+    } else if (outcome.status === 'duplicate') {
+      summary.duplicates++;
+    } else if (outcome.status === 'already_checked_in' || outcome.status === 'over_capacity') {
+      summary.conflicts++;
+      resolution = 'kept_existing';
+    } else {
+      summary.rejected++;
+    }
+    summary.processed++;
+
+    results.push({
+      client_scan_id: scan.client_scan_id,
+      status: outcome.status,
+      message: outcome.message,
+      resolution,
+      attendance: outcome.data?.attendance || null,
+      last_check_in: outcome.data?.last_check_in || null
+    });
+  }
+
+  if (deviceId) {
+    await scannerDevices.touch(deviceId, { synced: true });
+  }
+
+  await auditService.logEvent({
+    userId: verifiedBy,
+    action: auditService.ACTIONS.CHECK_IN_SYNC,
+    resourceType: auditService.RESOURCE_TYPES.SCANNER_DEVICE,
+    resourceId: deviceId,
+    eventId,
+    details: {
+      ...summary,
+      scannerCredentialId: scanner ? scanner.credentialId : null,
+      scannedBy: scanner ? scanner.label : null
+    },
+    severity: summary.conflicts > 0 ? auditService.SEVERITIES.WARNING : auditService.SEVERITIES.INFO,
+    success: true
+  });
+
+  return { ...summary, results };
+};
+
+/**
+ * Live check-in summary for an event (people arrived vs expected, per device)
+ */
+const getEventSummary = async (eventId) => {
+  const [records, invitations, guestList, devices] = await Promise.all([
+    attendance.findByEvent(eventId),
+    familyInvitations.findByEvent(eventId),
+    guests.findByEvent(eventId),
+    scannerDevices.findByEvent(eventId)
+  ]);
+
+  const arrivals = (records || []).filter(record => record.status === 'arrived');
+  const expected = (invitations || [])
+    .filter(inv => inv.is_valid !== false)
+    .reduce((sum, inv) => sum + (inv.invited_count || 0), 0)
+    + (guestList || []).reduce((sum, guest) => sum + (guest.plus_one ? 2 : 1), 0);
+
+  const byDevice = devices.map(device => ({
+    id: device.id,
+    name: device.name,
+    is_active: device.is_active,
+    last_seen_at: device.last_seen_at,
+    last_sync_at: device.last_sync_at,
+    arrived: arrivals
+      .filter(record => record.scanner_device_id === device.id)
+      .reduce((sum, record) => sum + (record.arrived_count || 1), 0)
+  }));
+
+  return {
+    arrived: arrivals.reduce((sum, record) => sum + (record.arrived_count || 1), 0),
+    expected,
+    scans: arrivals.length,
+    offline_synced: arrivals.filter(record => record.source === 'offline_sync').length,
+    by_device: byDevice,
+    recent: arrivals.slice(0, 20)
+  };
+};
+
+/**
+ * Map a check-in outcome to an HTTP status code
+ */
+const httpStatusFor = (status) => STATUS_HTTP_CODES[status] || 500;
+
+module.exports = {
+  MAX_SYNC_BATCH,
+  resolveCode,
+  checkIn,
+  syncOfflineScans,
+  getEventSummary,
+  httpStatusFor
+};
@@ -0,0 +1,212 @@
+/**
+ * Service des collaborateurs d'un événement
+ * - Invitation par email (lien à usage unique, seul le hash du jeton est stocké)
+ * - Acceptation par un compte connecté dont l'email correspond à l'invitation
+ * - Règles de gestion : seuls les propriétaires donnent ou retirent le rôle propriétaire,
+ *   l'organisateur principal ne peut pas être retiré
+ */
+
+const crypto = require('crypto');
+const { users, eventCollaborators } = require('../utils/database');
+const { ROLES } = require('./eventAccessService');
+const notificationTransports = require('./notificationTransports');
+const notificationConfig = require('../config/notifications');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const INVITATION_TTL_DAYS = 14;
+
+const INVITATION_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+};
+
+const ROLE_LABELS = {
+  [ROLES.OWNER]: 'propriétaire',
+  [ROLES.CO_ORGANIZER]: 'co-organisateur',
+  [ROLES.PLANNER]: 'wedding planner',
+  [ROLES.VIEWER]: 'lecteur',
+  [ROLES.DOOR_STAFF]: 'accueil des invités'
+};
+
+const collaboratorError = (message, code) => Object.assign(new Error(message), { code });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getAcceptUrl = (token) => `${config.frontendUrl}/collaborations/accept?token=${token}`;
+
+/**
+ * Whether a member may grant (or take away) a role
+ * @param {string} actorRole - Role of the user doing the change
+ * @param {string} role - Role granted or removed
+ */
+const canManageRole = (actorRole, role) => actorRole === ROLES.OWNER || role !== ROLES.OWNER;
+
+/**
+ * Owner and collaborators of an event, with the pending invitations
+ */
+const listCollaborators = async (event) => {
+  const [owner, collaborators, invitations] = await Promise.all([
+    users.findById(event.organizer_id),
+    eventCollaborators.findByEvent(event.id),
+    eventCollaborators.findPendingInvitationsByEvent(event.id)
+  ]);
+
+  return {
+    owner: {
+      user_id: event.organizer_id,
+      name: owner?.name || null,
+      email: owner?.email || null,
+      role: ROLES.OWNER,
+      is_primary: true
+    },
+    collaborators: collaborators.map(({ users: user, ...collaborator }) => ({
+      ...collaborator,
+      name: user?.name || null,
+      email: user?.email || null,
+      is_primary: false
+    })),
+    invitations: invitations.map(invitation => ({
+      ...invitation,
+      is_expired: new Date(invitation.expires_at) < new Date()
+    }))
+  };
+};
+
+const sendInvitationEmail = async ({ event, email, role, inviter, acceptUrl }) => {
+  const inviterName = inviter.name || inviter.email;
+  const text = [
+    'Bonjour,',
+    '',
+    `${inviterName} vous invite à rejoindre l'organisation de "${event.title}" en tant que ${ROLE_LABELS[role]}.`,
+    '',
+    `Pour accepter, connectez-vous ou créez votre compte avec cette adresse email puis ouvrez ce lien : ${acceptUrl}`,
+    '',
+    `Ce lien est valable ${INVITATION_TTL_DAYS} jours.`
+  ].join('\n');
+
+  try {
+    await notificationTransports.getTransport('email').send({
+      to: email,
+      from: notificationConfig.fromEmail,
+      fromName: notificationConfig.fromName,
+      replyTo: inviter.email,
+      subject: `Invitation à organiser ${event.title}`,
+      text,
+      reference: `collaboration-${event.id}`
+    });
+    return true;
+  } catch (error) {
+    // The organizer still gets the link to share it another way
+    logger.error('Error sending collaborator invitation email:', { error: error.message, eventId: event.id });
+    return false;
+  }
+};
+
+/**
+ * Invite someone by email to collaborate on an event
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {string} params.email - Invitee email
+ * @param {string} params.role - Granted role
+ * @param {Object} params.inviter - Current user (id, name, email)
+ * @param {string} params.inviterRole - Role of the inviter on the event
+ * @returns {Promise<{ invitation: Object, accept_url: string, email_sent: boolean }>}
+ */
+const inviteCollaborator = async ({ event, email, role, inviter, inviterRole }) => {
+  if (!canManageRole(inviterRole, role)) {
+    throw collaboratorError('Only owners can invite another owner', 'ROLE_NOT_ALLOWED');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const existingUser = await users.findByEmail(normalizedEmail);
+  if (existingUser) {
+    const alreadyMember = existingUser.id === event.organizer_id ||
+      await eventCollaborators.findByEventAndUser(event.id, existingUser.id);
+    if (alreadyMember) {
+      throw collaboratorError('This person already has access to the event', 'ALREADY_COLLABORATOR');
+    }
+  }
+
+  // A new invitation replaces the previous link sent to the same address
+  await eventCollaborators.revokePendingInvitations(event.id, normalizedEmail);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await eventCollaborators.createInvitation({
+    event_id: event.id,
+    email: normalizedEmail,
+    role,
+    token_hash: hashToken(token),
+    invited_by: inviter.id,
+    expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  const acceptUrl = getAcceptUrl(token);
+  const emailSent = await sendInvitationEmail({ event, email: normalizedEmail, role, inviter, acceptUrl });
+
+  const { token_hash: tokenHash, ...publicInvitation } = invitation;
+  return { invitation: publicInvitation, accept_url: acceptUrl, email_sent: emailSent };
+};
+
+/**
+ * Pending invitation matching a token
+ * @throws {Error} - code INVITATION_NOT_FOUND | INVITATION_EXPIRED
+ */
+const findPendingInvitation = async (token) => {
+  const invitation = await eventCollaborators.findInvitationByTokenHash(hashToken(token));
+  if (!invitation || invitation.status !== INVITATION_STATUSES.PENDING || !invitation.events?.is_active) {
+    throw collaboratorError('Invitation not found or already used', 'INVITATION_NOT_FOUND');
+  }
+  if (new Date(invitation.expires_at) < new Date()) {
+    throw collaboratorError('This invitation has expired, ask the organizer for a new one', 'INVITATION_EXPIRED');
+  }
+  return invitation;
+};
+
+/**
+ * Accept an invitation with the connected account
+ * @param {Object} params
+ * @param {string} params.token - Token from the invitation link
+ * @param {Object} params.user - Current user (id, email)
+ * @returns {Promise<{ collaborator: Object, event: Object }>}
+ * @throws {Error} - code INVITATION_NOT_FOUND | INVITATION_EXPIRED | EMAIL_MISMATCH | ALREADY_COLLABORATOR
+ */
+const acceptInvitation = async ({ token, user }) => {
+  const invitation = await findPendingInvitation(token);
+
+  if (String(user.email || '').trim().toLowerCase() !== invitation.email) {
+    throw collaboratorError(`This invitation was sent to ${invitation.email}`, 'EMAIL_MISMATCH');
+  }
+
+  const event = invitation.events;
+  if (user.id === event.organizer_id) {
+    throw collaboratorError('You already own this event', 'ALREADY_COLLABORATOR');
+  }
+
+  // Accepting again with an existing access replaces the role
+  const collaborator = await eventCollaborators.upsert({
+    event_id: invitation.event_id,
+    user_id: user.id,
+    role: invitation.role,
+    invited_by: invitation.invited_by
+  });
+
+  await eventCollaborators.updateInvitation(invitation.id, {
+    status: INVITATION_STATUSES.ACCEPTED,
+    accepted_by: user.id,
+    accepted_at: new Date().toISOString()
+  });
+
+  return { collaborator, event: { id: event.id, title: event.title, date: event.date } };
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  INVITATION_STATUSES,
+  canManageRole,
+  listCollaborators,
+  inviteCollaborator,
+  findPendingInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,119 @@
+/**
+ * Service d'autorisation sur les événements
+ * - Rôles par événement : propriétaire, co-organisateur, wedding planner, lecteur, accueil
+ * - L'organisateur principal (events.organizer_id) est toujours propriétaire
+ * - Point d'entrée unique des routes pour vérifier l'accès à un événement
+ */
+
+// Loaded by utils/db modules too: require the db modules directly, not utils/database
+const eventsDb = require('../utils/db/events');
+const eventCollaboratorsDb = require('../utils/db/eventCollaborators');
+
+const ROLES = {
+  OWNER: 'owner',
+  CO_ORGANIZER: 'co_organizer',
+  PLANNER: 'planner',
+  VIEWER: 'viewer',
+  DOOR_STAFF: 'door_staff'
+};
+
+const PERMISSIONS = {
+  VIEW: 'view', // Read event data (guests, RSVPs, seating, exports)
+  EDIT: 'edit', // Change event content
+  BUDGET: 'budget', // Budget and expenses
+  CHECK_IN: 'check_in', // Scan invitations at the door
+  MANAGE_COLLABORATORS: 'manage_collaborators',
+  DELETE_EVENT: 'delete_event'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.CO_ORGANIZER]: [PERMISSIONS.VIEW, PERMISSIONS.EDIT, PERMISSIONS.BUDGET, PERMISSIONS.CHECK_IN, PERMISSIONS.MANAGE_COLLABORATORS],
+  [ROLES.PLANNER]: [PERMISSIONS.VIEW, PERMISSIONS.EDIT, PERMISSIONS.BUDGET, PERMISSIONS.CHECK_IN],
+  [ROLES.VIEWER]: [PERMISSIONS.VIEW],
+  [ROLES.DOOR_STAFF]: [PERMISSIONS.CHECK_IN]
+};
+
+const hasPermission = (role, permission) => !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Role of a user on an event, null without access
+ * @param {Object} event - Event row (organizer_id, is_active)
+ * @param {string} userId
+ */
+const getEventRole = async (event, userId) => {
+  if (!event || !userId) {
+    return null;
+  }
+  // Older events may carry their owner in user_id
+  if (String(event.organizer_id) === String(userId) || (event.user_id && String(event.user_id) === String(userId))) {
+    return ROLES.OWNER;
+  }
+  // Deleted events are only visible to their owner
+  if (event.is_active === false) {
+    return null;
+  }
+
+  const collaborator = await eventCollaboratorsDb.findByEventAndUser(event.id, userId);
+  return collaborator?.role || null;
+};
+
+/**
+ * Access of a user on an event
+ * @returns {Promise<{ event: Object, role: string, permissions: string[] }|null>}
+ */
+const getEventAccess = async (eventId, userId) => {
+  const event = await eventsDb.findById(eventId);
+  const role = await getEventRole(event, userId);
+  if (!role) {
+    return null;
+  }
+
+  return { event, role, permissions: ROLE_PERMISSIONS[role] };
+};
+
+/**
+ * Whether a user may act on an already loaded event
+ * @param {Object} event - Event row
+ * @param {string} userId
+ * @param {string} permission - PERMISSIONS value (default VIEW)
+ */
+const canAccessEvent = async (event, userId, permission = PERMISSIONS.VIEW) =>
+  hasPermission(await getEventRole(event, userId), permission);
+
+/**
+ * Load an event the user may act on
+ * @returns {Promise<Object|null>} - The event, or null when missing or not allowed (routes answer 404)
+ */
+const authorizeEvent = async (eventId, userId, permission = PERMISSIONS.VIEW) => {
+  const access = await getEventAccess(eventId, userId);
+  return access && hasPermission(access.role, permission) ? access.event : null;
+};
+
+/**
+ * Events a user owns or collaborates on, each with its access_role
+ */
+const findAccessibleEvents = async (userId) => {
+  const [ownEvents, sharedEvents] = await Promise.all([
+    eventsDb.findByOrganizer(userId),
+    eventCollaboratorsDb.findEventsByUser(userId)
+  ]);
+
+  const ownIds = new Set((ownEvents || []).map(event => event.id));
+  return [
+    ...(ownEvents || []).map(event => ({ ...event, access_role: ROLES.OWNER })),
+    ...sharedEvents.filter(event => !ownIds.has(event.id))
+  ].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getEventRole,
+  getEventAccess,
+  canAccessEvent,
+  authorizeEvent,
+  findAccessibleEvents
+};
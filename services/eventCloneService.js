@@ -0,0 +1,233 @@
+/**
+ * Service de duplication d'événement
+ * - Copie la structure choisie d'un événement dans un nouvel événement avec de nouvelles dates :
+ *   menu, programme, étapes, histoire, jeux et questions, postes de budget (sans montants),
+ *   tables de placement (sans placements), images
+ * - Les médias de notre stockage sont copiés dans les dossiers du nouvel événement (storageService)
+ * - Jamais copiés : invités, familles, RSVP, invitations et QR codes, réponses aux jeux
+ */
+
+const { events, storyEvents, games, budgetItems, seatingTables } = require('../utils/database');
+const eventsSafe = require('../utils/db/events.safe');
+const storageService = require('./storageService');
+const logger = require('../utils/logger');
+
+const CLONE_PARTS = {
+  MENU_SETTINGS: 'menu_settings',
+  PROGRAMME_SETTINGS: 'programme_settings',
+  EVENT_SCHEDULE: 'event_schedule',
+  STORY_EVENTS: 'story_events',
+  GAMES: 'games',
+  BUDGET_ITEMS: 'budget_items',
+  SEATING_TABLES: 'seating_tables',
+  IMAGES: 'images' // Cover and banner
+};
+
+const DEFAULT_SETTINGS = {
+  enableRSVP: true,
+  enableGames: false,
+  enablePhotoGallery: true,
+  enableGuestBook: true,
+  enableQRVerification: true
+};
+
+/**
+ * Copy a media of the source event into the new event folders
+ * Files hosted elsewhere keep their URL; a copy failure drops the media and is reported
+ */
+const createMediaCopier = (userId, eventId, report) => async (url, type) => {
+  if (!url) return null;
+
+  try {
+    const copiedUrl = await storageService.copyFileStructured(url, userId, eventId, type);
+    if (!copiedUrl) return url;
+
+    report.media_copied += 1;
+    return copiedUrl;
+  } catch (error) {
+    logger.warn('Event clone media skipped:', { url, error: error.message });
+    report.media_failed += 1;
+    return null;
+  }
+};
+
+const cloneStoryEvents = async (sourceEventId, eventId, copyMedia) => {
+  const items = await storyEvents.findByEvent(sourceEventId);
+
+  for (const item of items) {
+    await storyEvents.create({
+      event_id: eventId,
+      title: item.title,
+      event_date: item.event_date,
+      location: item.location,
+      description: item.description,
+      // findByEvent exposes 'photo' as 'image' for the frontend
+      media_type: item.media_type === 'image' ? 'photo' : item.media_type,
+      media_url: await copyMedia(item.media_url, 'gallery'),
+      sort_order: item.sort_order
+    });
+  }
+
+  return items.length;
+};
+
+const cloneGames = async (sourceEventId, eventId, copyMedia) => {
+  const sourceGames = await games.findByEvent(sourceEventId);
+  let questionsCount = 0;
+
+  for (const game of sourceGames) {
+    const questions = await games.findQuestionsByGame(game.id);
+
+    const createdGame = await games.create({
+      event_id: eventId,
+      name: game.name,
+      type: game.type,
+      description: game.description,
+      settings: game.settings || {},
+      status: 'draft',
+      total_questions: questions.length
+    });
+
+    const copiedQuestions = [];
+    for (const question of questions) {
+      copiedQuestions.push({
+        game_id: createdGame.id,
+        question: question.question,
+        question_type: question.question_type,
+        options: question.options,
+        correct_answer: question.correct_answer,
+        accepted_answers: question.accepted_answers || [],
+        points: question.points,
+        sort_order: question.sort_order,
+        media_url: await copyMedia(question.media_url, 'gallery'),
+        time_limit: question.time_limit
+      });
+    }
+
+    if (copiedQuestions.length > 0) {
+      await games.createQuestions(copiedQuestions);
+    }
+    questionsCount += copiedQuestions.length;
+  }
+
+  return { games: sourceGames.length, game_questions: questionsCount };
+};
+
+// Budget lines keep their category and vendor, never amounts, payments or attachments
+const cloneBudgetItems = async (sourceEventId, eventId, userId) => {
+  const items = await budgetItems.findByEvent(sourceEventId);
+
+  const created = await budgetItems.createMany(items.map(item => ({
+    event_id: eventId,
+    user_id: userId,
+    title: item.title,
+    description: item.description,
+    category: item.category,
+    estimated_amount: 0,
+    actual_amount: 0,
+    paid_amount: 0,
+    vendor_name: item.vendor_name,
+    vendor_contact: item.vendor_contact,
+    vendor_email: item.vendor_email,
+    vendor_phone: item.vendor_phone,
+    payment_status: 'pending',
+    notes: item.notes,
+    is_essential: item.is_essential,
+    quantity: item.quantity || 1,
+    unit_price: 0
+  })));
+
+  return created.length;
+};
+
+// Tables and their layout, without any guest placed
+const cloneSeatingTables = async (sourceEventId, eventId, userId) => {
+  const tables = await seatingTables.findByEvent(sourceEventId, userId);
+
+  for (const table of tables) {
+    await seatingTables.create({
+      event_id: eventId,
+      name: table.name,
+      seats: table.seats,
+      table_shape: table.table_shape,
+      position_x: table.position_x,
+      position_y: table.position_y,
+      notes: table.notes,
+      tags: table.tags || []
+    }, userId);
+  }
+
+  return tables.length;
+};
+
+/**
+ * Copy the structure of an event into a new event
+ * @param {Object} params
+ * @param {Object} params.source - Source event row
+ * @param {string} params.userId - Organizer of the new event
+ * @param {string} params.title - Title of the new event
+ * @param {string} params.date - Date of the new event (ceremony and reception dates follow)
+ * @param {string[]} params.parts - CLONE_PARTS values to copy
+ * @returns {Promise<{ event: Object, copied: Object }>}
+ */
+const cloneEvent = async ({ source, userId, title, date, parts }) => {
+  const selected = new Set(parts);
+  const copied = { media_copied: 0, media_failed: 0 };
+
+  const event = await eventsSafe.create({
+    title,
+    description: source.description || null,
+    date,
+    organizer_id: userId,
+    is_active: true,
+    settings: source.settings || DEFAULT_SETTINGS,
+    event_schedule: selected.has(CLONE_PARTS.EVENT_SCHEDULE) ? (source.event_schedule || []) : []
+  });
+
+  try {
+    const copyMedia = createMediaCopier(userId, event.id, copied);
+    const updates = {};
+
+    if (selected.has(CLONE_PARTS.MENU_SETTINGS) && source.menu_settings) {
+      updates.menu_settings = source.menu_settings;
+    }
+    if (selected.has(CLONE_PARTS.PROGRAMME_SETTINGS) && source.programme_settings) {
+      updates.programme_settings = {
+        ...source.programme_settings,
+        programme_file_url: await copyMedia(source.programme_settings.programme_file_url, 'programmes')
+      };
+    }
+    if (selected.has(CLONE_PARTS.IMAGES)) {
+      updates.cover_image = await copyMedia(source.cover_image, 'covers');
+      updates.banner_image = await copyMedia(source.banner_image, 'banners');
+    }
+
+    const updatedEvent = Object.keys(updates).length > 0 ? await events.update(event.id, updates) : event;
+
+    if (selected.has(CLONE_PARTS.STORY_EVENTS)) {
+      copied.story_events = await cloneStoryEvents(source.id, event.id, copyMedia);
+    }
+    if (selected.has(CLONE_PARTS.GAMES)) {
+      Object.assign(copied, await cloneGames(source.id, event.id, copyMedia));
+    }
+    if (selected.has(CLONE_PARTS.BUDGET_ITEMS)) {
+      copied.budget_items = await cloneBudgetItems(source.id, event.id, userId);
+    }
+    if (selected.has(CLONE_PARTS.SEATING_TABLES)) {
+      copied.seating_tables = await cloneSeatingTables(source.id, event.id, userId);
+    }
+
+    return { event: updatedEvent, copied };
+  } catch (error) {
+    // A half-copied event would be mistaken for a usable one
+    await events.softDelete(event.id).catch(deleteError => {
+      logger.error('Error removing partially cloned event:', { eventId: event.id, error: deleteError.message });
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  CLONE_PARTS,
+  cloneEvent
+};
@@ -0,0 +1,120 @@
+/**
+ * Service de la galerie partagée de l'événement
+ * Enregistrement des photos et vidéos envoyées (galerie, chasse aux photos) et diffusion en direct
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const eventGallery = require('../utils/db/eventGallery');
+const storageService = require('./storageService');
+const imageService = require('./imageService');
+const liveEventsService = require('./liveEventsService');
+const { buildSecurePath } = require('../utils/validationUtils');
+const { sanitizeFilename } = require('../utils/securityUtils');
+const logger = require('../utils/logger');
+
+const OPTIMIZE_MIN_SIZE = 100 * 1024; // Smaller images are stored as sent
+
+/**
+ * Generate unique filename
+ */
+const generateUniqueFilename = (originalName, eventId) => {
+  const ext = originalName.split('.').pop();
+  const sanitized = sanitizeFilename(originalName.split('.').slice(0, -1).join('.'));
+  return `${eventId}/${Date.now()}_${uuidv4().slice(0, 8)}_${sanitized}.${ext}`;
+};
+
+/**
+ * Push a new gallery item to the organizer's live dashboard
+ */
+const publishGalleryUpload = (galleryItem) => {
+  liveEventsService.publish(galleryItem.event_id, liveEventsService.LIVE_EVENT_TYPES.GALLERY_UPLOAD, {
+    id: galleryItem.id,
+    file_type: galleryItem.file_type,
+    thumbnail_url: galleryItem.thumbnail_url || null,
+    caption: galleryItem.caption,
+    family_id: galleryItem.family_id,
+    uploaded_at: galleryItem.uploaded_at || galleryItem.created_at
+  });
+};
+
+/**
+ * Store an uploaded image or video in the event gallery (images are optimized)
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.familyId - Family of the guest, if known
+ * @param {string} params.guestId - Guest, if known
+ * @param {string} params.userId - Authenticated uploader, if any
+ * @param {string} params.caption - Caption
+ * @param {string} params.userAgent - Device of the uploader
+ * @param {Object} params.metadata - Extra metadata (e.g. the game a photo completes)
+ * @param {boolean} params.isApproved - Shown in the gallery right away (false while awaiting moderation)
+ * @returns {Promise<Object>} - event_gallery row
+ */
+const storeGalleryUpload = async (file, { eventId, familyId = null, guestId = null, userId = null, caption = null, userAgent = null, metadata = {}, isApproved = true }) => {
+  const isImage = file.mimetype.startsWith('image/');
+  const fileType = isImage ? 'image' : 'video';
+
+  // Generate unique filename
+  const uniqueFilename = generateUniqueFilename(file.originalname, eventId);
+  const folder = buildSecurePath('gallery', eventId);
+
+  // Optimize image if needed
+  let processedBuffer = file.buffer;
+  let processedMimetype = file.mimetype;
+
+  if (isImage && file.size > OPTIMIZE_MIN_SIZE) {
+    try {
+      const optimized = await imageService.optimizeGalleryImage(file.buffer);
+      processedBuffer = optimized.buffer;
+      processedMimetype = optimized.mimetype;
+    } catch (optimizeError) {
+      logger.warn('Image optimization failed, using original:', optimizeError.message);
+    }
+  }
+
+  // Upload to storage
+  const fileToUpload = {
+    ...file,
+    buffer: processedBuffer,
+    mimetype: processedMimetype
+  };
+
+  const publicUrl = await storageService.uploadFile(fileToUpload, folder);
+  const r2Key = `${folder}/${uniqueFilename}`;
+
+  // Create gallery item
+  const galleryItem = await eventGallery.create({
+    event_id: eventId,
+    family_id: familyId || null,
+    guest_id: guestId || null,
+    uploaded_by: userId || null,
+    original_name: file.originalname,
+    file_name: uniqueFilename,
+    file_path: publicUrl,
+    file_size: processedBuffer.length,
+    mime_type: processedMimetype,
+    file_type: fileType,
+    r2_key: r2Key,
+    r2_url: publicUrl,
+    thumbnail_url: isImage ? publicUrl : null, // Videos would need thumbnail generation
+    caption: caption || null,
+    is_approved: isApproved,
+    metadata: {
+      original_size: file.size,
+      optimized: processedBuffer.length !== file.size,
+      uploaded_from: userAgent || 'unknown',
+      ...metadata
+    }
+  });
+
+  publishGalleryUpload(galleryItem);
+
+  return galleryItem;
+};
+
+module.exports = {
+  generateUniqueFilename,
+  publishGalleryUpload,
+  storeGalleryUpload
+};
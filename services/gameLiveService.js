@@ -0,0 +1,361 @@
+/**
+ * Service du quiz en direct (mode animé, style Kahoot)
+ * - Machine à états de la session : lobby -> question -> reveal -> ... -> finished
+ * - L'animateur fait avancer les questions dans l'ordre de game_questions.sort_order
+ * - Les invités répondent pendant le compte à rebours, la rapidité rapporte des points
+ * - Jeu de la chaussure : votes sans bonne réponse, résultats des votes à chaque révélation
+ * - Chaque changement d'état est diffusé par liveEventsService (flux SSE des invités et du tableau de bord)
+ */
+
+const { games, gameLiveSessions } = require('../utils/database');
+const liveEventsService = require('./liveEventsService');
+const gameScoringService = require('./gameScoringService');
+const gameParticipationService = require('./gameParticipationService');
+const shoeGameService = require('./shoeGameService');
+const photoScavengerService = require('./photoScavengerService');
+const logger = require('../utils/logger');
+
+const SESSION_STATES = {
+  LOBBY: 'lobby', // Guests join, no question shown yet
+  QUESTION: 'question', // Countdown running, answers accepted
+  REVEAL: 'reveal', // Correct answer and leaderboard shown
+  FINISHED: 'finished'
+};
+
+const DEFAULT_TIME_LIMIT_SECONDS = 20;
+const ANSWER_GRACE_MS = 1000; // Network delay between the guest tap and the server
+const LEADERBOARD_SIZE = 10;
+
+const LIVE_ERRORS = {
+  LIVE_SESSION_NOT_FOUND: 'No live session for this game',
+  SESSION_ALREADY_RUNNING: 'A live session is already running for this game',
+  GAME_COMPLETED: 'This game is completed',
+  NO_QUESTIONS: 'This game has no question',
+  GAME_TYPE_NOT_LIVE: 'This game type cannot be played live',
+  NO_MORE_QUESTIONS: 'All questions have been played',
+  INVALID_TRANSITION: 'This action is not possible in the current state of the session',
+  QUESTION_CLOSED: 'This question is closed',
+  ALREADY_ANSWERED: 'You already answered this question'
+};
+
+const liveError = (code) => Object.assign(new Error(LIVE_ERRORS[code]), { code });
+
+const getTimeLimitMs = (question) => (question.time_limit || DEFAULT_TIME_LIMIT_SECONDS) * 1000;
+
+// Question as shown to the guests (never the correct answer)
+const sanitizeQuestion = (question) => ({
+  id: question.id,
+  question: question.question,
+  question_type: question.question_type,
+  options: gameScoringService.getPlayableOptions(question),
+  points: question.points,
+  media_url: question.media_url,
+  time_limit: question.time_limit || DEFAULT_TIME_LIMIT_SECONDS
+});
+
+const getPlayerName = (participation) =>
+  participation.player_name || (participation.player_type === 'family' ? 'Famille' : 'Invité');
+
+/**
+ * Ranked scores of every player of a game
+ */
+const getStandings = async (gameId) => {
+  const participations = await gameLiveSessions.findStandings(gameId);
+
+  return participations.map((participation, index) => ({
+    rank: index + 1,
+    participation_id: participation.id,
+    player_name: getPlayerName(participation),
+    score: participation.total_score,
+    correct_answers: participation.correct_answers,
+    total_answers: participation.total_answers
+  }));
+};
+
+/**
+ * What is shown with a reveal: ranked players for a quiz,
+ * votes of the question and most designated choices for a shoe game
+ */
+const getResults = async (game, questions) => (shoeGameService.isShoeGame(game)
+  ? { votes: await shoeGameService.getResults(game, questions) }
+  : { standings: await getStandings(game.id) });
+
+/**
+ * State of a session as sent to the clients
+ * The correct answer is only included once revealed, or for the host
+ */
+const buildSessionState = (game, session, questions, { forHost = false, standings = null, votes = null } = {}) => {
+  const question = session.question_id ? questions.find(q => q.id === session.question_id) : null;
+  const revealed = session.state === SESSION_STATES.REVEAL;
+
+  const state = {
+    game_id: session.game_id,
+    state: session.state,
+    question_index: session.question_index,
+    total_questions: questions.length,
+    question: question && session.state !== SESSION_STATES.FINISHED ? sanitizeQuestion(question) : null,
+    question_started_at: session.question_started_at,
+    question_ends_at: session.question_ends_at,
+    server_time: new Date().toISOString() // Lets clients correct their clock for the countdown
+  };
+
+  if (question && (revealed || forHost) && !shoeGameService.isShoeGame(game)) {
+    state.correct_answer = gameScoringService.getCorrectAnswer(question);
+  }
+
+  if (standings) {
+    state.leaderboard = standings.slice(0, LEADERBOARD_SIZE);
+    state.total_players = standings.length;
+  }
+
+  if (votes) {
+    state.results = question ? votes.questions.find(result => result.question_id === question.id) : null;
+    state.leaderboard = votes.leaderboard;
+  }
+
+  return state;
+};
+
+const publishSessionState = (game, session, questions, results = {}) => {
+  liveEventsService.publish(game.event_id, liveEventsService.LIVE_EVENT_TYPES.GAME_SESSION,
+    buildSessionState(game, session, questions, results));
+};
+
+const requireSession = async (gameId) => {
+  const session = await gameLiveSessions.findByGame(gameId);
+  if (!session) {
+    throw liveError('LIVE_SESSION_NOT_FOUND');
+  }
+  return session;
+};
+
+/**
+ * Current state of the session of a game
+ * @param {Object} game - games row
+ * @param {Object} options
+ * @param {boolean} options.forHost - Include the correct answer of the current question
+ */
+const getSessionState = async (game, { forHost = false } = {}) => {
+  const session = await requireSession(game.id);
+  const questions = await games.findQuestionsByGame(game.id);
+  // Results of a running question stay hidden from guests until the reveal
+  const results = session.state === SESSION_STATES.QUESTION && !forHost ? {} : await getResults(game, questions);
+
+  return buildSessionState(game, session, questions, { forHost, ...results });
+};
+
+/**
+ * Open the lobby: the game becomes active and guests can connect
+ */
+const startSession = async (game, userId) => {
+  if (game.status === 'completed') {
+    throw liveError('GAME_COMPLETED');
+  }
+  if (photoScavengerService.isPhotoScavenger(game)) {
+    throw liveError('GAME_TYPE_NOT_LIVE');
+  }
+
+  const questions = await games.findQuestionsByGame(game.id);
+  if (questions.length === 0) {
+    throw liveError('NO_QUESTIONS');
+  }
+
+  const session = await gameLiveSessions.create({
+    game_id: game.id,
+    state: SESSION_STATES.LOBBY,
+    question_index: -1,
+    host_user_id: userId
+  });
+  if (!session) {
+    const existing = await gameLiveSessions.findByGame(game.id);
+    throw liveError(existing && existing.state === SESSION_STATES.FINISHED ? 'GAME_COMPLETED' : 'SESSION_ALREADY_RUNNING');
+  }
+
+  await games.updateStatus(game.id, 'active');
+
+  logger.info('Live game session started', { gameId: game.id, userId });
+  publishSessionState(game, session, questions);
+
+  return buildSessionState(game, session, questions, { forHost: true });
+};
+
+/**
+ * Show the next question (sort_order) and start its countdown
+ */
+const nextQuestion = async (game) => {
+  const session = await requireSession(game.id);
+  const questions = await games.findQuestionsByGame(game.id);
+
+  if (session.state !== SESSION_STATES.LOBBY && session.state !== SESSION_STATES.REVEAL) {
+    throw liveError('INVALID_TRANSITION');
+  }
+
+  const questionIndex = session.question_index + 1;
+  if (questionIndex >= questions.length) {
+    throw liveError('NO_MORE_QUESTIONS');
+  }
+
+  const question = questions[questionIndex];
+  const startedAt = new Date();
+
+  // Guarded on the state: a second click of the host does not skip a question
+  const updated = await gameLiveSessions.transition(game.id, [SESSION_STATES.LOBBY, SESSION_STATES.REVEAL], {
+    state: SESSION_STATES.QUESTION,
+    question_index: questionIndex,
+    question_id: question.id,
+    question_started_at: startedAt.toISOString(),
+    question_ends_at: new Date(startedAt.getTime() + getTimeLimitMs(question)).toISOString()
+  });
+  if (!updated) {
+    throw liveError('INVALID_TRANSITION');
+  }
+
+  publishSessionState(game, updated, questions);
+
+  return buildSessionState(game, updated, questions, { forHost: true });
+};
+
+/**
+ * Close the current question: correct answer and updated leaderboard (votes for a shoe game)
+ */
+const revealQuestion = async (game) => {
+  const updated = await gameLiveSessions.transition(game.id, [SESSION_STATES.QUESTION], {
+    state: SESSION_STATES.REVEAL
+  });
+  if (!updated) {
+    await requireSession(game.id);
+    throw liveError('INVALID_TRANSITION');
+  }
+
+  const questions = await games.findQuestionsByGame(game.id);
+  const results = await getResults(game, questions);
+
+  publishSessionState(game, updated, questions, results);
+
+  return buildSessionState(game, updated, questions, { forHost: true, ...results });
+};
+
+/**
+ * End the session: participations are completed and ranked (quiz), the game is completed
+ */
+const finishSession = async (game) => {
+  const updated = await gameLiveSessions.transition(game.id,
+    [SESSION_STATES.LOBBY, SESSION_STATES.QUESTION, SESSION_STATES.REVEAL], {
+      state: SESSION_STATES.FINISHED,
+      ended_at: new Date().toISOString()
+    });
+  if (!updated) {
+    await requireSession(game.id);
+    throw liveError('INVALID_TRANSITION');
+  }
+
+  await gameLiveSessions.completeParticipations(game.id);
+
+  const questions = await games.findQuestionsByGame(game.id);
+  const results = await getResults(game, questions);
+
+  for (const entry of results.standings || []) {
+    await games.updateParticipation(entry.participation_id, { rank: entry.rank });
+  }
+
+  await games.updateStatus(game.id, 'completed');
+
+  logger.info('Live game session finished', { gameId: game.id });
+  publishSessionState(game, updated, questions, results);
+
+  return buildSessionState(game, updated, questions, { forHost: true, ...results });
+};
+
+/**
+ * Record the answer of a guest to the current question
+ * The response time is measured by the server from the start of the countdown;
+ * correctness is only revealed with the question
+ * @param {Object} game - games row
+ * @param {Object} guest - req.guest (authenticateGuest)
+ * @param {Object} params
+ * @param {string} params.questionId - Question being answered
+ * @param {string|boolean|string[]} params.answer - Answer of the guest (ordering: items in order)
+ * @param {string} params.playerName - Display name on the leaderboard (first answer only)
+ * @param {string} params.accessToken - Access token of a public player
+ */
+const submitAnswer = async (game, guest, { questionId, answer, playerName, accessToken }) => {
+  const now = Date.now();
+  const session = await requireSession(game.id);
+
+  if (session.state !== SESSION_STATES.QUESTION || session.question_id !== questionId ||
+    now > new Date(session.question_ends_at).getTime() + ANSWER_GRACE_MS) {
+    throw liveError('QUESTION_CLOSED');
+  }
+
+  const question = await games.findQuestionById(questionId);
+  if (!question) {
+    throw liveError('QUESTION_CLOSED');
+  }
+
+  const isVote = shoeGameService.isShoeGame(game);
+  if (isVote) {
+    shoeGameService.assertValidVote(question, answer);
+  }
+
+  const participation = await gameParticipationService.findOrCreateParticipation(game, guest, { playerName, accessToken });
+
+  const responseTimeMs = Math.min(now - new Date(session.question_started_at).getTime(), getTimeLimitMs(question));
+  // Partial credit (ordering) gets the speed bonus too; photos are scored on review; votes are not scored
+  const { isCorrect, credit, needsReview } = isVote
+    ? { isCorrect: false, credit: 0, needsReview: false }
+    : gameScoringService.evaluateAnswer(question, answer);
+  const pointsEarned = credit > 0
+    ? gameScoringService.computeSpeedPoints(question.points * credit, responseTimeMs, getTimeLimitMs(question))
+    : 0;
+
+  const saved = await gameLiveSessions.saveAnswer({
+    participation_id: participation.id,
+    question_id: question.id,
+    answer: gameScoringService.serializeAnswer(answer),
+    is_correct: isCorrect,
+    points_earned: pointsEarned,
+    review_status: needsReview ? gameScoringService.REVIEW_STATUSES.PENDING : null,
+    response_time_ms: responseTimeMs
+  });
+  if (!saved) {
+    throw liveError('ALREADY_ANSWERED');
+  }
+
+  await games.updateParticipation(participation.id, {
+    total_score: participation.total_score + pointsEarned,
+    correct_answers: participation.correct_answers + (isCorrect ? 1 : 0),
+    total_answers: participation.total_answers + 1
+  });
+
+  liveEventsService.publish(game.event_id, liveEventsService.LIVE_EVENT_TYPES.GAME_ANSWER, {
+    game_id: game.id,
+    question_id: question.id,
+    answers_count: await gameLiveSessions.countAnswers(question.id)
+  });
+
+  return {
+    participation_id: participation.id,
+    question_id: question.id,
+    response_time_ms: responseTimeMs
+  };
+};
+
+/**
+ * Whether a live session is running (the all-at-once /play mode is then closed)
+ */
+const isSessionRunning = async (gameId) => {
+  const session = await gameLiveSessions.findByGame(gameId);
+  return !!session && session.state !== SESSION_STATES.FINISHED;
+};
+
+module.exports = {
+  SESSION_STATES,
+  LIVE_ERRORS,
+  getSessionState,
+  startSession,
+  nextQuestion,
+  revealQuestion,
+  finishSession,
+  submitAnswer,
+  isSessionRunning
+};
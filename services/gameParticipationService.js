@@ -0,0 +1,62 @@
+/**
+ * Service des participations aux jeux joués au fil de l'eau (quiz live, chasse aux photos)
+ * Un joueur est une famille, un invité ou un accès public (token), comme pour /play
+ */
+
+const { games } = require('../utils/database');
+
+/**
+ * Identity of the player behind a guest access (req.guest)
+ */
+const getPlayer = (guest, accessToken) => {
+  const accessType = guest.accessType || 'public';
+
+  return {
+    accessType,
+    familyId: accessType === 'family' ? guest.family_id : null,
+    guestId: accessType === 'individual' ? guest.guest_id : null,
+    accessToken
+  };
+};
+
+/**
+ * Participation of a guest, created (open, without score) on the first answer
+ * @param {Object} game - games row
+ * @param {Object} guest - req.guest (authenticateGuest)
+ * @param {Object} options
+ * @param {string} options.playerName - Display name on the leaderboard
+ * @param {string} options.accessToken - Access token of the guest
+ */
+const findOrCreateParticipation = async (game, guest, { playerName, accessToken }) => {
+  const player = getPlayer(guest, accessToken);
+
+  const participation = await games.findParticipationByPlayer(game.id, player);
+  if (participation) {
+    return participation;
+  }
+
+  return games.createParticipation({
+    game_id: game.id,
+    guest_id: player.guestId,
+    family_id: player.familyId,
+    qr_code: guest.qr_code,
+    access_token: accessToken,
+    player_name: playerName || (player.accessType === 'family' ? 'Famille' : 'Invité'),
+    player_type: player.accessType,
+    total_score: 0,
+    correct_answers: 0,
+    total_answers: 0,
+    is_completed: false
+  });
+};
+
+/**
+ * Find the participation of a guest (null before the first answer)
+ */
+const findParticipation = (game, guest, accessToken) =>
+  games.findParticipationByPlayer(game.id, getPlayer(guest, accessToken));
+
+module.exports = {
+  findOrCreateParticipation,
+  findParticipation
+};
@@ -0,0 +1,194 @@
+/**
+ * Service de protection anti-triche des jeux publics (remplace le suivi par adresse IP)
+ * - Une partie par accès invité / famille (game_guest_access, game_family_access)
+ * - Jeton d'appareil signé remis au premier affichage du jeu
+ * - Politique par jeu (settings.play_policy) : une partie par invité, par appareil, ou entraînement illimité
+ * - Début de partie horodaté par le serveur : les réponses envoyées trop vite sont refusées
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const jwt = require('jsonwebtoken');
+const { games, gamePlaySessions } = require('../utils/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const PLAY_POLICIES = {
+  ONE_PER_GUEST: 'one_per_guest',
+  ONE_PER_DEVICE: 'one_per_device',
+  UNLIMITED: 'unlimited'
+};
+
+const DEVICE_SCOPE = 'game_device';
+const DEVICE_TOKEN_TTL = '365d';
+const MIN_ANSWER_TIME_MS = 1000; // Reading a question and picking an answer takes at least this long
+
+const GUARD_ERRORS = {
+  ALREADY_PLAYED: 'You have already played this game',
+  ALREADY_PLAYED_DEVICE: 'This game was already played on this device',
+  DEVICE_TOKEN_REQUIRED: 'A device token is required to play this game',
+  PLAY_NOT_STARTED: 'Open the game before submitting answers',
+  IMPOSSIBLE_COMPLETION_TIME: 'Answers were submitted too fast'
+};
+
+const guardError = (code, extra = {}) => Object.assign(new Error(GUARD_ERRORS[code]), { code }, extra);
+
+const getPlayPolicy = (game) => {
+  const policy = game.settings?.play_policy;
+  return Object.values(PLAY_POLICIES).includes(policy) ? policy : PLAY_POLICIES.ONE_PER_GUEST;
+};
+
+/**
+ * Key of the player behind a guest access: family, guest or public access token
+ */
+const getPlayerKey = (guest, accessToken) => {
+  if (guest.accessType === 'family' && guest.family_id) return `family:${guest.family_id}`;
+  if (guest.accessType === 'individual' && guest.guest_id) return `guest:${guest.guest_id}`;
+  return `token:${accessToken}`;
+};
+
+/**
+ * Device ID of a signed device token (null when missing, invalid or expired)
+ */
+const readDeviceToken = (deviceToken) => {
+  if (!deviceToken) return null;
+
+  try {
+    const payload = jwt.verify(deviceToken, config.jwtSecret);
+    return payload.scope === DEVICE_SCOPE ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keep the device token sent by the client, or issue a new one
+ * @returns {{ deviceId: string, deviceToken: string, issued: boolean }}
+ */
+const resolveDevice = (deviceToken) => {
+  const deviceId = readDeviceToken(deviceToken);
+  if (deviceId) {
+    return { deviceId, deviceToken, issued: false };
+  }
+
+  const newDeviceId = uuidv4();
+  return {
+    deviceId: newDeviceId,
+    deviceToken: jwt.sign({ sub: newDeviceId, scope: DEVICE_SCOPE }, config.jwtSecret, { expiresIn: DEVICE_TOKEN_TTL }),
+    issued: true
+  };
+};
+
+/**
+ * Refuse a play the game's policy does not allow
+ * @param {Object} game - games row
+ * @param {Object} guest - req.guest (authenticateGuest)
+ * @param {Object} options
+ * @param {string} options.accessToken - Access token of the guest
+ * @param {string} options.deviceId - Device of a valid device token, if any
+ * @throws {Error} - code ALREADY_PLAYED (with participation) | ALREADY_PLAYED_DEVICE | DEVICE_TOKEN_REQUIRED
+ */
+const assertCanPlay = async (game, guest, { accessToken, deviceId }) => {
+  const policy = getPlayPolicy(game);
+  if (policy === PLAY_POLICIES.UNLIMITED) {
+    return;
+  }
+
+  // One play per access row, whoever holds its token
+  if (guest.id && guest.has_played) {
+    throw guardError('ALREADY_PLAYED');
+  }
+
+  const participation = await games.findParticipationByPlayer(game.id, {
+    familyId: guest.accessType === 'family' ? guest.family_id : null,
+    guestId: guest.accessType === 'individual' ? guest.guest_id : null,
+    accessToken
+  });
+  if (participation?.is_completed) {
+    throw guardError('ALREADY_PLAYED', { participation });
+  }
+
+  if (policy === PLAY_POLICIES.ONE_PER_DEVICE) {
+    if (!deviceId) {
+      throw guardError('DEVICE_TOKEN_REQUIRED');
+    }
+    if (await gamePlaySessions.hasDevicePlayed(game.id, deviceId)) {
+      throw guardError('ALREADY_PLAYED_DEVICE');
+    }
+  }
+};
+
+/**
+ * Start a play when the game is shown; a play in progress keeps its start time
+ * @returns {Promise<Object>} - game_play_sessions row
+ */
+const startPlay = async (game, guest, { accessToken, deviceId }) => {
+  const playerKey = getPlayerKey(guest, accessToken);
+
+  const open = await gamePlaySessions.findOpen(game.id, playerKey);
+  if (open) {
+    return open;
+  }
+
+  const created = await gamePlaySessions.create({
+    game_id: game.id,
+    player_key: playerKey,
+    device_id: deviceId
+  });
+
+  // Another request of the same player started it first
+  return created || gamePlaySessions.findOpen(game.id, playerKey);
+};
+
+/**
+ * Close the play in progress, refusing answers faster than humanly possible
+ * @param {Object} game - games row
+ * @param {Object} guest - req.guest (authenticateGuest)
+ * @param {Object} options
+ * @param {string} options.accessToken - Access token of the guest
+ * @param {number} options.answersCount - Number of answers submitted
+ * @returns {Promise<{ session: Object, durationMs: number }>}
+ * @throws {Error} - code PLAY_NOT_STARTED | IMPOSSIBLE_COMPLETION_TIME | ALREADY_PLAYED (concurrent submit)
+ */
+const finishPlay = async (game, guest, { accessToken, answersCount }) => {
+  const session = await gamePlaySessions.findOpen(game.id, getPlayerKey(guest, accessToken));
+  if (!session) {
+    throw guardError('PLAY_NOT_STARTED');
+  }
+
+  const durationMs = Date.now() - new Date(session.started_at).getTime();
+  const minDurationMs = answersCount * MIN_ANSWER_TIME_MS;
+  if (durationMs < minDurationMs) {
+    logger.warn('Game play rejected: impossible completion time', {
+      gameId: game.id,
+      sessionId: session.id,
+      durationMs,
+      minDurationMs
+    });
+    throw guardError('IMPOSSIBLE_COMPLETION_TIME');
+  }
+
+  const completed = await gamePlaySessions.complete(session.id, durationMs);
+  if (!completed) {
+    throw guardError('ALREADY_PLAYED');
+  }
+
+  return { session: completed, durationMs };
+};
+
+/**
+ * Link a finished play to the participation it produced
+ */
+const attachParticipation = (session, participationId) =>
+  gamePlaySessions.attachParticipation(session.id, participationId);
+
+module.exports = {
+  PLAY_POLICIES,
+  GUARD_ERRORS,
+  getPlayPolicy,
+  readDeviceToken,
+  resolveDevice,
+  assertCanPlay,
+  startPlay,
+  finishPlay,
+  attachParticipation
+};
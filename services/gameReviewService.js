@@ -0,0 +1,137 @@
+/**
+ * Service de validation des réponses photo
+ * - File des réponses en attente par jeu
+ * - L'organisateur valide (points attribués) ou refuse une réponse
+ * - Le score du joueur et le classement du jeu sont recalculés après chaque décision
+ * - Une photo de la chasse aux photos n'apparaît dans la galerie qu'une fois validée
+ */
+
+const { games } = require('../utils/database');
+const eventGallery = require('../utils/db/eventGallery');
+const { REVIEW_STATUSES } = require('./gameScoringService');
+const logger = require('../utils/logger');
+
+const REVIEW_ERRORS = {
+  ANSWER_NOT_FOUND: 'Answer not found',
+  INVALID_POINTS: 'Points cannot exceed the points of the question'
+};
+
+const reviewError = (code) => Object.assign(new Error(REVIEW_ERRORS[code]), { code });
+
+const getPlayerName = (participation) => {
+  if (!participation) return 'Anonyme';
+  return participation.player_name || (participation.player_type === 'family' ? 'Famille' : 'Invité');
+};
+
+/**
+ * Answers of a game waiting for (or given) a decision
+ * @param {Object} game - games row
+ * @param {string} status - One of REVIEW_STATUSES
+ */
+const listReviewQueue = async (game, status = REVIEW_STATUSES.PENDING) => {
+  const questions = await games.findQuestionsByGame(game.id);
+  const reviewable = questions.filter(q => q.question_type === 'photo');
+  const questionsById = new Map(reviewable.map(q => [q.id, q]));
+
+  const answers = await games.findAnswersForReview(reviewable.map(q => q.id), status);
+
+  return answers.map(answer => {
+    const question = questionsById.get(answer.question_id);
+
+    return {
+      id: answer.id,
+      question_id: answer.question_id,
+      question: question.question,
+      max_points: question.points,
+      answer: answer.answer,
+      player_name: getPlayerName(answer.participation),
+      participation_id: answer.participation_id,
+      review_status: answer.review_status,
+      points_earned: answer.points_earned,
+      answered_at: answer.answered_at,
+      reviewed_at: answer.reviewed_at
+    };
+  });
+};
+
+/**
+ * Rank the completed participations of a game (only changed ranks are written)
+ * @returns {Promise<Map<string, number>>} - Rank per participation ID
+ */
+const recomputeRanks = async (gameId) => {
+  const participations = await games.findRankedParticipations(gameId);
+  const ranks = new Map();
+
+  for (let i = 0; i < participations.length; i++) {
+    if (participations[i].rank !== i + 1) {
+      await games.updateParticipation(participations[i].id, { rank: i + 1 });
+    }
+    ranks.set(participations[i].id, i + 1);
+  }
+
+  return ranks;
+};
+
+/**
+ * Totals of a participation from its answers
+ */
+const recomputeParticipation = async (participationId) => {
+  const answers = await games.findAnswersByParticipation(participationId);
+
+  return games.updateParticipation(participationId, {
+    total_score: answers.reduce((sum, answer) => sum + (answer.points_earned || 0), 0),
+    correct_answers: answers.filter(answer => answer.is_correct).length,
+    total_answers: answers.length
+  });
+};
+
+/**
+ * Approve or reject a photo answer; decisions can be changed later
+ * @param {Object} game - games row
+ * @param {string} answerId - game_answers ID
+ * @param {Object} decision
+ * @param {boolean} decision.approved - Whether the photo matches the prompt
+ * @param {number} decision.points - Points awarded (defaults to the points of the question)
+ * @param {string} userId - Reviewer
+ * @returns {Promise<{ answer: Object, participation: Object }>}
+ */
+const reviewAnswer = async (game, answerId, { approved, points }, userId) => {
+  const answer = await games.findAnswerById(answerId);
+  const question = answer && await games.findQuestionById(answer.question_id);
+  if (!question || question.game_id !== game.id || !answer.review_status) {
+    throw reviewError('ANSWER_NOT_FOUND');
+  }
+
+  const pointsEarned = approved ? (points ?? question.points) : 0;
+  if (pointsEarned > question.points) {
+    throw reviewError('INVALID_POINTS');
+  }
+
+  const updatedAnswer = await games.updateAnswer(answer.id, {
+    review_status: approved ? REVIEW_STATUSES.APPROVED : REVIEW_STATUSES.REJECTED,
+    is_correct: approved,
+    points_earned: pointsEarned,
+    reviewed_at: new Date().toISOString(),
+    reviewed_by: userId
+  });
+
+  if (answer.gallery_id) {
+    await eventGallery.setApproval(answer.gallery_id, approved);
+  }
+
+  const participation = await recomputeParticipation(answer.participation_id);
+  const ranks = await recomputeRanks(game.id);
+  participation.rank = ranks.get(participation.id) ?? participation.rank;
+
+  logger.info('Game answer reviewed', { gameId: game.id, answerId, approved, points: pointsEarned, userId });
+
+  return { answer: updatedAnswer, participation };
+};
+
+module.exports = {
+  REVIEW_ERRORS,
+  listReviewQueue,
+  reviewAnswer,
+  recomputeRanks,
+  recomputeParticipation
+};
@@ -0,0 +1,205 @@
+/**
+ * Service de notation des réponses aux jeux
+ * - Justesse d'une réponse selon le type de question :
+ *   choix multiple et vrai/faux exacts, texte normalisé avec variantes acceptées et tolérance aux fautes,
+ *   ordre avec crédit partiel selon la distance des positions, photo à valider par l'organisateur
+ * - Bonus de rapidité du mode live (quiz animé)
+ */
+
+// Part of the points always given for a correct answer, the rest depends on speed
+const LIVE_BASE_POINTS_RATIO = 0.5;
+
+// Text answers: minimum similarity (1 - edit distance / length) to accept a typo
+const TEXT_SIMILARITY_THRESHOLD = 0.8;
+const FUZZY_MIN_LENGTH = 4; // Short answers must match exactly
+
+const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Lowercase, without accents, punctuation or repeated spaces ("Île-de-France !" -> "ile de france")
+ */
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const levenshteinDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Whether a normalized answer matches a normalized expected value
+ * Numbers (years, counts...) are never fuzzy: 1998 is not 1999
+ */
+const isTextMatch = (answer, expected) => {
+  if (!expected) return false;
+  if (answer === expected) return true;
+  if (expected.length < FUZZY_MIN_LENGTH || !/\p{L}/u.test(expected)) return false;
+
+  const similarity = 1 - levenshteinDistance(answer, expected) / Math.max(answer.length, expected.length);
+  return similarity >= TEXT_SIMILARITY_THRESHOLD;
+};
+
+// Ordering questions: options are stored in the correct order
+const getOrderingItems = (question) => (question.options || []).map(opt => opt.text);
+
+/**
+ * Share of the points of an ordering answer: 1 for the right order, decreasing with
+ * the total distance between given and correct positions (missing items count as far as possible)
+ */
+const getOrderingCredit = (items, answer) => {
+  if (!Array.isArray(answer) || items.length === 0) return 0;
+  if (items.length === 1) return answer[0] === items[0] ? 1 : 0;
+
+  const givenPositions = new Map();
+  answer.forEach((text, index) => {
+    if (!givenPositions.has(text)) givenPositions.set(text, index);
+  });
+
+  const distance = items.reduce((sum, text, index) => {
+    const given = givenPositions.get(text);
+    return sum + (given === undefined || given >= items.length ? items.length - 1 : Math.abs(given - index));
+  }, 0);
+
+  // Largest total displacement of a permutation of n items
+  const maxDistance = Math.floor((items.length * items.length) / 2);
+  return Math.max(0, 1 - distance / maxDistance);
+};
+
+/**
+ * Correct answer as shown once a question is closed
+ */
+const getCorrectAnswer = (question) => {
+  switch (question.question_type) {
+    case 'multiple_choice':
+      return question.options?.find(opt => opt.isCorrect)?.text || '';
+    case 'ordering':
+      return getOrderingItems(question);
+    default:
+      return question.correct_answer || '';
+  }
+};
+
+/**
+ * Options as shown to the players (never which one is correct)
+ * Ordering items are shuffled since they are stored in the correct order
+ */
+const getPlayableOptions = (question) => {
+  if (!question.options) return null;
+
+  const options = question.options.map(opt => ({ text: opt.text }));
+  if (question.question_type === 'ordering') {
+    for (let i = options.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [options[i], options[j]] = [options[j], options[i]];
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Check an answer against a question
+ * @param {Object} question - game_questions row
+ * @param {string|boolean|string[]} answer - Answer of the player (ordering: items in the chosen order)
+ * @returns {{ isCorrect: boolean, credit: number, needsReview: boolean, correctAnswer: string|string[] }}
+ *   credit is the share of the points earned (0 to 1)
+ */
+const evaluateAnswer = (question, answer) => {
+  const correctAnswer = getCorrectAnswer(question);
+  let credit = 0;
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+      credit = correctAnswer && correctAnswer === answer ? 1 : 0;
+      break;
+
+    case 'text': {
+      const normalized = normalizeText(answer);
+      const accepted = [question.correct_answer, ...(question.accepted_answers || [])].map(normalizeText);
+      credit = normalized && accepted.some(expected => isTextMatch(normalized, expected)) ? 1 : 0;
+      break;
+    }
+
+    case 'boolean':
+      credit = !!question.correct_answer && String(question.correct_answer) === String(answer) ? 1 : 0;
+      break;
+
+    case 'ordering':
+      credit = getOrderingCredit(correctAnswer, answer);
+      break;
+
+    case 'photo':
+      // Points are awarded by the organizer (review queue)
+      return { isCorrect: false, credit: 0, needsReview: !!answer, correctAnswer };
+
+    default:
+      break;
+  }
+
+  return { isCorrect: credit === 1, credit, needsReview: false, correctAnswer };
+};
+
+/**
+ * Score an answer for the all-at-once mode
+ * @returns {{ isCorrect: boolean, pointsEarned: number, reviewStatus: string|null, correctAnswer: string|string[] }}
+ */
+const scoreAnswer = (question, answer) => {
+  const { isCorrect, credit, needsReview, correctAnswer } = evaluateAnswer(question, answer);
+
+  return {
+    isCorrect,
+    pointsEarned: Math.round((question.points || 0) * credit),
+    reviewStatus: needsReview ? REVIEW_STATUSES.PENDING : null,
+    correctAnswer
+  };
+};
+
+/**
+ * Points of a correct live answer: half of the points for being right,
+ * the other half decreasing linearly with the time taken
+ * @param {number} points - Points of the question (times the credit of a partial answer)
+ * @param {number} responseTimeMs - Time since the question was shown
+ * @param {number} timeLimitMs - Countdown of the question
+ * @returns {number}
+ */
+const computeSpeedPoints = (points, responseTimeMs, timeLimitMs) => {
+  const remaining = Math.min(Math.max(timeLimitMs - responseTimeMs, 0), timeLimitMs);
+  const speedRatio = timeLimitMs > 0 ? remaining / timeLimitMs : 0;
+
+  return Math.round(points * (LIVE_BASE_POINTS_RATIO + (1 - LIVE_BASE_POINTS_RATIO) * speedRatio));
+};
+
+// game_answers.answer is a text column
+const serializeAnswer = (answer) => (Array.isArray(answer) ? JSON.stringify(answer) : String(answer));
+
+module.exports = {
+  REVIEW_STATUSES,
+  normalizeText,
+  getCorrectAnswer,
+  getPlayableOptions,
+  evaluateAnswer,
+  scoreAnswer,
+  computeSpeedPoints,
+  serializeAnswer
+};
@@ -0,0 +1,305 @@
+/**
+ * Service du mode équipes des jeux
+ * - Les joueurs sont regroupés par famille, par table du plan de salle ou par équipes de l'organisateur
+ * - Score d'équipe : somme, moyenne ou somme des N meilleurs scores (settings.team_mode)
+ * - Les joueurs sans équipe (accès public, invité non placé) restent dans le classement individuel
+ */
+
+const { gameTeams, families, guests, tableAssignments } = require('../utils/database');
+const shoeGameService = require('./shoeGameService');
+const photoScavengerService = require('./photoScavengerService');
+
+const TEAM_SOURCES = {
+  FAMILY: 'family',
+  TABLE: 'table',
+  CUSTOM: 'custom'
+};
+
+const TEAM_AGGREGATIONS = {
+  SUM: 'sum',
+  AVERAGE: 'average',
+  BEST_N: 'best_n'
+};
+
+const DEFAULT_BEST_N = 3;
+const STATS_LEADERBOARD_SIZE = 10;
+
+const TEAM_ERRORS = {
+  TEAM_MODE_DISABLED: 'Team mode is not enabled for this game',
+  TEAM_NOT_FOUND: 'Team not found',
+  TEAM_NAME_TAKEN: 'A team with this name already exists for this game',
+  MEMBER_NOT_IN_EVENT: 'Team members must be families or guests of the event'
+};
+
+const teamError = (code) => Object.assign(new Error(TEAM_ERRORS[code]), { code });
+
+/**
+ * Team settings of a game, null when team mode is off (shoe games have no player scores)
+ * @returns {{ source: string, aggregation: string, best_n: number }|null}
+ */
+const getTeamMode = (game) => {
+  const mode = game.settings?.team_mode;
+  if (!mode || !Object.values(TEAM_SOURCES).includes(mode.source) || shoeGameService.isShoeGame(game)) {
+    return null;
+  }
+
+  return {
+    source: mode.source,
+    aggregation: Object.values(TEAM_AGGREGATIONS).includes(mode.aggregation) ? mode.aggregation : TEAM_AGGREGATIONS.SUM,
+    best_n: Number.isInteger(mode.best_n) && mode.best_n > 0 ? mode.best_n : DEFAULT_BEST_N
+  };
+};
+
+/**
+ * Team score from the scores of its players
+ */
+const aggregateScores = (scores, { aggregation, best_n: bestN }) => {
+  if (scores.length === 0) return 0;
+
+  if (aggregation === TEAM_AGGREGATIONS.AVERAGE) {
+    return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+  }
+
+  const counted = aggregation === TEAM_AGGREGATIONS.BEST_N
+    ? [...scores].sort((a, b) => b - a).slice(0, bestN)
+    : scores;
+
+  return counted.reduce((sum, score) => sum + score, 0);
+};
+
+/**
+ * Lookup of the team of a family or guest for a team source
+ * @returns {Promise<{ byFamily: Map, byGuest: Map }>} - { id, name } per family ID and per guest ID
+ */
+const loadTeams = async (game, source) => {
+  const byFamily = new Map();
+  const byGuest = new Map();
+
+  if (source === TEAM_SOURCES.FAMILY) {
+    const eventFamilies = await families.findByEvent(game.event_id);
+    for (const family of eventFamilies) {
+      byFamily.set(family.id, { id: family.id, name: family.name });
+    }
+  } else if (source === TEAM_SOURCES.TABLE) {
+    const assignments = await tableAssignments.findByEvent(game.event_id);
+    for (const assignment of assignments) {
+      const team = { id: assignment.table.id, name: assignment.table.name };
+      if (assignment.guest_id) byGuest.set(assignment.guest_id, team);
+      if (assignment.family_id) byFamily.set(assignment.family_id, team);
+    }
+  } else {
+    const teams = await gameTeams.findByGame(game.id);
+    for (const team of teams) {
+      for (const member of team.members || []) {
+        const entry = { id: team.id, name: team.name };
+        if (member.guest_id) byGuest.set(member.guest_id, entry);
+        if (member.family_id) byFamily.set(member.family_id, entry);
+      }
+    }
+  }
+
+  return { byFamily, byGuest };
+};
+
+/**
+ * Team of a participation: the guest's own team first, then the team of their family
+ */
+const findTeam = ({ byFamily, byGuest }, participation) =>
+  (participation.guest_id && byGuest.get(participation.guest_id)) ||
+  (participation.family_id && byFamily.get(participation.family_id)) ||
+  (participation.guest?.family_id && byFamily.get(participation.guest.family_id)) ||
+  null;
+
+/**
+ * Team leaderboard of a game
+ * @param {Object} game - games row
+ * @returns {Promise<{ source: string, aggregation: string, best_n: number|null, teams: Object[], unassigned_players: number }>}
+ * @throws {Error} - code TEAM_MODE_DISABLED
+ */
+const getTeamLeaderboard = async (game) => {
+  const mode = getTeamMode(game);
+  if (!mode) {
+    throw teamError('TEAM_MODE_DISABLED');
+  }
+
+  // A photo scavenger is never "completed": every participation counts
+  const participations = await gameTeams.findScoredParticipations(game.id, {
+    completedOnly: !photoScavengerService.isPhotoScavenger(game)
+  });
+  const teams = await loadTeams(game, mode.source);
+
+  const grouped = new Map();
+  let unassignedPlayers = 0;
+
+  for (const participation of participations) {
+    const team = findTeam(teams, participation);
+    if (!team) {
+      unassignedPlayers++;
+      continue;
+    }
+
+    if (!grouped.has(team.id)) {
+      grouped.set(team.id, { team_id: team.id, name: team.name, players: [] });
+    }
+    grouped.get(team.id).players.push({
+      name: participation.player_name || (participation.player_type === 'family' ? 'Famille' : 'Invité'),
+      score: participation.total_score || 0
+    });
+  }
+
+  const leaderboard = [...grouped.values()]
+    .map(team => {
+      const players = team.players.sort((a, b) => b.score - a.score);
+      return {
+        team_id: team.team_id,
+        name: team.name,
+        score: aggregateScores(players.map(player => player.score), mode),
+        players_count: players.length,
+        best_player: players[0]
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.players_count - a.players_count || a.name.localeCompare(b.name))
+    .map((team, index) => ({ rank: index + 1, ...team }));
+
+  return {
+    source: mode.source,
+    aggregation: mode.aggregation,
+    best_n: mode.aggregation === TEAM_AGGREGATIONS.BEST_N ? mode.best_n : null,
+    teams: leaderboard,
+    unassigned_players: unassignedPlayers
+  };
+};
+
+/**
+ * Team figures stored with the game statistics (null when team mode is off)
+ */
+const getTeamStats = async (game) => {
+  if (!getTeamMode(game)) {
+    return null;
+  }
+
+  const { source, aggregation, best_n: bestN, teams, unassigned_players: unassignedPlayers } = await getTeamLeaderboard(game);
+
+  return {
+    source,
+    aggregation,
+    best_n: bestN,
+    teams_count: teams.length,
+    average_team_score: teams.length > 0
+      ? Math.round((teams.reduce((sum, team) => sum + team.score, 0) / teams.length) * 100) / 100
+      : 0,
+    top_team: teams[0] ? { name: teams[0].name, score: teams[0].score } : null,
+    unassigned_players: unassignedPlayers,
+    leaderboard: teams.slice(0, STATS_LEADERBOARD_SIZE).map(({ rank, name, score, players_count: playersCount }) => ({
+      rank,
+      name,
+      score,
+      players_count: playersCount
+    })),
+    updated_at: new Date().toISOString()
+  };
+};
+
+// ==================== CUSTOM TEAMS ====================
+
+/**
+ * Check that every member is a family or guest of the game's event
+ */
+const assertMembersInEvent = async (game, members) => {
+  if (members.length === 0) return;
+
+  const [eventFamilies, eventGuests] = await Promise.all([
+    families.findByEvent(game.event_id),
+    guests.findByEvent(game.event_id)
+  ]);
+  const familyIds = new Set(eventFamilies.map(family => family.id));
+  const guestIds = new Set((eventGuests || []).map(guest => guest.id));
+
+  const outsider = members.find(member =>
+    member.family_id ? !familyIds.has(member.family_id) : !guestIds.has(member.guest_id));
+  if (outsider) {
+    throw teamError('MEMBER_NOT_IN_EVENT');
+  }
+};
+
+const findGameTeam = async (game, teamId) => {
+  const team = await gameTeams.findById(teamId);
+  if (!team || team.game_id !== game.id) {
+    throw teamError('TEAM_NOT_FOUND');
+  }
+  return team;
+};
+
+/**
+ * Organizer-defined teams of a game with their members
+ */
+const listTeams = (game) => gameTeams.findByGame(game.id);
+
+/**
+ * Create a team, optionally with its members ({ family_id } or { guest_id })
+ * @throws {Error} - code TEAM_NAME_TAKEN | MEMBER_NOT_IN_EVENT
+ */
+const createTeam = async (game, { name, color, members = [] }) => {
+  await assertMembersInEvent(game, members);
+
+  const team = await gameTeams.create({ game_id: game.id, name, color: color || null });
+  if (!team) {
+    throw teamError('TEAM_NAME_TAKEN');
+  }
+
+  const teamMembers = await gameTeams.setMembers(team, members);
+  return { ...team, members: teamMembers };
+};
+
+/**
+ * Rename a team or replace its members (members move out of their previous team)
+ * @throws {Error} - code TEAM_NOT_FOUND | TEAM_NAME_TAKEN | MEMBER_NOT_IN_EVENT
+ */
+const updateTeam = async (game, teamId, { name, color, members }) => {
+  const team = await findGameTeam(game, teamId);
+  if (members !== undefined) {
+    await assertMembersInEvent(game, members);
+  }
+
+  let updated = team;
+  if (name !== undefined || color !== undefined) {
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (color !== undefined) changes.color = color;
+
+    updated = await gameTeams.update(team.id, changes);
+    if (!updated) {
+      throw teamError('TEAM_NAME_TAKEN');
+    }
+  }
+
+  let teamMembers = team.members || [];
+  if (members !== undefined) {
+    teamMembers = await gameTeams.setMembers(team, members);
+  }
+
+  return { ...updated, members: teamMembers };
+};
+
+/**
+ * Delete a team; its players become unassigned
+ * @throws {Error} - code TEAM_NOT_FOUND
+ */
+const deleteTeam = async (game, teamId) => {
+  const team = await findGameTeam(game, teamId);
+  await gameTeams.delete(team.id);
+};
+
+module.exports = {
+  TEAM_SOURCES,
+  TEAM_AGGREGATIONS,
+  TEAM_ERRORS,
+  getTeamMode,
+  aggregateScores,
+  getTeamLeaderboard,
+  getTeamStats,
+  listTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
@@ -0,0 +1,481 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { guests, familyInvitations, familyRsvp, tableAssignments, attendance } = require('../utils/database');
+
+/**
+ * Guest list export (CSV / XLSX / PDF)
+ *
+ * One row per person:
+ * - family members (families.members + family_rsvp answers, named plus-ones included)
+ * - individual guests (guests table); a guest linked to a family member (same family, same name)
+ *   enriches that member row instead of being listed twice
+ * Each row carries the RSVP answer, dietary restrictions, table assignment and check-in status.
+ */
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+
+const RSVP_STATUSES = {
+  ATTENDING: 'attending',
+  DECLINED: 'declined',
+  PENDING: 'pending'
+};
+
+const CHECK_IN_STATUSES = {
+  ARRIVED: 'arrived',
+  PARTIAL: 'partial', // Family partially arrived (family-level check-in)
+  NOT_ARRIVED: 'not_arrived'
+};
+
+// Available columns, in default order
+const COLUMNS = {
+  name: { fr: 'Nom complet', en: 'Full name', width: 26 },
+  first_name: { fr: 'Prénom', en: 'First name', width: 16 },
+  last_name: { fr: 'Nom', en: 'Last name', width: 16 },
+  family: { fr: 'Famille', en: 'Family', width: 20 },
+  type: { fr: 'Type', en: 'Type', width: 12 },
+  email: { fr: 'Email', en: 'Email', width: 28 },
+  phone: { fr: 'Téléphone', en: 'Phone', width: 16 },
+  rsvp_status: { fr: 'Réponse', en: 'RSVP', width: 12 },
+  dietary_restrictions: { fr: 'Régime / allergies', en: 'Dietary restrictions', width: 28 },
+  table: { fr: 'Table', en: 'Table', width: 14 },
+  seat_number: { fr: 'Place', en: 'Seat', width: 8 },
+  check_in_status: { fr: 'Arrivée', en: 'Check-in', width: 12 },
+  checked_in_at: { fr: 'Heure d\'arrivée', en: 'Checked in at', width: 18 },
+  notes: { fr: 'Notes', en: 'Notes', width: 30 }
+};
+
+const DEFAULT_COLUMNS = ['name', 'family', 'rsvp_status', 'dietary_restrictions', 'table', 'check_in_status'];
+
+const VALUE_LABELS = {
+  fr: {
+    attending: 'Présent',
+    declined: 'Absent',
+    pending: 'En attente',
+    arrived: 'Arrivé',
+    partial: 'Partiel',
+    not_arrived: 'Non arrivé',
+    guest: 'Invité',
+    family_member: 'Famille',
+    plus_one: 'Accompagnant'
+  },
+  en: {
+    attending: 'Attending',
+    declined: 'Declined',
+    pending: 'Pending',
+    arrived: 'Arrived',
+    partial: 'Partial',
+    not_arrived: 'Not arrived',
+    guest: 'Guest',
+    family_member: 'Family',
+    plus_one: 'Plus-one'
+  }
+};
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const splitName = (fullName) => {
+  const parts = String(fullName || '').trim().split(/\s+/);
+  return { first_name: parts[0] || '', last_name: parts.slice(1).join(' ') };
+};
+
+const getGuestRsvpStatus = (guest) => {
+  if (guest.rsvp_status === 'accepted') return RSVP_STATUSES.ATTENDING;
+  if (guest.rsvp_status === 'declined') return RSVP_STATUSES.DECLINED;
+  return RSVP_STATUSES.PENDING;
+};
+
+/**
+ * Answer of a family member: their own family_rsvp row, else the family-level answer of the public RSVP page
+ */
+const getMemberRsvpStatus = (response, familyResponse) => {
+  if (response?.will_attend === true) return RSVP_STATUSES.ATTENDING;
+  if (response?.will_attend === false) return RSVP_STATUSES.DECLINED;
+  if (!response && familyResponse) return getGuestRsvpStatus({ rsvp_status: familyResponse.status });
+  return RSVP_STATUSES.PENDING;
+};
+
+/**
+ * Check-in of each family invitation: people arrived and last arrival time
+ */
+const summarizeFamilyArrivals = (attendances) =>
+  attendances
+    .filter(entry => entry.family_invitation_id && entry.status === 'arrived')
+    .reduce((map, entry) => {
+      const current = map.get(entry.family_invitation_id) || { arrived: 0, last_at: null };
+      current.arrived += entry.arrived_count || 1;
+      if (!current.last_at || entry.timestamp > current.last_at) current.last_at = entry.timestamp;
+      map.set(entry.family_invitation_id, current);
+      return map;
+    }, new Map());
+
+/**
+ * Build the people rows of an event (no filtering)
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Object>>}
+ */
+const buildRows = async (eventId) => {
+  const [guestList, invitations, assignments, attendances] = await Promise.all([
+    guests.findByEvent(eventId),
+    familyInvitations.findByEvent(eventId),
+    tableAssignments.findByEvent(eventId),
+    attendance.findByEvent(eventId)
+  ]);
+
+  const validInvitations = (invitations || []).filter(invitation => invitation.is_valid);
+  const [responses, familyResponses] = await Promise.all([
+    familyRsvp.findByInvitations(validInvitations.map(invitation => invitation.id)),
+    familyRsvp.findFamilyResponses(eventId, [...new Set(validInvitations.map(invitation => invitation.family_id))])
+  ]);
+  const familyResponseByFamily = new Map(familyResponses.map(response => [response.family_id, response]));
+
+  const guestAssignments = new Map();
+  const familyAssignments = new Map();
+  assignments.forEach(assignment => {
+    if (assignment.assignment_type === 'guest' && assignment.guest_id) guestAssignments.set(assignment.guest_id, assignment);
+    if (assignment.assignment_type === 'family' && assignment.family_id) familyAssignments.set(assignment.family_id, assignment);
+  });
+
+  const familyArrivals = summarizeFamilyArrivals(attendances || []);
+
+  // Guests linked to a family (guests.family_id), matched by name to a member row
+  const linkedGuests = new Map();
+  (guestList || []).forEach(guest => {
+    if (guest.family_id) {
+      linkedGuests.set(`${guest.family_id}:${normalizeName(`${guest.first_name} ${guest.last_name}`)}`, guest);
+    }
+  });
+  const usedGuestIds = new Set();
+
+  const rows = [];
+
+  validInvitations.forEach(invitation => {
+    const family = invitation.families || {};
+    const invitationResponses = responses.filter(response => response.family_invitation_id === invitation.id);
+    const responsesByName = new Map(invitationResponses.map(response => [normalizeName(response.member_name), response]));
+
+    const memberNames = [...(family.members || [])];
+    invitationResponses.forEach(response => {
+      if (!memberNames.some(member => normalizeName(member) === normalizeName(response.member_name))) {
+        memberNames.push(response.member_name);
+      }
+    });
+
+    const arrivals = familyArrivals.get(invitation.id);
+    const familyCheckIn = !arrivals
+      ? CHECK_IN_STATUSES.NOT_ARRIVED
+      : (arrivals.arrived >= (invitation.invited_count || 1) ? CHECK_IN_STATUSES.ARRIVED : CHECK_IN_STATUSES.PARTIAL);
+    const familyAssignment = familyAssignments.get(invitation.family_id);
+
+    memberNames.forEach(memberName => {
+      const response = responsesByName.get(normalizeName(memberName));
+      const guest = linkedGuests.get(`${invitation.family_id}:${normalizeName(memberName)}`);
+      if (guest) usedGuestIds.add(guest.id);
+
+      const assignment = (guest && guestAssignments.get(guest.id)) || familyAssignment;
+      const guestArrived = guest?.attendance_status === 'arrived';
+      const names = guest ? { first_name: guest.first_name, last_name: guest.last_name } : splitName(memberName);
+
+      rows.push({
+        name: memberName,
+        ...names,
+        family: family.name || null,
+        family_id: invitation.family_id,
+        type: response?.is_plus_one ? 'plus_one' : 'family_member',
+        email: guest?.email || null,
+        phone: guest?.phone || null,
+        rsvp_status: getMemberRsvpStatus(response, familyResponseByFamily.get(invitation.family_id)),
+        dietary_restrictions: response?.dietary_restrictions || guest?.dietary_restrictions || null,
+        table: assignment?.table?.name || null,
+        table_id: assignment?.table_id || null,
+        seat_number: assignment?.seat_number ?? null,
+        check_in_status: guestArrived ? CHECK_IN_STATUSES.ARRIVED : familyCheckIn,
+        checked_in_at: guestArrived ? guest.attendance_time : (arrivals?.last_at || null),
+        notes: response?.notes || guest?.notes || null
+      });
+    });
+  });
+
+  (guestList || []).filter(guest => !usedGuestIds.has(guest.id) && guest.is_active !== false).forEach(guest => {
+    const assignment = guestAssignments.get(guest.id) || (guest.family_id && familyAssignments.get(guest.family_id));
+    const arrived = guest.attendance_status === 'arrived';
+
+    rows.push({
+      name: `${guest.first_name} ${guest.last_name}`.trim(),
+      first_name: guest.first_name,
+      last_name: guest.last_name,
+      family: null,
+      family_id: guest.family_id || null,
+      type: 'guest',
+      email: guest.email || null,
+      phone: guest.phone || null,
+      rsvp_status: getGuestRsvpStatus(guest),
+      dietary_restrictions: guest.dietary_restrictions || null,
+      table: assignment?.table?.name || null,
+      table_id: assignment?.table_id || null,
+      seat_number: assignment?.seat_number ?? null,
+      check_in_status: arrived ? CHECK_IN_STATUSES.ARRIVED : CHECK_IN_STATUSES.NOT_ARRIVED,
+      checked_in_at: arrived ? guest.attendance_time : null,
+      notes: guest.notes || null
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Apply export filters
+ * @param {Array} rows - Result of buildRows()
+ * @param {Object} filters
+ * @param {boolean} filters.attendingOnly - Only people who answered yes
+ * @param {string} filters.rsvpStatus - attending | declined | pending
+ * @param {boolean} filters.hasDietaryRestriction - Only people with a dietary restriction
+ * @param {string} filters.tableId - Only one table
+ * @param {boolean} filters.unassigned - Only people without a table
+ * @param {boolean} filters.checkedIn - true = arrived (or partial family), false = not arrived
+ * @param {string} filters.search - Name, family or email contains
+ */
+const filterRows = (rows, filters = {}) => rows.filter(row => {
+  if (filters.attendingOnly && row.rsvp_status !== RSVP_STATUSES.ATTENDING) return false;
+  if (filters.rsvpStatus && row.rsvp_status !== filters.rsvpStatus) return false;
+  if (filters.hasDietaryRestriction !== undefined && Boolean(row.dietary_restrictions) !== filters.hasDietaryRestriction) return false;
+  if (filters.tableId && row.table_id !== filters.tableId) return false;
+  if (filters.unassigned && row.table_id) return false;
+  if (filters.checkedIn !== undefined && (row.check_in_status !== CHECK_IN_STATUSES.NOT_ARRIVED) !== filters.checkedIn) return false;
+  if (filters.search) {
+    const search = normalizeName(filters.search);
+    const haystack = normalizeName([row.name, row.family, row.email].filter(Boolean).join(' '));
+    if (!haystack.includes(search)) return false;
+  }
+  return true;
+});
+
+const SORTERS = {
+  name: (a, b) => a.last_name.localeCompare(b.last_name, 'fr') || a.first_name.localeCompare(b.first_name, 'fr'),
+  family: (a, b) => (a.family || a.last_name).localeCompare(b.family || b.last_name, 'fr') || SORTERS.name(a, b),
+  table: (a, b) => {
+    if (!a.table !== !b.table) return a.table ? -1 : 1; // Unassigned last
+    return (a.table || '').localeCompare(b.table || '', 'fr', { numeric: true }) ||
+      (a.seat_number ?? Infinity) - (b.seat_number ?? Infinity) ||
+      SORTERS.name(a, b);
+  }
+};
+
+const sortRows = (rows, sort = 'family') => [...rows].sort(SORTERS[sort] || SORTERS.family);
+
+/**
+ * Cell value as displayed in files (translated statuses, formatted dates)
+ */
+const formatValue = (row, column, locale) => {
+  const value = row[column];
+  if (value === null || value === undefined) return '';
+
+  if (['rsvp_status', 'check_in_status', 'type'].includes(column)) {
+    return VALUE_LABELS[locale][value] || value;
+  }
+  if (column === 'checked_in_at') {
+    return new Date(value).toLocaleString(locale === 'en' ? 'en-GB' : 'fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+  }
+  return String(value);
+};
+
+const getHeaders = (columns, locale) => columns.map(column => COLUMNS[column][locale]);
+
+/**
+ * Counts printed in the PDF footer and returned with the JSON export
+ */
+const summarize = (rows) => ({
+  total: rows.length,
+  attending: rows.filter(row => row.rsvp_status === RSVP_STATUSES.ATTENDING).length,
+  declined: rows.filter(row => row.rsvp_status === RSVP_STATUSES.DECLINED).length,
+  pending: rows.filter(row => row.rsvp_status === RSVP_STATUSES.PENDING).length,
+  with_dietary_restrictions: rows.filter(row => row.dietary_restrictions).length,
+  unassigned: rows.filter(row => !row.table_id).length,
+  checked_in: rows.filter(row => row.check_in_status !== CHECK_IN_STATUSES.NOT_ARRIVED).length
+});
+
+/**
+ * Guest text starting like a formula is prefixed with ' so spreadsheets show it as text
+ */
+const neutralizeFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const escapeCsv = (value) => `"${neutralizeFormula(String(value)).replace(/"/g, '""')}"`;
+
+/**
+ * CSV with ";" separator and BOM (opens with accents in Excel FR, like the budget export)
+ */
+const toCsv = (rows, columns, locale) => {
+  const lines = [
+    getHeaders(columns, locale).map(escapeCsv).join(';'),
+    ...rows.map(row => columns.map(column => escapeCsv(formatValue(row, column, locale))).join(';'))
+  ];
+  return Buffer.from(`\uFEFF${lines.join('\n')}`, 'utf8');
+};
+
+const toXlsx = async (rows, columns, locale, event) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  workbook.title = event.title;
+
+  const worksheet = workbook.addWorksheet(locale === 'en' ? 'Guests' : 'Invités', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = columns.map(column => ({
+    header: COLUMNS[column][locale],
+    key: column,
+    width: COLUMNS[column].width
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  rows.forEach(row => {
+    worksheet.addRow(Object.fromEntries(columns.map(column => [
+      column,
+      column === 'seat_number' && row.seat_number !== null ? row.seat_number : neutralizeFormula(formatValue(row, column, locale))
+    ])));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Printable list: header repeated on each page, page numbers, totals at the end
+ */
+const toPdf = (rows, columns, locale, { event, filtersLabel }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: columns.length > 5 ? 'landscape' : 'portrait',
+    margin: 36,
+    bufferPages: true,
+    info: { Title: event.title }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalWeight = columns.reduce((sum, column) => sum + COLUMNS[column].width, 0);
+  const widths = columns.map(column => (COLUMNS[column].width / totalWeight) * usableWidth);
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+
+  const drawRow = (values, { bold = false, fill = null } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...values.map((value, index) =>
+      doc.heightOfString(value || ' ', { width: widths[index] - 6 }))) + 6;
+
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (!bold) drawRow(getHeaders(columns, locale), { bold: true, fill: '#e8e8e8' });
+    }
+
+    const top = doc.y;
+    if (fill) {
+      doc.rect(left, top, usableWidth, height).fill(fill);
+    }
+    doc.fillColor('#000000');
+
+    let x = left;
+    values.forEach((value, index) => {
+      doc.text(value, x + 3, top + 3, { width: widths[index] - 6 });
+      x += widths[index];
+    });
+
+    doc.moveTo(left, top + height).lineTo(left + usableWidth, top + height).lineWidth(0.3).strokeColor('#bbbbbb').stroke();
+    doc.y = top + height;
+    doc.x = left;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(event.title || '', left);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text([
+      event.date ? new Date(event.date).toLocaleDateString(locale === 'en' ? 'en-GB' : 'fr-FR', { dateStyle: 'long', timeZone: 'UTC' }) : null,
+      `${rows.length} ${locale === 'en' ? 'people' : 'personnes'}`,
+      filtersLabel
+    ].filter(Boolean).join(' · '));
+  doc.fillColor('#000000').moveDown(0.8);
+
+  drawRow(getHeaders(columns, locale), { bold: true, fill: '#e8e8e8' });
+  rows.forEach((row, index) => {
+    drawRow(columns.map(column => formatValue(row, column, locale)), { fill: index % 2 ? '#f7f7f7' : null });
+  });
+
+  const totals = summarize(rows);
+  const labels = VALUE_LABELS[locale];
+  doc.moveDown(1).font('Helvetica').fontSize(9).text(
+    `${labels.attending}: ${totals.attending} · ${labels.declined}: ${totals.declined} · ${labels.pending}: ${totals.pending} · ` +
+    `${COLUMNS.dietary_restrictions[locale]}: ${totals.with_dietary_restrictions}`,
+    left
+  );
+
+  const range = doc.bufferedPageRange();
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    doc.font('Helvetica').fontSize(7).fillColor('#888888').text(
+      `${page + 1} / ${range.count}`,
+      left,
+      doc.page.height - doc.page.margins.bottom - 8,
+      { width: usableWidth, align: 'right', lineBreak: false }
+    );
+  }
+
+  doc.end();
+});
+
+/**
+ * Export the guest list of an event
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {string} params.format - json | csv | xlsx | pdf
+ * @param {Array<string>} params.columns - Keys of COLUMNS (default DEFAULT_COLUMNS)
+ * @param {Object} params.filters - See filterRows()
+ * @param {string} params.sort - name | family | table
+ * @param {string} params.locale - fr | en (headers and statuses)
+ * @returns {Promise<{ rows, summary }|{ buffer, contentType, extension }>}
+ */
+const exportGuests = async ({ event, format = 'json', columns = DEFAULT_COLUMNS, filters = {}, sort = 'family', locale = 'fr', filtersLabel = null }) => {
+  const rows = sortRows(filterRows(await buildRows(event.id), filters), sort);
+
+  if (format === 'json') {
+    return {
+      rows: rows.map(row => ({
+        ...Object.fromEntries(columns.map(column => [column, row[column] ?? null])),
+        family_id: row.family_id,
+        table_id: row.table_id
+      })),
+      summary: summarize(rows)
+    };
+  }
+
+  if (format === 'csv') {
+    return { buffer: toCsv(rows, columns, locale), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  }
+
+  if (format === 'xlsx') {
+    return {
+      buffer: await toXlsx(rows, columns, locale, event),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+
+  return {
+    buffer: await toPdf(rows, columns, locale, { event, filtersLabel }),
+    contentType: 'application/pdf',
+    extension: 'pdf'
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  RSVP_STATUSES,
+  CHECK_IN_STATUSES,
+  buildRows,
+  filterRows,
+  sortRows,
+  exportGuests
+};
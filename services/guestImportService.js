@@ -0,0 +1,543 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Joi = require('joi');
+const { guests, families } = require('../utils/database');
+const qrCodeService = require('./qrCodeService');
+const logger = require('../utils/logger');
+
+/**
+ * Guest list import (CSV / XLSX)
+ *
+ * - Maps spreadsheet columns to guest fields (explicit mapping, otherwise FR/EN header aliases)
+ * - Groups rows into households (families.members) by a column or by last name
+ * - Deduplicates guests with guests.findByEmailAndEvent and families by name
+ * - Builds a plan (inserts, updates, validation errors) returned as-is in dry-run mode,
+ *   then applied in a single transaction by the import_guests_batch RPC
+ */
+
+const IMPORT_FIELDS = [
+  'first_name',
+  'last_name',
+  'full_name',
+  'email',
+  'phone',
+  'household',
+  'dietary_restrictions',
+  'notes',
+  'plus_one'
+];
+
+// Header aliases, compared after normalizeHeader()
+const COLUMN_ALIASES = {
+  first_name: ['first name', 'firstname', 'given name', 'prenom'],
+  last_name: ['last name', 'lastname', 'surname', 'family name', 'nom', 'nom de famille'],
+  full_name: ['name', 'full name', 'guest', 'nom complet', 'invite', 'invites'],
+  email: ['email', 'e mail', 'mail', 'email address', 'courriel', 'adresse email'],
+  phone: ['phone', 'phone number', 'mobile', 'telephone', 'tel', 'portable'],
+  household: ['household', 'family', 'group', 'famille', 'foyer', 'groupe'],
+  dietary_restrictions: ['dietary restrictions', 'dietary', 'diet', 'allergies', 'regime', 'restrictions alimentaires'],
+  notes: ['notes', 'note', 'comments', 'commentaire', 'commentaires'],
+  plus_one: ['plus one', '+1', 'accompagnant']
+};
+
+const GROUPING = {
+  COLUMN: 'column',
+  LAST_NAME: 'last_name',
+  NONE: 'none'
+};
+
+const IMPORT_ERROR_CODES = {
+  INVALID_FILE: 'INVALID_FILE',
+  INVALID_MAPPING: 'INVALID_MAPPING',
+  TOO_MANY_ROWS: 'TOO_MANY_ROWS'
+};
+
+const MAX_ROWS = 2000;
+
+// Limits of the guests / families columns
+const FIELD_LIMITS = {
+  first_name: 50,
+  last_name: 50,
+  phone: 20,
+  dietary_restrictions: 200,
+  notes: 500,
+  household: 100
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'y', 'oui', 'o', 'x'];
+const FALSE_VALUES = ['0', 'false', 'no', 'n', 'non'];
+
+const emailSchema = Joi.string().email({ tlds: { allow: false } });
+
+const importError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Lowercase, accent-free header with single spaces
+ */
+const normalizeHeader = (header) =>
+  String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const normalizeName = (name) => normalizeHeader(name);
+
+/**
+ * Most frequent separator of the header line (Excel FR exports use ";")
+ */
+const detectDelimiter = (content) => {
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const [best] = [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+    .sort((a, b) => b.count - a.count);
+  return best.count > 0 ? best.delimiter : ',';
+};
+
+const parseCsv = (buffer) => {
+  const content = buffer.toString('utf8');
+  const records = parse(content, {
+    bom: true,
+    delimiter: detectDelimiter(content.replace(/^\uFEFF/, '')),
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+
+  const [headers = [], ...rows] = records;
+  return {
+    headers,
+    rows: rows.map((cells, index) => ({ row: index + 2, cells }))
+  };
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return { headers: [], rows: [] };
+  }
+
+  let headers = [];
+  const rows = [];
+
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      cells.push(String(row.getCell(column).text || '').trim());
+    }
+
+    if (headers.length === 0) {
+      headers = cells;
+    } else {
+      rows.push({ row: rowNumber, cells });
+    }
+  });
+
+  return { headers, rows };
+};
+
+/**
+ * Read the header row and data rows of an uploaded spreadsheet
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<{ headers: Array<string>, rows: Array<{ row: number, cells: Array<string> }> }>}
+ */
+const parseSpreadsheet = async (file) => {
+  let parsed;
+
+  try {
+    parsed = path.extname(file.originalname).toLowerCase() === '.xlsx'
+      ? await parseXlsx(file.buffer)
+      : parseCsv(file.buffer);
+  } catch (error) {
+    throw importError(`Unable to read the file: ${error.message}`, IMPORT_ERROR_CODES.INVALID_FILE);
+  }
+
+  parsed.headers = parsed.headers.map(header => String(header).trim());
+  parsed.rows = parsed.rows.filter(({ cells }) => cells.some(cell => cell !== ''));
+
+  if (parsed.headers.filter(Boolean).length === 0) {
+    throw importError('The file has no header row', IMPORT_ERROR_CODES.INVALID_FILE);
+  }
+  if (parsed.rows.length > MAX_ROWS) {
+    throw importError(`The file has ${parsed.rows.length} rows (maximum ${MAX_ROWS})`, IMPORT_ERROR_CODES.TOO_MANY_ROWS);
+  }
+
+  return parsed;
+};
+
+/**
+ * Column index of every import field
+ * Explicit mapping ({ field: "Header" }) wins, other fields are detected from the header aliases
+ * @returns {Object} - { field: columnIndex }
+ */
+const resolveMapping = (headers, mapping = {}) => {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    const index = normalizedHeaders.indexOf(normalizeHeader(header));
+    if (index === -1) {
+      throw importError(`Column "${header}" mapped to ${field} was not found in the file`, IMPORT_ERROR_CODES.INVALID_MAPPING);
+    }
+    columns[field] = index;
+  });
+
+  IMPORT_FIELDS.filter(field => columns[field] === undefined).forEach(field => {
+    const candidates = [normalizeHeader(field), ...COLUMN_ALIASES[field]];
+    const index = normalizedHeaders.findIndex((header, position) =>
+      candidates.includes(header) && !Object.values(columns).includes(position));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+
+  // "Nom" alone is a full name when no first name column exists
+  if (columns.first_name === undefined && columns.last_name !== undefined && columns.full_name === undefined && !mapping.last_name) {
+    columns.full_name = columns.last_name;
+    delete columns.last_name;
+  }
+
+  const hasNames = (columns.first_name !== undefined && columns.last_name !== undefined) || columns.full_name !== undefined;
+  if (!hasNames) {
+    throw importError('Map either first_name and last_name, or full_name', IMPORT_ERROR_CODES.INVALID_MAPPING);
+  }
+
+  return columns;
+};
+
+const parseBoolean = (value) => {
+  const normalized = normalizeHeader(value);
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * "Jean Dupont" -> first name "Jean", last name "Dupont"
+ */
+const splitFullName = (fullName) => {
+  const parts = fullName.split(/\s+/).filter(Boolean);
+  return {
+    first_name: parts[0] || '',
+    last_name: parts.slice(1).join(' ')
+  };
+};
+
+/**
+ * Read, normalize and validate one spreadsheet row
+ * @returns {{ person: Object, errors: Array, warnings: Array }}
+ */
+const readRow = ({ row, cells }, columns) => {
+  const value = (field) => (columns[field] !== undefined ? String(cells[columns[field]] || '').trim() : '');
+  const errors = [];
+  const warnings = [];
+  const addError = (field, code, message) => errors.push({ row, field, code, message });
+
+  let firstName = value('first_name');
+  let lastName = value('last_name');
+  if ((!firstName || !lastName) && value('full_name')) {
+    const split = splitFullName(value('full_name'));
+    firstName = firstName || split.first_name;
+    lastName = lastName || split.last_name;
+  }
+
+  const person = {
+    row,
+    first_name: firstName,
+    last_name: lastName,
+    email: value('email').toLowerCase() || null,
+    phone: value('phone') || null,
+    household: value('household') || null,
+    dietary_restrictions: value('dietary_restrictions') || null,
+    notes: value('notes') || null,
+    plus_one: value('plus_one') ? parseBoolean(value('plus_one')) : null
+  };
+
+  if (!person.first_name) addError('first_name', 'REQUIRED', 'First name is required');
+  if (!person.last_name) addError('last_name', 'REQUIRED', 'Last name is required');
+
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (person[field] && person[field].length > limit) {
+      addError(field, 'TOO_LONG', `${field} must be at most ${limit} characters`);
+    }
+  });
+
+  if (person.email && emailSchema.validate(person.email).error) {
+    addError('email', 'INVALID_EMAIL', `"${person.email}" is not a valid email address`);
+  }
+
+  if (value('plus_one') && person.plus_one === null) {
+    addError('plus_one', 'INVALID_BOOLEAN', `"${value('plus_one')}" is not a yes/no value`);
+  }
+
+  if (!person.email && errors.length === 0) {
+    warnings.push({ row, field: 'email', code: 'NO_EMAIL', message: 'No email: added to the household members only, no guest record is created' });
+  }
+
+  return { person, errors, warnings };
+};
+
+const getHouseholdKey = (person, grouping) => {
+  if (grouping === GROUPING.COLUMN) return person.household ? normalizeName(person.household) : null;
+  if (grouping === GROUPING.LAST_NAME) return normalizeName(person.last_name);
+  return null;
+};
+
+const getFullName = (person) => `${person.first_name} ${person.last_name}`.trim();
+
+/**
+ * Guest fields that differ from the existing record (only non-empty file values overwrite)
+ */
+const diffGuest = (existing, person, family) => {
+  const changes = {};
+
+  ['first_name', 'last_name', 'phone', 'dietary_restrictions', 'notes', 'plus_one'].forEach(field => {
+    if (person[field] === null || person[field] === '') return;
+    if ((existing[field] ?? null) !== person[field]) {
+      changes[field] = { from: existing[field] ?? null, to: person[field] };
+    }
+  });
+
+  if (family && (!family.id || family.id !== existing.family_id)) {
+    changes.household = { from: existing.family_id || null, to: family.name };
+  }
+
+  return changes;
+};
+
+/**
+ * Build the import plan of a parsed spreadsheet
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {Object} params.parsed - Result of parseSpreadsheet()
+ * @param {Object} params.mapping - Explicit column mapping { field: "Header" }
+ * @param {string} params.grouping - GROUPING value (default: household column when mapped, otherwise none)
+ * @returns {Promise<{ plan: Object, payload: { families: Array, guests: Array } }>}
+ */
+const buildImportPlan = async ({ eventId, parsed, mapping = {}, grouping = null }) => {
+  const columns = resolveMapping(parsed.headers, mapping);
+  const effectiveGrouping = grouping || (columns.household !== undefined ? GROUPING.COLUMN : GROUPING.NONE);
+
+  if (effectiveGrouping === GROUPING.COLUMN && columns.household === undefined) {
+    throw importError('Grouping by column requires a household column', IMPORT_ERROR_CODES.INVALID_MAPPING);
+  }
+
+  const errors = [];
+  const warnings = [];
+  const people = [];
+  const emailsInFile = new Map();
+
+  parsed.rows.forEach(sourceRow => {
+    const { person, errors: rowErrors, warnings: rowWarnings } = readRow(sourceRow, columns);
+
+    if (person.email && rowErrors.length === 0) {
+      if (emailsInFile.has(person.email)) {
+        rowErrors.push({
+          row: person.row,
+          field: 'email',
+          code: 'DUPLICATE_IN_FILE',
+          message: `Email already used on row ${emailsInFile.get(person.email)}`
+        });
+      } else {
+        emailsInFile.set(person.email, person.row);
+      }
+    }
+
+    errors.push(...rowErrors);
+    warnings.push(...rowWarnings);
+    if (rowErrors.length === 0) {
+      people.push(person);
+    }
+  });
+
+  // Households
+  const existingFamilies = effectiveGrouping === GROUPING.NONE ? [] : await families.findByEvent(eventId);
+  const existingByName = new Map(existingFamilies.map(family => [normalizeName(family.name), family]));
+  const households = new Map();
+
+  people.forEach(person => {
+    const key = getHouseholdKey(person, effectiveGrouping);
+    if (!key) return;
+
+    if (!households.has(key)) {
+      households.set(key, {
+        key,
+        name: effectiveGrouping === GROUPING.COLUMN ? person.household : person.last_name,
+        members: [],
+        email: null,
+        phone: null,
+        rows: []
+      });
+    }
+
+    const household = households.get(key);
+    household.members.push(getFullName(person));
+    household.rows.push(person.row);
+    household.email = household.email || person.email;
+    household.phone = household.phone || person.phone;
+    person.family_key = key;
+  });
+
+  const familiesToCreate = [];
+  const familiesToUpdate = [];
+  const familyPayload = [];
+
+  households.forEach(household => {
+    const existing = existingByName.get(household.key);
+
+    if (!existing) {
+      familiesToCreate.push({
+        name: household.name,
+        members: household.members,
+        max_people: household.members.length,
+        email: household.email,
+        phone: household.phone,
+        rows: household.rows
+      });
+      familyPayload.push({ ...household, id: null, max_people: household.members.length });
+      return;
+    }
+
+    // Keep existing members, append the new names
+    const knownMembers = new Set((existing.members || []).map(normalizeName));
+    const addedMembers = household.members.filter(member => !knownMembers.has(normalizeName(member)));
+    const members = [...(existing.members || []), ...addedMembers];
+
+    if (addedMembers.length > 0) {
+      familiesToUpdate.push({
+        id: existing.id,
+        name: existing.name,
+        added_members: addedMembers,
+        max_people: Math.max(existing.max_people || 1, members.length),
+        rows: household.rows
+      });
+    }
+
+    familyPayload.push({
+      key: household.key,
+      id: existing.id,
+      name: existing.name,
+      members,
+      max_people: members.length,
+      email: household.email,
+      phone: household.phone
+    });
+  });
+
+  // Guests (deduplicated by email against the event)
+  const guestsToCreate = [];
+  const guestsToUpdate = [];
+  const guestPayload = [];
+  let unchanged = 0;
+
+  for (const person of people.filter(candidate => candidate.email)) {
+    const existing = await guests.findByEmailAndEvent(person.email, eventId);
+    const guestData = {
+      first_name: person.first_name,
+      last_name: person.last_name,
+      email: person.email,
+      phone: person.phone,
+      dietary_restrictions: person.dietary_restrictions,
+      notes: person.notes,
+      plus_one: person.plus_one,
+      family_key: person.family_key || null
+    };
+
+    if (!existing) {
+      guestsToCreate.push({ row: person.row, ...guestData, household: households.get(person.family_key)?.name || null });
+      guestPayload.push({ id: null, ...guestData });
+      continue;
+    }
+
+    const family = person.family_key
+      ? existingByName.get(person.family_key) || households.get(person.family_key)
+      : null;
+    const changes = diffGuest(existing, person, family);
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+      continue;
+    }
+
+    guestsToUpdate.push({ row: person.row, id: existing.id, email: person.email, changes });
+    guestPayload.push({ id: existing.id, ...guestData });
+  }
+
+  const mappedColumns = Object.fromEntries(
+    Object.entries(columns).map(([field, index]) => [field, parsed.headers[index]])
+  );
+
+  return {
+    plan: {
+      mapping: mappedColumns,
+      grouping: effectiveGrouping,
+      summary: {
+        rows: parsed.rows.length,
+        valid_rows: people.length,
+        invalid_rows: new Set(errors.map(error => error.row)).size,
+        guests_to_create: guestsToCreate.length,
+        guests_to_update: guestsToUpdate.length,
+        guests_unchanged: unchanged,
+        families_to_create: familiesToCreate.length,
+        families_to_update: familiesToUpdate.length,
+        warnings: warnings.length
+      },
+      guests: { create: guestsToCreate, update: guestsToUpdate },
+      families: { create: familiesToCreate, update: familiesToUpdate },
+      errors,
+      warnings
+    },
+    payload: {
+      families: familyPayload.map(({ key, id, name, members, max_people, email, phone }) => ({ key, id, name, members, max_people, email, phone })),
+      guests: guestPayload
+    }
+  };
+};
+
+/**
+ * Apply an import plan in one transaction, then generate the QR codes of the new guests
+ * QR generation is best effort: the import is already committed
+ */
+const applyImportPlan = async ({ eventId, userId, payload }) => {
+  const result = await guests.importBatch({
+    eventId,
+    userId,
+    families: payload.families,
+    guests: payload.guests
+  });
+
+  let qrCodesGenerated = 0;
+  if (result.guests_created > 0) {
+    try {
+      const qrResults = await qrCodeService.generateQRCodeBatch(eventId, userId);
+      qrCodesGenerated = qrResults.filter(qrResult => qrResult.success !== false).length;
+    } catch (error) {
+      logger.error('Error generating QR codes after guest import', { eventId, error: error.message });
+    }
+  }
+
+  return { ...result, qr_codes_generated: qrCodesGenerated };
+};
+
+/**
+ * Fields and recognized headers (column mapping UI)
+ */
+const listImportFields = () =>
+  IMPORT_FIELDS.map(field => ({ field, aliases: COLUMN_ALIASES[field] }));
+
+module.exports = {
+  IMPORT_FIELDS,
+  GROUPING,
+  IMPORT_ERROR_CODES,
+  MAX_ROWS,
+  parseSpreadsheet,
+  resolveMapping,
+  buildImportPlan,
+  applyImportPlan,
+  listImportFields
+};
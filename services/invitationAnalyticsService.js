@@ -0,0 +1,288 @@
+/**
+ * Service des statistiques d'ouverture des invitations
+ * - Enregistre chaque ouverture d'une invitation publique (table invitation_opens, migration 064)
+ * - Ouvertures dans le temps, familles uniques, délai entre la première ouverture et la première réponse
+ * - Conversion par design assigné (invitation_family_assignments)
+ * - Répartition par type d'appareil et par site d'origine
+ * Les réponses viennent de l'historique RSVP (family_rsvp_history), commun aux deux formats de RSVP.
+ */
+
+const { invitationOpens, invitationDesigns, familyInvitations, rsvpHistory } = require('../utils/database');
+const logger = require('../utils/logger');
+
+const DEVICE_TYPES = ['mobile', 'tablet', 'desktop', 'bot', 'unknown'];
+const INTERVALS = ['hour', 'day', 'week'];
+const MAX_REFERRERS = 10;
+
+// Route the invitation was opened from
+const OPEN_SOURCES = {
+  PUBLIC_INVITATION: 'public_invitation', // GET /api/public/invitation/:qrCode
+  INVITATION_CODE: 'invitation_code' // GET /api/invitations/public/:code
+};
+
+// Key of the families without an assigned design in by_design
+const DEFAULT_DESIGN_KEY = 'default';
+
+/**
+ * Device type from a User-Agent header
+ * Link previews (messaging apps, crawlers) are reported as bots
+ */
+const detectDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'unknown';
+  }
+
+  const ua = userAgent.toLowerCase();
+  if (/bot|crawler|spider|preview|facebookexternalhit|whatsapp|telegram|slack|discord/.test(ua)) {
+    return 'bot';
+  }
+  if (/ipad|tablet|kindle|silk|android(?!.*mobile)/.test(ua)) {
+    return 'tablet';
+  }
+  if (/mobi|iphone|ipod|android|blackberry|windows phone/.test(ua)) {
+    return 'mobile';
+  }
+  return 'desktop';
+};
+
+/**
+ * Host of a Referer header, null for direct opens (scanned QR code, messaging app)
+ */
+const getReferrerHost = (referrer) => {
+  if (!referrer) {
+    return null;
+  }
+
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '').substring(0, 255) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Record an open of a public invitation. Never throws: analytics must not block the guest.
+ * @param {Object} params
+ * @param {Object} params.invitation - Resolved invitation (invitationResolutionService)
+ * @param {string} params.source - OPEN_SOURCES value
+ * @param {string|null} [params.designId] - Assigned design when already known, looked up otherwise
+ * @param {string} params.userAgent
+ * @param {string} params.referrer
+ */
+const recordOpen = async ({ invitation, source, designId, userAgent, referrer }) => {
+  try {
+    let assignedDesignId = designId;
+    if (assignedDesignId === undefined) {
+      const assignment = invitation.family_id
+        ? await invitationDesigns.findAssignmentByFamily(invitation.event_id, invitation.family_id)
+        : null;
+      assignedDesignId = assignment ? assignment.invitation_id : null;
+    }
+
+    return await invitationOpens.create({
+      event_id: invitation.event_id,
+      family_invitation_id: invitation.id,
+      family_id: invitation.family_id || null,
+      design_id: assignedDesignId || null,
+      source,
+      resolved_from: invitation.resolved_from || null,
+      device_type: detectDevice(userAgent),
+      referrer_host: getReferrerHost(referrer),
+      user_agent: userAgent ? userAgent.substring(0, 500) : null
+    });
+  } catch (error) {
+    logger.error('Error recording invitation open:', { error: error.message, invitationId: invitation.id });
+    return null;
+  }
+};
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Start of the period containing a date (UTC), weeks start on Monday
+ */
+const getPeriodStart = (date, interval) => {
+  const start = new Date(date);
+  if (interval === 'hour') {
+    start.setUTCMinutes(0, 0, 0);
+  } else {
+    start.setUTCHours(0, 0, 0, 0);
+    if (interval === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+  }
+  return start.toISOString();
+};
+
+/**
+ * Opens and unique families per period
+ */
+const buildTimeline = (opens, interval) => {
+  const periods = new Map();
+
+  opens.forEach(open => {
+    const period = getPeriodStart(open.opened_at, interval);
+    if (!periods.has(period)) {
+      periods.set(period, { period, opens: 0, families: new Set() });
+    }
+    const entry = periods.get(period);
+    entry.opens += 1;
+    if (open.family_id) {
+      entry.families.add(open.family_id);
+    }
+  });
+
+  return [...periods.values()].map(({ period, opens: count, families }) => ({
+    period,
+    opens: count,
+    unique_families: families.size
+  }));
+};
+
+/**
+ * Minutes between the first open of each family and its first answer given after it
+ */
+const getOpenToRsvpDelays = (opens, responsesByFamily) => {
+  const firstOpenByFamily = new Map();
+  opens.forEach(open => {
+    if (open.family_id && !firstOpenByFamily.has(open.family_id)) {
+      firstOpenByFamily.set(open.family_id, new Date(open.opened_at));
+    }
+  });
+
+  const delays = [];
+  firstOpenByFamily.forEach((openedAt, familyId) => {
+    const response = (responsesByFamily.get(familyId) || []).find(respondedAt => respondedAt >= openedAt);
+    if (response) {
+      delays.push((response - openedAt) / 60000);
+    }
+  });
+
+  return { uniqueFamilies: firstOpenByFamily.size, delays };
+};
+
+const summarizeDelays = (delays) => {
+  if (delays.length === 0) {
+    return { count: 0, average_minutes: null, median_minutes: null };
+  }
+
+  const sorted = [...delays].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return {
+    count: sorted.length,
+    average_minutes: round(sorted.reduce((sum, delay) => sum + delay, 0) / sorted.length),
+    median_minutes: round(median)
+  };
+};
+
+/**
+ * Funnel of a group of families: invited -> opened -> answered after opening
+ */
+const buildFunnel = (opens, invitedCount, responsesByFamily) => {
+  const { uniqueFamilies, delays } = getOpenToRsvpDelays(opens, responsesByFamily);
+
+  return {
+    families_invited: invitedCount,
+    opens: opens.length,
+    unique_families_opened: uniqueFamilies,
+    open_rate: rate(uniqueFamilies, invitedCount),
+    families_responded: delays.length,
+    conversion_rate: rate(delays.length, uniqueFamilies),
+    time_to_rsvp: summarizeDelays(delays)
+  };
+};
+
+const countBy = (opens, getKey) => opens.reduce((counts, open) => {
+  const key = getKey(open);
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Engagement analytics of an event, or of one of its designs
+ * @param {string} eventId
+ * @param {Object} options
+ * @param {string|null} options.designId - Restrict to the families assigned to this design
+ * @param {string|null} options.from - ISO date, opens from
+ * @param {string|null} options.to - ISO date, opens until
+ * @param {string} options.interval - INTERVALS value for the timeline
+ */
+const getEventAnalytics = async (eventId, { designId = null, from = null, to = null, interval = 'day' } = {}) => {
+  const [allOpens, designs, assignments, invitations, responses] = await Promise.all([
+    invitationOpens.findByEvent(eventId, { from, to }),
+    invitationDesigns.findByEvent(eventId),
+    invitationDesigns.findAssignmentsByEvent(eventId),
+    familyInvitations.findByEvent(eventId),
+    rsvpHistory.findGuestResponsesByEvent(eventId)
+  ]);
+
+  // Designs are compared on the assignment of the family, opens before a reassignment included
+  const designByFamily = new Map(assignments.map(assignment => [assignment.family_id, assignment.invitation_id]));
+  const getDesignKey = (familyId) => designByFamily.get(familyId) || DEFAULT_DESIGN_KEY;
+
+  const invitedFamilies = (invitations || [])
+    .filter(invitation => invitation.is_valid !== false && invitation.family_id)
+    .map(invitation => invitation.family_id);
+
+  const responsesByFamily = new Map();
+  responses.forEach(response => {
+    if (!response.family_id) return;
+    if (!responsesByFamily.has(response.family_id)) {
+      responsesByFamily.set(response.family_id, []);
+    }
+    responsesByFamily.get(response.family_id).push(new Date(response.created_at));
+  });
+
+  const scopedOpens = designId ? allOpens.filter(open => getDesignKey(open.family_id) === designId) : allOpens;
+  // Link previews are not guests opening their invitation
+  const opens = scopedOpens.filter(open => open.device_type !== 'bot');
+  const families = designId ? invitedFamilies.filter(familyId => getDesignKey(familyId) === designId) : invitedFamilies;
+
+  const designKeys = [...designs.map(design => design.id), DEFAULT_DESIGN_KEY]
+    .filter(key => !designId || key === designId);
+  const designNames = new Map(designs.map(design => [design.id, design.name]));
+
+  const byDesign = designKeys.map(key => ({
+    design_id: key === DEFAULT_DESIGN_KEY ? null : key,
+    design_name: designNames.get(key) || null,
+    ...buildFunnel(
+      opens.filter(open => getDesignKey(open.family_id) === key),
+      families.filter(familyId => getDesignKey(familyId) === key).length,
+      responsesByFamily
+    )
+  }));
+
+  const deviceCounts = countBy(opens, open => open.device_type);
+  const referrers = countBy(opens, open => open.referrer_host || 'direct');
+
+  return {
+    range: { from, to, interval },
+    totals: {
+      ...buildFunnel(opens, families.length, responsesByFamily),
+      link_previews: scopedOpens.length - opens.length
+    },
+    timeline: buildTimeline(opens, interval),
+    by_design: byDesign,
+    devices: DEVICE_TYPES
+      .filter(type => type !== 'bot')
+      .reduce((devices, type) => ({ ...devices, [type]: deviceCounts[type] || 0 }), {}),
+    referrers: Object.entries(referrers)
+      .map(([host, count]) => ({ host, opens: count }))
+      .sort((a, b) => b.opens - a.opens)
+      .slice(0, MAX_REFERRERS)
+  };
+};
+
+module.exports = {
+  DEVICE_TYPES,
+  INTERVALS,
+  OPEN_SOURCES,
+  detectDevice,
+  getReferrerHost,
+  recordOpen,
+  getEventAnalytics
+};
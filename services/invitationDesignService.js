@@ -0,0 +1,290 @@
+/**
+ * Service des versions des designs d'invitation
+ * - invitation_designs est le brouillon ; publier crée une version immuable (migration 065)
+ * - Les invités voient la version publiée, le brouillon reste invisible jusqu'à la prochaine publication
+ * - Historique, comparaison de deux versions (ou d'une version et du brouillon), retour à une version
+ * - Aperçu d'un design pour une famille (nom, nombre d'invités, événement substitués) en JSON ou PDF
+ *
+ * Variables utilisables dans les textes de custom_data : {{family_name}}, {{invited_count}},
+ * {{event_title}}, {{couple_names}}, {{event_date}}, {{event_time}}, {{event_location}},
+ * {{rsvp_deadline}}, {{invitation_url}} (sections optionnelles {{#variable}}...{{/variable}})
+ */
+
+const { invitationDesigns, invitationDesignVersions, familyInvitations, families } = require('../utils/database');
+const notificationTemplates = require('./notificationTemplates');
+const { formatDate, getEventLocation, getInvitationUrl } = require('./notificationService');
+const printService = require('./printService');
+
+// Content captured in a published version
+const VERSIONED_FIELDS = ['name', 'template', 'cover_image', 'custom_data'];
+const DRAFT_VERSION = 'draft';
+const PREVIEW_FORMATS = ['json', 'pdf'];
+
+// Family used when the preview is not for a given family
+const SAMPLE_FAMILY = {
+  fr: { name: 'Famille Exemple', invited_count: 2 },
+  en: { name: 'Sample Family', invited_count: 2 }
+};
+
+const designError = (message, code) => Object.assign(new Error(message), { code });
+
+const getContent = (source) => ({
+  name: source.name,
+  template: source.template,
+  cover_image: source.cover_image || null,
+  custom_data: source.custom_data || {}
+});
+
+/**
+ * Content of a version of a design, or of its draft
+ * @param {Object} design - invitation_designs row
+ * @param {number|string} version - Version number or DRAFT_VERSION
+ */
+const getVersionContent = async (design, version) => {
+  if (version === DRAFT_VERSION) {
+    return { version: DRAFT_VERSION, ...getContent(design) };
+  }
+
+  const row = await invitationDesignVersions.findByDesignAndVersion(design.id, version);
+  if (!row) {
+    throw designError('Version not found', 'VERSION_NOT_FOUND');
+  }
+
+  return { version: row.version, ...getContent(row) };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten nested objects into dot paths (arrays are compared as a whole)
+ */
+const flatten = (value, prefix, result = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, `${prefix}.${key}`, result));
+  } else {
+    result[prefix] = value === undefined ? null : value;
+  }
+  return result;
+};
+
+/**
+ * Field-level differences between two design contents
+ * @returns {Array<{ path: string, change: string, from: *, to: * }>} - change: added | removed | changed
+ */
+const diffContents = (from, to) => {
+  const before = VERSIONED_FIELDS.reduce((result, field) => flatten(from[field], field, result), {});
+  const after = VERSIONED_FIELDS.reduce((result, field) => flatten(to[field], field, result), {});
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return paths
+    .filter(path => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map(path => ({
+      path,
+      change: !(path in before) ? 'added' : !(path in after) ? 'removed' : 'changed',
+      from: path in before ? before[path] : null,
+      to: path in after ? after[path] : null
+    }));
+};
+
+/**
+ * Whether the draft differs from the version guests see
+ */
+const hasUnpublishedChanges = async (design) => {
+  if (!design.published_version) {
+    return true;
+  }
+
+  const published = await getVersionContent(design, design.published_version);
+  return diffContents(published, getContent(design)).length > 0;
+};
+
+/**
+ * Publish the draft of a design as a new immutable version
+ * @param {Object} design - invitation_designs row
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string|null} options.note - Organizer note
+ * @param {number|null} options.rolledBackFrom - Version restored by a rollback
+ * @returns {Promise<{ design: Object, version: Object }>}
+ */
+const publishDesign = async (design, userId, { note = null, rolledBackFrom = null } = {}) => {
+  const latest = await invitationDesignVersions.findLatestByDesign(design.id);
+
+  const version = await invitationDesignVersions.create({
+    design_id: design.id,
+    event_id: design.event_id,
+    version: (latest ? latest.version : 0) + 1,
+    ...getContent(design),
+    note,
+    rolled_back_from: rolledBackFrom,
+    published_by: userId
+  });
+
+  const updatedDesign = await invitationDesigns.update(design.id, {
+    status: 'published',
+    published_version: version.version
+  });
+
+  return { design: updatedDesign, version };
+};
+
+/**
+ * Versions of a design, newest first
+ */
+const listVersions = async (design) => {
+  const versions = await invitationDesignVersions.findByDesign(design.id);
+  return versions.map(version => ({
+    ...version,
+    is_published: version.version === design.published_version
+  }));
+};
+
+/**
+ * Restore a previous version into the draft, and publish it as a new version by default
+ * @param {Object} design - invitation_designs row
+ * @param {number} version - Version to restore
+ * @param {string} userId
+ * @param {Object} options
+ * @param {boolean} options.publish - false to only restore the draft
+ * @param {string|null} options.note
+ */
+const rollbackDesign = async (design, version, userId, { publish = true, note = null } = {}) => {
+  const target = await getVersionContent(design, version);
+
+  if (target.name !== design.name) {
+    const eventDesigns = await invitationDesigns.findByEvent(design.event_id);
+    if (eventDesigns.some(other => other.id !== design.id && other.name === target.name)) {
+      throw designError('Another design of this event now uses the name of this version', 'NAME_TAKEN');
+    }
+  }
+
+  const { version: restoredVersion, ...content } = target;
+  const draft = await invitationDesigns.update(design.id, content);
+
+  if (!publish) {
+    return { design: draft, version: null };
+  }
+
+  return publishDesign(draft, userId, { note, rolledBackFrom: restoredVersion });
+};
+
+/**
+ * Content guests see for a design: its published version, or the design itself if never published
+ * @param {Object} design - invitation_designs row (with published_version)
+ */
+const getPublicContent = async (design) => {
+  if (!design.published_version) {
+    return { id: design.id, version: null, ...getContent(design) };
+  }
+
+  const published = await getVersionContent(design, design.published_version);
+  return { id: design.id, ...published };
+};
+
+/**
+ * Replace the {{variables}} in every text of custom_data
+ */
+const substituteVariables = (value, variables) => {
+  if (typeof value === 'string') {
+    return value.includes('{{') ? notificationTemplates.interpolate(value, variables) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteVariables(item, variables));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, substituteVariables(child, variables)]));
+  }
+  return value;
+};
+
+/**
+ * Family shown in a preview: a family of the event (invited or assigned to a design), or a sample one
+ */
+const getPreviewFamily = async (eventId, familyId, locale) => {
+  if (!familyId) {
+    const sample = SAMPLE_FAMILY[locale] || SAMPLE_FAMILY.fr;
+    return { family_name: sample.name, invited_count: sample.invited_count, qr_code: null };
+  }
+
+  const [invitation, assignment] = await Promise.all([
+    familyInvitations.findByEventAndFamily(eventId, familyId),
+    invitationDesigns.findAssignmentByFamily(eventId, familyId)
+  ]);
+  if (!invitation && !assignment) {
+    throw designError('Family not found for this event', 'FAMILY_NOT_FOUND');
+  }
+
+  const family = invitation?.families || await families.findById(familyId);
+  return {
+    family_id: familyId,
+    family_name: family?.name || '',
+    invited_count: invitation?.invited_count || family?.max_people || 1,
+    qr_code: invitation?.qr_code || null
+  };
+};
+
+/**
+ * Render a design version for a family before publishing
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {Object} params.design - invitation_designs row
+ * @param {number|string} params.version - Version number or DRAFT_VERSION
+ * @param {string|null} params.familyId - Family of the event, sample family when null
+ * @param {string} params.locale - fr | en
+ * @returns {Promise<Object>} - { version, content, invitation, variables, style }
+ */
+const buildPreview = async ({ event, design, version = DRAFT_VERSION, familyId = null, locale = 'fr' }) => {
+  const [content, invitation] = await Promise.all([
+    getVersionContent(design, version),
+    getPreviewFamily(event.id, familyId, locale)
+  ]);
+
+  const variables = {
+    family_name: invitation.family_name,
+    invited_count: invitation.invited_count,
+    event_title: event.title,
+    couple_names: [event.partner1_name, event.partner2_name].filter(Boolean).join(' & '),
+    event_date: formatDate(event.date, locale),
+    event_time: event.ceremony_time ? String(event.ceremony_time).substring(0, 5) : null,
+    event_location: getEventLocation(event),
+    rsvp_deadline: event.rsvp_deadline ? formatDate(event.rsvp_deadline, locale) : null,
+    invitation_url: getInvitationUrl(invitation)
+  };
+
+  const { version: previewedVersion, ...designContent } = content;
+  const renderedContent = { ...designContent, custom_data: substituteVariables(designContent.custom_data, variables) };
+
+  return {
+    version: previewedVersion,
+    content: renderedContent,
+    invitation,
+    variables,
+    style: printService.resolveDesignStyle(renderedContent)
+  };
+};
+
+/**
+ * Preview as a single print-ready card (PDF)
+ */
+const renderPreviewPdf = ({ event, preview, options = {}, locale = 'fr' }) => printService.renderInvitationPreview({
+  event,
+  design: preview.content,
+  invitation: preview.invitation,
+  options,
+  locale
+});
+
+module.exports = {
+  VERSIONED_FIELDS,
+  DRAFT_VERSION,
+  PREVIEW_FORMATS,
+  getVersionContent,
+  diffContents,
+  hasUnpublishedChanges,
+  publishDesign,
+  listVersions,
+  rollbackDesign,
+  getPublicContent,
+  buildPreview,
+  renderPreviewPdf
+};
@@ -0,0 +1,295 @@
+/**
+ * Service de résolution des invitations famille
+ * - Un seul point d'entrée pour retrouver une invitation à partir du code d'un lien ou d'un QR code
+ * - Modèle unique : family_invitations. Les anciens QR codes famille (qr_codes) sont convertis
+ *   à la première lecture ou par le backfill (migration 063, scripts/consolidate-invitations.js)
+ * - Un ancien code dont la famille a déjà une invitation redirige vers celle-ci, de même que
+ *   le code précédent d'une invitation quand un nouveau code est émis
+ * - Les anciens liens contenant l'id de l'invitation sont aussi des redirections (migration 074)
+ * - Mêmes règles de validité (invalidée, expirée) et même compteur de scans pour toutes les routes publiques
+ *
+ * Ordre de résolution : code signé, code de l'invitation ou redirection, puis ancien QR code famille
+ */
+
+const { familyInvitations, qrCodes, invitationCodeRedirects } = require('../utils/database');
+const qrSigningService = require('./qrSigningService');
+const logger = require('../utils/logger');
+
+// How an invitation was found (resolved_from)
+const RESOLVED_FROM = {
+  QR_CODE: 'qr_code',
+  REDIRECT: 'redirect',
+  LEGACY_QR_CODE: 'legacy_qr_code',
+  SIGNED_CODE: 'signed_code'
+};
+
+// Outcome of the consolidation of a legacy family QR code
+const CONSOLIDATION_RESULTS = {
+  CREATED: 'created',
+  REDIRECTED: 'redirected',
+  SKIPPED: 'skipped'
+};
+
+const INVITATION_ERRORS = {
+  INVALIDATED: 'INVITATION_INVALIDATED',
+  EXPIRED: 'INVITATION_EXPIRED'
+};
+
+const withResolution = (invitation, resolvedFrom, code) => invitation && {
+  ...invitation,
+  resolved_from: resolvedFrom,
+  // Code the guest should use from now on, when they came with another one
+  redirect_to: code && code !== invitation.qr_code ? invitation.qr_code : null
+};
+
+/**
+ * Invitation stored under a code: its own qr_code or a legacy code redirected to it
+ * @returns {Promise<Object|null>} - family_invitations row with families and events
+ */
+const findStoredInvitation = async (code) => {
+  const invitation = await familyInvitations.findPublicByQRCode(code);
+  if (invitation) {
+    return withResolution(invitation, RESOLVED_FROM.QR_CODE, code);
+  }
+
+  const redirect = await invitationCodeRedirects.findByLegacyCode(code);
+  if (redirect) {
+    return withResolution(await familyInvitations.findPublicById(redirect.family_invitation_id), RESOLVED_FROM.REDIRECT, code);
+  }
+
+  return null;
+};
+
+/**
+ * Move a legacy family QR code (qr_codes row) to family_invitations
+ * The code becomes the qr_code of a new invitation, or a redirect when the family already has one.
+ * Invalidated legacy codes are left untouched.
+ * @param {Object} qrDoc - qr_codes row
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report what would be done without writing
+ * @returns {Promise<{ result: string, invitationId: string|null }>}
+ */
+const consolidateLegacyCode = async (qrDoc, { dryRun = false } = {}) => {
+  if (!qrDoc.family_id || qrDoc.is_valid === false) {
+    return { result: CONSOLIDATION_RESULTS.SKIPPED, invitationId: null };
+  }
+
+  const stored = await findStoredInvitation(qrDoc.code);
+  if (stored) {
+    return { result: CONSOLIDATION_RESULTS.SKIPPED, invitationId: stored.id };
+  }
+
+  const existing = await familyInvitations.findByEventAndFamily(qrDoc.event_id, qrDoc.family_id);
+  if (existing) {
+    if (!dryRun) {
+      await invitationCodeRedirects.create({
+        legacy_code: qrDoc.code,
+        family_invitation_id: existing.id,
+        qr_code_id: qrDoc.id
+      });
+    }
+    return { result: CONSOLIDATION_RESULTS.REDIRECTED, invitationId: existing.id };
+  }
+
+  if (dryRun) {
+    return { result: CONSOLIDATION_RESULTS.CREATED, invitationId: null };
+  }
+
+  const created = await familyInvitations.create({
+    family_id: qrDoc.family_id,
+    event_id: qrDoc.event_id,
+    user_id: qrDoc.generated_by,
+    invited_count: qrDoc.invited_count || 1,
+    qr_code: qrDoc.code,
+    qr_expires_at: qrDoc.expires_at,
+    is_valid: true,
+    scan_count: qrDoc.scan_count || 0,
+    last_scanned_at: qrDoc.last_scanned_at || null,
+    created_at: qrDoc.created_at
+  });
+  return { result: CONSOLIDATION_RESULTS.CREATED, invitationId: created.id };
+};
+
+/**
+ * Legacy family QR code of a code, moved to family_invitations on first use
+ */
+const resolveLegacyCode = async (code) => {
+  const qrDoc = await qrCodes.findAnyByCode(code);
+  if (!qrDoc || !qrDoc.family_id || qrDoc.is_valid === false) {
+    return null;
+  }
+
+  try {
+    await consolidateLegacyCode(qrDoc);
+  } catch (error) {
+    // Consolidated meanwhile by a concurrent request
+    logger.warn('Legacy invitation code consolidation failed, retrying lookup', { error: error.message });
+  }
+
+  const invitation = await findStoredInvitation(code);
+  return invitation && { ...invitation, resolved_from: RESOLVED_FROM.LEGACY_QR_CODE };
+};
+
+/**
+ * Find the family invitation a code points to
+ * @param {string} code - Invitation code, legacy code (redirected invitation ID included) or signed code
+ * @returns {Promise<Object|null>} - family_invitations row with families, events, resolved_from and redirect_to
+ */
+const resolveInvitation = async (code) => {
+  if (!code) {
+    return null;
+  }
+
+  if (qrSigningService.isSignedCode(code)) {
+    const signed = await qrSigningService.verifySignedCode(code);
+    if (!signed.valid && signed.status !== 'expired') {
+      return null;
+    }
+
+    const payload = signed.payload || qrSigningService.decodeSignedCode(code);
+    const storedCode = await qrSigningService.findStoredCode(payload);
+    const invitation = storedCode
+      ? await findStoredInvitation(storedCode) || await resolveLegacyCode(storedCode)
+      : null;
+    if (!invitation) {
+      return null;
+    }
+
+    return {
+      ...invitation,
+      // A signed code stops working at its own expiry, even if the invitation was extended
+      qr_expires_at: signed.valid ? invitation.qr_expires_at : payload.expiresAt,
+      resolved_from: RESOLVED_FROM.SIGNED_CODE,
+      redirect_to: null
+    };
+  }
+
+  const stored = await findStoredInvitation(code);
+  if (stored) {
+    return stored;
+  }
+
+  return resolveLegacyCode(code);
+};
+
+/**
+ * Validity rules shared by every public invitation route
+ * @returns {{ valid: boolean, code?: string, message?: string }}
+ */
+const checkInvitation = (invitation) => {
+  if (invitation.is_valid === false) {
+    return { valid: false, code: INVITATION_ERRORS.INVALIDATED, message: 'This invitation has been invalidated' };
+  }
+  if (invitation.qr_expires_at && new Date(invitation.qr_expires_at) < new Date()) {
+    return { valid: false, code: INVITATION_ERRORS.EXPIRED, message: 'This invitation has expired' };
+  }
+  return { valid: true };
+};
+
+/**
+ * Count a view of the invitation
+ * @returns {Promise<number|null>} - New scan count, null when it could not be recorded
+ */
+const recordScan = async (invitation) => {
+  try {
+    return await familyInvitations.incrementScan(invitation.id);
+  } catch (error) {
+    // A failed counter never blocks the guest
+    logger.error('Error recording invitation scan:', { error: error.message, invitationId: invitation.id });
+    return null;
+  }
+};
+
+/**
+ * Give a family its invitation code for an event
+ * A family has one invitation per event: issuing a new code keeps the previous one as a redirect,
+ * so invitations already sent keep working.
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.familyId
+ * @param {string} params.userId
+ * @param {number} params.invitedCount
+ * @param {string} params.code - New code
+ * @param {string|null} params.expiresAt
+ * @returns {Promise<Object>} - family_invitations row
+ */
+const issueInvitationCode = async ({ eventId, familyId, userId, invitedCount, code, expiresAt = null }) => {
+  const existing = await familyInvitations.findByEventAndFamily(eventId, familyId);
+
+  if (!existing) {
+    return familyInvitations.create({
+      family_id: familyId,
+      event_id: eventId,
+      user_id: userId,
+      invited_count: invitedCount || 1,
+      qr_code: code,
+      qr_expires_at: expiresAt,
+      is_valid: true,
+      scan_count: 0
+    });
+  }
+
+  const previousCode = existing.qr_code;
+  const updated = await familyInvitations.update(existing.id, {
+    qr_code: code,
+    qr_expires_at: expiresAt,
+    invited_count: Math.max(existing.invited_count || 1, invitedCount || 1)
+  });
+
+  if (previousCode && previousCode !== code) {
+    await invitationCodeRedirects.create({
+      legacy_code: previousCode,
+      family_invitation_id: existing.id
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Move every valid legacy family QR code to family_invitations, and links made of an
+ * invitation ID to redirects
+ * @param {Object} options
+ * @param {string} options.eventId - Limit to one event
+ * @param {boolean} options.dryRun - Report what would be done without writing
+ * @returns {Promise<{ total: number, created: number, redirected: number, skipped: number, id_links: number, errors: Array }>}
+ */
+const consolidateLegacyCodes = async ({ eventId = null, dryRun = false } = {}) => {
+  const legacyCodes = eventId ? await qrCodes.findFamilyCodesByEvent(eventId) : await qrCodes.findByFamily();
+  const summary = { total: legacyCodes.length, created: 0, redirected: 0, skipped: 0, id_links: 0, errors: [] };
+
+  for (const qrDoc of legacyCodes) {
+    try {
+      const { result } = await consolidateLegacyCode(qrDoc, { dryRun });
+      summary[result] += 1;
+    } catch (error) {
+      summary.errors.push({ code: qrDoc.code, error: error.message });
+    }
+  }
+
+  for (const invitation of await familyInvitations.findWithoutIdRedirect(eventId)) {
+    try {
+      if (!dryRun) {
+        await invitationCodeRedirects.create({ legacy_code: invitation.id, family_invitation_id: invitation.id });
+      }
+      summary.id_links += 1;
+    } catch (error) {
+      summary.errors.push({ code: invitation.id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  RESOLVED_FROM,
+  CONSOLIDATION_RESULTS,
+  INVITATION_ERRORS,
+  findStoredInvitation,
+  resolveInvitation,
+  checkInvitation,
+  recordScan,
+  issueInvitationCode,
+  consolidateLegacyCode,
+  consolidateLegacyCodes
+};
@@ -0,0 +1,335 @@
+/**
+ * Service du catalogue de templates d'invitation
+ * - Templates système : clé stockée dans invitation_designs.template, schéma JSON de leur custom_data
+ * - Validation du custom_data d'un design contre le schéma de son template (création / mise à jour)
+ * - Templates privés : un organisateur enregistre un design comme point de départ pour ses prochains événements
+ *
+ * Les schémas suivent un sous-ensemble de JSON Schema : type, properties, required,
+ * additionalProperties, items, enum, pattern, minLength/maxLength, minimum/maximum, minItems/maxItems
+ */
+
+const { invitationTemplates } = require('../utils/database');
+
+const MAX_PRIVATE_TEMPLATES = 50;
+const MAX_CUSTOM_DATA_BYTES = 50 * 1024;
+
+const TEMPLATE_ERRORS = {
+  TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+  INVALID_CUSTOM_DATA: 'INVALID_CUSTOM_DATA',
+  TEMPLATE_NAME_TAKEN: 'TEMPLATE_NAME_TAKEN',
+  TEMPLATE_LIMIT_REACHED: 'TEMPLATE_LIMIT_REACHED'
+};
+
+const COLOR = { type: 'string', pattern: '^#(?:[0-9a-fA-F]{3}){1,2}$' };
+const text = (maxLength) => ({ type: 'string', maxLength });
+
+// Fields shared by every template (read by the invitation page and printService.resolveDesignStyle)
+const BASE_PROPERTIES = {
+  title: text(200),
+  heading: text(200),
+  message: text(2000),
+  text: text(2000),
+  colors: {
+    type: 'object',
+    properties: { primary: COLOR, background: COLOR, text: COLOR, accent: COLOR },
+    additionalProperties: false
+  },
+  fonts: {
+    type: 'object',
+    properties: { heading: text(100), body: text(100) },
+    additionalProperties: false
+  },
+  schedule: {
+    type: 'array',
+    maxItems: 20,
+    items: {
+      type: 'object',
+      properties: { time: text(20), label: text(150), location: text(255) },
+      required: ['label'],
+      additionalProperties: false
+    }
+  },
+  // Older editor keys, still read when printing
+  primaryColor: COLOR,
+  backgroundColor: COLOR,
+  textColor: COLOR,
+  font: text(100),
+  fontFamily: text(100)
+};
+
+// Editor-only keys stay accepted: the schema checks the fields it declares
+const buildSchema = (properties = {}) => ({
+  type: 'object',
+  properties: { ...BASE_PROPERTIES, ...properties },
+  additionalProperties: true
+});
+
+const SYSTEM_TEMPLATES = {
+  default: {
+    name: 'Invitation Classique',
+    description: 'Mise en page simple, utilisée quand aucun design n\'est assigné',
+    schema: buildSchema()
+  },
+  classic: {
+    name: 'Classique',
+    description: 'Typographie à empattements, bleu nuit sur fond blanc',
+    schema: buildSchema()
+  },
+  elegant: {
+    name: 'Élégant',
+    description: 'Tons dorés et monogramme des mariés',
+    schema: buildSchema({ monogram: text(10) })
+  },
+  floral: {
+    name: 'Floral',
+    description: 'Couleurs poudrées et motifs floraux',
+    schema: buildSchema({ flower_style: { type: 'string', enum: ['roses', 'peonies', 'wildflowers', 'eucalyptus'] } })
+  },
+  modern: {
+    name: 'Moderne',
+    description: 'Typographie sans empattements et mise en page épurée',
+    schema: buildSchema({ layout: { type: 'string', enum: ['centered', 'left', 'split'] } })
+  },
+  minimal: {
+    name: 'Minimaliste',
+    description: 'Texte seul, sans ornement',
+    schema: buildSchema()
+  }
+};
+
+const templateError = (message, code, details = {}) => Object.assign(new Error(message), { code, ...details });
+
+const isSystemTemplate = (key) => Object.prototype.hasOwnProperty.call(SYSTEM_TEMPLATES, key);
+
+const getTypeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = getTypeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{ path: string, message: string }>} - Empty when valid
+ */
+const validateSchema = (value, schema, path = 'custom_data') => {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [{ path, message: `must be of type ${types.join(' or ')}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must contain at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must contain at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: 'has an invalid format' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (getTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ path: `${path}.${key}`, message: 'is required' }));
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Check the content of a design against its template
+ * @param {Object} params
+ * @param {string} params.template - System template key
+ * @param {Object} params.customData
+ * @param {boolean} params.allowLegacyTemplate - Accept a free template name of an older design (not validated)
+ * @throws {Error} TEMPLATE_NOT_FOUND, INVALID_CUSTOM_DATA (with errors)
+ */
+const validateDesignContent = ({ template, customData = {}, allowLegacyTemplate = false }) => {
+  if (!isSystemTemplate(template)) {
+    if (allowLegacyTemplate) return;
+    throw templateError('Unknown invitation template', TEMPLATE_ERRORS.TEMPLATE_NOT_FOUND);
+  }
+
+  if (Buffer.byteLength(JSON.stringify(customData || {})) > MAX_CUSTOM_DATA_BYTES) {
+    throw templateError('Custom data is too large', TEMPLATE_ERRORS.INVALID_CUSTOM_DATA, {
+      errors: [{ path: 'custom_data', message: `must not exceed ${MAX_CUSTOM_DATA_BYTES} bytes` }]
+    });
+  }
+
+  const errors = validateSchema(customData || {}, SYSTEM_TEMPLATES[template].schema);
+  if (errors.length > 0) {
+    throw templateError('Custom data does not match the template', TEMPLATE_ERRORS.INVALID_CUSTOM_DATA, { errors });
+  }
+};
+
+const formatSystemTemplate = (key) => ({
+  key,
+  name: SYSTEM_TEMPLATES[key].name,
+  description: SYSTEM_TEMPLATES[key].description,
+  is_system: true,
+  custom_data_schema: SYSTEM_TEMPLATES[key].schema
+});
+
+const formatPrivateTemplate = (row) => ({
+  id: row.id,
+  key: row.template,
+  name: row.name,
+  description: row.description,
+  is_system: false,
+  custom_data_schema: SYSTEM_TEMPLATES[row.template]?.schema || null,
+  default_custom_data: row.default_custom_data || {},
+  cover_image: row.cover_image,
+  source_event_id: row.source_event_id,
+  created_at: row.created_at
+});
+
+/**
+ * Template catalogue of an organizer: system templates, then their private templates
+ */
+const listTemplates = async (userId) => {
+  const privateTemplates = await invitationTemplates.findByUser(userId);
+  return {
+    system: Object.keys(SYSTEM_TEMPLATES).map(formatSystemTemplate),
+    private: privateTemplates.map(formatPrivateTemplate)
+  };
+};
+
+/**
+ * Private template of an organizer
+ * @throws {Error} TEMPLATE_NOT_FOUND when missing or owned by someone else
+ */
+const getPrivateTemplate = async (templateId, userId) => {
+  const template = await invitationTemplates.findById(templateId);
+  if (!template || template.user_id !== userId) {
+    throw templateError('Invitation template not found', TEMPLATE_ERRORS.TEMPLATE_NOT_FOUND);
+  }
+  return template;
+};
+
+/**
+ * Content of a new design: a system template, or a private template whose defaults the request overrides
+ * @param {Object} params
+ * @param {string} params.template - System template key (ignored with templateId)
+ * @param {string|null} params.templateId - Private template
+ * @param {Object} params.customData
+ * @param {string|null} params.coverImage
+ * @param {string} params.userId
+ * @returns {Promise<{ template: string, custom_data: Object, cover_image: string|null }>}
+ */
+const resolveNewDesignContent = async ({ template, templateId = null, customData = {}, coverImage = null, userId }) => {
+  let content = { template, custom_data: customData || {}, cover_image: coverImage || null };
+
+  if (templateId) {
+    const privateTemplate = await getPrivateTemplate(templateId, userId);
+    content = {
+      template: privateTemplate.template,
+      custom_data: { ...(privateTemplate.default_custom_data || {}), ...(customData || {}) },
+      cover_image: coverImage || privateTemplate.cover_image || null
+    };
+  }
+
+  validateDesignContent({ template: content.template, customData: content.custom_data });
+  return content;
+};
+
+/**
+ * Save a design as a private template of an organizer
+ * @param {Object} design - invitation_designs row
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string|null} params.description
+ */
+const saveDesignAsTemplate = async (design, userId, { name, description = null }) => {
+  if (!isSystemTemplate(design.template)) {
+    throw templateError('Designs using a legacy template cannot be saved as a template', TEMPLATE_ERRORS.TEMPLATE_NOT_FOUND);
+  }
+
+  const existing = await invitationTemplates.findByUser(userId);
+  if (existing.length >= MAX_PRIVATE_TEMPLATES) {
+    throw templateError(`You can keep up to ${MAX_PRIVATE_TEMPLATES} private templates`, TEMPLATE_ERRORS.TEMPLATE_LIMIT_REACHED);
+  }
+  if (existing.some(template => template.name === name)) {
+    throw templateError('A template with this name already exists', TEMPLATE_ERRORS.TEMPLATE_NAME_TAKEN);
+  }
+
+  const created = await invitationTemplates.create({
+    user_id: userId,
+    name,
+    description,
+    template: design.template,
+    default_custom_data: design.custom_data || {},
+    cover_image: design.cover_image || null,
+    source_design_id: design.id,
+    source_event_id: design.event_id
+  });
+
+  return formatPrivateTemplate(created);
+};
+
+/**
+ * Delete a private template of an organizer
+ */
+const deletePrivateTemplate = async (templateId, userId) => {
+  const template = await getPrivateTemplate(templateId, userId);
+  await invitationTemplates.delete(template.id);
+  return template;
+};
+
+module.exports = {
+  SYSTEM_TEMPLATES,
+  TEMPLATE_ERRORS,
+  MAX_PRIVATE_TEMPLATES,
+  isSystemTemplate,
+  validateSchema,
+  validateDesignContent,
+  listTemplates,
+  getPrivateTemplate,
+  resolveNewDesignContent,
+  saveDesignAsTemplate,
+  deletePrivateTemplate
+};
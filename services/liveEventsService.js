@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const { redisService } = require('./redisService');
+const logger = require('../utils/logger');
+
+/**
+ * Live events bus (wedding-day dashboard)
+ *
+ * Routes publish what just happened (check-in, RSVP, wish, gallery upload) and
+ * SSE connections subscribe per event. Messages go through Redis pub/sub when
+ * Redis is available so every instance receives them, and through an
+ * in-process EventEmitter otherwise.
+ */
+
+const CHANNEL_PREFIX = 'live:event:';
+
+const LIVE_EVENT_TYPES = {
+  CHECK_IN: 'check_in',
+  RSVP: 'rsvp',
+  WISH: 'wish',
+  GALLERY_UPLOAD: 'gallery_upload',
+  GAME_SESSION: 'game_session', // Live quiz state (question, reveal, leaderboard)
+  GAME_ANSWER: 'game_answer' // Live quiz answers count
+};
+
+// One listener per open SSE connection: no arbitrary limit
+const localBus = new EventEmitter();
+localBus.setMaxListeners(0);
+
+let redisBridgeStarted = false;
+
+/**
+ * Forward Redis messages to the local bus (started lazily, once per process)
+ */
+const startRedisBridge = () => {
+  if (redisBridgeStarted) return;
+
+  redisBridgeStarted = redisService.psubscribe(`${CHANNEL_PREFIX}*`, (channel, message) => {
+    localBus.emit(channel.substring(CHANNEL_PREFIX.length), message);
+  });
+};
+
+/**
+ * Publish a live update for an event
+ * Never throws: live updates must not break the request that triggered them
+ * @param {string} eventId - Event ID
+ * @param {string} type - One of LIVE_EVENT_TYPES
+ * @param {Object} payload - Data safe to show on the organizer dashboard
+ */
+const publish = async (eventId, type, payload = {}) => {
+  if (!eventId) return;
+
+  const message = {
+    type,
+    event_id: eventId,
+    payload,
+    emitted_at: new Date().toISOString()
+  };
+
+  try {
+    startRedisBridge();
+
+    if (redisService.isSubscriberReady() &&
+      await redisService.publish(`${CHANNEL_PREFIX}${eventId}`, message)) {
+      return;
+    }
+  } catch (error) {
+    logger.warn('Live events: Redis publish failed, using in-process bus', { error: error.message });
+  }
+
+  localBus.emit(eventId, message);
+};
+
+/**
+ * Subscribe to the live updates of an event
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribe = (eventId, listener) => {
+  startRedisBridge();
+  localBus.on(eventId, listener);
+
+  return () => localBus.removeListener(eventId, listener);
+};
+
+/**
+ * Number of open subscriptions for an event (monitoring)
+ */
+const subscriberCount = (eventId) => localBus.listenerCount(eventId);
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  publish,
+  subscribe,
+  subscriberCount
+};
@@ -0,0 +1,425 @@
+/**
+ * Service des choix de menu et du rapport traiteur
+ * - Plats au choix définis dans menu_settings.menu_items (entrée avec "id" et "options")
+ * - Choix par membre dans le RSVP (family_rsvp.meal_choices) et allergènes (liste fixe + texte libre)
+ * - Rapport traiteur : nombre de chaque plat par table, allergènes et demandes particulières
+ */
+
+const PDFDocument = require('pdfkit');
+const { guests, familyInvitations, familyRsvp, tableAssignments } = require('../utils/database');
+
+// The 14 allergens that must be declared on menus (EU regulation 1169/2011)
+const ALLERGENS = [
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+
+const ALLERGEN_LABELS = {
+  fr: {
+    gluten: 'Gluten', crustaceans: 'Crustacés', eggs: 'Œufs', fish: 'Poisson', peanuts: 'Arachides',
+    soybeans: 'Soja', milk: 'Lait', nuts: 'Fruits à coque', celery: 'Céleri', mustard: 'Moutarde',
+    sesame: 'Sésame', sulphites: 'Sulfites', lupin: 'Lupin', molluscs: 'Mollusques'
+  },
+  en: {
+    gluten: 'Gluten', crustaceans: 'Crustaceans', eggs: 'Eggs', fish: 'Fish', peanuts: 'Peanuts',
+    soybeans: 'Soybeans', milk: 'Milk', nuts: 'Tree nuts', celery: 'Celery', mustard: 'Mustard',
+    sesame: 'Sesame', sulphites: 'Sulphites', lupin: 'Lupin', molluscs: 'Molluscs'
+  }
+};
+
+const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten_free', 'lactose_free', 'halal', 'kosher', 'kids'];
+
+const MEAL_ERROR_CODES = {
+  UNKNOWN_COURSE: 'UNKNOWN_COURSE',
+  INVALID_MEAL_CHOICE: 'INVALID_MEAL_CHOICE',
+  MEAL_CHOICE_REQUIRED: 'MEAL_CHOICE_REQUIRED',
+  INVALID_ALLERGEN: 'INVALID_ALLERGEN'
+};
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const LABELS = {
+  fr: {
+    title: 'Rapport traiteur',
+    table: 'Table',
+    noTable: 'Sans table',
+    course: 'Plat',
+    option: 'Choix',
+    quantity: 'Quantité',
+    noChoice: 'Sans choix',
+    attending: 'Couverts',
+    allergens: 'Allergènes',
+    total: 'Total',
+    guest: 'Invité',
+    family: 'Famille',
+    notes: 'Régime / remarques',
+    specialRequests: 'Demandes particulières'
+  },
+  en: {
+    title: 'Catering report',
+    table: 'Table',
+    noTable: 'No table',
+    course: 'Course',
+    option: 'Choice',
+    quantity: 'Quantity',
+    noChoice: 'No choice',
+    attending: 'Covers',
+    allergens: 'Allergens',
+    total: 'Total',
+    guest: 'Guest',
+    family: 'Family',
+    notes: 'Diet / notes',
+    specialRequests: 'Special requests'
+  }
+};
+
+/**
+ * Courses guests choose from: menu items with an id and a list of options
+ * Other menu items stay display-only
+ * @param {Object} menuSettings - events.menu_settings
+ */
+const getMealCourses = (menuSettings) =>
+  (Array.isArray(menuSettings?.menu_items) ? menuSettings.menu_items : [])
+    .filter(item => item && item.id && Array.isArray(item.options) && item.options.length > 0)
+    .map(item => ({
+      id: String(item.id),
+      name: item.course || item.name || String(item.id),
+      choice_required: item.choice_required === true,
+      options: item.options
+        .filter(option => option && option.id)
+        .map(option => ({
+          id: String(option.id),
+          name: option.name || String(option.id),
+          description: option.description || null,
+          allergens: (option.allergens || []).filter(allergen => ALLERGENS.includes(allergen)),
+          dietary_tags: (option.dietary_tags || []).filter(tag => DIETARY_TAGS.includes(tag))
+        }))
+    }));
+
+/**
+ * What the invitation page needs to build the meal form
+ */
+const getMealOptions = (menuSettings, locale = 'fr') => ({
+  courses: getMealCourses(menuSettings),
+  allergens: ALLERGENS.map(allergen => ({ id: allergen, label: (ALLERGEN_LABELS[locale] || ALLERGEN_LABELS.fr)[allergen] }))
+});
+
+/**
+ * Validate the meal choices and allergens of one member response
+ * @param {Object} params
+ * @param {Array} params.courses - getMealCourses() result
+ * @param {*} params.mealChoices - Submitted { course_id: option_id }
+ * @param {*} params.allergens - Submitted allergen ids
+ * @param {boolean|null} params.willAttend - Choices are only kept (and required) for attending members
+ * @returns {{ errors: Array<{field, code, message}>, meal_choices: Object, allergens: Array }}
+ */
+const validateMealSelection = ({ courses, mealChoices, allergens, willAttend }) => {
+  const errors = [];
+  const choices = {};
+  const coursesById = new Map(courses.map(course => [course.id, course]));
+
+  if (mealChoices !== undefined && mealChoices !== null && (typeof mealChoices !== 'object' || Array.isArray(mealChoices))) {
+    errors.push({ field: 'meal_choices', code: MEAL_ERROR_CODES.INVALID_MEAL_CHOICE, message: 'meal_choices must be an object { course_id: option_id }' });
+  } else {
+    Object.entries(mealChoices || {}).forEach(([courseId, optionId]) => {
+      const course = coursesById.get(courseId);
+      if (!course) {
+        errors.push({ field: 'meal_choices', code: MEAL_ERROR_CODES.UNKNOWN_COURSE, message: `Unknown course: ${courseId}` });
+        return;
+      }
+      if (optionId === null || optionId === '') return;
+      if (!course.options.some(option => option.id === String(optionId))) {
+        errors.push({ field: 'meal_choices', code: MEAL_ERROR_CODES.INVALID_MEAL_CHOICE, message: `${optionId} is not a choice for ${course.name}` });
+        return;
+      }
+      choices[courseId] = String(optionId);
+    });
+  }
+
+  if (willAttend === true) {
+    courses
+      .filter(course => course.choice_required && !choices[course.id])
+      .forEach(course => errors.push({
+        field: 'meal_choices',
+        code: MEAL_ERROR_CODES.MEAL_CHOICE_REQUIRED,
+        message: `Please choose an option for ${course.name}`
+      }));
+  }
+
+  let declared = [];
+  if (allergens !== undefined && allergens !== null) {
+    const list = Array.isArray(allergens) ? allergens : [allergens];
+    const unknown = list.filter(allergen => !ALLERGENS.includes(allergen));
+    if (unknown.length > 0) {
+      errors.push({
+        field: 'allergens',
+        code: MEAL_ERROR_CODES.INVALID_ALLERGEN,
+        message: `Unknown allergen(s): ${unknown.join(', ')}. Use dietary_restrictions for anything else`
+      });
+    } else {
+      declared = [...new Set(list)];
+    }
+  }
+
+  return {
+    errors,
+    meal_choices: willAttend === false ? {} : choices,
+    allergens: declared
+  };
+};
+
+/**
+ * Catering counts per table: attending members (family RSVPs) and accepted individual guests
+ * @param {Object} event - Event row (menu_settings)
+ */
+const buildCateringReport = async (event) => {
+  const courses = getMealCourses(event.menu_settings);
+  const [invitations, tables, assignments, guestRows, manualGuests] = await Promise.all([
+    familyInvitations.findByEvent(event.id),
+    tableAssignments.findTablesByEvent(event.id),
+    tableAssignments.findByEvent(event.id),
+    guests.findByEvent(event.id),
+    tableAssignments.findManualGuestsByEvent(event.id)
+  ]);
+  const responses = await familyRsvp.findByInvitations((invitations || []).map(invitation => invitation.id));
+
+  const tablesById = new Map(tables.map(table => [table.id, table]));
+  const familyTables = new Map();
+  const guestTables = new Map();
+  assignments.forEach(assignment => {
+    if (assignment.family_id) familyTables.set(assignment.family_id, assignment.table);
+    if (assignment.guest_id) guestTables.set(assignment.guest_id, assignment.table);
+  });
+
+  const invitationsById = new Map((invitations || []).map(invitation => [invitation.id, invitation]));
+  const diners = [
+    ...responses
+      .filter(response => response.will_attend === true)
+      .map(response => {
+        const invitation = invitationsById.get(response.family_invitation_id);
+        return {
+          name: response.member_name,
+          family: invitation?.families?.name || null,
+          table: familyTables.get(invitation?.family_id) || null,
+          meal_choices: response.meal_choices || {},
+          allergens: response.allergens || [],
+          dietary_restrictions: response.dietary_restrictions || null
+        };
+      }),
+    // Individual guests (without family) have no meal choice yet
+    ...(guestRows || [])
+      .filter(guest => !guest.family_id && guest.rsvp_status === 'accepted')
+      .map(guest => ({
+        name: `${guest.first_name || ''} ${guest.last_name || ''}`.trim(),
+        family: null,
+        table: guestTables.get(guest.id) || null,
+        meal_choices: {},
+        allergens: [],
+        dietary_restrictions: guest.dietary_restrictions || null
+      })),
+    // Guests added by hand on a table
+    ...(manualGuests || []).map(manualGuest => ({
+      name: `${manualGuest.first_name || ''} ${manualGuest.last_name || ''}`.trim(),
+      family: null,
+      table: tablesById.get(manualGuest.table_id) || null,
+      meal_choices: {},
+      allergens: [],
+      dietary_restrictions: manualGuest.dietary_restrictions || null
+    }))
+  ];
+
+  const emptyCounts = () => ({
+    attending: 0,
+    dishes: Object.fromEntries(courses.map(course => [course.id, {
+      options: Object.fromEntries(course.options.map(option => [option.id, 0])),
+      no_choice: 0
+    }])),
+    allergens: {}
+  });
+
+  const addDiner = (counts, diner) => {
+    counts.attending += 1;
+    courses.forEach(course => {
+      const choice = diner.meal_choices[course.id];
+      if (choice && counts.dishes[course.id].options[choice] !== undefined) {
+        counts.dishes[course.id].options[choice] += 1;
+      } else {
+        counts.dishes[course.id].no_choice += 1;
+      }
+    });
+    diner.allergens.forEach(allergen => {
+      counts.allergens[allergen] = (counts.allergens[allergen] || 0) + 1;
+    });
+  };
+
+  const tableCounts = new Map();
+  const totals = emptyCounts();
+  diners.forEach(diner => {
+    const key = diner.table?.id || null;
+    if (!tableCounts.has(key)) {
+      tableCounts.set(key, { table_id: key, table_name: diner.table?.name || null, ...emptyCounts() });
+    }
+    addDiner(tableCounts.get(key), diner);
+    addDiner(totals, diner);
+  });
+
+  return {
+    courses: courses.map(course => ({ id: course.id, name: course.name, options: course.options.map(({ id, name, allergens }) => ({ id, name, allergens })) })),
+    tables: [...tableCounts.values()].sort((a, b) => {
+      if (!a.table_id !== !b.table_id) return a.table_id ? -1 : 1; // Unassigned last
+      return String(a.table_name).localeCompare(String(b.table_name), 'fr', { numeric: true });
+    }),
+    totals,
+    special_requests: diners
+      .filter(diner => diner.allergens.length > 0 || diner.dietary_restrictions)
+      .map(diner => ({
+        table_name: diner.table?.name || null,
+        name: diner.name,
+        family: diner.family,
+        allergens: diner.allergens,
+        dietary_restrictions: diner.dietary_restrictions
+      }))
+      .sort((a, b) => String(a.table_name || '~').localeCompare(String(b.table_name || '~'), 'fr', { numeric: true }))
+  };
+};
+
+const formatAllergens = (counts, locale) => Object.entries(counts)
+  .map(([allergen, count]) => `${(ALLERGEN_LABELS[locale] || ALLERGEN_LABELS.fr)[allergen] || allergen} (${count})`)
+  .join(', ');
+
+/**
+ * One line per table, course and option (";" separated, UTF-8 BOM for Excel)
+ */
+const renderCateringReportCsv = (report, locale = 'fr') => {
+  const labels = LABELS[locale] || LABELS.fr;
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [[labels.table, labels.course, labels.option, labels.quantity].map(escape).join(';')];
+  const pushCounts = (tableName, counts) => {
+    report.courses.forEach(course => {
+      course.options.forEach(option => {
+        lines.push([tableName, course.name, option.name, counts.dishes[course.id].options[option.id]].map(escape).join(';'));
+      });
+      if (counts.dishes[course.id].no_choice > 0) {
+        lines.push([tableName, course.name, labels.noChoice, counts.dishes[course.id].no_choice].map(escape).join(';'));
+      }
+    });
+    lines.push([tableName, labels.attending, '', counts.attending].map(escape).join(';'));
+    if (Object.keys(counts.allergens).length > 0) {
+      lines.push([tableName, labels.allergens, formatAllergens(counts.allergens, locale), ''].map(escape).join(';'));
+    }
+  };
+
+  report.tables.forEach(table => pushCounts(table.table_name || labels.noTable, table));
+  pushCounts(labels.total, report.totals);
+
+  if (report.special_requests.length > 0) {
+    lines.push('');
+    lines.push([labels.table, labels.guest, labels.allergens, labels.notes].map(escape).join(';'));
+    report.special_requests.forEach(request => {
+      lines.push([
+        request.table_name || labels.noTable,
+        request.name,
+        request.allergens.map(allergen => (ALLERGEN_LABELS[locale] || ALLERGEN_LABELS.fr)[allergen]).join(', '),
+        request.dietary_restrictions
+      ].map(escape).join(';'));
+    });
+  }
+
+  return Buffer.from(`﻿${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+/**
+ * Kitchen sheet: one row per table, one column per dish option, then the special requests
+ */
+const renderCateringReportPdf = (report, event, locale = 'fr') => new Promise((resolve, reject) => {
+  const labels = LABELS[locale] || LABELS.fr;
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30, info: { Title: `${labels.title} - ${event.title || ''}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const columns = [
+    { label: labels.table, width: 110, value: (row) => row.table_name || labels.noTable },
+    { label: labels.attending, width: 45, value: (row) => row.attending },
+    ...report.courses.flatMap(course => [
+      ...course.options.map(option => ({ label: `${course.name}: ${option.name}`, value: (row) => row.dishes[course.id].options[option.id] })),
+      { label: `${course.name}: ${labels.noChoice}`, value: (row) => row.dishes[course.id].no_choice }
+    ]),
+    { label: labels.allergens, width: 150, value: (row) => formatAllergens(row.allergens, locale) }
+  ];
+  const fixedWidth = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const flexible = columns.filter(column => !column.width);
+  flexible.forEach(column => { column.width = Math.max((usableWidth - fixedWidth) / flexible.length, 30); });
+
+  const drawRow = (values, y, { bold = false, fill = null, height = 16 } = {}) => {
+    if (fill) doc.rect(left, y, usableWidth, height).fill(fill);
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5).fillColor('#222222');
+    values.forEach((value, index) => {
+      doc.text(String(value ?? ''), x + 2, y + 4, { width: columns[index].width - 4, height: height - 4, ellipsis: true, align: index === 0 || index === columns.length - 1 ? 'left' : 'center' });
+      x += columns[index].width;
+    });
+    return y + height;
+  };
+
+  const header = () => {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#222222').text(`${labels.title} - ${event.title || ''}`, left, doc.page.margins.top);
+    return drawRow(columns.map(column => column.label), doc.page.margins.top + 24, { bold: true, fill: '#EEEEEE', height: 28 });
+  };
+
+  let y = header();
+  report.tables.forEach((table, index) => {
+    if (y + 16 > bottom) {
+      doc.addPage();
+      y = header();
+    }
+    y = drawRow(columns.map(column => column.value(table)), y, { fill: index % 2 === 1 ? '#F7F7F7' : null });
+  });
+  if (y + 18 > bottom) {
+    doc.addPage();
+    y = header();
+  }
+  drawRow(columns.map(column => (column.label === labels.table ? labels.total : column.value(report.totals))), y + 2, { bold: true, fill: '#E3E3E3', height: 18 });
+
+  if (report.special_requests.length > 0) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#222222').text(labels.specialRequests, left, doc.page.margins.top);
+    let requestY = doc.page.margins.top + 26;
+    report.special_requests.forEach(request => {
+      if (requestY + 14 > bottom) {
+        doc.addPage();
+        requestY = doc.page.margins.top;
+      }
+      const allergenText = request.allergens.map(allergen => (ALLERGEN_LABELS[locale] || ALLERGEN_LABELS.fr)[allergen]).join(', ');
+      doc.font('Helvetica-Bold').fontSize(8.5)
+        .text(request.table_name || labels.noTable, left, requestY, { width: 110, lineBreak: false, ellipsis: true });
+      doc.font('Helvetica')
+        .text(request.name, left + 115, requestY, { width: 170, lineBreak: false, ellipsis: true })
+        .text([allergenText, request.dietary_restrictions].filter(Boolean).join(' - '), left + 290, requestY, { width: usableWidth - 290, lineBreak: false, ellipsis: true });
+      requestY += 14;
+    });
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_TAGS,
+  MEAL_ERROR_CODES,
+  REPORT_FORMATS,
+  getMealCourses,
+  getMealOptions,
+  validateMealSelection,
+  buildCateringReport,
+  renderCateringReportCsv,
+  renderCateringReportPdf
+};
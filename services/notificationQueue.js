@@ -0,0 +1,149 @@
+const Bull = require('bull');
+const logger = require('../utils/logger');
+const redisConfig = require('../config/redis');
+const notificationConfig = require('../config/notifications');
+
+// Create a Bull queue for notification jobs (email / SMS)
+// Use Redis if available, otherwise send directly without retries (for development)
+const bullRedisConfig = redisConfig.redisUrl ?
+  { redis: redisConfig.redisUrl } :
+  { redis: redisConfig.redis };
+
+// Flag to track if Redis is available
+let isRedisAvailable = false; // Start with false, will be set to true only on successful connection
+let notificationQueue;
+
+// Required lazily: notificationService itself queues jobs through this module
+const processNotificationJobDirectly = async ({ deliveryId }, { isFinalAttempt = true } = {}) => {
+  const notificationService = require('./notificationService');
+  return notificationService.deliverNotification(deliveryId, { isFinalAttempt });
+};
+
+// Direct sends still in progress (one-shot jobs wait for them before exiting)
+const pendingDirectSends = new Set();
+
+// Send in the background, after the caller has recorded the job ID
+const sendDirectlyInBackground = (deliveryId) => {
+  const sending = new Promise(resolve => setImmediate(resolve))
+    .then(() => processNotificationJobDirectly({ deliveryId }))
+    .catch((error) => {
+      logger.error('Direct notification sending failed', { deliveryId, error: error.message });
+    })
+    .finally(() => pendingDirectSends.delete(sending));
+
+  pendingDirectSends.add(sending);
+};
+
+// Resolve once every direct send has finished, including those started meanwhile
+const waitForDirectSends = async () => {
+  while (pendingDirectSends.size > 0) {
+    await Promise.all([...pendingDirectSends]);
+  }
+};
+
+// Attempt to initialize the queue with connection error handling
+try {
+  notificationQueue = new Bull('notifications', bullRedisConfig);
+
+  // Handle Redis connection errors gracefully
+  notificationQueue.on('error', (error) => {
+    // Only log error if we haven't already marked Redis as unavailable (to prevent spam)
+    if (isRedisAvailable) {
+      logger.error('Redis/Bull notification queue error (switching to direct sending):', {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      isRedisAvailable = false;
+    }
+  });
+
+  // Listen for successful connections
+  notificationQueue.on('ready', () => {
+    logger.info('Notification queue connected successfully', {
+      timestamp: new Date().toISOString()
+    });
+    isRedisAvailable = true;
+  });
+
+  // Listen for when a job is completed
+  notificationQueue.on('completed', (job, result) => {
+    logger.info(`Notification job ${job.id} completed`, {
+      deliveryId: job.data.deliveryId,
+      status: result?.status,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Listen for when a job has failed (Bull retries it until attempts are exhausted)
+  notificationQueue.on('failed', (job, err) => {
+    logger.warn(`Notification job ${job.id} failed`, {
+      deliveryId: job.data.deliveryId,
+      attemptsMade: job.attemptsMade,
+      error: err.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Process jobs in the queue
+  notificationQueue.process('sendNotification', async (job) => {
+    const maxAttempts = job.opts.attempts || 1;
+
+    return processNotificationJobDirectly(job.data, {
+      isFinalAttempt: job.attemptsMade + 1 >= maxAttempts
+    });
+  });
+
+} catch (error) {
+  logger.warn('Failed to initialize notification queue, falling back to direct sending', {
+    error: error.message
+  });
+
+  // Mark Redis as unavailable
+  isRedisAvailable = false;
+
+  // Create a mock queue object that processes jobs directly
+  notificationQueue = {
+    add: async (jobName, data) => {
+      const result = await processNotificationJobDirectly(data);
+      return { id: Math.random().toString(36).substring(2, 15), result };
+    },
+    process: () => { }, // No-op for mock
+    on: () => { },     // No-op for mock
+    close: async () => { } // No-op for mock
+  };
+}
+
+// Function to add a notification job to the queue
+const addNotificationJob = async ({ deliveryId }) => {
+  try {
+    // If Redis is not available, send in the background (single attempt, outcome in the delivery log)
+    if (!isRedisAvailable) {
+      const jobId = `direct-${Math.random().toString(36).substring(2, 15)}`;
+
+      sendDirectlyInBackground(deliveryId);
+
+      return jobId;
+    }
+
+    const job = await notificationQueue.add('sendNotification', { deliveryId }, notificationConfig.queueOptions);
+
+    return String(job.id);
+  } catch (error) {
+    logger.error('Failed to add notification job, sending directly', {
+      deliveryId,
+      error: error.message
+    });
+
+    sendDirectlyInBackground(deliveryId);
+
+    return `fallback-${Math.random().toString(36).substring(2, 15)}`;
+  }
+};
+
+module.exports = {
+  notificationQueue,
+  addNotificationJob,
+  waitForDirectSends,
+  isRedisAvailable: () => isRedisAvailable
+};
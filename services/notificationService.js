@@ -0,0 +1,389 @@
+const { events, familyInvitations, notificationSettings, notificationDeliveries } = require('../utils/database');
+const notificationTemplates = require('./notificationTemplates');
+const notificationTransports = require('./notificationTransports');
+const { addNotificationJob } = require('./notificationQueue');
+const notificationConfig = require('../config/notifications');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Notification service (guest emails / SMS)
+ *
+ * - Resolves recipients from family contacts (families.email / families.phone)
+ * - Snapshots template variables in notification_deliveries (the delivery log)
+ * - Queues one Bull job per delivery (services/notificationQueue.js) for retries
+ * - Renders and sends through the transport configured for the channel
+ */
+
+const CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms'
+};
+
+const DELIVERY_STATUSES = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  RETRYING: 'retrying',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULT_SETTINGS = {
+  sender_name: null,
+  reply_to_email: null,
+  sms_sender_id: null,
+  email_enabled: true,
+  sms_enabled: false,
+  locale: notificationTemplates.DEFAULT_LOCALE,
+  auto_rsvp_confirmation: false,
+  signature: null,
+  template_overrides: {}
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{6,15}$/;
+
+/**
+ * Notification settings of an event, defaults applied
+ */
+const getSettings = async (eventId) => {
+  const settings = await notificationSettings.findByEvent(eventId);
+  return { ...DEFAULT_SETTINGS, ...(settings || {}), event_id: eventId };
+};
+
+/**
+ * Contact address of a family for a channel, or null
+ */
+const getRecipientAddress = (family, channel) => {
+  if (channel === CHANNELS.EMAIL) {
+    const email = family?.email?.trim();
+    return email && EMAIL_PATTERN.test(email) ? email : null;
+  }
+
+  const phone = family?.phone?.replace(/[\s().-]/g, '');
+  return phone && PHONE_PATTERN.test(phone) ? phone : null;
+};
+
+const getLocaleTag = (locale) => (locale === 'en' ? 'en-GB' : 'fr-FR');
+
+const formatDate = (date, locale) => {
+  if (!date) return null;
+  return new Date(date).toLocaleDateString(getLocaleTag(locale), {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC' // Event dates are stored as calendar dates
+  });
+};
+
+const getEventLocation = (event) =>
+  event.location?.address || event.ceremony_venue?.name || event.reception_venue?.name || null;
+
+/**
+ * Public invitation link of a family
+ */
+const getInvitationUrl = (invitation) =>
+  (invitation?.qr_code ? `${config.frontendUrl}/invitation/${invitation.qr_code}` : config.frontendUrl);
+
+/**
+ * Variables available to every template
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {Object} params.settings - Notification settings (defaults applied)
+ * @param {Object} params.invitation - Family invitation (optional)
+ * @param {Object} params.family - Family (optional)
+ * @param {Object} params.extra - Organizer-provided variables (custom_message, logistics, gallery_url, ...)
+ */
+const buildVariables = ({ event, settings, invitation = null, family = null, extra = {} }) => {
+  const senderName = settings.sender_name ||
+    [event.partner1_name, event.partner2_name].filter(Boolean).join(' & ') ||
+    notificationConfig.fromName;
+
+  return {
+    recipient_name: family?.name || '',
+    sender_name: senderName,
+    event_title: event.title,
+    event_date: formatDate(event.date, settings.locale),
+    event_time: event.ceremony_time ? String(event.ceremony_time).substring(0, 5) : null,
+    event_location: getEventLocation(event),
+    rsvp_deadline: event.rsvp_deadline ? formatDate(event.rsvp_deadline, settings.locale) : null,
+    invitation_url: getInvitationUrl(invitation),
+    ...extra
+  };
+};
+
+/**
+ * Whether the organizer enabled a channel for the event
+ */
+const isChannelEnabled = (settings, channel) =>
+  (channel === CHANNELS.EMAIL ? settings.email_enabled : settings.sms_enabled) === true;
+
+/**
+ * Reject sends on a channel the organizer disabled
+ */
+const assertChannelEnabled = (settings, channel) => {
+  if (!isChannelEnabled(settings, channel)) {
+    const label = channel === CHANNELS.EMAIL ? 'Email' : 'SMS';
+    throw Object.assign(new Error(`${label} notifications are disabled for this event`), { code: 'CHANNEL_DISABLED' });
+  }
+};
+
+/**
+ * Log a delivery and queue it
+ * @returns {Promise<Object>} - Delivery row (status queued)
+ */
+const queueNotification = async ({
+  eventId,
+  template,
+  channel,
+  recipient,
+  recipientName = null,
+  familyId = null,
+  familyInvitationId = null,
+  guestId = null,
+  variables,
+  createdBy = null
+}) => {
+  const delivery = await notificationDeliveries.create({
+    event_id: eventId,
+    template,
+    channel,
+    recipient,
+    recipient_name: recipientName,
+    family_id: familyId,
+    family_invitation_id: familyInvitationId,
+    guest_id: guestId,
+    variables,
+    status: DELIVERY_STATUSES.QUEUED,
+    created_by: createdBy
+  });
+
+  const jobId = await addNotificationJob({ deliveryId: delivery.id });
+  await notificationDeliveries.update(delivery.id, { job_id: jobId });
+
+  return { ...delivery, job_id: jobId };
+};
+
+/**
+ * Queue a template for families of an event
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {string} params.template - One of TEMPLATE_KEYS
+ * @param {string} params.channel - 'email' | 'sms'
+ * @param {Array<string>|null} params.familyInvitationIds - null = every family invitation of the event
+ * @param {Object} params.extraVariables - Organizer-provided variables
+ * @param {string} params.createdBy - Organizer ID
+ * @returns {Promise<{ queued: Array, skipped: Array }>}
+ */
+const sendToFamilies = async ({ event, template, channel, familyInvitationIds = null, extraVariables = {}, createdBy = null }) => {
+  const settings = await getSettings(event.id);
+  assertChannelEnabled(settings, channel);
+
+  const invitations = (await familyInvitations.findByEvent(event.id))
+    .filter(invitation => !familyInvitationIds || familyInvitationIds.includes(invitation.id));
+
+  const queued = [];
+  const skipped = [];
+
+  for (const invitation of invitations) {
+    const family = invitation.families;
+    const recipient = getRecipientAddress(family, channel);
+
+    if (!invitation.is_valid) {
+      skipped.push({ family_invitation_id: invitation.id, family_name: family?.name || null, reason: 'invitation_invalidated' });
+      continue;
+    }
+
+    if (!recipient) {
+      skipped.push({ family_invitation_id: invitation.id, family_name: family?.name || null, reason: `no_${channel === CHANNELS.EMAIL ? 'email' : 'phone'}` });
+      continue;
+    }
+
+    const delivery = await queueNotification({
+      eventId: event.id,
+      template,
+      channel,
+      recipient,
+      recipientName: family?.name || null,
+      familyId: invitation.family_id,
+      familyInvitationId: invitation.id,
+      variables: buildVariables({ event, settings, invitation, family, extra: extraVariables }),
+      createdBy
+    });
+
+    queued.push({
+      delivery_id: delivery.id,
+      family_invitation_id: invitation.id,
+      family_name: family?.name || null,
+      recipient
+    });
+  }
+
+  return { queued, skipped };
+};
+
+/**
+ * Render a template without sending it (organizer preview)
+ */
+const previewNotification = async ({ event, template, channel, invitation = null, extraVariables = {} }) => {
+  const settings = await getSettings(event.id);
+  const variables = buildVariables({ event, settings, invitation, family: invitation?.families, extra: extraVariables });
+
+  return notificationTemplates.render(template, channel, variables, {
+    locale: settings.locale,
+    overrides: settings.template_overrides,
+    signature: settings.signature
+  });
+};
+
+/**
+ * Send a logged delivery (called by the queue worker)
+ * Throws on transport errors so Bull retries; the delivery log keeps the last error
+ * @param {string} deliveryId - notification_deliveries.id
+ * @param {Object} options
+ * @param {boolean} options.isFinalAttempt - Mark the delivery failed instead of retrying
+ */
+const deliverNotification = async (deliveryId, { isFinalAttempt = true } = {}) => {
+  const delivery = await notificationDeliveries.findById(deliveryId);
+  if (!delivery) {
+    logger.warn('Notification delivery not found', { deliveryId });
+    return { status: 'missing' };
+  }
+
+  // A retried job must never send twice
+  if (delivery.status === DELIVERY_STATUSES.SENT || delivery.status === DELIVERY_STATUSES.CANCELLED) {
+    return { status: delivery.status };
+  }
+
+  const settings = await getSettings(delivery.event_id);
+  const transport = notificationTransports.getTransport(delivery.channel);
+
+  await notificationDeliveries.update(delivery.id, {
+    status: DELIVERY_STATUSES.SENDING,
+    attempts: delivery.attempts + 1,
+    transport: transport.name
+  });
+
+  try {
+    const rendered = notificationTemplates.render(delivery.template, delivery.channel, delivery.variables, {
+      locale: settings.locale,
+      overrides: settings.template_overrides,
+      signature: settings.signature
+    });
+
+    const { providerMessageId } = await transport.send({
+      to: delivery.recipient,
+      toName: delivery.recipient_name,
+      from: delivery.channel === CHANNELS.SMS ? settings.sms_sender_id : notificationConfig.fromEmail,
+      fromName: delivery.variables.sender_name || notificationConfig.fromName,
+      replyTo: settings.reply_to_email,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      reference: delivery.id
+    });
+
+    await notificationDeliveries.update(delivery.id, {
+      status: DELIVERY_STATUSES.SENT,
+      provider_message_id: providerMessageId,
+      subject: rendered.subject,
+      sent_at: new Date().toISOString(),
+      error: null
+    });
+
+    return { status: DELIVERY_STATUSES.SENT, providerMessageId };
+  } catch (error) {
+    await notificationDeliveries.update(delivery.id, {
+      status: isFinalAttempt ? DELIVERY_STATUSES.FAILED : DELIVERY_STATUSES.RETRYING,
+      error: error.message.substring(0, 1000),
+      failed_at: isFinalAttempt ? new Date().toISOString() : null
+    });
+
+    logger.error('Notification delivery failed', {
+      deliveryId: delivery.id,
+      channel: delivery.channel,
+      transport: transport.name,
+      isFinalAttempt,
+      error: error.message
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Queue again a delivery that failed
+ */
+const retryDelivery = async (delivery) => {
+  await notificationDeliveries.update(delivery.id, {
+    status: DELIVERY_STATUSES.QUEUED,
+    error: null,
+    failed_at: null
+  });
+
+  const jobId = await addNotificationJob({ deliveryId: delivery.id });
+  return notificationDeliveries.update(delivery.id, { job_id: jobId });
+};
+
+/**
+ * Confirmation email after a public RSVP (only when the organizer enabled it)
+ * Never throws: the RSVP is already saved
+ */
+const sendRsvpConfirmation = async ({ invitation, attendingCount }) => {
+  try {
+    const settings = await getSettings(invitation.event_id);
+    if (!settings.auto_rsvp_confirmation || !settings.email_enabled) {
+      return null;
+    }
+
+    const recipient = getRecipientAddress(invitation.families, CHANNELS.EMAIL);
+    if (!recipient) {
+      return null;
+    }
+
+    const event = await events.findById(invitation.event_id);
+    if (!event) {
+      return null;
+    }
+
+    return await queueNotification({
+      eventId: event.id,
+      template: notificationTemplates.TEMPLATE_KEYS.RSVP_CONFIRMATION,
+      channel: CHANNELS.EMAIL,
+      recipient,
+      recipientName: invitation.families?.name || null,
+      familyId: invitation.family_id,
+      familyInvitationId: invitation.id,
+      variables: buildVariables({
+        event,
+        settings,
+        invitation,
+        family: invitation.families,
+        extra: { attending_count: attendingCount }
+      })
+    });
+  } catch (error) {
+    logger.error('Error queuing RSVP confirmation:', { error: error.message, invitationId: invitation.id });
+    return null;
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  DELIVERY_STATUSES,
+  getSettings,
+  getRecipientAddress,
+  isChannelEnabled,
+  formatDate,
+  getEventLocation,
+  getInvitationUrl,
+  buildVariables,
+  queueNotification,
+  sendToFamilies,
+  previewNotification,
+  deliverNotification,
+  retryDelivery,
+  sendRsvpConfirmation
+};
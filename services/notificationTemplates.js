@@ -0,0 +1,205 @@
+/**
+ * Notification templates (email + SMS, fr / en)
+ *
+ * Placeholders: {{variable}}
+ * Optional sections: {{#variable}}...{{/variable}} (kept only when the variable is set)
+ * Organizers can override subject / text / sms per event (event_notification_settings.template_overrides)
+ */
+
+const TEMPLATE_KEYS = {
+  INVITATION_SENT: 'invitation_sent',
+  RSVP_REMINDER: 'rsvp_reminder',
+  RSVP_CONFIRMATION: 'rsvp_confirmation',
+  DAY_BEFORE_LOGISTICS: 'day_before_logistics',
+  THANK_YOU: 'thank_you'
+};
+
+const DEFAULT_LOCALE = 'fr';
+
+const TEMPLATES = {
+  fr: {
+    [TEMPLATE_KEYS.INVITATION_SENT]: {
+      subject: 'Vous êtes invités : {{event_title}}',
+      text: 'Bonjour {{recipient_name}},\n\n' +
+        '{{sender_name}} ont le plaisir de vous inviter à {{event_title}} le {{event_date}}' +
+        '{{#event_location}} ({{event_location}}){{/event_location}}.\n\n' +
+        'Découvrez votre invitation et répondez ici : {{invitation_url}}\n' +
+        '{{#rsvp_deadline}}\nMerci de nous répondre avant le {{rsvp_deadline}}.\n{{/rsvp_deadline}}' +
+        '{{#custom_message}}\n{{custom_message}}\n{{/custom_message}}',
+      sms: '{{sender_name}} vous invitent à {{event_title}} le {{event_date}}. Votre invitation : {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.RSVP_REMINDER]: {
+      subject: 'Rappel : votre réponse pour {{event_title}}',
+      text: 'Bonjour {{recipient_name}},\n\n' +
+        'Nous n\'avons pas encore reçu votre réponse pour {{event_title}} le {{event_date}}.\n' +
+        '{{#rsvp_deadline}}Merci de nous répondre avant le {{rsvp_deadline}}.\n{{/rsvp_deadline}}\n' +
+        'Répondre en un clic : {{invitation_url}}\n' +
+        '{{#custom_message}}\n{{custom_message}}\n{{/custom_message}}',
+      sms: 'Rappel {{event_title}} : merci de répondre{{#rsvp_deadline}} avant le {{rsvp_deadline}}{{/rsvp_deadline}} sur {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.RSVP_CONFIRMATION]: {
+      subject: 'Votre réponse pour {{event_title}} est enregistrée',
+      text: 'Bonjour {{recipient_name}},\n\n' +
+        'Merci pour votre réponse ! Nous avons bien noté {{attending_count}} personne(s) présente(s) pour {{event_title}} le {{event_date}}.\n\n' +
+        'Vous pouvez modifier votre réponse ici : {{invitation_url}}' +
+        '{{#rsvp_deadline}} (jusqu\'au {{rsvp_deadline}}){{/rsvp_deadline}}\n',
+      sms: 'Merci ! Réponse enregistrée pour {{event_title}} : {{attending_count}} personne(s). Modifier : {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.DAY_BEFORE_LOGISTICS]: {
+      subject: 'C\'est demain : {{event_title}}',
+      text: 'Bonjour {{recipient_name}},\n\n' +
+        'Nous avons hâte de vous retrouver demain pour {{event_title}}' +
+        '{{#event_time}} à {{event_time}}{{/event_time}}' +
+        '{{#event_location}}, {{event_location}}{{/event_location}}.\n' +
+        '{{#logistics}}\n{{logistics}}\n{{/logistics}}\n' +
+        'Pensez à présenter votre QR code à l\'entrée : {{invitation_url}}\n',
+      sms: 'C\'est demain ! {{event_title}}{{#event_time}} à {{event_time}}{{/event_time}}{{#event_location}}, {{event_location}}{{/event_location}}. Votre QR code : {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.THANK_YOU]: {
+      subject: 'Merci d\'avoir partagé {{event_title}} avec nous',
+      text: 'Bonjour {{recipient_name}},\n\n' +
+        'Merci du fond du cœur d\'avoir été à nos côtés pour {{event_title}}.\n' +
+        '{{#gallery_url}}\nRetrouvez les photos de la journée ici : {{gallery_url}}\n{{/gallery_url}}' +
+        '{{#custom_message}}\n{{custom_message}}\n{{/custom_message}}',
+      sms: 'Merci d\'avoir partagé {{event_title}} avec nous !{{#gallery_url}} Les photos : {{gallery_url}}{{/gallery_url}}'
+    }
+  },
+
+  en: {
+    [TEMPLATE_KEYS.INVITATION_SENT]: {
+      subject: 'You are invited: {{event_title}}',
+      text: 'Hello {{recipient_name}},\n\n' +
+        '{{sender_name}} are delighted to invite you to {{event_title}} on {{event_date}}' +
+        '{{#event_location}} ({{event_location}}){{/event_location}}.\n\n' +
+        'See your invitation and reply here: {{invitation_url}}\n' +
+        '{{#rsvp_deadline}}\nPlease reply before {{rsvp_deadline}}.\n{{/rsvp_deadline}}' +
+        '{{#custom_message}}\n{{custom_message}}\n{{/custom_message}}',
+      sms: '{{sender_name}} invite you to {{event_title}} on {{event_date}}. Your invitation: {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.RSVP_REMINDER]: {
+      subject: 'Reminder: your reply for {{event_title}}',
+      text: 'Hello {{recipient_name}},\n\n' +
+        'We have not received your reply for {{event_title}} on {{event_date}} yet.\n' +
+        '{{#rsvp_deadline}}Please reply before {{rsvp_deadline}}.\n{{/rsvp_deadline}}\n' +
+        'Reply in one click: {{invitation_url}}\n' +
+        '{{#custom_message}}\n{{custom_message}}\n{{/custom_message}}',
+      sms: 'Reminder {{event_title}}: please reply{{#rsvp_deadline}} before {{rsvp_deadline}}{{/rsvp_deadline}} at {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.RSVP_CONFIRMATION]: {
+      subject: 'Your reply for {{event_title}} is saved',
+      text: 'Hello {{recipient_name}},\n\n' +
+        'Thank you for your reply! We noted {{attending_count}} guest(s) attending {{event_title}} on {{event_date}}.\n\n' +
+        'You can change your reply here: {{invitation_url}}' +
+        '{{#rsvp_deadline}} (until {{rsvp_deadline}}){{/rsvp_deadline}}\n',
+      sms: 'Thank you! Reply saved for {{event_title}}: {{attending_count}} guest(s). Change it: {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.DAY_BEFORE_LOGISTICS]: {
+      subject: 'See you tomorrow: {{event_title}}',
+      text: 'Hello {{recipient_name}},\n\n' +
+        'We look forward to seeing you tomorrow for {{event_title}}' +
+        '{{#event_time}} at {{event_time}}{{/event_time}}' +
+        '{{#event_location}}, {{event_location}}{{/event_location}}.\n' +
+        '{{#logistics}}\n{{logistics}}\n{{/logistics}}\n' +
+        'Please show your QR code at the entrance: {{invitation_url}}\n',
+      sms: 'See you tomorrow! {{event_title}}{{#event_time}} at {{event_time}}{{/event_time}}{{#event_location}}, {{event_location}}{{/event_location}}. Your QR code: {{invitation_url}}'
+    },
+    [TEMPLATE_KEYS.THANK_YOU]: {
+      subject: 'Thank you for sharing {{event_title}} with us',
+      text: 'Hello {{recipient_name}},\n\n' +
+        'Thank you so much for being with us for {{event_title}}.\n' +
+        '{{#gallery_url}}\nFind the photos of the day here: {{gallery_url}}\n{{/gallery_url}}' +
+        '{{#custom_message}}\n{{custom_message}}\n{{/custom_message}}',
+      sms: 'Thank you for sharing {{event_title}} with us!{{#gallery_url}} The photos: {{gallery_url}}{{/gallery_url}}'
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Interpolate a template string
+ */
+const interpolate = (template, variables = {}) => {
+  if (!template) return '';
+
+  return template
+    .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, name, content) => (isSet(variables[name]) ? content : ''))
+    .replace(/{{(\w+)}}/g, (match, name) => (isSet(variables[name]) ? String(variables[name]) : ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Plain text to a minimal HTML email body (links made clickable)
+ */
+const textToHtml = (text) => {
+  const paragraphs = escapeHtml(text)
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph
+      .replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>')
+      .replace(/\n/g, '<br>'))
+    .map(paragraph => `<p style="margin:0 0 16px">${paragraph}</p>`)
+    .join('\n');
+
+  return '<!DOCTYPE html><html><body style="font-family:Georgia,serif;font-size:16px;line-height:1.5;color:#333">' +
+    `\n${paragraphs}\n</body></html>`;
+};
+
+/**
+ * Get the raw template (event overrides applied)
+ * @param {string} key - One of TEMPLATE_KEYS
+ * @param {string} locale - 'fr' | 'en'
+ * @param {Object} overrides - event_notification_settings.template_overrides
+ */
+const getTemplate = (key, locale = DEFAULT_LOCALE, overrides = {}) => {
+  const base = (TEMPLATES[locale] || TEMPLATES[DEFAULT_LOCALE])[key];
+  if (!base) return null;
+
+  return { ...base, ...(overrides?.[key] || {}) };
+};
+
+/**
+ * Render a template for a channel
+ * @returns {{ subject: string|null, text: string, html: string|null }}
+ */
+const render = (key, channel, variables, { locale = DEFAULT_LOCALE, overrides = {}, signature = null } = {}) => {
+  const template = getTemplate(key, locale, overrides);
+  if (!template) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  if (channel === 'sms') {
+    return { subject: null, text: interpolate(template.sms, variables), html: null };
+  }
+
+  const closing = signature || variables.sender_name;
+  const text = interpolate(template.text, variables) + (closing ? `\n\n${closing}` : '');
+
+  return {
+    subject: interpolate(template.subject, variables),
+    text,
+    html: textToHtml(text)
+  };
+};
+
+/**
+ * Template catalog for the organizer UI
+ */
+const listTemplates = (locale = DEFAULT_LOCALE) =>
+  Object.values(TEMPLATE_KEYS).map(key => ({ key, ...getTemplate(key, locale) }));
+
+module.exports = {
+  TEMPLATE_KEYS,
+  DEFAULT_LOCALE,
+  render,
+  interpolate,
+  getTemplate,
+  listTemplates
+};
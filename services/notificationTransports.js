@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const notificationConfig = require('../config/notifications');
+const logger = require('../utils/logger');
+
+/**
+ * Notification transports
+ *
+ * Every transport exposes send(message) and resolves with { providerMessageId }.
+ * message: { to, toName, from, fromName, replyTo, subject, text, html, reference }
+ *
+ * - smtp:        email through nodemailer (SMTP_* variables)
+ * - webhook_sms: SMS through a generic HTTP provider (SMS_WEBHOOK_URL)
+ * - file:        writes messages to logs/notifications and the console (local development)
+ */
+
+const TRANSPORT_NAMES = {
+  SMTP: 'smtp',
+  WEBHOOK_SMS: 'webhook_sms',
+  FILE: 'file'
+};
+
+let smtpTransporter = null;
+
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const { host, port, secure, user, password } = notificationConfig.smtp;
+    if (!host) {
+      throw new Error('SMTP transport selected but SMTP_HOST is not configured');
+    }
+
+    smtpTransporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+  return smtpTransporter;
+};
+
+const smtpTransport = {
+  name: TRANSPORT_NAMES.SMTP,
+  send: async ({ to, toName, from, fromName, replyTo, subject, text, html, reference }) => {
+    const info = await getSmtpTransporter().sendMail({
+      from: { name: fromName, address: from },
+      to: toName ? { name: toName, address: to } : to,
+      replyTo: replyTo || undefined,
+      subject,
+      text,
+      html,
+      headers: reference ? { 'X-Qrevent-Reference': reference } : undefined
+    });
+
+    return { providerMessageId: info.messageId || null };
+  }
+};
+
+const webhookSmsTransport = {
+  name: TRANSPORT_NAMES.WEBHOOK_SMS,
+  send: async ({ to, from, text, reference }) => {
+    const { url, token, timeoutMs } = notificationConfig.smsWebhook;
+    if (!url) {
+      throw new Error('Webhook SMS transport selected but SMS_WEBHOOK_URL is not configured');
+    }
+
+    const response = await axios.post(url, {
+      to,
+      from: from || undefined,
+      message: text,
+      reference
+    }, {
+      timeout: timeoutMs,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+
+    const body = response.data || {};
+    return { providerMessageId: body.id || body.message_id || body.messageId || null };
+  }
+};
+
+const fileTransport = {
+  name: TRANSPORT_NAMES.FILE,
+  send: async (message) => {
+    const directory = path.resolve(notificationConfig.fileDirectory);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const providerMessageId = `file-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const entry = {
+      id: providerMessageId,
+      written_at: new Date().toISOString(),
+      to: message.to,
+      subject: message.subject || null,
+      text: message.text,
+      reference: message.reference
+    };
+
+    await fs.promises.appendFile(path.join(directory, 'outbox.log'), `${JSON.stringify(entry)}\n`);
+
+    logger.info('Notification written to file transport', {
+      to: message.to,
+      subject: message.subject || null,
+      reference: message.reference
+    });
+
+    return { providerMessageId };
+  }
+};
+
+/**
+ * Transport configured for a channel (the file transport only when explicitly selected)
+ * @param {string} channel - 'email' | 'sms'
+ */
+const getTransport = (channel) => {
+  if (channel === 'email') {
+    return notificationConfig.emailTransport === TRANSPORT_NAMES.FILE ? fileTransport : smtpTransport;
+  }
+  if (channel === 'sms') {
+    return notificationConfig.smsTransport === TRANSPORT_NAMES.FILE ? fileTransport : webhookSmsTransport;
+  }
+  throw new Error(`Unknown notification channel: ${channel}`);
+};
+
+module.exports = {
+  TRANSPORT_NAMES,
+  getTransport
+};
@@ -76,6 +76,11 @@ class PathBuilderService {
         return this.buildPath(userId, eventId, 'menus', menuCategory);
     }
 
+    // Programme détaillé (fichier PDF ou image)
+    buildProgrammePath(userId, eventId) {
+        return this.buildPath(userId, eventId, 'programmes');
+    }
+
     // Galerie d'événement
     buildGalleryPath(userId, eventId) {
         return this.buildPath(userId, eventId, 'gallery');
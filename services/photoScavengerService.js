@@ -0,0 +1,190 @@
+/**
+ * Service de la chasse aux photos
+ * - Chaque question photo du jeu est une consigne de la liste
+ * - Un invité complète une consigne en envoyant une photo, ajoutée à la galerie de l'événement
+ * - Validation automatique, ou par l'organisateur si le jeu l'exige (settings.require_review)
+ * - Classement : consignes validées, puis points, puis le plus rapide
+ */
+
+const { games } = require('../utils/database');
+const { REVIEW_STATUSES } = require('./gameScoringService');
+const gameParticipationService = require('./gameParticipationService');
+const gameReviewService = require('./gameReviewService');
+const galleryService = require('./galleryService');
+const logger = require('../utils/logger');
+
+const PHOTO_SCAVENGER_TYPE = 'photo_scavenger';
+
+const PHOTO_SCAVENGER_ERRORS = {
+  PROMPT_NOT_FOUND: 'Prompt not found',
+  PROMPT_ALREADY_COMPLETED: 'This prompt is already completed',
+  IMAGE_REQUIRED: 'Only images can complete a prompt'
+};
+
+const scavengerError = (code) => Object.assign(new Error(PHOTO_SCAVENGER_ERRORS[code]), { code });
+
+const isPhotoScavenger = (game) => game.type === PHOTO_SCAVENGER_TYPE;
+
+const requiresReview = (game) => game.settings?.require_review === true;
+
+const getPrompts = async (game) => {
+  const questions = await games.findQuestionsByGame(game.id);
+  return questions.filter(question => question.question_type === 'photo');
+};
+
+/**
+ * Checklist of a guest: every prompt with the photo sent and its status
+ * @param {Object} game - games row
+ * @param {Object} guest - req.guest (authenticateGuest)
+ * @param {string} accessToken - Access token of the guest
+ */
+const getChecklist = async (game, guest, accessToken) => {
+  const prompts = await getPrompts(game);
+  const participation = await gameParticipationService.findParticipation(game, guest, accessToken);
+  const answers = participation ? await games.findAnswersByParticipation(participation.id) : [];
+  const answersByQuestion = new Map(answers.map(answer => [answer.question_id, answer]));
+
+  const items = prompts.map(prompt => {
+    const answer = answersByQuestion.get(prompt.id);
+
+    return {
+      question_id: prompt.id,
+      prompt: prompt.question,
+      points: prompt.points,
+      photo_url: answer?.answer || null,
+      status: answer ? answer.review_status : 'todo',
+      points_earned: answer?.points_earned || 0,
+      completed_at: answer?.answered_at || null
+    };
+  });
+
+  return {
+    game_id: game.id,
+    requires_review: requiresReview(game),
+    total_prompts: prompts.length,
+    prompts_completed: items.filter(item => item.status === REVIEW_STATUSES.APPROVED).length,
+    score: items.reduce((sum, item) => sum + item.points_earned, 0),
+    prompts: items
+  };
+};
+
+/**
+ * Complete a prompt with a photo; a pending or rejected photo can be replaced
+ * @param {Object} game - games row
+ * @param {Object} guest - req.guest (authenticateGuest)
+ * @param {string} questionId - Prompt (photo question of the game)
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} options
+ * @param {string} options.playerName - Display name on the leaderboard
+ * @param {string} options.accessToken - Access token of the guest
+ * @param {string} options.userAgent - Device of the guest
+ * @returns {Promise<Object>} - Checklist item of the prompt
+ */
+const submitPhoto = async (game, guest, questionId, file, { playerName, accessToken, userAgent }) => {
+  const prompt = (await getPrompts(game)).find(question => question.id === questionId);
+  if (!prompt) {
+    throw scavengerError('PROMPT_NOT_FOUND');
+  }
+
+  if (!file.mimetype.startsWith('image/')) {
+    throw scavengerError('IMAGE_REQUIRED');
+  }
+
+  const participation = await gameParticipationService.findOrCreateParticipation(game, guest, { playerName, accessToken });
+  const existing = await games.findAnswer(participation.id, prompt.id);
+  if (existing?.review_status === REVIEW_STATUSES.APPROVED) {
+    throw scavengerError('PROMPT_ALREADY_COMPLETED');
+  }
+
+  // Photos awaiting review stay out of the gallery until the organizer approves them
+  const approved = !requiresReview(game);
+  const galleryItem = await galleryService.storeGalleryUpload(file, {
+    eventId: game.event_id,
+    familyId: participation.family_id,
+    guestId: participation.guest_id,
+    caption: prompt.question,
+    userAgent,
+    metadata: { game_id: game.id, question_id: prompt.id },
+    isApproved: approved
+  });
+
+  const answerData = {
+    answer: galleryItem.r2_url,
+    gallery_id: galleryItem.id,
+    is_correct: approved,
+    points_earned: approved ? prompt.points : 0,
+    review_status: approved ? REVIEW_STATUSES.APPROVED : REVIEW_STATUSES.PENDING,
+    reviewed_at: null,
+    reviewed_by: null,
+    answered_at: new Date().toISOString()
+  };
+
+  const answer = existing
+    ? await games.updateAnswer(existing.id, answerData)
+    : await games.saveAnswer({ participation_id: participation.id, question_id: prompt.id, ...answerData });
+
+  await gameReviewService.recomputeParticipation(participation.id);
+
+  logger.info('Photo scavenger prompt submitted', {
+    gameId: game.id,
+    questionId: prompt.id,
+    participationId: participation.id,
+    galleryId: galleryItem.id,
+    reviewStatus: answer.review_status
+  });
+
+  return {
+    question_id: prompt.id,
+    prompt: prompt.question,
+    points: prompt.points,
+    photo_url: answer.answer,
+    status: answer.review_status,
+    points_earned: answer.points_earned,
+    completed_at: answer.answered_at
+  };
+};
+
+/**
+ * Leaderboard of a photo scavenger game (players without any photo are left out)
+ * @param {Object} game - games row
+ * @returns {Promise<{ total_prompts: number, leaderboard: Object[] }>}
+ */
+const getResults = async (game) => {
+  const prompts = await getPrompts(game);
+  const progress = await games.getPhotoScavengerProgress(game.id);
+
+  const leaderboard = progress
+    .map(row => ({
+      participation_id: row.participation_id,
+      player_name: row.player_name || (row.player_type === 'family' ? 'Famille' : 'Invité'),
+      player_type: row.player_type,
+      prompts_completed: Number(row.prompts_completed),
+      score: Number(row.score),
+      last_completed_at: row.last_completed_at
+    }))
+    .filter(entry => entry.prompts_completed > 0)
+    .sort((a, b) =>
+      b.prompts_completed - a.prompts_completed ||
+      b.score - a.score ||
+      new Date(a.last_completed_at) - new Date(b.last_completed_at))
+    .map((entry, index) => ({
+      rank: index + 1,
+      ...entry,
+      total_prompts: prompts.length,
+      completed: prompts.length > 0 && entry.prompts_completed >= prompts.length
+    }));
+
+  return {
+    total_prompts: prompts.length,
+    leaderboard
+  };
+};
+
+module.exports = {
+  PHOTO_SCAVENGER_TYPE,
+  PHOTO_SCAVENGER_ERRORS,
+  isPhotoScavenger,
+  getChecklist,
+  submitPhoto,
+  getResults
+};
@@ -0,0 +1,512 @@
+/**
+ * Service d'impression des invitations (PDF prêts pour l'imprimeur)
+ * - Une carte par famille, construite à partir du design assigné (template + custom_data)
+ * - Planches de QR codes étiquetés (nom de famille, nombre d'invités) à découper
+ * - Formats papier, fond perdu (bleed) et traits de coupe configurables
+ * Tout est rendu localement : QR vectoriel via qr-image, image de couverture via sharp
+ */
+
+const PDFDocument = require('pdfkit');
+const qr = require('qr-image');
+const sharp = require('sharp');
+const { familyInvitations, qrCodes, invitationDesigns } = require('../utils/database');
+const storageService = require('./storageService');
+const { formatDate, getEventLocation, getInvitationUrl } = require('./notificationService');
+const logger = require('../utils/logger');
+
+const PRINT_TYPES = {
+  CARDS: 'invitation_cards',
+  QR_SHEET: 'qr_sheet'
+};
+
+// Trim sizes in millimetres (portrait)
+const PAPER_SIZES = {
+  A4: [210, 297],
+  A5: [148, 210],
+  A6: [105, 148],
+  LETTER: [215.9, 279.4],
+  SQUARE: [148, 148]
+};
+
+const MAX_BLEED_MM = 5;
+const CROP_MARK_LENGTH_MM = 5;
+const CROP_MARK_OFFSET_MM = 2; // Gap between the bleed edge and the marks
+const SAFE_MARGIN_MM = 8;
+const COVER_IMAGE_DPI = 300;
+const MAX_FAMILIES = 500;
+
+// Built-in template styles, overridden by the design's custom_data
+const TEMPLATE_STYLES = {
+  default: { font: 'serif', primary: '#8B6F47', background: '#FFFDF8', text: '#333333' },
+  classic: { font: 'serif', primary: '#1F2A44', background: '#FFFFFF', text: '#222222' },
+  elegant: { font: 'serif', primary: '#B08D57', background: '#FBF8F2', text: '#2B2B2B' },
+  floral: { font: 'serif', primary: '#A85C73', background: '#FFF9FA', text: '#3A2E32' },
+  modern: { font: 'sans', primary: '#111111', background: '#FFFFFF', text: '#111111' },
+  minimal: { font: 'sans', primary: '#555555', background: '#FFFFFF', text: '#333333' }
+};
+
+const FONTS = {
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+  sans: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' }
+};
+
+const LABELS = {
+  fr: {
+    invitedFor: 'Invitation pour',
+    people: (count) => `${count} personne${count > 1 ? 's' : ''}`,
+    rsvpBy: 'Merci de répondre avant le',
+    scan: 'Scannez pour répondre'
+  },
+  en: {
+    invitedFor: 'Invitation for',
+    people: (count) => `${count} guest${count > 1 ? 's' : ''}`,
+    rsvpBy: 'Please reply by',
+    scan: 'Scan to reply'
+  }
+};
+
+const mmToPt = (mm) => (mm * 72) / 25.4;
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}){1,2}$/i;
+
+const pickColor = (...candidates) => candidates.find(value => typeof value === 'string' && HEX_COLOR_PATTERN.test(value));
+
+/**
+ * Resolve the page geometry of a print job
+ * @param {Object} options
+ * @param {string} options.paperSize - Key of PAPER_SIZES
+ * @param {string} options.orientation - portrait | landscape
+ * @param {number} options.bleedMm - Bleed around the trim box (cards only)
+ * @param {boolean} options.cropMarks - Draw crop marks outside the bleed
+ */
+const getPageLayout = ({ paperSize = 'A4', orientation = 'portrait', bleedMm = 0, cropMarks = false }) => {
+  const [widthMm, heightMm] = PAPER_SIZES[paperSize] || PAPER_SIZES.A4;
+  const landscape = orientation === 'landscape';
+  const trimWidth = mmToPt(landscape ? heightMm : widthMm);
+  const trimHeight = mmToPt(landscape ? widthMm : heightMm);
+  const bleed = mmToPt(Math.min(Math.max(Number(bleedMm) || 0, 0), MAX_BLEED_MM));
+  // Room for the crop marks outside the bleed
+  const slug = cropMarks ? mmToPt(CROP_MARK_OFFSET_MM + CROP_MARK_LENGTH_MM + 1) : 0;
+  const offset = bleed + slug;
+
+  return {
+    pageWidth: trimWidth + offset * 2,
+    pageHeight: trimHeight + offset * 2,
+    trim: { x: offset, y: offset, width: trimWidth, height: trimHeight },
+    bleed,
+    cropMarks
+  };
+};
+
+/**
+ * Draw crop marks at the four corners of a box, outside its bleed
+ */
+const drawCropMarks = (doc, box, bleed = 0) => {
+  const gap = bleed + mmToPt(CROP_MARK_OFFSET_MM);
+  const length = mmToPt(CROP_MARK_LENGTH_MM);
+  const left = box.x;
+  const right = box.x + box.width;
+  const top = box.y;
+  const bottom = box.y + box.height;
+
+  doc.save().lineWidth(0.25).strokeColor('#000000');
+  [[left, -1], [right, 1]].forEach(([x, dirX]) => {
+    [[top, -1], [bottom, 1]].forEach(([y, dirY]) => {
+      doc.moveTo(x + dirX * gap, y).lineTo(x + dirX * (gap + length), y).stroke();
+      doc.moveTo(x, y + dirY * gap).lineTo(x, y + dirY * (gap + length)).stroke();
+    });
+  });
+  doc.restore();
+};
+
+/**
+ * Draw short cut guides at the corners of a label, without overprinting its content
+ */
+const drawCutGuides = (doc, x, y, width, height) => {
+  doc.save().lineWidth(0.25).strokeColor('#999999');
+  [[x, y], [x + width, y], [x, y + height], [x + width, y + height]].forEach(([cx, cy]) => {
+    doc.moveTo(cx - 4, cy).lineTo(cx + 4, cy).stroke();
+    doc.moveTo(cx, cy - 4).lineTo(cx, cy + 4).stroke();
+  });
+  doc.restore();
+};
+
+/**
+ * Draw a vector QR code (stays sharp at any print resolution)
+ */
+const drawQRCode = (doc, text, x, y, size, color = '#000000') => {
+  const { size: modules, path } = qr.svgObject(text, { ec_level: 'M', margin: 0 });
+
+  doc.save()
+    .translate(x, y)
+    .scale(size / modules)
+    .path(path)
+    .fill(color)
+    .restore();
+};
+
+/**
+ * Printable invitations of an event: one per family, with its code and invited count
+ * family_invitations come first, legacy family qr_codes fill the gaps
+ * @param {string} eventId
+ * @param {Array<string>|null} familyIds - Restrict to these families
+ */
+const getPrintableInvitations = async (eventId, familyIds = null) => {
+  const [invitations, legacyCodes] = await Promise.all([
+    familyInvitations.findByEvent(eventId),
+    qrCodes.findFamilyCodesByEvent(eventId)
+  ]);
+
+  const byFamily = new Map();
+
+  (invitations || [])
+    .filter(invitation => invitation.is_valid !== false && invitation.family_id)
+    .forEach(invitation => {
+      byFamily.set(invitation.family_id, {
+        family_id: invitation.family_id,
+        family_name: invitation.families?.name || '',
+        invited_count: invitation.invited_count || 1,
+        qr_code: invitation.qr_code
+      });
+    });
+
+  legacyCodes.forEach(code => {
+    if (byFamily.has(code.family_id)) return;
+    byFamily.set(code.family_id, {
+      family_id: code.family_id,
+      family_name: code.families?.name || '',
+      invited_count: code.invited_count || 1,
+      qr_code: code.code
+    });
+  });
+
+  const wanted = familyIds ? new Set(familyIds) : null;
+
+  return [...byFamily.values()]
+    .filter(invitation => !wanted || wanted.has(invitation.family_id))
+    .sort((a, b) => a.family_name.localeCompare(b.family_name, 'fr', { sensitivity: 'base' }));
+};
+
+/**
+ * Resolve the visual style of a design: template preset + custom_data overrides
+ * custom_data is free-form (set by the editor), both flat and nested keys are accepted
+ */
+const resolveDesignStyle = (design) => {
+  const customData = design?.custom_data || {};
+  const colors = customData.colors || {};
+  const preset = TEMPLATE_STYLES[design?.template] || TEMPLATE_STYLES.default;
+  const fontName = String(customData.fonts?.heading || customData.font || customData.fontFamily || '').toLowerCase();
+  const font = fontName
+    ? (/sans|helvetica|arial|montserrat|inter|lato|roboto|poppins/.test(fontName) ? 'sans' : 'serif')
+    : preset.font;
+
+  return {
+    fonts: FONTS[font],
+    primary: pickColor(colors.primary, customData.primaryColor, customData.primary_color) || preset.primary,
+    background: pickColor(colors.background, customData.backgroundColor, customData.background_color) || preset.background,
+    text: pickColor(colors.text, customData.textColor, customData.text_color) || preset.text,
+    title: customData.title || customData.heading || null,
+    message: customData.message || customData.text || customData.body || null
+  };
+};
+
+/**
+ * Fetch a design cover from our storage and fit it to the cover area at print resolution
+ * Returns null (card printed without image) if the image cannot be used
+ */
+const loadCoverImage = async (coverUrl, widthPt, heightPt) => {
+  if (!coverUrl) return null;
+
+  try {
+    const buffer = await storageService.getFile(coverUrl);
+    if (!buffer) return null;
+
+    return await sharp(buffer)
+      .rotate()
+      .resize(Math.round((widthPt / 72) * COVER_IMAGE_DPI), Math.round((heightPt / 72) * COVER_IMAGE_DPI), { fit: 'cover' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 90 })
+      .toBuffer();
+  } catch (error) {
+    logger.warn('Invitation cover image skipped:', { coverUrl, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Draw one invitation card inside the trim box of the current page
+ */
+const drawInvitationCard = (doc, { layout, event, invitation, style, coverImage, labels, locale }) => {
+  const { trim, bleed } = layout;
+  const margin = mmToPt(SAFE_MARGIN_MM);
+  const contentX = trim.x + margin;
+  const contentWidth = trim.width - margin * 2;
+  const scale = trim.width / mmToPt(148); // Typography is designed for an A5 card
+
+  // Background extends into the bleed
+  doc.rect(trim.x - bleed, trim.y - bleed, trim.width + bleed * 2, trim.height + bleed * 2).fill(style.background);
+
+  let y = trim.y + margin;
+  if (coverImage) {
+    const coverHeight = trim.height * 0.32;
+    doc.image(coverImage, trim.x - bleed, trim.y - bleed, { width: trim.width + bleed * 2, height: coverHeight + bleed });
+    y = trim.y + coverHeight + margin / 2;
+  }
+
+  const coupleNames = [event.partner1_name, event.partner2_name].filter(Boolean).join(' & ');
+  const qrSize = Math.min(contentWidth * 0.32, trim.height * 0.2);
+  const footerTop = trim.y + trim.height - margin - qrSize - 14 * scale;
+
+  doc.fillColor(style.primary).font(style.fonts.bold).fontSize(20 * scale)
+    .text(style.title || coupleNames || event.title || '', contentX, y, { width: contentWidth, align: 'center' });
+  y = doc.y + 6 * scale;
+
+  const details = [
+    formatDate(event.date, locale),
+    event.ceremony_time ? String(event.ceremony_time).substring(0, 5) : null,
+    getEventLocation(event)
+  ].filter(Boolean);
+
+  doc.fillColor(style.text).font(style.fonts.regular).fontSize(10 * scale);
+  details.forEach(line => {
+    doc.text(line, contentX, y, { width: contentWidth, align: 'center' });
+    y = doc.y + 2 * scale;
+  });
+
+  if (style.message) {
+    y += 6 * scale;
+    doc.font(style.fonts.italic).fontSize(9.5 * scale)
+      .text(style.message, contentX, y, { width: contentWidth, align: 'center', height: Math.max(footerTop - y - 40 * scale, 12), ellipsis: true });
+    y = doc.y;
+  }
+
+  // Family block just above the QR code
+  const familyTop = Math.max(y + 8 * scale, footerTop - 36 * scale);
+  doc.fillColor(style.text).font(style.fonts.regular).fontSize(8 * scale)
+    .text(labels.invitedFor, contentX, familyTop, { width: contentWidth, align: 'center' });
+  doc.fillColor(style.primary).font(style.fonts.bold).fontSize(12 * scale)
+    .text(invitation.family_name, contentX, doc.y + 1, { width: contentWidth, align: 'center', lineBreak: false, ellipsis: true });
+  doc.fillColor(style.text).font(style.fonts.regular).fontSize(8 * scale)
+    .text(labels.people(invitation.invited_count), contentX, doc.y + 1, { width: contentWidth, align: 'center' });
+
+  const qrX = trim.x + (trim.width - qrSize) / 2;
+  const qrY = trim.y + trim.height - margin - qrSize - 14 * scale;
+  drawQRCode(doc, getInvitationUrl(invitation), qrX, qrY, qrSize, style.text);
+
+  const caption = [
+    labels.scan,
+    event.rsvp_deadline ? `${labels.rsvpBy} ${formatDate(event.rsvp_deadline, locale)}` : null
+  ].filter(Boolean).join(' · ');
+  doc.font(style.fonts.regular).fontSize(7 * scale).fillColor(style.text)
+    .text(caption, contentX, qrY + qrSize + 4 * scale, { width: contentWidth, align: 'center', lineBreak: false, ellipsis: true });
+
+  if (layout.cropMarks) {
+    drawCropMarks(doc, trim, bleed);
+  }
+};
+
+/**
+ * Collect a PDFKit document into a buffer
+ */
+const renderDocument = (doc, draw) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  Promise.resolve()
+    .then(draw)
+    .then(() => doc.end())
+    .catch(reject);
+});
+
+/**
+ * Render one invitation card per family, using each family's assigned design
+ * Families without assignment use designId, or the event's latest published design
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {Array<string>} params.familyIds - Optional subset of families
+ * @param {string} params.designId - Optional fallback design
+ * @param {Object} params.options - { paperSize, orientation, bleedMm, cropMarks }
+ * @param {string} params.locale - fr | en
+ * @returns {Promise<Object>} { buffer, count, skipped }
+ */
+const renderInvitationCards = async ({ event, familyIds = null, designId = null, options = {}, locale = 'fr' }) => {
+  const [invitations, assignments, designs] = await Promise.all([
+    getPrintableInvitations(event.id, familyIds),
+    invitationDesigns.findAssignmentsByEvent(event.id),
+    invitationDesigns.findByEvent(event.id)
+  ]);
+
+  if (invitations.length > MAX_FAMILIES) {
+    throw Object.assign(new Error(`Too many families to print at once (max ${MAX_FAMILIES})`), { code: 'TOO_MANY_FAMILIES' });
+  }
+
+  const designByFamily = new Map(assignments.map(assignment => [assignment.family_id, assignment.invitation_designs]));
+  const fallbackDesign = (designId && designs.find(design => design.id === designId)) ||
+    designs.find(design => design.status === 'published') ||
+    designs[0] ||
+    { template: 'default', custom_data: {} };
+
+  // Guests get the published version of a design, not the draft being edited
+  // Required lazily: invitationDesignService renders its previews through this module
+  const invitationDesignService = require('./invitationDesignService');
+  const printedContents = new Map();
+  const getPrintedContent = (design) => {
+    if (!design.id) return design;
+    if (!printedContents.has(design.id)) {
+      printedContents.set(design.id, invitationDesignService.getPublicContent(design));
+    }
+    return printedContents.get(design.id);
+  };
+
+  const layout = getPageLayout(options);
+  const labels = LABELS[locale] || LABELS.fr;
+  const coverHeight = layout.trim.height * 0.32 + layout.bleed;
+  const coverWidth = layout.trim.width + layout.bleed * 2;
+  const coverCache = new Map();
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    info: { Title: `${event.title || 'Invitations'} - Invitations` }
+  });
+
+  const buffer = await renderDocument(doc, async () => {
+    for (const invitation of invitations) {
+      const design = await getPrintedContent(designByFamily.get(invitation.family_id) || fallbackDesign);
+
+      if (design.cover_image && !coverCache.has(design.cover_image)) {
+        coverCache.set(design.cover_image, await loadCoverImage(design.cover_image, coverWidth, coverHeight));
+      }
+
+      doc.addPage({ size: [layout.pageWidth, layout.pageHeight], margin: 0 });
+      drawInvitationCard(doc, {
+        layout,
+        event,
+        invitation,
+        style: resolveDesignStyle(design),
+        coverImage: design.cover_image ? coverCache.get(design.cover_image) : null,
+        labels,
+        locale
+      });
+    }
+  });
+
+  return { buffer, count: invitations.length };
+};
+
+/**
+ * Render a single invitation card, for the design preview before publishing
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {Object} params.design - Design content (template, cover_image, custom_data)
+ * @param {Object} params.invitation - { family_name, invited_count, qr_code }
+ * @param {Object} params.options - { paperSize, orientation }
+ * @param {string} params.locale - fr | en
+ * @returns {Promise<Buffer>}
+ */
+const renderInvitationPreview = async ({ event, design, invitation, options = {}, locale = 'fr' }) => {
+  const layout = getPageLayout({ paperSize: options.paperSize || 'A5', orientation: options.orientation });
+  const coverImage = await loadCoverImage(design.cover_image, layout.trim.width, layout.trim.height * 0.32);
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    info: { Title: `${event.title || 'Invitation'} - Preview` }
+  });
+
+  return renderDocument(doc, () => {
+    doc.addPage({ size: [layout.pageWidth, layout.pageHeight], margin: 0 });
+    drawInvitationCard(doc, {
+      layout,
+      event,
+      invitation,
+      style: resolveDesignStyle(design),
+      coverImage,
+      labels: LABELS[locale] || LABELS.fr,
+      locale
+    });
+  });
+};
+
+/**
+ * Render sheets of labelled QR codes (family name, invited count, code) to cut out
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {Array<string>} params.familyIds - Optional subset of families
+ * @param {Object} params.options - { paperSize, orientation, columns, rows, cropMarks }
+ * @param {string} params.locale - fr | en
+ * @returns {Promise<Object>} { buffer, count, pages }
+ */
+const renderQRSheets = async ({ event, familyIds = null, options = {}, locale = 'fr' }) => {
+  const invitations = await getPrintableInvitations(event.id, familyIds);
+
+  if (invitations.length > MAX_FAMILIES) {
+    throw Object.assign(new Error(`Too many families to print at once (max ${MAX_FAMILIES})`), { code: 'TOO_MANY_FAMILIES' });
+  }
+
+  const { columns = 3, rows = 4, cropMarks = false } = options;
+  const layout = getPageLayout({ paperSize: options.paperSize, orientation: options.orientation });
+  const labels = LABELS[locale] || LABELS.fr;
+  const margin = mmToPt(10);
+  const cellWidth = (layout.pageWidth - margin * 2) / columns;
+  const cellHeight = (layout.pageHeight - margin * 2) / rows;
+  const padding = mmToPt(3);
+  const textHeight = 34;
+  const qrSize = Math.max(Math.min(cellWidth - padding * 2, cellHeight - padding * 2 - textHeight), mmToPt(15));
+  const perPage = columns * rows;
+  const pages = Math.ceil(invitations.length / perPage);
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    info: { Title: `${event.title || 'Invitations'} - QR codes` }
+  });
+
+  const buffer = await renderDocument(doc, () => {
+    invitations.forEach((invitation, index) => {
+      const slot = index % perPage;
+      if (slot === 0) {
+        doc.addPage({ size: [layout.pageWidth, layout.pageHeight], margin: 0 });
+      }
+
+      const x = margin + (slot % columns) * cellWidth;
+      const y = margin + Math.floor(slot / columns) * cellHeight;
+      const textWidth = cellWidth - padding * 2;
+
+      if (cropMarks) {
+        drawCutGuides(doc, x, y, cellWidth, cellHeight);
+      }
+
+      const qrTop = y + padding;
+      drawQRCode(doc, getInvitationUrl(invitation), x + (cellWidth - qrSize) / 2, qrTop, qrSize);
+
+      const textTop = qrTop + qrSize + 4;
+      doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9)
+        .text(invitation.family_name, x + padding, textTop, { width: textWidth, align: 'center', lineBreak: false, ellipsis: true });
+      doc.font('Helvetica').fontSize(8)
+        .text(labels.people(invitation.invited_count), x + padding, textTop + 12, { width: textWidth, align: 'center', lineBreak: false });
+      doc.fillColor('#777777').fontSize(6)
+        .text(invitation.qr_code, x + padding, textTop + 23, { width: textWidth, align: 'center', lineBreak: false, ellipsis: true });
+    });
+  });
+
+  return { buffer, count: invitations.length, pages };
+};
+
+module.exports = {
+  PRINT_TYPES,
+  PAPER_SIZES,
+  TEMPLATE_STYLES,
+  MAX_BLEED_MM,
+  MAX_FAMILIES,
+  mmToPt,
+  getPageLayout,
+  drawCutGuides,
+  getPrintableInvitations,
+  resolveDesignStyle,
+  renderInvitationCards,
+  renderInvitationPreview,
+  renderQRSheets
+};
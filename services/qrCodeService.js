@@ -1,8 +1,9 @@
-const { qrCodes, guests, events, users, families, familyInvitations } = require('../utils/database');
+const { qrCodes, guests, events, users, families } = require('../utils/database');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const config = require('../config/config');
 const auditService = require('./auditService');
+const invitationResolutionService = require('./invitationResolutionService');
 
 /**
  * Generate a unique and secure QR code
@@ -181,15 +182,9 @@ const createQRCodeForFamily = async (eventId, familyId, userId, invitedCount) =>
     while (!isUnique && attempts < maxAttempts) {
       qrCode = generateSecureQRCode();
 
-      // Check if QR code already exists
-      const existingQR = await qrCodes.findByCode(qrCode);
-      if (existingQR) {
-        // QR code already exists, try again
-        isUnique = false;
-      } else {
-        // QR code doesn't exist, it's unique
-        isUnique = true;
-      }
+      // Check if the code is already used by an invitation (own code or redirect)
+      const existingInvitation = await invitationResolutionService.findStoredInvitation(qrCode);
+      isUnique = !existingInvitation;
       attempts++;
     }
 
@@ -200,60 +195,24 @@ const createQRCodeForFamily = async (eventId, familyId, userId, invitedCount) =>
     const expiresAt = new Date();
     expiresAt.setHours(expiresAt.getHours() + (config.qrCodeExpirationHours || 24 * 365)); // Default to 1 year if not set
 
-    // Create QR code document
-    const qrCodeData = {
+    // Family codes live in family_invitations only, the previous code of the family stays as a redirect
+    const invitation = await invitationResolutionService.issueInvitationCode({
+      eventId,
+      familyId,
+      userId,
+      invitedCount,
       code: qrCode,
-      event_id: eventId,
-      family_id: familyId,
-      generated_by: userId,
-      expires_at: expiresAt.toISOString(),
-      invited_count: invitedCount,
-      is_valid: true
-    };
-
-    const savedQRCode = await qrCodes.create(qrCodeData);
-
-    // Check if family invitation already exists for this family/event
-    let savedFamilyInvitation;
-    try {
-      const existingInvitation = await familyInvitations.findByFamily(familyId);
-      const familyEventInvitation = existingInvitation.find(inv => inv.event_id === eventId);
-      
-      if (familyEventInvitation) {
-        // Update existing invitation with this QR code if needed
-        savedFamilyInvitation = await familyInvitations.update(familyEventInvitation.id, {
-          qr_code: qrCode,
-          qr_expires_at: expiresAt.toISOString(),
-          invited_count: Math.max(familyEventInvitation.invited_count, invitedCount)
-        });
-      } else {
-        // Create new family invitation record
-        const familyInvitationData = {
-          family_id: familyId,
-          event_id: eventId,
-          user_id: userId,
-          invited_count: invitedCount,
-          qr_code: qrCode,
-          qr_expires_at: expiresAt.toISOString(),
-          is_valid: true,
-          scan_count: 0
-        };
-        savedFamilyInvitation = await familyInvitations.create(familyInvitationData);
-      }
-    } catch (error) {
-      console.error('Error managing family invitation:', error);
-      // Continue without family invitation if there's an error
-      savedFamilyInvitation = { id: null };
-    }
+      expiresAt: expiresAt.toISOString()
+    });
 
     return {
       success: true,
-      qrCode: savedQRCode.code,
-      expiresAt: savedQRCode.expires_at,
-      familyId: savedQRCode.family_id,
-      eventId: savedQRCode.event_id,
+      qrCode: invitation.qr_code,
+      expiresAt: invitation.qr_expires_at,
+      familyId: invitation.family_id,
+      eventId: invitation.event_id,
       invitedCount: invitedCount,
-      invitationId: savedFamilyInvitation.id
+      invitationId: invitation.id
     };
   } catch (error) {
     console.error('Error creating QR code for family:', error);
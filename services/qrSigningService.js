@@ -0,0 +1,303 @@
+/**
+ * Service des QR codes signés
+ * - Format compact signé en Ed25519 : événement, invitation, nombre d'invités, expiration
+ * - Une clé par événement et par version, dérivée du secret serveur (jamais stockée)
+ * - Les scanners récupèrent les clés publiques pour vérifier l'authenticité hors-ligne
+ * - Rotation : la version active est retirée, ses QR codes signés sont refusés
+ * Les codes aléatoires existants (UUID, FAM-uuid) restent acceptés en parallèle.
+ *
+ * Format : "SIG-" + base64url(106 octets), entiers en big-endian
+ *   [0]      version du format (1)
+ *   [1]      type d'invitation (1 = qr_codes, 2 = family_invitations)
+ *   [2-3]    version de la clé de l'événement
+ *   [4-19]   id de l'événement (UUID)
+ *   [20-35]  id de l'invitation (UUID)
+ *   [36-37]  nombre d'invités
+ *   [38-41]  expiration en secondes Unix (0 = aucune)
+ *   [42-105] signature Ed25519 des octets 0-41
+ */
+
+const crypto = require('crypto');
+const { eventQrKeys, qrCodes, familyInvitations } = require('../utils/database');
+const config = require('../config/config');
+
+const SIGNED_QR_PREFIX = 'SIG-';
+const SIGNED_QR_PATTERN = /^SIG-[A-Za-z0-9_-]{142}$/;
+const FORMAT_VERSION = 1;
+const PAYLOAD_LENGTH = 42;
+const SIGNATURE_LENGTH = 64;
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+const CODE_KINDS = {
+  QR_CODE: 1,
+  FAMILY_INVITATION: 2
+};
+
+// DER headers wrapping a raw 32-byte Ed25519 seed / public key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const uuidToBytes = (uuid) => Buffer.from(String(uuid).replace(/-/g, ''), 'hex');
+
+const bytesToUuid = (bytes) => {
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Key pair of an event for a version, derived from the server secret
+ */
+const deriveKeyPair = (eventId, version) => {
+  const seed = crypto.createHmac('sha256', config.qrSigningSecret).update(`qr-signing:${eventId}:${version}`).digest();
+  const privateKey = crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+  const publicKey = crypto.createPublicKey(privateKey);
+  return { privateKey, publicKey };
+};
+
+const toRawPublicKey = (publicKey) => publicKey.export({ format: 'der', type: 'spki' }).subarray(ED25519_SPKI_PREFIX.length).toString('base64url');
+
+const fromRawPublicKey = (rawKey) => crypto.createPublicKey({
+  key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(rawKey, 'base64url')]),
+  format: 'der',
+  type: 'spki'
+});
+
+const toPublicKeyInfo = (key) => ({
+  version: key.version,
+  algorithm: SIGNATURE_ALGORITHM,
+  public_key: key.public_key,
+  public_key_pem: fromRawPublicKey(key.public_key).export({ format: 'pem', type: 'spki' }),
+  is_active: !key.retired_at,
+  created_at: key.created_at,
+  retired_at: key.retired_at
+});
+
+const getPublicKey = (eventId, version) => toRawPublicKey(deriveKeyPair(eventId, version).publicKey);
+
+const createKeyVersion = (eventId, version, createdBy = null) => eventQrKeys.create({
+  event_id: eventId,
+  version,
+  public_key: getPublicKey(eventId, version),
+  created_by: createdBy
+});
+
+/**
+ * Active key of an event, created on demand (after the latest retired version, if any)
+ */
+const getActiveKey = async (eventId) => {
+  const activeKey = await eventQrKeys.findActiveByEvent(eventId);
+  if (activeKey) {
+    return activeKey;
+  }
+
+  try {
+    const [latestKey] = await eventQrKeys.findByEvent(eventId);
+    return await createKeyVersion(eventId, latestKey ? latestKey.version + 1 : 1);
+  } catch (error) {
+    // Created meanwhile by a concurrent request
+    const created = await eventQrKeys.findActiveByEvent(eventId);
+    if (created) {
+      return created;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Public keys of an event (active and retired) for offline verification
+ */
+const listPublicKeys = async (eventId) => {
+  await getActiveKey(eventId);
+  const keys = await eventQrKeys.findByEvent(eventId);
+  return keys.map(toPublicKeyInfo);
+};
+
+/**
+ * Replace the active key by a new version: codes signed with the previous one stop being accepted
+ * @returns {Promise<Object>} - Public info of the new key
+ */
+const rotateKey = async (eventId, userId) => {
+  const activeKey = await getActiveKey(eventId);
+
+  try {
+    const newKey = await eventQrKeys.rotate(eventId, activeKey.version, {
+      public_key: getPublicKey(eventId, activeKey.version + 1),
+      created_by: userId
+    });
+    return toPublicKeyInfo(newKey);
+  } catch (error) {
+    // Rotated meanwhile by a concurrent request
+    const rotated = await eventQrKeys.findActiveByEvent(eventId);
+    if (rotated && rotated.version > activeKey.version) {
+      return toPublicKeyInfo(rotated);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Sign an invitation with a key version of its event
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {number} params.kind - CODE_KINDS value
+ * @param {string} params.invitationId - qr_codes or family_invitations row ID
+ * @param {number} params.invitedCount
+ * @param {string|null} params.expiresAt
+ * @param {number} params.keyVersion
+ * @returns {string} - Signed code
+ */
+const signCode = ({ eventId, kind, invitationId, invitedCount, expiresAt, keyVersion }) => {
+  const payload = Buffer.alloc(PAYLOAD_LENGTH);
+  payload.writeUInt8(FORMAT_VERSION, 0);
+  payload.writeUInt8(kind, 1);
+  payload.writeUInt16BE(keyVersion, 2);
+  uuidToBytes(eventId).copy(payload, 4);
+  uuidToBytes(invitationId).copy(payload, 20);
+  payload.writeUInt16BE(Math.min(invitedCount || 1, 65535), 36);
+  payload.writeUInt32BE(expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : 0, 38);
+
+  const signature = crypto.sign(null, payload, deriveKeyPair(eventId, keyVersion).privateKey);
+  return `${SIGNED_QR_PREFIX}${Buffer.concat([payload, signature]).toString('base64url')}`;
+};
+
+const isSignedCode = (code) => typeof code === 'string' && code.startsWith(SIGNED_QR_PREFIX);
+
+/**
+ * Read a signed code without checking its signature
+ * @returns {Object|null} - null when the code is not a well-formed signed code
+ */
+const decodeSignedCode = (code) => {
+  if (!SIGNED_QR_PATTERN.test(code)) {
+    return null;
+  }
+
+  const bytes = Buffer.from(code.slice(SIGNED_QR_PREFIX.length), 'base64url');
+  if (bytes.length !== PAYLOAD_LENGTH + SIGNATURE_LENGTH || bytes.readUInt8(0) !== FORMAT_VERSION) {
+    return null;
+  }
+
+  const kind = bytes.readUInt8(1);
+  if (!Object.values(CODE_KINDS).includes(kind)) {
+    return null;
+  }
+
+  const expiresAt = bytes.readUInt32BE(38);
+  return {
+    kind,
+    keyVersion: bytes.readUInt16BE(2),
+    eventId: bytesToUuid(bytes.subarray(4, 20)),
+    invitationId: bytesToUuid(bytes.subarray(20, 36)),
+    invitedCount: bytes.readUInt16BE(36),
+    expiresAt: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+    signedBytes: bytes.subarray(0, PAYLOAD_LENGTH),
+    signature: bytes.subarray(PAYLOAD_LENGTH)
+  };
+};
+
+/**
+ * Check the signature, key version and expiry of a signed code
+ * @returns {Promise<{ valid: boolean, status?: string, message?: string, payload?: Object }>}
+ *   status 'invalid' (malformed, forged or retired key) | 'expired'
+ */
+const verifySignedCode = async (code) => {
+  const payload = decodeSignedCode(code);
+  if (!payload) {
+    return { valid: false, status: 'invalid', message: 'Malformed signed QR code' };
+  }
+
+  const key = await eventQrKeys.findByEventAndVersion(payload.eventId, payload.keyVersion);
+  if (!key || !crypto.verify(null, payload.signedBytes, fromRawPublicKey(key.public_key), payload.signature)) {
+    return { valid: false, status: 'invalid', message: 'This QR code signature is not valid' };
+  }
+  if (key.retired_at) {
+    return { valid: false, status: 'invalid', message: 'This QR code was signed with a retired key, a new one must be issued' };
+  }
+  if (payload.expiresAt && new Date(payload.expiresAt) < new Date()) {
+    return { valid: false, status: 'expired', message: 'This QR code has expired' };
+  }
+
+  return { valid: true, payload };
+};
+
+/**
+ * Code stored in the database for the invitation a signed code points to
+ * @returns {Promise<string|null>}
+ */
+const findStoredCode = async (payload) => {
+  if (payload.kind === CODE_KINDS.FAMILY_INVITATION) {
+    const invitation = await familyInvitations.findById(payload.invitationId);
+    return invitation && invitation.event_id === payload.eventId ? invitation.qr_code : null;
+  }
+
+  const qrDoc = await qrCodes.findById(payload.invitationId);
+  return qrDoc && qrDoc.event_id === payload.eventId ? qrDoc.code : null;
+};
+
+/**
+ * Signed codes of every valid invitation of an event, with the active key
+ * family_invitations first, qr_codes (guests and legacy family codes) after
+ */
+const getSignedCodesForEvent = async (eventId) => {
+  const [key, invitations, codes] = await Promise.all([
+    getActiveKey(eventId),
+    familyInvitations.findByEvent(eventId),
+    qrCodes.findValidByEvent(eventId)
+  ]);
+
+  const sign = (kind, row, invitedCount, expiresAt) => signCode({
+    eventId,
+    kind,
+    invitationId: row.id,
+    invitedCount,
+    expiresAt,
+    keyVersion: key.version
+  });
+
+  const familyCodes = (invitations || [])
+    .filter(invitation => invitation.is_valid !== false)
+    .map(invitation => ({
+      type: 'family',
+      invitation_id: invitation.id,
+      label: invitation.families?.name || null,
+      code: invitation.qr_code,
+      signed_code: sign(CODE_KINDS.FAMILY_INVITATION, invitation, invitation.invited_count || 1, invitation.qr_expires_at),
+      invited_count: invitation.invited_count || 1,
+      expires_at: invitation.qr_expires_at || null
+    }));
+
+  // Legacy family codes already consolidated into family_invitations are not signed twice
+  const invitedFamilies = new Set((invitations || []).map(invitation => invitation.family_id));
+
+  const qrCodeEntries = codes.filter(qrDoc => !qrDoc.family_id || !invitedFamilies.has(qrDoc.family_id)).map(qrDoc => {
+    const invitedCount = qrDoc.family_id ? qrDoc.invited_count || 1 : (qrDoc.guests?.plus_one ? 2 : 1);
+    return {
+      type: qrDoc.family_id ? 'family' : 'guest',
+      invitation_id: qrDoc.id,
+      label: qrDoc.family_id
+        ? qrDoc.families?.name || null
+        : `${qrDoc.guests?.first_name || ''} ${qrDoc.guests?.last_name || ''}`.trim() || null,
+      code: qrDoc.code,
+      signed_code: sign(CODE_KINDS.QR_CODE, qrDoc, invitedCount, qrDoc.expires_at),
+      invited_count: invitedCount,
+      expires_at: qrDoc.expires_at || null
+    };
+  });
+
+  return { key_version: key.version, codes: [...familyCodes, ...qrCodeEntries] };
+};
+
+module.exports = {
+  SIGNED_QR_PREFIX,
+  SIGNED_QR_PATTERN,
+  SIGNATURE_ALGORITHM,
+  CODE_KINDS,
+  getActiveKey,
+  listPublicKeys,
+  rotateKey,
+  signCode,
+  isSignedCode,
+  decodeSignedCode,
+  verifySignedCode,
+  findStoredCode,
+  getSignedCodesForEvent
+};
@@ -1,6 +1,7 @@
 /**
  * Service Redis et Queue pour le traitement d'images en arrière-plan
  * Utilise Bull pour la gestion des jobs avec Redis
+ * Fournit aussi le pub/sub utilisé par les flux temps réel (SSE)
  */
 
 const Redis = require('ioredis');
@@ -68,6 +69,46 @@ const initRedis = () => {
   }
 };
 
+// ============================================
+// CONNEXION PUB/SUB
+// ============================================
+
+// Une connexion en mode subscribe ne peut plus exécuter d'autres commandes:
+// le pub/sub utilise donc sa propre connexion
+let subscriberClient = null;
+let isSubscriberReady = false;
+
+const initSubscriber = () => {
+  if (subscriberClient) return subscriberClient;
+
+  try {
+    subscriberClient = new Redis(redisConfig);
+
+    subscriberClient.on('ready', () => {
+      isSubscriberReady = true;
+      logger.info('Redis: Subscriber ready');
+    });
+
+    subscriberClient.on('error', (err) => {
+      isSubscriberReady = false;
+      logger.warn('Redis: Subscriber connection error', { error: err.message });
+    });
+
+    subscriberClient.on('close', () => {
+      isSubscriberReady = false;
+    });
+
+    subscriberClient.connect().catch((err) => {
+      logger.warn('Redis: Subscriber initial connection failed', { error: err.message });
+    });
+
+    return subscriberClient;
+  } catch (error) {
+    logger.warn('Redis: Subscriber initialization failed', { error: error.message });
+    return null;
+  }
+};
+
 // ============================================
 // SERVICE REDIS
 // ============================================
@@ -94,6 +135,15 @@ const redisService = {
       isConnected = false;
       redisClient = null;
     }
+    if (subscriberClient) {
+      try {
+        await subscriberClient.quit();
+      } catch (error) {
+        logger.warn('Redis: Subscriber disconnect error', { error: error.message });
+      }
+      isSubscriberReady = false;
+      subscriberClient = null;
+    }
   },
 
   // Helper methods for caching
@@ -128,6 +178,52 @@ const redisService = {
       logger.warn('Redis del error', { key, error: error.message });
       return false;
     }
+  },
+
+  // Helper methods for pub/sub
+  isSubscriberReady: () => {
+    return isSubscriberReady && subscriberClient?.status === 'ready';
+  },
+
+  /**
+   * Publish a JSON message on a channel
+   * @returns {Promise<boolean>} - false if Redis is unavailable (caller should fall back)
+   */
+  async publish(channel, message) {
+    if (!this.isConnected()) return false;
+    try {
+      await redisClient.publish(channel, JSON.stringify(message));
+      return true;
+    } catch (error) {
+      logger.warn('Redis publish error', { channel, error: error.message });
+      return false;
+    }
+  },
+
+  /**
+   * Subscribe to every channel matching a pattern
+   * @param {string} pattern - Redis glob pattern (e.g. 'live:event:*')
+   * @param {Function} handler - Called with (channel, parsedMessage)
+   * @returns {boolean} - false if the subscriber connection could not be created
+   */
+  psubscribe(pattern, handler) {
+    const subscriber = initSubscriber();
+    if (!subscriber) return false;
+
+    subscriber.psubscribe(pattern).catch((error) => {
+      logger.warn('Redis psubscribe error', { pattern, error: error.message });
+    });
+
+    subscriber.on('pmessage', (matchedPattern, channel, raw) => {
+      if (matchedPattern !== pattern) return;
+      try {
+        handler(channel, JSON.parse(raw));
+      } catch (error) {
+        logger.warn('Redis pmessage handler error', { channel, error: error.message });
+      }
+    });
+
+    return true;
   }
 };
 
@@ -0,0 +1,414 @@
+const { events, familyInvitations, familyRsvp, reminderCampaigns, reminderRecipients } = require('../utils/database');
+const notificationService = require('./notificationService');
+const notificationTemplates = require('./notificationTemplates');
+const rsvpPolicyService = require('./rsvpPolicyService');
+const logger = require('../utils/logger');
+
+/**
+ * RSVP reminder campaigns
+ *
+ * - Segments family invitations: never opened (scan_count / last_scanned_at), opened without
+ *   answering, or answered for only part of the family (family_rsvp)
+ * - Reminds each targeted family every cadence_days, at most max_reminders times
+ * - Never sends during quiet hours, evaluated in the organizer's timezone
+ * - Stops reminding a family as soon as it has fully responded (counted as a conversion)
+ */
+
+const SEGMENTS = {
+  NEVER_OPENED: 'never_opened',
+  OPENED_NO_RESPONSE: 'opened_no_response',
+  PARTIAL_RESPONSE: 'partial_response'
+};
+
+const RESPONDED = 'responded';
+
+const CAMPAIGN_STATUSES = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const RECIPIENT_STATUSES = {
+  ACTIVE: 'active',
+  RESPONDED: 'responded',
+  EXHAUSTED: 'exhausted',
+  NO_CONTACT: 'no_contact',
+  STOPPED: 'stopped'
+};
+
+const DEFAULT_TIMEZONE = 'UTC';
+const RUN_INTERVAL_MINUTES = 60; // A campaign is re-evaluated at most once per hour
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a timezone name is known to Intl (user preferences are free text)
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Minutes since local midnight in a timezone
+ */
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+/**
+ * Whether a date falls within the campaign quiet hours (window may span midnight)
+ */
+const isInQuietHours = (date, campaign) => {
+  const start = toMinutes(campaign.quiet_hours_start);
+  const end = toMinutes(campaign.quiet_hours_end);
+  if (start === end) return false;
+
+  const now = getLocalMinutes(date, campaign.timezone);
+  return start < end ? (now >= start && now < end) : (now >= start || now < end);
+};
+
+/**
+ * First moment after the quiet hours (date itself when outside them)
+ */
+const getNextSendTime = (date, campaign) => {
+  if (!isInQuietHours(date, campaign)) return date;
+
+  const now = getLocalMinutes(date, campaign.timezone);
+  const minutesLeft = (toMinutes(campaign.quiet_hours_end) - now + 1440) % 1440;
+  return new Date(date.getTime() + minutesLeft * 60 * 1000);
+};
+
+/**
+ * Segment of a family invitation, or 'responded' when every expected member answered
+ * or the family answered as a whole on the public RSVP page
+ * @param {Object} invitation - family_invitations row with families (members)
+ * @param {Array} responses - family_rsvp rows of the invitation
+ * @param {Object|null} familyResponse - family_rsvp row of the family for the event (public RSVP)
+ */
+const classifyInvitation = (invitation, responses = [], familyResponse = null) => {
+  if (familyResponse?.status === 'accepted' || familyResponse?.status === 'declined') {
+    return RESPONDED;
+  }
+
+  const answered = responses.filter(response => response.will_attend === true || response.will_attend === false);
+
+  if (answered.length === 0) {
+    return invitation.scan_count > 0 || invitation.last_scanned_at
+      ? SEGMENTS.OPENED_NO_RESPONSE
+      : SEGMENTS.NEVER_OPENED;
+  }
+
+  const invitedCount = invitation.invited_count || 1;
+  const memberCount = invitation.families?.members?.length || invitedCount;
+  const expected = Math.min(invitedCount, memberCount);
+  const hasPending = responses.some(response => response.will_attend === null || response.will_attend === undefined);
+
+  return hasPending || answered.length < expected ? SEGMENTS.PARTIAL_RESPONSE : RESPONDED;
+};
+
+/**
+ * Classify every valid family invitation of an event
+ * @returns {Promise<Array<{ invitation, segment }>>}
+ */
+const getEventSegments = async (eventId) => {
+  const invitations = (await familyInvitations.findByEvent(eventId)).filter(invitation => invitation.is_valid);
+  const [responses, familyResponses] = await Promise.all([
+    familyRsvp.findByInvitations(invitations.map(invitation => invitation.id)),
+    familyRsvp.findFamilyResponses(eventId, [...new Set(invitations.map(invitation => invitation.family_id))])
+  ]);
+
+  const responsesByInvitation = responses.reduce((map, response) => {
+    if (!map.has(response.family_invitation_id)) map.set(response.family_invitation_id, []);
+    map.get(response.family_invitation_id).push(response);
+    return map;
+  }, new Map());
+  // At most one family-level answer per family: its most recent one
+  const responseByFamily = new Map(familyResponses.map(response => [response.family_id, response]));
+
+  return invitations.map(invitation => ({
+    invitation,
+    segment: classifyInvitation(
+      invitation,
+      responsesByInvitation.get(invitation.id),
+      responseByFamily.get(invitation.family_id)
+    )
+  }));
+};
+
+/**
+ * Counts per segment (organizer preview before creating a campaign)
+ */
+const summarizeSegments = (classified, channel = notificationService.CHANNELS.EMAIL) => {
+  const summary = {
+    [SEGMENTS.NEVER_OPENED]: { families: 0, reachable: 0 },
+    [SEGMENTS.OPENED_NO_RESPONSE]: { families: 0, reachable: 0 },
+    [SEGMENTS.PARTIAL_RESPONSE]: { families: 0, reachable: 0 },
+    [RESPONDED]: { families: 0, reachable: 0 }
+  };
+
+  classified.forEach(({ invitation, segment }) => {
+    summary[segment].families++;
+    if (notificationService.getRecipientAddress(invitation.families, channel)) {
+      summary[segment].reachable++;
+    }
+  });
+
+  return summary;
+};
+
+/**
+ * End of the campaign: explicit ends_at, otherwise the RSVP deadline + grace period
+ */
+const getCampaignEnd = (campaign, event) => {
+  if (campaign.ends_at) return new Date(campaign.ends_at);
+  const window = rsvpPolicyService.getRsvpWindow(event);
+  return window.closes_at ? new Date(window.closes_at) : null;
+};
+
+const completeCampaign = (campaign, now) =>
+  reminderCampaigns.update(campaign.id, {
+    status: CAMPAIGN_STATUSES.COMPLETED,
+    completed_at: now.toISOString(),
+    next_run_at: null,
+    last_run_at: now.toISOString()
+  });
+
+/**
+ * Run one pass of a campaign: stop families who responded, remind the ones that are due
+ * @param {Object} campaign - rsvp_reminder_campaigns row (status active)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - Run summary
+ */
+const runCampaign = async (campaign, now = new Date()) => {
+  const summary = { campaign_id: campaign.id, reminded: 0, converted: 0, no_contact: 0, deferred: false, completed: false };
+
+  const event = await events.findById(campaign.event_id);
+  if (!event || event.is_active === false) {
+    await reminderCampaigns.update(campaign.id, { status: CAMPAIGN_STATUSES.CANCELLED, next_run_at: null });
+    return summary;
+  }
+
+  const campaignEnd = getCampaignEnd(campaign, event);
+  if (event.rsvp_locked || (campaignEnd && now >= campaignEnd)) {
+    await completeCampaign(campaign, now);
+    summary.completed = true;
+    return summary;
+  }
+
+  if (isInQuietHours(now, campaign)) {
+    await reminderCampaigns.update(campaign.id, { next_run_at: getNextSendTime(now, campaign).toISOString() });
+    summary.deferred = true;
+    return summary;
+  }
+
+  const settings = await notificationService.getSettings(event.id);
+  const channelEnabled = notificationService.isChannelEnabled(settings, campaign.channel);
+  if (!channelEnabled) {
+    logger.warn('Reminder campaign skipped: channel disabled for event', { campaignId: campaign.id, channel: campaign.channel });
+  }
+
+  const classified = await getEventSegments(event.id);
+  const recipientsByInvitation = new Map(
+    (await reminderRecipients.findByCampaign(campaign.id)).map(recipient => [recipient.family_invitation_id, recipient])
+  );
+
+  for (const { invitation, segment } of classified) {
+    const recipient = recipientsByInvitation.get(invitation.id);
+
+    try {
+      // Automatic stop once the family responded
+      if (segment === RESPONDED) {
+        if (recipient && !recipient.responded_at && recipient.reminders_sent > 0) {
+          await reminderRecipients.update(recipient.id, {
+            status: RECIPIENT_STATUSES.RESPONDED,
+            responded_at: now.toISOString(),
+            next_reminder_at: null
+          });
+          summary.converted++;
+        }
+        continue;
+      }
+
+      // Invitation opened after a reminder
+      if (recipient && !recipient.opened_at && invitation.last_scanned_at &&
+        new Date(invitation.last_scanned_at) > new Date(recipient.first_reminded_at)) {
+        await reminderRecipients.update(recipient.id, { opened_at: invitation.last_scanned_at });
+      }
+
+      if (!channelEnabled) continue;
+
+      if (recipient) {
+        if (recipient.status !== RECIPIENT_STATUSES.ACTIVE) continue;
+        if (recipient.next_reminder_at && new Date(recipient.next_reminder_at) > now) continue;
+      } else if (!campaign.target_segments.includes(segment)) {
+        continue;
+      }
+
+      const address = notificationService.getRecipientAddress(invitation.families, campaign.channel);
+      if (!address) {
+        if (!recipient) {
+          await reminderRecipients.create({
+            campaign_id: campaign.id,
+            family_invitation_id: invitation.id,
+            family_id: invitation.family_id,
+            initial_segment: segment,
+            status: RECIPIENT_STATUSES.NO_CONTACT
+          });
+        }
+        summary.no_contact++;
+        continue;
+      }
+
+      const delivery = await notificationService.queueNotification({
+        eventId: event.id,
+        template: notificationTemplates.TEMPLATE_KEYS.RSVP_REMINDER,
+        channel: campaign.channel,
+        recipient: address,
+        recipientName: invitation.families?.name || null,
+        familyId: invitation.family_id,
+        familyInvitationId: invitation.id,
+        variables: notificationService.buildVariables({
+          event,
+          settings,
+          invitation,
+          family: invitation.families,
+          extra: { custom_message: campaign.custom_message }
+        }),
+        createdBy: campaign.created_by
+      });
+
+      const remindersSent = (recipient?.reminders_sent || 0) + 1;
+      const exhausted = remindersSent >= campaign.max_reminders;
+      const followUp = {
+        status: exhausted ? RECIPIENT_STATUSES.EXHAUSTED : RECIPIENT_STATUSES.ACTIVE,
+        reminders_sent: remindersSent,
+        last_reminded_at: now.toISOString(),
+        next_reminder_at: exhausted ? null : new Date(now.getTime() + campaign.cadence_days * DAY_MS).toISOString(),
+        last_delivery_id: delivery.id
+      };
+
+      if (recipient) {
+        await reminderRecipients.update(recipient.id, followUp);
+      } else {
+        await reminderRecipients.create({
+          campaign_id: campaign.id,
+          family_invitation_id: invitation.id,
+          family_id: invitation.family_id,
+          initial_segment: segment,
+          first_reminded_at: now.toISOString(),
+          ...followUp
+        });
+      }
+
+      summary.reminded++;
+    } catch (error) {
+      logger.error('Error processing reminder for family invitation', {
+        campaignId: campaign.id,
+        invitationId: invitation.id,
+        error: error.message
+      });
+    }
+  }
+
+  await reminderCampaigns.update(campaign.id, {
+    last_run_at: now.toISOString(),
+    next_run_at: new Date(now.getTime() + RUN_INTERVAL_MINUTES * 60 * 1000).toISOString()
+  });
+
+  logger.info('Reminder campaign run completed', summary);
+  return summary;
+};
+
+/**
+ * Run every active campaign that is due (called by jobs/rsvpReminderProcessor.js)
+ */
+const processDueCampaigns = async (now = new Date()) => {
+  const dueCampaigns = await reminderCampaigns.findDue(now);
+  const results = [];
+
+  for (const campaign of dueCampaigns) {
+    try {
+      results.push(await runCampaign(campaign, now));
+    } catch (error) {
+      logger.error('Error running reminder campaign', { campaignId: campaign.id, error: error.message });
+      results.push({ campaign_id: campaign.id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Opens and conversions of a campaign, overall and per initial segment
+ */
+const getCampaignStats = async (campaignId) => {
+  const recipients = await reminderRecipients.findByCampaign(campaignId);
+  const reminded = recipients.filter(recipient => recipient.reminders_sent > 0);
+
+  const bySegment = Object.values(SEGMENTS).reduce((stats, segment) => {
+    const segmentRecipients = reminded.filter(recipient => recipient.initial_segment === segment);
+    const opened = segmentRecipients.filter(recipient => recipient.opened_at).length;
+    const converted = segmentRecipients.filter(recipient => recipient.responded_at).length;
+
+    stats[segment] = {
+      reminded: segmentRecipients.length,
+      opened,
+      converted,
+      conversion_rate: rate(converted, segmentRecipients.length)
+    };
+    return stats;
+  }, {});
+
+  const opened = reminded.filter(recipient => recipient.opened_at).length;
+  const converted = reminded.filter(recipient => recipient.responded_at).length;
+
+  return {
+    reminded_families: reminded.length,
+    reminders_sent: reminded.reduce((sum, recipient) => sum + recipient.reminders_sent, 0),
+    opened,
+    open_rate: rate(opened, reminded.length),
+    converted,
+    conversion_rate: rate(converted, reminded.length),
+    still_pending: reminded.filter(recipient => recipient.status === RECIPIENT_STATUSES.ACTIVE).length,
+    exhausted: recipients.filter(recipient => recipient.status === RECIPIENT_STATUSES.EXHAUSTED).length,
+    no_contact: recipients.filter(recipient => recipient.status === RECIPIENT_STATUSES.NO_CONTACT).length,
+    by_segment: bySegment
+  };
+};
+
+module.exports = {
+  SEGMENTS,
+  CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  isInQuietHours,
+  getNextSendTime,
+  classifyInvitation,
+  getEventSegments,
+  summarizeSegments,
+  runCampaign,
+  processDueCampaigns,
+  getCampaignStats
+};
@@ -0,0 +1,233 @@
+const { rsvpHistory } = require('../utils/database');
+const logger = require('../utils/logger');
+
+/**
+ * RSVP policy service
+ *
+ * - Decides whether a family can still answer (organizer lock, deadline + grace period)
+ * - Diffs the previous and new answers of a submission
+ * - Appends every effective change to family_rsvp_history (migration 053)
+ */
+
+const RSVP_CLOSED_REASONS = {
+  LOCKED: 'locked',
+  DEADLINE_PASSED: 'deadline_passed'
+};
+
+const HISTORY_SOURCES = {
+  PUBLIC_INVITATION: 'public_invitation', // POST /api/public/invitation/:qrCode/rsvp
+  INVITATION_CODE: 'invitation_code' // POST /api/invitations/public/:code/rsvp
+};
+
+// Member-level fields tracked in family_rsvp
+const MEMBER_FIELDS = ['will_attend', 'dietary_restrictions', 'notes', 'meal_choices', 'allergens'];
+
+// Family-level fields tracked for the single-row RSVP format
+const FAMILY_FIELDS = ['status', 'guests_count', 'message'];
+
+/**
+ * Compute the RSVP window of an event
+ * @param {Object} event - Event row (rsvp_deadline, rsvp_grace_period_hours, rsvp_locked, rsvp_locked_at)
+ * @param {Date} now - Reference time
+ * @returns {Object} - Window shown to organizers and guests
+ */
+const getRsvpWindow = (event, now = new Date()) => {
+  const deadline = event?.rsvp_deadline ? new Date(event.rsvp_deadline) : null;
+  const graceHours = event?.rsvp_grace_period_hours || 0;
+  const closesAt = deadline ? new Date(deadline.getTime() + graceHours * 60 * 60 * 1000) : null;
+
+  let reason = null;
+  if (event?.rsvp_locked) {
+    reason = RSVP_CLOSED_REASONS.LOCKED;
+  } else if (closesAt && now > closesAt) {
+    reason = RSVP_CLOSED_REASONS.DEADLINE_PASSED;
+  }
+
+  return {
+    deadline: deadline ? deadline.toISOString() : null,
+    grace_period_hours: graceHours,
+    closes_at: closesAt ? closesAt.toISOString() : null,
+    locked: !!event?.rsvp_locked,
+    locked_at: event?.rsvp_locked_at || null,
+    is_open: reason === null,
+    in_grace_period: reason === null && !!deadline && now > deadline,
+    closed_reason: reason
+  };
+};
+
+/**
+ * Guest-facing message explaining why RSVPs are closed
+ */
+const getClosedMessage = (window) => {
+  if (window.closed_reason === RSVP_CLOSED_REASONS.LOCKED) {
+    return 'RSVPs are closed for this event. Please contact the organizers to change your answer.';
+  }
+  return 'The RSVP deadline for this event has passed. Please contact the organizers to change your answer.';
+};
+
+const countAttendingMembers = (responses = []) =>
+  responses.filter(response => response.will_attend === true).length;
+
+const countAttendingGuests = (rsvp) =>
+  (rsvp && rsvp.status === 'accepted' ? rsvp.guests_count || 0 : 0);
+
+// Empty lists / objects count as "no answer"; keys and items are sorted so diffs stay stable
+const normalizeValue = (value) => {
+  if (value === undefined || value === '') return null;
+  if (Array.isArray(value)) return value.length > 0 ? [...value].sort() : null;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).sort(([a], [b]) => a.localeCompare(b));
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Diff per-member answers (family_rsvp rows) before and after a submission
+ * A member no longer answered for is recorded as a 'member' change from their previous answer to null
+ * @returns {Array<{member_name, field, from, to}>}
+ */
+const diffMemberResponses = (before = [], after = []) => {
+  const previousByMember = new Map(before.map(response => [response.member_name, response]));
+  const currentMembers = new Set(after.map(response => response.member_name));
+  const changes = [];
+
+  before
+    .filter(response => !currentMembers.has(response.member_name))
+    .forEach((response) => {
+      const [{ member_name: memberName, ...previousAnswer }] = snapshotMemberResponses([response]);
+      changes.push({ member_name: memberName, field: 'member', from: previousAnswer, to: null });
+    });
+
+  after.forEach((response) => {
+    const previous = previousByMember.get(response.member_name) || {};
+
+    MEMBER_FIELDS.forEach((field) => {
+      const from = normalizeValue(previous[field]);
+      const to = normalizeValue(response[field]);
+      if (!isSameValue(from, to)) {
+        changes.push({ member_name: response.member_name, field, from, to });
+      }
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Diff a family-level RSVP row (status / guests_count / message)
+ * @returns {Array<{member_name, field, from, to}>}
+ */
+const diffFamilyResponse = (before, after) => {
+  return FAMILY_FIELDS
+    .map(field => ({
+      member_name: null,
+      field,
+      from: normalizeValue(before?.[field]),
+      to: normalizeValue(after?.[field])
+    }))
+    .filter(change => !isSameValue(change.from, change.to));
+};
+
+/**
+ * Keep only what the organizer needs in the stored snapshots
+ */
+const snapshotMemberResponses = (responses = []) =>
+  responses.map(response => ({
+    member_name: response.member_name,
+    will_attend: normalizeValue(response.will_attend),
+    dietary_restrictions: normalizeValue(response.dietary_restrictions),
+    notes: normalizeValue(response.notes),
+    meal_choices: normalizeValue(response.meal_choices),
+    allergens: normalizeValue(response.allergens)
+  }));
+
+/**
+ * Append a history entry when a submission actually changed something
+ * Never throws: the RSVP itself is already saved at this point
+ * @returns {Promise<Object|null>} - Created entry, or null when nothing changed / on failure
+ */
+const recordChange = async ({
+  eventId,
+  familyId = null,
+  familyInvitationId = null,
+  familyName = null,
+  changedByType = 'guest',
+  changedBy = null,
+  source,
+  changes,
+  attendingBefore,
+  attendingAfter,
+  previousState = null,
+  newState = null,
+  ipAddress = null,
+  userAgent = null
+}) => {
+  if (!changes || changes.length === 0) {
+    return null;
+  }
+
+  try {
+    return await rsvpHistory.create({
+      event_id: eventId,
+      family_id: familyId,
+      family_invitation_id: familyInvitationId,
+      family_name: familyName,
+      changed_by_type: changedByType,
+      changed_by: changedBy,
+      source,
+      attending_before: attendingBefore,
+      attending_after: attendingAfter,
+      changes,
+      previous_state: previousState,
+      new_state: newState,
+      ip_address: ipAddress,
+      user_agent: userAgent ? userAgent.substring(0, 500) : null
+    });
+  } catch (error) {
+    logger.error('Error recording RSVP history:', { error: error.message, eventId, familyId });
+    return null;
+  }
+};
+
+const formatFamilyName = (name) => {
+  if (!name) return 'Unknown family';
+  return /famil/i.test(name) ? name : `${name} family`;
+};
+
+/**
+ * One-line summary for the organizer, e.g. "Dupont family went from 4 attending to 2"
+ */
+const describeEntry = (entry) => {
+  const family = formatFamilyName(entry.family_name);
+  const isFirstAnswer = !entry.previous_state ||
+    (Array.isArray(entry.previous_state) && entry.previous_state.length === 0);
+
+  if (isFirstAnswer) {
+    return `${family} responded with ${entry.attending_after} attending`;
+  }
+
+  if (entry.attending_before !== entry.attending_after) {
+    return `${family} went from ${entry.attending_before} attending to ${entry.attending_after}`;
+  }
+
+  const fields = [...new Set((entry.changes || []).map(change =>
+    (change.field === 'member' ? 'members' : change.field.replace(/_/g, ' '))))];
+  return `${family} updated ${fields.join(', ')}`;
+};
+
+module.exports = {
+  RSVP_CLOSED_REASONS,
+  HISTORY_SOURCES,
+  getRsvpWindow,
+  getClosedMessage,
+  countAttendingMembers,
+  countAttendingGuests,
+  diffMemberResponses,
+  diffFamilyResponse,
+  snapshotMemberResponses,
+  recordChange,
+  describeEntry
+};
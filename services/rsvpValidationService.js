@@ -0,0 +1,224 @@
+/**
+ * RSVP validation service
+ *
+ * Checks RSVP payloads against the family member list (families.members) and the
+ * seats granted by the invitation (family_invitations.invited_count + plus_ones_allowed)
+ * so a family invited for 2 cannot answer for 6 invented guests.
+ * Errors are returned per member so the invitation page can explain each rejection.
+ */
+
+const { MEAL_ERROR_CODES, validateMealSelection } = require('./mealChoiceService');
+
+const MAX_MEMBER_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+
+const RSVP_ERROR_CODES = {
+  MEMBER_NAME_REQUIRED: 'MEMBER_NAME_REQUIRED',
+  MEMBER_NAME_TOO_LONG: 'MEMBER_NAME_TOO_LONG',
+  DUPLICATE_MEMBER: 'DUPLICATE_MEMBER',
+  UNKNOWN_MEMBER: 'UNKNOWN_MEMBER',
+  PLUS_ONE_LIMIT_REACHED: 'PLUS_ONE_LIMIT_REACHED',
+  INVITED_COUNT_EXCEEDED: 'INVITED_COUNT_EXCEEDED',
+  INVALID_ATTENDANCE: 'INVALID_ATTENDANCE',
+  TEXT_TOO_LONG: 'TEXT_TOO_LONG',
+  ...MEAL_ERROR_CODES
+};
+
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// families.members is a TEXT[]; older rows may hold { name } objects
+const getMemberNames = (family) =>
+  (Array.isArray(family?.members) ? family.members : [])
+    .map(member => (typeof member === 'string' ? member : member?.name))
+    .filter(name => typeof name === 'string' && name.trim() !== '');
+
+/**
+ * Seats granted by an invitation
+ * @param {Object} invitation - family_invitations row (or converted qr_codes row)
+ * @param {Object} family - families row
+ */
+const getInvitationLimits = (invitation, family) => {
+  const members = getMemberNames(family);
+  const invitedCount = invitation?.invited_count || 1;
+  const plusOnesAllowed = invitation?.plus_ones_allowed || 0;
+
+  return {
+    members,
+    invited_count: invitedCount,
+    plus_ones_allowed: plusOnesAllowed,
+    max_attending: invitedCount + plusOnesAllowed
+  };
+};
+
+/**
+ * Validate the member responses of a family RSVP submission
+ * @param {Object} params
+ * @param {Object} params.invitation - Family invitation
+ * @param {Object} params.family - Family (members)
+ * @param {Array} params.responses - Submitted [{ member_name, will_attend, dietary_restrictions, notes, meal_choices, allergens }]
+ * @param {Array} params.existingResponses - family_rsvp rows already saved for the invitation
+ * @param {Array} params.mealCourses - Courses with a choice (mealChoiceService.getMealCourses)
+ * @returns {{ valid: boolean, errors: Array, responses: Array, limits: Object }} - responses are
+ *   normalized (member_name spelled as in the family list, is_plus_one, existing_id)
+ */
+const validateMemberResponses = ({ invitation, family, responses, existingResponses = [], mealCourses = [] }) => {
+  const limits = getInvitationLimits(invitation, family);
+  const membersByKey = new Map(limits.members.map(name => [normalizeName(name), name]));
+  const hasMemberList = membersByKey.size > 0;
+
+  const errors = [];
+  const addError = (index, memberName, field, code, message) => {
+    errors.push({ index, member_name: memberName ?? null, field, code, message });
+  };
+
+  const existingByKey = new Map(existingResponses
+    .filter(response => response.member_name)
+    .map(response => [normalizeName(response.member_name), response]));
+
+  const seen = new Set();
+  const normalized = [];
+
+  responses.forEach((response, index) => {
+    const rawName = response?.member_name;
+
+    if (typeof rawName !== 'string' || rawName.trim() === '') {
+      addError(index, rawName, 'member_name', RSVP_ERROR_CODES.MEMBER_NAME_REQUIRED, 'Member name is required');
+      return;
+    }
+
+    const displayName = rawName.trim().replace(/\s+/g, ' ');
+    if (displayName.length > MAX_MEMBER_NAME_LENGTH) {
+      addError(index, displayName, 'member_name', RSVP_ERROR_CODES.MEMBER_NAME_TOO_LONG,
+        `Member name must be at most ${MAX_MEMBER_NAME_LENGTH} characters`);
+      return;
+    }
+
+    const key = normalizeName(displayName);
+    if (seen.has(key)) {
+      addError(index, displayName, 'member_name', RSVP_ERROR_CODES.DUPLICATE_MEMBER,
+        `${displayName} appears more than once in this RSVP`);
+      return;
+    }
+    seen.add(key);
+
+    const willAttend = response.will_attend === undefined ? null : response.will_attend;
+    if (willAttend !== null && typeof willAttend !== 'boolean') {
+      addError(index, displayName, 'will_attend', RSVP_ERROR_CODES.INVALID_ATTENDANCE,
+        'will_attend must be true, false or null');
+      return;
+    }
+
+    const textError = ['dietary_restrictions', 'notes'].find(field =>
+      response[field] !== undefined && response[field] !== null &&
+      (typeof response[field] !== 'string' || response[field].length > MAX_TEXT_LENGTH));
+    if (textError) {
+      addError(index, displayName, textError, RSVP_ERROR_CODES.TEXT_TOO_LONG,
+        `${textError.replace(/_/g, ' ')} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+      return;
+    }
+
+    const meal = validateMealSelection({
+      courses: mealCourses,
+      mealChoices: response.meal_choices,
+      allergens: response.allergens,
+      willAttend
+    });
+    if (meal.errors.length > 0) {
+      meal.errors.forEach(error => addError(index, displayName, error.field, error.code, error.message));
+      return;
+    }
+
+    const isPlusOne = hasMemberList && !membersByKey.has(key);
+    if (isPlusOne && limits.plus_ones_allowed === 0) {
+      addError(index, displayName, 'member_name', RSVP_ERROR_CODES.UNKNOWN_MEMBER,
+        `${displayName} is not on this invitation`);
+      return;
+    }
+
+    normalized.push({
+      index,
+      key,
+      existing_id: existingByKey.get(key)?.id || null, // Saved answer, possibly spelled differently
+      member_name: isPlusOne ? displayName : (membersByKey.get(key) || displayName),
+      will_attend: willAttend,
+      dietary_restrictions: response.dietary_restrictions ?? null,
+      notes: response.notes ?? null,
+      meal_choices: meal.meal_choices,
+      allergens: meal.allergens,
+      is_plus_one: isPlusOne
+    });
+  });
+
+  // Seats are checked on the merged state: saved answers not resubmitted still count
+  const submittedKeys = new Set(normalized.map(response => response.key));
+  const keptResponses = [...existingByKey.entries()]
+    .filter(([key]) => !submittedKeys.has(key))
+    .map(([, response]) => response);
+
+  let membersAttending = keptResponses.filter(r => r.will_attend === true && !r.is_plus_one).length;
+  let plusOnesAttending = keptResponses.filter(r => r.will_attend === true && r.is_plus_one).length;
+  let plusOnesNamed = keptResponses.filter(r => r.is_plus_one).length;
+
+  const accepted = normalized.filter((response) => {
+    if (response.is_plus_one) {
+      if (plusOnesNamed >= limits.plus_ones_allowed) {
+        addError(response.index, response.member_name, 'member_name', RSVP_ERROR_CODES.PLUS_ONE_LIMIT_REACHED,
+          `This invitation allows ${limits.plus_ones_allowed} additional guest(s) outside the family`);
+        return false;
+      }
+      plusOnesNamed++;
+      if (response.will_attend === true) plusOnesAttending++;
+      return true;
+    }
+
+    if (response.will_attend === true) {
+      if (membersAttending >= limits.invited_count) {
+        addError(response.index, response.member_name, 'will_attend', RSVP_ERROR_CODES.INVITED_COUNT_EXCEEDED,
+          `This invitation is for ${limits.invited_count} guest(s): ${response.member_name} cannot be added as attending`);
+        return false;
+      }
+      membersAttending++;
+    }
+    return true;
+  });
+
+  errors.sort((a, b) => a.index - b.index);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    responses: accepted.map(({ index, key, ...response }) => response),
+    limits: {
+      ...limits,
+      attending: membersAttending + plusOnesAttending
+    }
+  };
+};
+
+/**
+ * Validate a family-level RSVP (single guests_count, POST /api/invitations/public/:code/rsvp)
+ * @returns {{ valid: boolean, errors: Array }}
+ */
+const validateGuestsCount = ({ status, guestsCount, maxAttending }) => {
+  if (status !== 'accepted' || !guestsCount || guestsCount <= maxAttending) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: [{
+      index: null,
+      member_name: null,
+      field: 'guests_count',
+      code: RSVP_ERROR_CODES.INVITED_COUNT_EXCEEDED,
+      message: `This invitation is for ${maxAttending} guest(s) at most`
+    }]
+  };
+};
+
+module.exports = {
+  RSVP_ERROR_CODES,
+  getInvitationLimits,
+  validateMemberResponses,
+  validateGuestsCount
+};
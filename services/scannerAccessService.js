@@ -0,0 +1,250 @@
+/**
+ * Service des accès scanner du personnel d'accueil
+ * - L'organisateur émet des identifiants limités à un événement : code PIN ou lien magique
+ * - Un identifiant ouvre une session JWT de portée "scanner" (vérifier les QR codes,
+ *   chercher un invité par nom et voir sa table), jamais une session utilisateur
+ * - Expiration automatique à la fin du lendemain de l'événement, révocation à tout moment
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { scannerCredentials, guests } = require('../utils/database');
+const seatingChartService = require('./seatingChartService');
+const config = require('../config/config');
+
+const SCANNER_SCOPE = 'scanner';
+const SCANNER_METHODS = ['pin', 'magic_link'];
+const PIN_LENGTH = 6;
+const MAX_SEARCH_RESULTS = 20;
+
+const scannerError = (message, code) => Object.assign(new Error(message), { code });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// PINs are short: keyed hash scoped to the event so they can be looked up without being stored
+const hashPin = (eventId, pin) => crypto.createHmac('sha256', config.jwtSecret).update(`${eventId}:${pin}`).digest('hex');
+
+const generatePin = () => String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+
+const getScannerUrl = (eventId) => `${config.frontendUrl}/scanner/${eventId}`;
+
+const getMagicLinkUrl = (token) => `${config.frontendUrl}/scanner/login?token=${token}`;
+
+/**
+ * When credentials of an event stop working: end of the day after the event (UTC)
+ * @param {Object} event - Event row (date, reception_date)
+ * @returns {Date|null} - null when the event has no date
+ */
+const getCredentialExpiry = (event) => {
+  const dates = [event.date, event.reception_date]
+    .filter(Boolean)
+    .map(value => new Date(value))
+    .filter(date => !Number.isNaN(date.getTime()));
+  if (dates.length === 0) {
+    return null;
+  }
+
+  const lastDay = new Date(Math.max(...dates));
+  return new Date(Date.UTC(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), lastDay.getUTCDate() + 2));
+};
+
+const getCredentialStatus = (credential) => {
+  if (credential.revoked_at) return 'revoked';
+  if (new Date(credential.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+const toPublicCredential = ({ pin_hash: pinHash, token_hash: tokenHash, ...credential }) => ({
+  ...credential,
+  status: getCredentialStatus(credential)
+});
+
+/**
+ * Scanner credentials of an event, newest first, with their status
+ */
+const listCredentials = async (eventId) => {
+  const credentials = await scannerCredentials.findByEvent(eventId);
+  return credentials.map(toPublicCredential);
+};
+
+/**
+ * Issue a scanner credential for door staff
+ * The PIN or magic link is only returned here, the database keeps a hash
+ * @param {Object} params
+ * @param {Object} params.event - Event row
+ * @param {string} params.label - Who or which door uses it
+ * @param {string} params.method - 'pin' | 'magic_link'
+ * @param {string} params.createdBy - Organizer issuing the credential
+ * @returns {Promise<{ credential: Object, pin?: string, magic_link?: string, scanner_url: string }>}
+ * @throws {Error} - code EVENT_DATE_REQUIRED | EVENT_PASSED
+ */
+const createCredential = async ({ event, label, method, createdBy }) => {
+  const expiresAt = getCredentialExpiry(event);
+  if (!expiresAt) {
+    throw scannerError('Set the event date before creating scanner access', 'EVENT_DATE_REQUIRED');
+  }
+  if (expiresAt <= new Date()) {
+    throw scannerError('This event is over, scanner access can no longer be created', 'EVENT_PASSED');
+  }
+
+  const credentialData = {
+    event_id: event.id,
+    label: label.trim(),
+    method,
+    created_by: createdBy,
+    expires_at: expiresAt.toISOString()
+  };
+  const secrets = { scanner_url: getScannerUrl(event.id) };
+
+  if (method === 'pin') {
+    // Two active PINs of the same event must differ, otherwise login would be ambiguous
+    let pin;
+    do {
+      pin = generatePin();
+    } while (await scannerCredentials.findByEventAndPinHash(event.id, hashPin(event.id, pin)));
+    credentialData.pin_hash = hashPin(event.id, pin);
+    secrets.pin = pin;
+  } else {
+    const token = crypto.randomBytes(32).toString('hex');
+    credentialData.token_hash = hashToken(token);
+    secrets.magic_link = getMagicLinkUrl(token);
+  }
+
+  const credential = await scannerCredentials.create(credentialData);
+  return { credential: toPublicCredential(credential), ...secrets };
+};
+
+/**
+ * Revoke a credential: sessions opened with it stop working on their next request
+ */
+const revokeCredential = async (credential, revokedBy) => {
+  const updated = await scannerCredentials.update(credential.id, {
+    revoked_at: new Date().toISOString(),
+    revoked_by: revokedBy
+  });
+  return toPublicCredential(updated);
+};
+
+/**
+ * Check that a credential can still be used
+ * @throws {Error} - code CREDENTIAL_REVOKED | CREDENTIAL_EXPIRED
+ */
+const assertUsable = (credential) => {
+  if (credential.revoked_at) {
+    throw scannerError('This scanner access has been revoked', 'CREDENTIAL_REVOKED');
+  }
+  if (new Date(credential.expires_at) <= new Date()) {
+    throw scannerError('This scanner access has expired', 'CREDENTIAL_EXPIRED');
+  }
+};
+
+/**
+ * Exchange a PIN (with its event) or a magic link token for a scanner session
+ * @param {Object} params
+ * @param {string} [params.eventId] - Event of the PIN
+ * @param {string} [params.pin]
+ * @param {string} [params.token] - Token of the magic link
+ * @returns {Promise<{ token: string, expires_at: string, credential: Object }>}
+ * @throws {Error} - code INVALID_CREDENTIAL | CREDENTIAL_REVOKED | CREDENTIAL_EXPIRED
+ */
+const openSession = async ({ eventId, pin, token }) => {
+  const credential = token
+    ? await scannerCredentials.findByTokenHash(hashToken(token))
+    : await scannerCredentials.findByEventAndPinHash(eventId, hashPin(eventId, pin));
+
+  if (!credential) {
+    throw scannerError('Invalid scanner code', 'INVALID_CREDENTIAL');
+  }
+  assertUsable(credential);
+
+  const expiresIn = Math.floor((new Date(credential.expires_at).getTime() - Date.now()) / 1000);
+  const sessionToken = jwt.sign(
+    { sub: credential.id, scope: SCANNER_SCOPE, event_id: credential.event_id, label: credential.label },
+    config.jwtSecret,
+    { expiresIn }
+  );
+
+  await scannerCredentials.touch(credential.id);
+
+  return { token: sessionToken, expires_at: credential.expires_at, credential: toPublicCredential(credential) };
+};
+
+/**
+ * Validate a scanner session token against its (possibly revoked) credential
+ * @returns {Promise<Object>} - The credential
+ * @throws {Error} - code INVALID_CREDENTIAL | CREDENTIAL_REVOKED | CREDENTIAL_EXPIRED
+ */
+const verifySession = async (sessionToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(sessionToken, config.jwtSecret);
+  } catch (error) {
+    throw scannerError('Invalid or expired scanner session', 'INVALID_CREDENTIAL');
+  }
+  if (!payload || payload.scope !== SCANNER_SCOPE) {
+    throw scannerError('Invalid or expired scanner session', 'INVALID_CREDENTIAL');
+  }
+
+  const credential = await scannerCredentials.findById(payload.sub);
+  if (!credential || credential.event_id !== payload.event_id) {
+    throw scannerError('Invalid or expired scanner session', 'INVALID_CREDENTIAL');
+  }
+  assertUsable(credential);
+
+  return credential;
+};
+
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Find guests of an event by name, with their table (null when not seated)
+ * @param {string} eventId
+ * @param {string} query - Part of a first name, last name or family name
+ */
+const searchGuests = async (eventId, query) => {
+  const terms = normalize(query).split(/\s+/).filter(Boolean);
+  const matches = (...values) => {
+    const text = normalize(values.join(' '));
+    return terms.every(term => text.includes(term));
+  };
+
+  const [tables, guestRows] = await Promise.all([
+    seatingChartService.getSeatingChart(eventId),
+    guests.findByEvent(eventId)
+  ]);
+
+  const seated = seatingChartService.getEscortList(tables)
+    .filter(entry => matches(entry.first_name, entry.last_name, entry.family));
+  const seatedNames = new Set(seated.map(entry => normalize(entry.name)));
+
+  const unseated = (guestRows || [])
+    .filter(guest => matches(guest.first_name, guest.last_name))
+    .map(guest => ({
+      name: `${guest.first_name || ''} ${guest.last_name || ''}`.trim(),
+      first_name: guest.first_name || '',
+      last_name: guest.last_name || '',
+      family: null,
+      table_id: null,
+      table: null
+    }))
+    .filter(entry => !seatedNames.has(normalize(entry.name)));
+
+  return [...seated, ...unseated].slice(0, MAX_SEARCH_RESULTS);
+};
+
+module.exports = {
+  SCANNER_SCOPE,
+  SCANNER_METHODS,
+  PIN_LENGTH,
+  getCredentialExpiry,
+  listCredentials,
+  createCredential,
+  revokeCredential,
+  openSession,
+  verifySession,
+  searchGuests
+};
@@ -0,0 +1,485 @@
+/**
+ * Service d'export du plan de salle
+ * - Plan des tables (forme, position, nom, invités placés) en SVG et en PDF
+ * - Marque-places à imprimer (cartes à plat ou chevalets pliés)
+ * - Liste alphabétique "Trouvez votre table" (escort cards)
+ * Les positions sont celles de l'éditeur de plan (position_x / position_y, centre de la table)
+ */
+
+const PDFDocument = require('pdfkit');
+const { families, guests, tableAssignments } = require('../utils/database');
+const { mmToPt, drawCutGuides } = require('./printService');
+
+const CHART_FORMATS = ['json', 'svg', 'pdf'];
+
+const CHART_PAPER_SIZES = {
+  A4: [297, 210], // Landscape: floor plans are wider than tall
+  A3: [420, 297]
+};
+
+const SHAPE_RATIOS = {
+  round: [1, 1],
+  square: [0.9, 0.9],
+  oval: [1.3, 0.8],
+  rectangular: [1.5, 0.65]
+};
+
+const NAME_LINE_HEIGHT = 12; // Plan units
+const MAX_NAMES_PER_TABLE = 14;
+const GRID_GAP = 80;
+
+const LABELS = {
+  fr: {
+    floorPlan: 'Plan de table',
+    findYourTable: 'Trouvez votre table',
+    table: 'Table',
+    seats: (occupied, seats) => `${occupied} / ${seats} places`,
+    more: (count) => `+ ${count} autre${count > 1 ? 's' : ''}`
+  },
+  en: {
+    floorPlan: 'Seating plan',
+    findYourTable: 'Find your table',
+    table: 'Table',
+    seats: (occupied, seats) => `${occupied} / ${seats} seats`,
+    more: (count) => `+ ${count} more`
+  }
+};
+
+const compareNames = (a, b) => String(a || '').localeCompare(String(b || ''), 'fr', { sensitivity: 'base', numeric: true });
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const splitName = (fullName) => {
+  const parts = String(fullName || '').trim().split(/\s+/);
+  return { first_name: parts[0] || '', last_name: parts.slice(1).join(' ') };
+};
+
+const person = (firstName, lastName, extra = {}) => ({
+  name: `${firstName || ''} ${lastName || ''}`.trim(),
+  first_name: firstName || '',
+  last_name: lastName || '',
+  ...extra
+});
+
+/**
+ * Tables of an event with the people seated at each one
+ * Families are expanded into their members, manual entries keep their name
+ * @param {string} eventId
+ * @returns {Promise<Array<Object>>} Tables sorted by name, each with a people list
+ */
+const getSeatingChart = async (eventId) => {
+  const [tables, assignments, manualGuests, familyRows, guestRows] = await Promise.all([
+    tableAssignments.findTablesByEvent(eventId),
+    tableAssignments.findByEvent(eventId),
+    tableAssignments.findManualGuestsByEvent(eventId),
+    families.findByEvent(eventId),
+    guests.findByEvent(eventId)
+  ]);
+
+  const familiesById = new Map(familyRows.map(family => [family.id, family]));
+  const guestsById = new Map((guestRows || []).map(guest => [guest.id, guest]));
+  const peopleByTable = new Map(tables.map(table => [table.id, []]));
+
+  assignments.forEach(assignment => {
+    const people = peopleByTable.get(assignment.table_id);
+    if (!people) return;
+
+    if (assignment.assignment_type === 'family') {
+      const family = familiesById.get(assignment.family_id);
+      if (!family) return;
+      const members = (family.members || []).filter(Boolean);
+      (members.length > 0 ? members : [family.name]).forEach(member => {
+        const { first_name: firstName, last_name: lastName } = splitName(member);
+        people.push(person(firstName, lastName, { family: family.name, seat_number: null }));
+      });
+    } else if (assignment.assignment_type === 'guest') {
+      const guest = guestsById.get(assignment.guest_id);
+      if (guest) {
+        people.push(person(guest.first_name, guest.last_name, { seat_number: assignment.seat_number }));
+      }
+    } else if (assignment.manual_guest_name) {
+      const { first_name: firstName, last_name: lastName } = splitName(assignment.manual_guest_name);
+      people.push(person(firstName, lastName, { seat_number: assignment.seat_number }));
+      // Unnamed companions of a manual entry
+      for (let index = 1; index < (assignment.manual_guest_count || 1); index++) {
+        people.push(person(firstName, lastName, { seat_number: null, companion: true }));
+      }
+    }
+  });
+
+  manualGuests.forEach(manualGuest => {
+    const people = peopleByTable.get(manualGuest.table_id);
+    if (people) {
+      people.push(person(manualGuest.first_name, manualGuest.last_name, { seat_number: manualGuest.seat_number }));
+    }
+  });
+
+  return tables
+    .map(table => ({
+      id: table.id,
+      name: table.name,
+      seats: table.seats,
+      shape: SHAPE_RATIOS[table.table_shape] ? table.table_shape : 'round',
+      position_x: table.position_x || 0,
+      position_y: table.position_y || 0,
+      tags: table.tags,
+      people: peopleByTable.get(table.id)
+        .sort((a, b) => (a.seat_number ?? Infinity) - (b.seat_number ?? Infinity) || compareNames(a.last_name, b.last_name))
+    }))
+    .sort((a, b) => compareNames(a.name, b.name));
+};
+
+/**
+ * Geometry of the floor plan in editor units: table boxes and guest name blocks
+ * Tables never moved in the editor (all at the same position) are laid out on a grid
+ */
+const computePlanLayout = (tables, { showGuests = true } = {}) => {
+  const items = tables.map(table => {
+    const radius = 30 + table.seats * 3;
+    const [ratioX, ratioY] = SHAPE_RATIOS[table.shape];
+    const names = showGuests ? table.people.filter(p => !p.companion).map(p => p.name) : [];
+    const shown = names.slice(0, MAX_NAMES_PER_TABLE);
+    const hidden = table.people.length - shown.length;
+
+    return {
+      table,
+      width: radius * 2 * ratioX,
+      height: radius * 2 * ratioY,
+      names: shown,
+      hidden: showGuests ? hidden : 0,
+      namesHeight: showGuests ? (shown.length + (hidden > 0 ? 1 : 0)) * NAME_LINE_HEIGHT : 0
+    };
+  });
+
+  const positioned = new Set(tables.map(table => `${table.position_x}:${table.position_y}`)).size > 1 || tables.length === 1;
+  if (positioned) {
+    items.forEach(item => {
+      item.cx = item.table.position_x;
+      item.cy = item.table.position_y;
+    });
+  } else {
+    const columns = Math.ceil(Math.sqrt(items.length));
+    const cellWidth = Math.max(...items.map(item => item.width), 120) + GRID_GAP;
+    const cellHeight = Math.max(...items.map(item => item.height + item.namesHeight), 80) + GRID_GAP;
+    items.forEach((item, index) => {
+      item.cx = (index % columns) * cellWidth;
+      item.cy = Math.floor(index / columns) * cellHeight;
+    });
+  }
+
+  const margin = 20;
+  const bounds = items.reduce((box, item) => ({
+    minX: Math.min(box.minX, item.cx - Math.max(item.width, 120) / 2),
+    minY: Math.min(box.minY, item.cy - item.height / 2),
+    maxX: Math.max(box.maxX, item.cx + Math.max(item.width, 120) / 2),
+    maxY: Math.max(box.maxY, item.cy + item.height / 2 + 6 + item.namesHeight)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+  return {
+    items,
+    bounds: items.length > 0
+      ? { x: bounds.minX - margin, y: bounds.minY - margin, width: bounds.maxX - bounds.minX + margin * 2, height: bounds.maxY - bounds.minY + margin * 2 }
+      : { x: 0, y: 0, width: 400, height: 300 }
+  };
+};
+
+/**
+ * Floor plan as a standalone SVG document
+ */
+const renderFloorPlanSvg = ({ event, tables, showGuests = true, locale = 'fr' }) => {
+  const labels = LABELS[locale] || LABELS.fr;
+  const { items, bounds } = computePlanLayout(tables, { showGuests });
+  const titleHeight = 40;
+  const viewBox = [bounds.x, bounds.y - titleHeight, bounds.width, bounds.height + titleHeight].map(value => Math.round(value)).join(' ');
+
+  const shapes = items.map(item => {
+    const { table, cx, cy, width, height } = item;
+    const shape = table.shape === 'round' || table.shape === 'oval'
+      ? `<ellipse cx="${cx}" cy="${cy}" rx="${width / 2}" ry="${height / 2}" />`
+      : `<rect x="${cx - width / 2}" y="${cy - height / 2}" width="${width}" height="${height}" rx="4" />`;
+    const nameTop = cy + height / 2 + 6 + NAME_LINE_HEIGHT - 2;
+    const names = item.names.map((name, index) =>
+      `<text class="guest" x="${cx}" y="${nameTop + index * NAME_LINE_HEIGHT}">${escapeXml(name)}</text>`);
+    if (item.hidden > 0) {
+      names.push(`<text class="guest more" x="${cx}" y="${nameTop + item.names.length * NAME_LINE_HEIGHT}">${escapeXml(labels.more(item.hidden))}</text>`);
+    }
+
+    return [
+      `<g class="table" data-table-id="${escapeXml(table.id)}">`,
+      `<g class="shape">${shape}</g>`,
+      `<text class="table-name" x="${cx}" y="${cy - 2}">${escapeXml(table.name)}</text>`,
+      `<text class="table-seats" x="${cx}" y="${cy + 12}">${escapeXml(labels.seats(table.people.length, table.seats))}</text>`,
+      ...names,
+      '</g>'
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}" font-family="Helvetica, Arial, sans-serif">`,
+    '<style>',
+    '.shape ellipse, .shape rect { fill: #ffffff; stroke: #333333; stroke-width: 1.5; }',
+    'text { text-anchor: middle; fill: #222222; }',
+    '.title { font-size: 20px; font-weight: bold; }',
+    '.table-name { font-size: 12px; font-weight: bold; }',
+    '.table-seats { font-size: 9px; fill: #777777; }',
+    '.guest { font-size: 9px; }',
+    '.more { fill: #777777; font-style: italic; }',
+    '</style>',
+    `<rect x="${bounds.x}" y="${bounds.y - titleHeight}" width="${bounds.width}" height="${bounds.height + titleHeight}" fill="#ffffff" />`,
+    `<text class="title" x="${bounds.x + bounds.width / 2}" y="${bounds.y - titleHeight / 2 + 7}">${escapeXml(`${labels.floorPlan} - ${event.title || ''}`)}</text>`,
+    ...shapes,
+    '</svg>'
+  ].join('\n');
+};
+
+/**
+ * Collect a PDFKit document into a buffer
+ */
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+/**
+ * Floor plan as PDF: the plan scaled to one page, then one list per table for the venue and caterer
+ */
+const renderFloorPlanPdf = ({ event, tables, paperSize = 'A4', showGuests = true, locale = 'fr' }) => {
+  const labels = LABELS[locale] || LABELS.fr;
+  const [widthMm, heightMm] = CHART_PAPER_SIZES[paperSize] || CHART_PAPER_SIZES.A4;
+  const pageWidth = mmToPt(widthMm);
+  const pageHeight = mmToPt(heightMm);
+  const margin = mmToPt(12);
+  const titleHeight = 28;
+
+  const doc = new PDFDocument({
+    size: [pageWidth, pageHeight],
+    margin,
+    info: { Title: `${labels.floorPlan} - ${event.title || ''}` }
+  });
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#222222')
+    .text(`${labels.floorPlan} - ${event.title || ''}`, margin, margin, { width: pageWidth - margin * 2, align: 'center' });
+
+  const { items, bounds } = computePlanLayout(tables, { showGuests });
+  const areaWidth = pageWidth - margin * 2;
+  const areaHeight = pageHeight - margin * 2 - titleHeight;
+  const scale = Math.min(areaWidth / bounds.width, areaHeight / bounds.height, 1.5);
+  const offsetX = margin + (areaWidth - bounds.width * scale) / 2;
+  const offsetY = margin + titleHeight + (areaHeight - bounds.height * scale) / 2;
+  const toX = (x) => offsetX + (x - bounds.x) * scale;
+  const toY = (y) => offsetY + (y - bounds.y) * scale;
+  const fontSize = (size) => Math.max(size * scale, 4);
+
+  items.forEach(item => {
+    const { table } = item;
+    const cx = toX(item.cx);
+    const cy = toY(item.cy);
+    const width = item.width * scale;
+    const height = item.height * scale;
+    const labelWidth = Math.max(width, 120 * scale);
+
+    doc.save().lineWidth(1).strokeColor('#333333').fillColor('#ffffff');
+    if (table.shape === 'round' || table.shape === 'oval') {
+      doc.ellipse(cx, cy, width / 2, height / 2).fillAndStroke();
+    } else {
+      doc.roundedRect(cx - width / 2, cy - height / 2, width, height, 3).fillAndStroke();
+    }
+    doc.restore();
+
+    doc.font('Helvetica-Bold').fontSize(fontSize(12)).fillColor('#222222')
+      .text(table.name, cx - width / 2, cy - fontSize(12), { width, align: 'center', lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(fontSize(9)).fillColor('#777777')
+      .text(labels.seats(table.people.length, table.seats), cx - width / 2, cy + 2 * scale, { width, align: 'center', lineBreak: false });
+
+    let nameY = cy + height / 2 + 6 * scale;
+    doc.fillColor('#222222').fontSize(fontSize(9));
+    item.names.forEach(name => {
+      doc.text(name, cx - labelWidth / 2, nameY, { width: labelWidth, align: 'center', lineBreak: false, ellipsis: true });
+      nameY += NAME_LINE_HEIGHT * scale;
+    });
+    if (item.hidden > 0) {
+      doc.fillColor('#777777').text(labels.more(item.hidden), cx - labelWidth / 2, nameY, { width: labelWidth, align: 'center', lineBreak: false });
+    }
+  });
+
+  // Table lists (full names, seat numbers)
+  if (tables.length > 0) {
+    doc.addPage({ size: [pageWidth, pageHeight], margin });
+    const columns = 3;
+    const columnWidth = (pageWidth - margin * 2) / columns;
+    let column = 0;
+    let y = margin;
+
+    tables.forEach(table => {
+      const blockHeight = 18 + table.people.length * 11 + 10;
+      if (y + Math.min(blockHeight, 60) > pageHeight - margin) {
+        column += 1;
+        y = margin;
+        if (column >= columns) {
+          doc.addPage({ size: [pageWidth, pageHeight], margin });
+          column = 0;
+        }
+      }
+
+      const x = margin + column * columnWidth;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#222222')
+        .text(`${table.name} (${labels.seats(table.people.length, table.seats)})`, x, y, { width: columnWidth - 10, lineBreak: false, ellipsis: true });
+      y += 16;
+
+      doc.font('Helvetica').fontSize(8.5);
+      table.people.forEach(p => {
+        if (y > pageHeight - margin - 11) {
+          column += 1;
+          y = margin;
+          if (column >= columns) {
+            doc.addPage({ size: [pageWidth, pageHeight], margin });
+            column = 0;
+          }
+        }
+        const seat = p.seat_number ? `${p.seat_number}. ` : '- ';
+        doc.text(`${seat}${p.name}`, margin + column * columnWidth, y, { width: columnWidth - 10, lineBreak: false, ellipsis: true });
+        y += 11;
+      });
+      y += 10;
+    });
+  }
+
+  return toBuffer(doc);
+};
+
+/**
+ * Every seated person with the name of their table, sorted by last name
+ */
+const getEscortList = (tables) => tables
+  .flatMap(table => table.people
+    .filter(p => !p.companion)
+    .map(p => ({ name: p.name, first_name: p.first_name, last_name: p.last_name, family: p.family || null, table_id: table.id, table: table.name })))
+  .sort((a, b) =>
+    compareNames(a.last_name || a.first_name, b.last_name || b.first_name) ||
+    compareNames(a.first_name, b.first_name));
+
+/**
+ * "Find your table" list as PDF: two columns, grouped by initial
+ */
+const renderEscortListPdf = ({ event, entries, locale = 'fr' }) => {
+  const labels = LABELS[locale] || LABELS.fr;
+  const margin = mmToPt(15);
+  const doc = new PDFDocument({ size: 'A4', margin, info: { Title: `${labels.findYourTable} - ${event.title || ''}` } });
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+  const columnGap = 20;
+  const columnWidth = (pageWidth - margin * 2 - columnGap) / 2;
+  const top = margin + 40;
+  let column = 0;
+  let y = top;
+  let initial = null;
+
+  const header = () => {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#222222')
+      .text(labels.findYourTable, margin, margin, { width: pageWidth - margin * 2, align: 'center' });
+  };
+
+  const nextLine = (height) => {
+    if (y + height <= pageHeight - margin) return;
+    column += 1;
+    y = top;
+    if (column > 1) {
+      doc.addPage();
+      header();
+      column = 0;
+    }
+  };
+
+  header();
+  entries.forEach(entry => {
+    const entryInitial = (entry.last_name || entry.first_name || '#').charAt(0).toUpperCase();
+
+    if (entryInitial !== initial) {
+      nextLine(30);
+      initial = entryInitial;
+      doc.font('Helvetica-Bold').fontSize(12).fillColor('#8B6F47')
+        .text(initial, margin + column * (columnWidth + columnGap), y + 4, { width: columnWidth });
+      y += 20;
+    }
+
+    nextLine(13);
+    const lineX = margin + column * (columnWidth + columnGap);
+    doc.font('Helvetica').fontSize(9.5).fillColor('#222222')
+      .text(entry.name, lineX, y, { width: columnWidth * 0.65, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica-Bold')
+      .text(entry.table, lineX + columnWidth * 0.65, y, { width: columnWidth * 0.35, align: 'right', lineBreak: false, ellipsis: true });
+    y += 13;
+  });
+
+  return toBuffer(doc);
+};
+
+/**
+ * Place cards on A4 sheets
+ * Flat cards (85 x 55 mm, 10 per sheet) or folded tent cards (85 x 110 mm, 4 per sheet, name on both sides)
+ */
+const renderPlaceCardsPdf = ({ event, entries, fold = false, locale = 'fr' }) => {
+  const labels = LABELS[locale] || LABELS.fr;
+  const cardWidth = mmToPt(85);
+  const faceHeight = mmToPt(55);
+  const cardHeight = fold ? faceHeight * 2 : faceHeight;
+  const columns = 2;
+  const rows = fold ? 2 : 5;
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, info: { Title: `${event.title || ''} - Place cards` } });
+  const pageWidth = mmToPt(210);
+  const pageHeight = mmToPt(297);
+  const offsetX = (pageWidth - cardWidth * columns) / 2;
+  const offsetY = (pageHeight - cardHeight * rows) / 2;
+
+  const drawFace = (entry, x, y) => {
+    doc.font('Times-Italic').fontSize(8).fillColor('#8B6F47')
+      .text(event.title || '', x + 10, y + 10, { width: cardWidth - 20, align: 'center', lineBreak: false, ellipsis: true });
+    doc.font('Times-Bold').fontSize(entry.name.length > 24 ? 15 : 19).fillColor('#222222')
+      .text(entry.name, x + 10, y + faceHeight / 2 - 14, { width: cardWidth - 20, align: 'center', lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`${labels.table} : ${entry.table}`, x + 10, y + faceHeight - 24, { width: cardWidth - 20, align: 'center', lineBreak: false, ellipsis: true });
+  };
+
+  entries.forEach((entry, index) => {
+    const slot = index % (columns * rows);
+    if (slot === 0) doc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+
+    const x = offsetX + (slot % columns) * cardWidth;
+    const y = offsetY + Math.floor(slot / columns) * cardHeight;
+    drawCutGuides(doc, x, y, cardWidth, cardHeight);
+
+    if (fold) {
+      // Back face is upside down so the name reads from both sides of the folded card
+      doc.save().rotate(180, { origin: [x + cardWidth / 2, y + faceHeight / 2] });
+      drawFace(entry, x, y);
+      doc.restore();
+      doc.save().dash(2, { space: 2 }).lineWidth(0.25).strokeColor('#bbbbbb')
+        .moveTo(x, y + faceHeight).lineTo(x + cardWidth, y + faceHeight).stroke().undash().restore();
+      drawFace(entry, x, y + faceHeight);
+    } else {
+      drawFace(entry, x, y);
+    }
+  });
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  CHART_FORMATS,
+  CHART_PAPER_SIZES,
+  getSeatingChart,
+  computePlanLayout,
+  renderFloorPlanSvg,
+  renderFloorPlanPdf,
+  getEscortList,
+  renderEscortListPdf,
+  renderPlaceCardsPdf
+};
@@ -0,0 +1,562 @@
+/**
+ * Service de placement automatique des invités (plan de table)
+ * - Unités placées : familles entières (jamais séparées) et invités sans famille
+ * - Contraintes dures : capacité des tables, "doit être avec" / "ne doit pas être avec" (strength = hard)
+ * - Contraintes souples : les mêmes en strength = soft, et les étiquettes de tables (enfants, VIP, ...)
+ * - Glouton (plus grands groupes d'abord) puis amélioration locale par déplacements et échanges
+ * - Déterministe : l'aperçu (dry-run) et l'application produisent le même plan
+ */
+
+const {
+  families,
+  guests,
+  familyInvitations,
+  familyRsvp,
+  tableAssignments,
+  seatingConstraints
+} = require('../utils/database');
+
+const CONSTRAINT_TYPES = {
+  TOGETHER: 'together',
+  APART: 'apart'
+};
+
+const CONSTRAINT_STRENGTHS = {
+  HARD: 'hard',
+  SOFT: 'soft'
+};
+
+const SUBJECT_TYPES = ['guest', 'family'];
+
+const ASSIGN_MODES = {
+  FILL: 'fill', // Keep current assignments, seat everyone else
+  RESET: 'reset' // Re-plan every guest and family (manual guests stay)
+};
+
+const VIOLATION_TYPES = {
+  TOGETHER_BROKEN: 'soft_together_broken',
+  APART_BROKEN: 'soft_apart_broken',
+  TAG_UNMET: 'tag_unmet', // Tagged unit not seated at a table with its tag
+  TABLE_TAG_MISMATCH: 'table_tag_mismatch' // Untagged unit seated at a tagged table
+};
+
+const CONFLICT_TYPES = {
+  CONTRADICTORY_CONSTRAINTS: 'contradictory_constraints',
+  FIXED_TABLES_CONFLICT: 'fixed_tables_conflict',
+  SAME_UNIT_APART: 'same_unit_apart'
+};
+
+const UNPLACED_REASONS = {
+  GROUP_TOO_LARGE: 'group_too_large',
+  NO_CAPACITY: 'no_capacity',
+  HARD_CONSTRAINT: 'hard_constraint'
+};
+
+// Penalty weights used for the score
+const WEIGHTS = {
+  SOFT_CONSTRAINT: 10,
+  TAG: 4,
+  UNPLACED_SEAT: 25
+};
+
+const MAX_IMPROVEMENT_PASSES = 10;
+
+const unitKey = (type, id) => `${type}:${id}`;
+
+const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'fr', { numeric: true });
+
+/**
+ * Load tables, units (families and individual guests) and constraints of an event
+ * Families whose members all declined and declined guests are not seated
+ * @param {string} eventId
+ * @param {string} mode - ASSIGN_MODES value
+ */
+const loadSeatingProblem = async (eventId, mode = ASSIGN_MODES.FILL) => {
+  const [tableRows, assignments, familyRows, guestRows, constraintRows, invitations] = await Promise.all([
+    tableAssignments.findTablesByEvent(eventId),
+    tableAssignments.findByEvent(eventId),
+    families.findByEvent(eventId),
+    guests.findByEvent(eventId),
+    seatingConstraints.findByEvent(eventId),
+    familyInvitations.findByEvent(eventId)
+  ]);
+
+  const responses = await familyRsvp.findByInvitations((invitations || []).map(invitation => invitation.id));
+  const responsesByFamily = new Map();
+  (invitations || []).forEach(invitation => {
+    responsesByFamily.set(invitation.family_id, responses.filter(response => response.family_invitation_id === invitation.id));
+  });
+
+  const declinedFamilyIds = new Set(
+    [...responsesByFamily.entries()]
+      .filter(([, familyResponses]) => familyResponses.length > 0 && familyResponses.every(response => response.will_attend === false))
+      .map(([familyId]) => familyId)
+  );
+
+  const units = [
+    ...familyRows
+      .filter(family => !declinedFamilyIds.has(family.id))
+      .map(family => ({
+        key: unitKey('family', family.id),
+        type: 'family',
+        id: family.id,
+        name: family.name,
+        size: Math.max(1, family.members?.length || 1), // Same count as the seating tables occupancy
+        tags: family.seating_tags || []
+      })),
+    ...(guestRows || [])
+      .filter(guest => !guest.family_id && guest.rsvp_status !== 'declined')
+      .map(guest => ({
+        key: unitKey('guest', guest.id),
+        type: 'guest',
+        id: guest.id,
+        name: `${guest.first_name || ''} ${guest.last_name || ''}`.trim(),
+        size: 1,
+        tags: guest.seating_tags || []
+      }))
+  ];
+
+  const unitsByKey = new Map(units.map(unit => [unit.key, unit]));
+  const tables = tableRows.map(table => ({
+    id: table.id,
+    name: table.name,
+    seats: table.seats,
+    tags: table.tags || [],
+    base_occupied: table.manual_guest_count || 0
+  }));
+  const tablesById = new Map(tables.map(table => [table.id, table]));
+
+  assignments.forEach(assignment => {
+    const table = tablesById.get(assignment.table_id);
+    if (!table) return;
+
+    if (assignment.assignment_type === 'manual') {
+      table.base_occupied += Math.max(1, assignment.manual_guest_count || 1);
+      return;
+    }
+
+    if (mode === ASSIGN_MODES.RESET) return;
+
+    const key = assignment.assignment_type === 'family'
+      ? unitKey('family', assignment.family_id)
+      : unitKey('guest', assignment.guest_id);
+    const unit = unitsByKey.get(key);
+
+    if (unit) {
+      unit.fixed_table_id = assignment.table_id;
+    } else if (assignment.assignment_type === 'family') {
+      // Seated family that is not planned anymore (declined): still takes its seats
+      const family = familyRows.find(row => row.id === assignment.family_id);
+      table.base_occupied += Math.max(1, family?.members?.length || 1);
+    } else {
+      table.base_occupied += 1;
+    }
+  });
+
+  // Guests belonging to a family are seated with it
+  const guestFamily = new Map(
+    (guestRows || []).filter(guest => guest.family_id).map(guest => [guest.id, guest.family_id])
+  );
+  const resolveSubject = (type, id) => (
+    type === 'guest' && guestFamily.has(id) ? unitKey('family', guestFamily.get(id)) : unitKey(type, id)
+  );
+
+  const constraints = [];
+  let ignoredConstraints = 0;
+  constraintRows.forEach(row => {
+    const a = resolveSubject(row.subject_a_type, row.subject_a_id);
+    const b = resolveSubject(row.subject_b_type, row.subject_b_id);
+
+    if (!unitsByKey.has(a) || !unitsByKey.has(b)) {
+      ignoredConstraints += 1; // Subject deleted or not attending
+      return;
+    }
+
+    constraints.push({ id: row.id, type: row.constraint_type, strength: row.strength, a, b, note: row.note || null });
+  });
+
+  return { tables, units, constraints, ignoredConstraints };
+};
+
+/**
+ * Compute a seating plan
+ * @param {Object} problem
+ * @param {Array<Object>} problem.tables - { id, name, seats, tags, base_occupied }
+ * @param {Array<Object>} problem.units - { key, type, id, name, size, tags, fixed_table_id }
+ * @param {Array<Object>} problem.constraints - { id, type, strength, a, b } (a / b are unit keys)
+ * @returns {Object} { tables, assignments, unplaced, violations, conflicts, score, summary }
+ */
+const solveSeating = ({ tables, units, constraints }) => {
+  const unitsByKey = new Map(units.map(unit => [unit.key, unit]));
+  const tablesById = new Map(tables.map(table => [table.id, table]));
+  const orderedTables = [...tables].sort(byName);
+  const tableTagUniverse = new Set(tables.flatMap(table => table.tags));
+  const used = new Map(tables.map(table => [table.id, table.base_occupied || 0]));
+  const placement = new Map(); // unit key -> table id
+  const conflicts = [];
+
+  const links = new Map(units.map(unit => [unit.key, []]));
+  constraints.forEach(constraint => {
+    if (constraint.a === constraint.b) {
+      if (constraint.type === CONSTRAINT_TYPES.APART) {
+        conflicts.push({ type: CONFLICT_TYPES.SAME_UNIT_APART, constraint_ids: [constraint.id], units: [constraint.a] });
+      }
+      return;
+    }
+    links.get(constraint.a).push(constraint);
+    links.get(constraint.b).push(constraint);
+  });
+  const partnerOf = (constraint, key) => (constraint.a === key ? constraint.b : constraint.a);
+  const isHard = (constraint) => constraint.strength === CONSTRAINT_STRENGTHS.HARD;
+
+  // Hard "together" constraints merge units into groups seated at the same table
+  const parent = new Map(units.map(unit => [unit.key, unit.key]));
+  const findRoot = (key) => {
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(key, root);
+    return root;
+  };
+  constraints
+    .filter(constraint => isHard(constraint) && constraint.type === CONSTRAINT_TYPES.TOGETHER && constraint.a !== constraint.b)
+    .forEach(constraint => parent.set(findRoot(constraint.a), findRoot(constraint.b)));
+
+  const membersByRoot = new Map();
+  units.forEach(unit => {
+    const root = findRoot(unit.key);
+    if (!membersByRoot.has(root)) membersByRoot.set(root, []);
+    membersByRoot.get(root).push(unit.key);
+  });
+
+  const makeGroup = (keys) => {
+    const fixedKeys = keys.filter(key => unitsByKey.get(key).fixed_table_id);
+    const freeKeys = keys.filter(key => !unitsByKey.get(key).fixed_table_id);
+    return {
+      keys: freeKeys,
+      keySet: new Set(freeKeys),
+      size: freeKeys.reduce((sum, key) => sum + unitsByKey.get(key).size, 0),
+      fixedTableId: fixedKeys.length > 0 ? unitsByKey.get(fixedKeys[0]).fixed_table_id : null,
+      linkCount: keys.reduce((sum, key) => sum + links.get(key).length, 0),
+      name: unitsByKey.get(keys[0]).name
+    };
+  };
+
+  const groups = [];
+  membersByRoot.forEach(keys => {
+    const keySet = new Set(keys);
+    const apartInside = constraints.filter(constraint =>
+      isHard(constraint) && constraint.type === CONSTRAINT_TYPES.APART &&
+      keySet.has(constraint.a) && keySet.has(constraint.b));
+    const fixedTables = new Set(keys.map(key => unitsByKey.get(key).fixed_table_id).filter(Boolean));
+
+    if (apartInside.length > 0 || fixedTables.size > 1) {
+      conflicts.push({
+        type: apartInside.length > 0 ? CONFLICT_TYPES.CONTRADICTORY_CONSTRAINTS : CONFLICT_TYPES.FIXED_TABLES_CONFLICT,
+        constraint_ids: apartInside.map(constraint => constraint.id),
+        units: keys
+      });
+      keys.forEach(key => groups.push(makeGroup([key])));
+      return;
+    }
+
+    groups.push(makeGroup(keys));
+  });
+
+  // Current seats are kept as they are, even above capacity
+  units.filter(unit => unit.fixed_table_id && tablesById.has(unit.fixed_table_id)).forEach(unit => {
+    placement.set(unit.key, unit.fixed_table_id);
+    used.set(unit.fixed_table_id, used.get(unit.fixed_table_id) + unit.size);
+  });
+
+  const groupTable = (group) => placement.get(group.keys[0]);
+
+  const tagPenalty = (unit, table) => {
+    const wanted = unit.tags.filter(tag => tableTagUniverse.has(tag));
+    if (wanted.length > 0) {
+      return wanted.some(tag => table.tags.includes(tag)) ? 0 : WEIGHTS.TAG;
+    }
+    return table.tags.length > 0 ? WEIGHTS.TAG : 0;
+  };
+
+  // Soft cost of seating a group at a table, the rest of the plan unchanged
+  const groupCost = (group, tableId, ignoredKeys = null) => {
+    const table = tablesById.get(tableId);
+    let cost = 0;
+
+    group.keys.forEach(key => {
+      cost += tagPenalty(unitsByKey.get(key), table);
+
+      links.get(key).forEach(constraint => {
+        if (isHard(constraint)) return;
+        const other = partnerOf(constraint, key);
+        if (group.keySet.has(other) || (ignoredKeys && ignoredKeys.has(other))) return;
+
+        const otherTable = placement.get(other);
+        if (constraint.type === CONSTRAINT_TYPES.TOGETHER && otherTable !== tableId) cost += WEIGHTS.SOFT_CONSTRAINT;
+        if (constraint.type === CONSTRAINT_TYPES.APART && otherTable === tableId) cost += WEIGHTS.SOFT_CONSTRAINT;
+      });
+    });
+
+    return cost;
+  };
+
+  const hasHardApart = (group, tableId, ignoredKeys = null) => group.keys.some(key =>
+    links.get(key).some(constraint => {
+      if (!isHard(constraint) || constraint.type !== CONSTRAINT_TYPES.APART) return false;
+      const other = partnerOf(constraint, key);
+      return !(ignoredKeys && ignoredKeys.has(other)) && placement.get(other) === tableId;
+    }));
+
+  // Hard "together" partners already seated (fixed) pin the group to their table
+  const pinnedTable = (group) => {
+    for (const key of group.keys) {
+      for (const constraint of links.get(key)) {
+        if (!isHard(constraint) || constraint.type !== CONSTRAINT_TYPES.TOGETHER) continue;
+        const other = partnerOf(constraint, key);
+        if (!group.keySet.has(other) && unitsByKey.get(other).fixed_table_id) return unitsByKey.get(other).fixed_table_id;
+      }
+    }
+    return group.fixedTableId;
+  };
+
+  const canHost = (group, tableId, freedSeats = 0, ignoredKeys = null) => {
+    const table = tablesById.get(tableId);
+    const currentSeats = groupTable(group) === tableId ? group.size : 0;
+    return used.get(tableId) - currentSeats - freedSeats + group.size <= table.seats &&
+      !hasHardApart(group, tableId, ignoredKeys);
+  };
+
+  const seat = (group, tableId) => {
+    const current = groupTable(group);
+    if (current) used.set(current, used.get(current) - group.size);
+    group.keys.forEach(key => placement.set(key, tableId));
+    used.set(tableId, used.get(tableId) + group.size);
+  };
+
+  const candidateTables = (group) => {
+    const pinned = pinnedTable(group);
+    return pinned ? orderedTables.filter(table => table.id === pinned) : orderedTables;
+  };
+
+  const bestTable = (group) => {
+    let best = null;
+    candidateTables(group).forEach(table => {
+      if (!canHost(group, table.id)) return;
+      const cost = groupCost(group, table.id);
+      const remaining = table.seats - used.get(table.id) - group.size;
+      // Lowest soft cost first, then the tightest fit to keep whole tables free for big families
+      if (!best || cost < best.cost || (cost === best.cost && remaining < best.remaining)) {
+        best = { tableId: table.id, cost, remaining };
+      }
+    });
+    return best;
+  };
+
+  const movableGroups = groups
+    .filter(group => group.keys.length > 0)
+    .sort((a, b) =>
+      (b.fixedTableId ? 1 : 0) - (a.fixedTableId ? 1 : 0) ||
+      b.size - a.size ||
+      b.linkCount - a.linkCount ||
+      byName(a, b));
+
+  // 1. Greedy placement
+  movableGroups.forEach(group => {
+    const best = bestTable(group);
+    if (best) seat(group, best.tableId);
+  });
+
+  // 2. Local improvement: move or swap groups while the soft cost decreases
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+
+    movableGroups.forEach(group => {
+      const current = groupTable(group);
+      if (!current) {
+        const best = bestTable(group);
+        if (best) {
+          seat(group, best.tableId);
+          improved = true;
+        }
+        return;
+      }
+
+      if (pinnedTable(group)) return;
+
+      const currentCost = groupCost(group, current);
+      if (currentCost === 0) return;
+
+      const best = bestTable(group);
+      if (best && best.tableId !== current && best.cost < currentCost) {
+        seat(group, best.tableId);
+        improved = true;
+        return;
+      }
+
+      // Swap with a group of another table when neither move alone fits
+      for (const other of movableGroups) {
+        const otherTable = groupTable(other);
+        if (other === group || !otherTable || otherTable === current || pinnedTable(other)) continue;
+        if (other.keys.some(key => links.get(key).some(constraint => group.keySet.has(partnerOf(constraint, key))))) continue;
+
+        const ignoreOther = other.keySet;
+        const ignoreGroup = group.keySet;
+        if (!canHost(group, otherTable, other.size, ignoreOther) || !canHost(other, current, group.size, ignoreGroup)) continue;
+
+        const before = currentCost + groupCost(other, otherTable);
+        const after = groupCost(group, otherTable, ignoreOther) + groupCost(other, current, ignoreGroup);
+        if (after < before) {
+          group.keys.forEach(key => placement.delete(key));
+          other.keys.forEach(key => placement.delete(key));
+          used.set(current, used.get(current) - group.size + other.size);
+          used.set(otherTable, used.get(otherTable) - other.size + group.size);
+          group.keys.forEach(key => placement.set(key, otherTable));
+          other.keys.forEach(key => placement.set(key, current));
+          improved = true;
+          break;
+        }
+      }
+    });
+
+    if (!improved) break;
+  }
+
+  // 3. Report
+  const unitSummary = (key) => {
+    const unit = unitsByKey.get(key);
+    return { type: unit.type, id: unit.id, name: unit.name, size: unit.size };
+  };
+
+  const maxSeats = Math.max(0, ...tables.map(table => table.seats));
+  const unplaced = [];
+  movableGroups.filter(group => !groupTable(group)).forEach(group => {
+    let reason = UNPLACED_REASONS.NO_CAPACITY;
+    if (group.size > maxSeats) {
+      reason = UNPLACED_REASONS.GROUP_TOO_LARGE;
+    } else if (candidateTables(group).some(table => used.get(table.id) + group.size <= table.seats)) {
+      reason = UNPLACED_REASONS.HARD_CONSTRAINT;
+    }
+    group.keys.forEach(key => unplaced.push({ ...unitSummary(key), reason, group_size: group.size }));
+  });
+
+  const violations = [];
+  let penalty = unplaced.reduce((sum, unit) => sum + unit.size * WEIGHTS.UNPLACED_SEAT, 0);
+
+  units.forEach(unit => {
+    const tableId = placement.get(unit.key);
+    if (!tableId) return;
+    const table = tablesById.get(tableId);
+    const cost = tagPenalty(unit, table);
+    if (cost === 0) return;
+
+    penalty += cost;
+    const wanted = unit.tags.filter(tag => tableTagUniverse.has(tag));
+    violations.push({
+      type: wanted.length > 0 ? VIOLATION_TYPES.TAG_UNMET : VIOLATION_TYPES.TABLE_TAG_MISMATCH,
+      units: [unitSummary(unit.key)],
+      table_id: tableId,
+      tags: wanted.length > 0 ? wanted : table.tags,
+      weight: cost
+    });
+  });
+
+  const softConstraints = constraints.filter(constraint => !isHard(constraint) && constraint.a !== constraint.b);
+  softConstraints.forEach(constraint => {
+    const tableA = placement.get(constraint.a);
+    const tableB = placement.get(constraint.b);
+    const broken = constraint.type === CONSTRAINT_TYPES.TOGETHER
+      ? (!tableA || tableA !== tableB)
+      : (tableA && tableA === tableB);
+    if (!broken) return;
+
+    penalty += WEIGHTS.SOFT_CONSTRAINT;
+    violations.push({
+      type: constraint.type === CONSTRAINT_TYPES.TOGETHER ? VIOLATION_TYPES.TOGETHER_BROKEN : VIOLATION_TYPES.APART_BROKEN,
+      constraint_id: constraint.id,
+      units: [unitSummary(constraint.a), unitSummary(constraint.b)],
+      table_id: tableA || null,
+      weight: WEIGHTS.SOFT_CONSTRAINT
+    });
+  });
+
+  const freeSeats = movableGroups.reduce((sum, group) => sum + group.size, 0);
+  const worst = softConstraints.length * WEIGHTS.SOFT_CONSTRAINT +
+    units.length * WEIGHTS.TAG +
+    freeSeats * WEIGHTS.UNPLACED_SEAT;
+
+  const assignments = units
+    .filter(unit => !unit.fixed_table_id && placement.has(unit.key))
+    .map(unit => ({ table_id: placement.get(unit.key), type: unit.type, id: unit.id }));
+
+  return {
+    tables: orderedTables.map(table => {
+      const seated = units.filter(unit => placement.get(unit.key) === table.id);
+      return {
+        id: table.id,
+        name: table.name,
+        seats: table.seats,
+        tags: table.tags,
+        occupied: used.get(table.id),
+        remaining: table.seats - used.get(table.id),
+        other_occupied: table.base_occupied || 0, // Manual guests and seated units not planned
+        units: seated.map(unit => ({ ...unitSummary(unit.key), fixed: !!unit.fixed_table_id }))
+      };
+    }),
+    assignments,
+    unplaced,
+    violations,
+    conflicts: conflicts.map(conflict => ({ ...conflict, units: conflict.units.map(unitSummary) })),
+    score: worst > 0 ? Math.max(0, Math.round(100 * (1 - penalty / worst))) : 100,
+    summary: {
+      units: units.length,
+      placed_units: units.filter(unit => placement.has(unit.key)).length,
+      new_assignments: assignments.length,
+      seats_needed: units.reduce((sum, unit) => sum + unit.size, 0),
+      seats_available: tables.reduce((sum, table) => sum + table.seats, 0),
+      soft_constraints: softConstraints.length,
+      hard_constraints: constraints.length - softConstraints.length,
+      penalty
+    }
+  };
+};
+
+/**
+ * Build the auto-assign plan of an event (preview)
+ * @param {string} eventId
+ * @param {string} mode - ASSIGN_MODES value
+ */
+const buildSeatingPlan = async (eventId, mode = ASSIGN_MODES.FILL) => {
+  const problem = await loadSeatingProblem(eventId, mode);
+  const plan = solveSeating(problem);
+
+  return {
+    mode,
+    ...plan,
+    summary: { ...plan.summary, ignored_constraints: problem.ignoredConstraints }
+  };
+};
+
+/**
+ * Write a plan computed by buildSeatingPlan (one transaction)
+ */
+const applySeatingPlan = async ({ eventId, userId, plan }) => tableAssignments.applyPlan({
+  eventId,
+  userId,
+  assignments: plan.assignments,
+  reset: plan.mode === ASSIGN_MODES.RESET
+});
+
+module.exports = {
+  CONSTRAINT_TYPES,
+  CONSTRAINT_STRENGTHS,
+  SUBJECT_TYPES,
+  ASSIGN_MODES,
+  VIOLATION_TYPES,
+  CONFLICT_TYPES,
+  UNPLACED_REASONS,
+  WEIGHTS,
+  loadSeatingProblem,
+  solveSeating,
+  buildSeatingPlan,
+  applySeatingPlan
+};
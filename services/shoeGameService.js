@@ -0,0 +1,106 @@
+/**
+ * Service du jeu de la chaussure ("qui est le plus susceptible de...")
+ * - Les invités votent pour une des options de chaque question (souvent les deux mariés)
+ * - Pas de bonne réponse : les résultats sont les votes agrégés par question
+ * - Le classement est celui des options (nombre de questions remportées), pas des joueurs
+ */
+
+const { games } = require('../utils/database');
+
+const SHOE_GAME_TYPE = 'shoe_game';
+
+const SHOE_GAME_ERRORS = {
+  INVALID_VOTE: 'This answer is not one of the choices of the question'
+};
+
+const isShoeGame = (game) => game.type === SHOE_GAME_TYPE;
+
+const getChoices = (question) => (question.options || []).map(opt => opt.text);
+
+/**
+ * Reject a vote that is not one of the choices of the question
+ */
+const assertValidVote = (question, answer) => {
+  if (!getChoices(question).includes(answer)) {
+    throw Object.assign(new Error(SHOE_GAME_ERRORS.INVALID_VOTE), { code: 'INVALID_VOTE' });
+  }
+};
+
+/**
+ * Votes of one question: every choice with its count and share, and the most voted choice(s)
+ */
+const buildQuestionResults = (question, votesByAnswer) => {
+  const choices = getChoices(question).map(text => ({ text, votes: votesByAnswer.get(text) || 0 }));
+  const totalVotes = choices.reduce((sum, choice) => sum + choice.votes, 0);
+  const maxVotes = Math.max(0, ...choices.map(choice => choice.votes));
+
+  return {
+    question_id: question.id,
+    question: question.question,
+    sort_order: question.sort_order,
+    total_votes: totalVotes,
+    choices: choices.map(choice => ({
+      ...choice,
+      percentage: totalVotes > 0 ? Math.round((choice.votes / totalVotes) * 100) : 0
+    })),
+    // Several winners on a tie, none without votes
+    winners: maxVotes > 0 ? choices.filter(choice => choice.votes === maxVotes).map(choice => choice.text) : []
+  };
+};
+
+/**
+ * Aggregated votes of a shoe game
+ * @param {Object} game - games row
+ * @param {Object[]} questions - Active questions (sort_order), loaded when not given
+ * @returns {Promise<{ questions: Object[], leaderboard: Object[], total_votes: number }>}
+ *   leaderboard ranks the choices by questions won outright, then by votes received
+ */
+const getResults = async (game, questions = null) => {
+  const gameQuestions = questions || await games.findQuestionsByGame(game.id);
+  const counts = await games.getVoteCounts(game.id);
+
+  const votesByQuestion = new Map();
+  for (const row of counts) {
+    if (!votesByQuestion.has(row.question_id)) {
+      votesByQuestion.set(row.question_id, new Map());
+    }
+    votesByQuestion.get(row.question_id).set(row.answer, Number(row.votes));
+  }
+
+  const questionResults = gameQuestions.map(question =>
+    buildQuestionResults(question, votesByQuestion.get(question.id) || new Map()));
+
+  const tally = new Map();
+  for (const result of questionResults) {
+    for (const choice of result.choices) {
+      const entry = tally.get(choice.text) || { name: choice.text, questions_won: 0, ties: 0, votes: 0 };
+      entry.votes += choice.votes;
+      if (result.winners.includes(choice.text)) {
+        if (result.winners.length === 1) {
+          entry.questions_won += 1;
+        } else {
+          entry.ties += 1;
+        }
+      }
+      tally.set(choice.text, entry);
+    }
+  }
+
+  const leaderboard = [...tally.values()]
+    .sort((a, b) => b.questions_won - a.questions_won || b.votes - a.votes)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return {
+    questions: questionResults,
+    leaderboard,
+    total_votes: questionResults.reduce((sum, result) => sum + result.total_votes, 0)
+  };
+};
+
+module.exports = {
+  SHOE_GAME_TYPE,
+  SHOE_GAME_ERRORS,
+  isShoeGame,
+  assertValidVote,
+  getResults
+};
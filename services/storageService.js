@@ -1,4 +1,4 @@
-const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { PutObjectCommand, DeleteObjectCommand, GetObjectCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
 const { r2Client } = require('../config/r2');
 const config = require('../config/config');
 const { v4: uuidv4 } = require('uuid');
@@ -58,6 +58,69 @@ class StorageService {
         return mimetype && mimetype.startsWith('image/');
     }
 
+    /**
+     * Builds the structured folder of a file type (users/{userId}/events/{eventId}/type/category)
+     * @param {string} userId
+     * @param {string} eventId
+     * @param {string} type - File type (avatars, menus, banners, etc.)
+     * @param {string} category - Category (optional, for menus)
+     * @returns {string} Folder key
+     */
+    buildStructuredFolder(userId, eventId, type, category = null) {
+        const pathBuilder = require('./pathBuilder');
+
+        switch (type) {
+            case 'avatars':
+                return pathBuilder.buildAvatarPath(userId);
+            case 'banners':
+                return pathBuilder.buildBannerPath(userId, eventId);
+            case 'covers':
+                return pathBuilder.buildCoverPath(userId, eventId);
+            case 'menus':
+                return pathBuilder.buildMenuPath(userId, eventId, category);
+            case 'programmes':
+                return pathBuilder.buildProgrammePath(userId, eventId);
+            case 'gallery':
+                return pathBuilder.buildGalleryPath(userId, eventId);
+            case 'qr-codes':
+                return pathBuilder.buildQrCodePath(userId, eventId);
+            case 'messages':
+                return pathBuilder.buildMessagePath(userId, eventId);
+            case 'temp':
+                return pathBuilder.buildTempPath(userId);
+            default:
+                throw new Error(`Type de fichier non supporté: ${type}`);
+        }
+    }
+
+    /**
+     * Extracts the key of a file stored in our bucket
+     * @param {string} fileUrlOrKey - The full URL or the key of the file
+     * @returns {string|null} The key, or null when the URL is not one of our public bucket
+     */
+    getOwnFileKey(fileUrlOrKey) {
+        if (!fileUrlOrKey) {
+            return null;
+        }
+
+        if (!fileUrlOrKey.startsWith('http')) {
+            return fileUrlOrKey;
+        }
+
+        try {
+            const urlObj = new URL(fileUrlOrKey);
+            const publicUrlObj = this.publicUrl ? new URL(this.publicUrl) : null;
+
+            if (!publicUrlObj || urlObj.hostname !== publicUrlObj.hostname) {
+                return null;
+            }
+
+            return decodeURIComponent(urlObj.pathname.substring(1)) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
     /**
      * Uploads a file to R2 with structured path
      * @param {Object} file - The file object from multer (buffer, originalname, mimetype)
@@ -95,35 +158,7 @@ class StorageService {
         });
 
         // Construction du chemin structuré
-        let folder;
-        switch (type) {
-            case 'avatars':
-                folder = pathBuilder.buildAvatarPath(userId);
-                break;
-            case 'banners':
-                folder = pathBuilder.buildBannerPath(userId, eventId);
-                break;
-            case 'covers':
-                folder = pathBuilder.buildCoverPath(userId, eventId);
-                break;
-            case 'menus':
-                folder = pathBuilder.buildMenuPath(userId, eventId, category);
-                break;
-            case 'gallery':
-                folder = pathBuilder.buildGalleryPath(userId, eventId);
-                break;
-            case 'qr-codes':
-                folder = pathBuilder.buildQrCodePath(userId, eventId);
-                break;
-            case 'messages':
-                folder = pathBuilder.buildMessagePath(userId, eventId);
-                break;
-            case 'temp':
-                folder = pathBuilder.buildTempPath(userId);
-                break;
-            default:
-                throw new Error(`Type de fichier non supporté: ${type}`);
-        }
+        const folder = this.buildStructuredFolder(userId, eventId, type, category);
 
         const fileName = pathBuilder.generateUniqueFileName(file.originalname, type);
         const key = `${folder}/${fileName}`;
@@ -305,6 +340,83 @@ class StorageService {
         }
     }
 
+    /**
+     * Downloads a file stored in our R2 bucket
+     * Only keys and URLs of our public bucket are accepted, never arbitrary hosts
+     * @param {string} fileUrlOrKey - The full URL or the key of the file
+     * @returns {Promise<Buffer|null>} File content, or null when the file is not ours
+     */
+    async getFile(fileUrlOrKey) {
+        if (!this.isConfigured()) {
+            throw new Error('Storage service not configured. Set R2 environment variables.');
+        }
+
+        const key = this.getOwnFileKey(fileUrlOrKey);
+        if (!key) {
+            return null;
+        }
+
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+        });
+
+        try {
+            const response = await this.client.send(command);
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            console.error('Error downloading file from R2:', error.message);
+            throw new Error(`Failed to download file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copies a file of our bucket to the structured path of another event (event cloning)
+     * Files hosted elsewhere are not copied: the caller keeps their URL
+     * @param {string} fileUrlOrKey - The full URL or the key of the source file
+     * @param {string} userId - Owner of the destination event
+     * @param {string} eventId - Destination event ID
+     * @param {string} type - File type (covers, banners, gallery, etc.)
+     * @param {string} category - Category (optional, for menus)
+     * @returns {Promise<string|null>} The public URL of the copy, or null when the file is not ours
+     */
+    async copyFileStructured(fileUrlOrKey, userId, eventId, type, category = null) {
+        if (!this.isConfigured()) {
+            throw new Error('Storage service not configured. Set R2 environment variables.');
+        }
+
+        const sourceKey = this.getOwnFileKey(fileUrlOrKey);
+        if (!sourceKey) {
+            return null;
+        }
+
+        const pathBuilder = require('./pathBuilder');
+        pathBuilder.validateParams(userId, eventId);
+
+        const folder = this.buildStructuredFolder(userId, eventId, type, category);
+        const key = `${folder}/${pathBuilder.generateUniqueFileName(path.basename(sourceKey), type)}`;
+
+        const command = new CopyObjectCommand({
+            Bucket: this.bucket,
+            CopySource: `${this.bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+            Key: key,
+            MetadataDirective: 'COPY'
+        });
+
+        try {
+            await this.client.send(command);
+            console.log(`File copied successfully in R2: ${sourceKey} -> ${key}`);
+
+            if (process.env.R2_PUBLIC_URL) {
+                return `${process.env.R2_PUBLIC_URL}/${key}`;
+            }
+            return `${this.publicUrl}/${key}`;
+        } catch (error) {
+            console.error('Error copying file in R2:', error);
+            throw new Error(`Failed to copy file: ${error.message}`);
+        }
+    }
+
     /**
      * Deletes a file from R2
      * @param {string} fileUrlOrKey - The full URL or the key of the file to delete
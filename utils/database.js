@@ -12,6 +12,26 @@ const feedbackDb = require('./db/feedback');
 const wishesDb = require('./db/wishes');
 const seatingTablesDb = require('./db/seatingTables');
 const menusDb = require('./db/menus');
+const scannerDevicesDb = require('./db/scannerDevices');
+const rsvpHistoryDb = require('./db/rsvpHistory');
+const notificationSettingsDb = require('./db/notificationSettings');
+const notificationDeliveriesDb = require('./db/notificationDeliveries');
+const reminderCampaignsDb = require('./db/reminderCampaigns');
+const reminderRecipientsDb = require('./db/reminderRecipients');
+const tableAssignmentsDb = require('./db/tableAssignments');
+const invitationDesignsDb = require('./db/invitationDesigns');
+const seatingConstraintsDb = require('./db/seatingConstraints');
+const eventCollaboratorsDb = require('./db/eventCollaborators');
+const scannerCredentialsDb = require('./db/scannerCredentials');
+const eventQrKeysDb = require('./db/eventQrKeys');
+const invitationCodeRedirectsDb = require('./db/invitationCodeRedirects');
+const invitationOpensDb = require('./db/invitationOpens');
+const invitationDesignVersionsDb = require('./db/invitationDesignVersions');
+const invitationTemplatesDb = require('./db/invitationTemplates');
+const budgetItemsDb = require('./db/budgetItems');
+const gameLiveSessionsDb = require('./db/gameLiveSessions');
+const gamePlaySessionsDb = require('./db/gamePlaySessions');
+const gameTeamsDb = require('./db/gameTeams');
 
 
 module.exports = {
@@ -28,5 +48,25 @@ module.exports = {
   feedback: feedbackDb,
   wishes: wishesDb,
   seatingTables: seatingTablesDb,
-  menus: menusDb
+  menus: menusDb,
+  scannerDevices: scannerDevicesDb,
+  rsvpHistory: rsvpHistoryDb,
+  notificationSettings: notificationSettingsDb,
+  notificationDeliveries: notificationDeliveriesDb,
+  reminderCampaigns: reminderCampaignsDb,
+  reminderRecipients: reminderRecipientsDb,
+  tableAssignments: tableAssignmentsDb,
+  invitationDesigns: invitationDesignsDb,
+  seatingConstraints: seatingConstraintsDb,
+  eventCollaborators: eventCollaboratorsDb,
+  scannerCredentials: scannerCredentialsDb,
+  eventQrKeys: eventQrKeysDb,
+  invitationCodeRedirects: invitationCodeRedirectsDb,
+  invitationOpens: invitationOpensDb,
+  invitationDesignVersions: invitationDesignVersionsDb,
+  invitationTemplates: invitationTemplatesDb,
+  budgetItems: budgetItemsDb,
+  gameLiveSessions: gameLiveSessionsDb,
+  gamePlaySessions: gamePlaySessionsDb,
+  gameTeams: gameTeamsDb
 };
\ No newline at end of file
@@ -1,17 +1,19 @@
 /**
  * Opérations atomiques pour prévenir les Race Conditions (TOCTOU)
  * Ces fonctions combinent vérification et modification en une seule opération
+ * Les droits viennent de eventAccessService (propriétaire ou collaborateur selon son rôle)
  */
 
 const { supabaseService } = require('../../config/supabase');
+const { ROLES, PERMISSIONS, authorizeEvent, canAccessEvent, getEventAccess } = require('../../services/eventAccessService');
 
 /**
- * Met à jour un événement uniquement si l'utilisateur est le propriétaire
+ * Met à jour un événement uniquement si l'utilisateur peut le modifier
  * @param {string} eventId - ID de l'événement
  * @param {string} userId - ID de l'utilisateur
  * @param {Object} updateData - Données à mettre à jour
  * @returns {Promise<Object>} - L'événement mis à jour
- * @throws {Error} - Si l'événement n'existe pas ou l'utilisateur n'est pas propriétaire
+ * @throws {Error} - Si l'événement n'existe pas ou l'utilisateur n'a pas le droit de le modifier
  */
 async function updateEventIfOwner(eventId, userId, updateData) {
     // Vérifier que l'eventId et userId sont valides
@@ -19,18 +21,23 @@ async function updateEventIfOwner(eventId, userId, updateData) {
         throw new Error('Event ID and User ID are required');
     }
 
+    const event = await authorizeEvent(eventId, userId, PERMISSIONS.EDIT);
+    if (!event || !event.is_active) {
+        throw new Error('Event not found or you do not have permission to update it');
+    }
+
     // Ajouter updated_at
     const dataToUpdate = {
         ...updateData,
         updated_at: new Date().toISOString()
     };
 
-    // Opération atomique : UPDATE avec condition WHERE
+    // Opération atomique : UPDATE avec condition WHERE (l'organisateur vérifié n'a pas changé)
     const { data, error } = await supabaseService
         .from('events')
         .update(dataToUpdate)
         .eq('id', eventId)
-        .eq('organizer_id', userId)
+        .eq('organizer_id', event.organizer_id)
         .eq('is_active', true)
         .select()
         .single();
@@ -50,7 +57,7 @@ async function updateEventIfOwner(eventId, userId, updateData) {
 }
 
 /**
- * Supprime (soft delete) un événement uniquement si l'utilisateur est le propriétaire
+ * Supprime (soft delete) un événement uniquement si l'utilisateur en est propriétaire
  * @param {string} eventId - ID de l'événement
  * @param {string} userId - ID de l'utilisateur
  * @returns {Promise<Object>} - L'événement supprimé
@@ -83,15 +90,13 @@ async function softDeleteEventIfOwner(eventId, userId) {
     const existingEvent = existingEvents[0];
     console.log('[softDeleteEventIfOwner] Found event:', existingEvent);
 
-    // Compare as strings to handle different UUID formats
-    const eventOrganizerId = String(existingEvent.organizer_id).trim();
-    const requestUserId = String(userId).trim();
+    // Organisateur principal ou collaborateur propriétaire
+    const canDelete = await canAccessEvent(existingEvent, String(userId).trim(), PERMISSIONS.DELETE_EVENT);
     
-    if (eventOrganizerId !== requestUserId) {
-        console.log('[softDeleteEventIfOwner] Permission denied - organizer_id mismatch:', {
-            eventOrganizerId,
-            requestUserId,
-            match: eventOrganizerId === requestUserId
+    if (!canDelete) {
+        console.log('[softDeleteEventIfOwner] Permission denied - user is not an owner:', {
+            eventOrganizerId: existingEvent.organizer_id,
+            requestUserId: userId
         });
         throw new Error('Event not found or you do not have permission to delete it');
     }
@@ -110,7 +115,7 @@ async function softDeleteEventIfOwner(eventId, userId) {
             updated_at: new Date().toISOString() 
         })
         .eq('id', eventId)
-        .eq('organizer_id', userId)
+        .eq('organizer_id', existingEvent.organizer_id)
         .eq('is_active', true)
         .select();
 
@@ -129,7 +134,7 @@ async function softDeleteEventIfOwner(eventId, userId) {
 }
 
 /**
- * Récupère un événement uniquement si l'utilisateur est le propriétaire
+ * Récupère un événement uniquement si l'utilisateur y a accès en lecture
  * @param {string} eventId - ID de l'événement
  * @param {string} userId - ID de l'utilisateur
  * @returns {Promise<Object|null>} - L'événement ou null
@@ -139,23 +144,12 @@ async function getEventIfOwner(eventId, userId) {
         return null;
     }
 
-    const { data, error } = await supabaseService
-        .from('events')
-        .select('*')
-        .eq('id', eventId)
-        .eq('organizer_id', userId)
-        .eq('is_active', true)
-        .single();
-
-    if (error && error.code !== 'PGRST116') {
-        throw new Error(`Error fetching event: ${error.message}`);
-    }
-
-    return data || null;
+    const event = await authorizeEvent(eventId, userId, PERMISSIONS.VIEW);
+    return event && event.is_active ? event : null;
 }
 
 /**
- * Met à jour un invité uniquement si l'événement appartient à l'utilisateur
+ * Met à jour un invité uniquement si l'utilisateur peut modifier l'événement
  * @param {string} guestId - ID de l'invité
  * @param {string} eventId - ID de l'événement
  * @param {string} userId - ID de l'utilisateur
@@ -167,16 +161,10 @@ async function updateGuestIfEventOwner(guestId, eventId, userId, updateData) {
         throw new Error('Guest ID, Event ID and User ID are required');
     }
 
-    // D'abord vérifier que l'événement appartient à l'utilisateur
-    const { data: event, error: eventError } = await supabaseService
-        .from('events')
-        .select('id')
-        .eq('id', eventId)
-        .eq('organizer_id', userId)
-        .eq('is_active', true)
-        .single();
+    // D'abord vérifier que l'utilisateur peut modifier l'événement
+    const event = await authorizeEvent(eventId, userId, PERMISSIONS.EDIT);
 
-    if (eventError || !event) {
+    if (!event || !event.is_active) {
         throw new Error('Event not found or you do not have permission to update guests');
     }
 
@@ -203,7 +191,7 @@ async function updateGuestIfEventOwner(guestId, eventId, userId, updateData) {
 }
 
 /**
- * Supprime un invité uniquement si l'événement appartient à l'utilisateur
+ * Supprime un invité uniquement si l'utilisateur peut modifier l'événement
  * @param {string} guestId - ID de l'invité
  * @param {string} eventId - ID de l'événement
  * @param {string} userId - ID de l'utilisateur
@@ -214,16 +202,10 @@ async function deleteGuestIfEventOwner(guestId, eventId, userId) {
         throw new Error('Guest ID, Event ID and User ID are required');
     }
 
-    // Vérifier ownership de l'événement
-    const { data: event, error: eventError } = await supabaseService
-        .from('events')
-        .select('id')
-        .eq('id', eventId)
-        .eq('organizer_id', userId)
-        .eq('is_active', true)
-        .single();
+    // Vérifier les droits sur l'événement
+    const event = await authorizeEvent(eventId, userId, PERMISSIONS.EDIT);
 
-    if (eventError || !event) {
+    if (!event || !event.is_active) {
         throw new Error('Event not found or you do not have permission to delete guests');
     }
 
@@ -247,7 +229,7 @@ async function deleteGuestIfEventOwner(guestId, eventId, userId) {
 }
 
 /**
- * Vérifie si un utilisateur est propriétaire d'un événement
+ * Vérifie si un utilisateur est propriétaire d'un événement (organisateur principal ou collaborateur propriétaire)
  * @param {string} eventId - ID de l'événement
  * @param {string} userId - ID de l'utilisateur
  * @returns {Promise<boolean>}
@@ -257,15 +239,8 @@ async function isEventOwner(eventId, userId) {
         return false;
     }
 
-    const { data, error } = await supabaseService
-        .from('events')
-        .select('id')
-        .eq('id', eventId)
-        .eq('organizer_id', userId)
-        .eq('is_active', true)
-        .single();
-
-    return !!data;
+    const access = await getEventAccess(eventId, userId);
+    return !!access && access.role === ROLES.OWNER && access.event.is_active;
 }
 
 module.exports = {
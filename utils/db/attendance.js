@@ -40,7 +40,9 @@ const attendanceDb = {
       .from('attendance')
       .select(`
         *,
-        guests (first_name, last_name, email)
+        guests (first_name, last_name, email),
+        family_invitations:family_invitation_id (invited_count, families:family_id (name)),
+        scanner_devices:scanner_device_id (name)
       `)
       .eq('event_id', eventId)
       .order('timestamp', { ascending: false });
@@ -49,6 +51,43 @@ const attendanceDb = {
       throw new Error(`Error finding attendances: ${error.message}`);
     }
 
+    return data;
+  },
+
+  // Atomically record a check-in (see record_check_in in migration 052)
+  recordCheckIn: async ({
+    eventId,
+    qrCode,
+    guestId = null,
+    familyInvitationId = null,
+    arrivedCount = 1,
+    allowedCount = 1,
+    scannerDeviceId = null,
+    verifiedBy = null,
+    clientScanId = null,
+    scannedAt = null,
+    source = 'live',
+    clampToRemaining = false
+  }) => {
+    const { data, error } = await supabaseService.rpc('record_check_in', {
+      p_event_id: eventId,
+      p_qr_code: qrCode,
+      p_guest_id: guestId,
+      p_family_invitation_id: familyInvitationId,
+      p_arrived_count: arrivedCount,
+      p_allowed_count: allowedCount,
+      p_scanner_device_id: scannerDeviceId,
+      p_verified_by: verifiedBy,
+      p_client_scan_id: clientScanId,
+      p_scanned_at: scannedAt,
+      p_source: source,
+      p_clamp_to_remaining: clampToRemaining
+    });
+
+    if (error) {
+      throw new Error(`Error recording check-in: ${error.message}`);
+    }
+
     return data;
   }
 };
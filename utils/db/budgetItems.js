@@ -0,0 +1,39 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Budget items database utilities
+const budgetItemsDb = {
+  // Find the budget items of an event
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('budget_items')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding budget items: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Create several budget items
+  createMany: async (itemsData) => {
+    if (!itemsData || itemsData.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabaseService
+      .from('budget_items')
+      .insert(itemsData)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating budget items: ${error.message}`);
+    }
+
+    return data || [];
+  }
+};
+
+module.exports = budgetItemsDb;
@@ -0,0 +1,211 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Event collaborators database utilities (shared events and their invitations)
+const eventCollaboratorsDb = {
+  // Find the collaborator row of a user on an event
+  findByEventAndUser: async (eventId, userId) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborators')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding collaborator: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find collaborator by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('event_collaborators')
+      .select('*, users:user_id (id, name, email)')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding collaborator: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the collaborators of an event, with their user
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborators')
+      .select('*, users:user_id (id, name, email)')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding collaborators: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find the active events shared with a user, with the user's role
+  findEventsByUser: async (userId) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborators')
+      .select('role, events!inner(*)')
+      .eq('user_id', userId)
+      .eq('events.is_active', true);
+
+    if (error) {
+      throw new Error(`Error finding shared events: ${error.message}`);
+    }
+
+    return (data || []).map(({ role, events: event }) => ({ ...event, access_role: role }));
+  },
+
+  // Add a user to an event (or change the role they already have)
+  upsert: async (collaboratorData) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborators')
+      .upsert([collaboratorData], { onConflict: 'event_id,user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving collaborator: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Update collaborator
+  update: async (id, updateData) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborators')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating collaborator: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Delete collaborator
+  delete: async (id) => {
+    const { error } = await supabaseService
+      .from('event_collaborators')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error deleting collaborator: ${error.message}`);
+    }
+
+    return true;
+  },
+
+  // Create an invitation to collaborate
+  createInvitation: async (invitationData) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborator_invitations')
+      .insert([invitationData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating collaborator invitation: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find invitation by ID
+  findInvitationById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('event_collaborator_invitations')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding collaborator invitation: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find invitation by token hash, with its event
+  findInvitationByTokenHash: async (tokenHash) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborator_invitations')
+      .select('*, events:event_id (id, title, date, is_active, organizer_id), inviter:invited_by (name)')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding collaborator invitation: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the pending invitations of an event
+  findPendingInvitationsByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborator_invitations')
+      .select('id, event_id, email, role, status, invited_by, expires_at, created_at')
+      .eq('event_id', eventId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding collaborator invitations: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Update invitation
+  updateInvitation: async (id, updateData) => {
+    const { data, error } = await supabaseService
+      .from('event_collaborator_invitations')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating collaborator invitation: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Revoke the pending invitations sent to an email (lowercase) for an event
+  revokePendingInvitations: async (eventId, email) => {
+    const { error } = await supabaseService
+      .from('event_collaborator_invitations')
+      .update({ status: 'revoked' })
+      .eq('event_id', eventId)
+      .eq('status', 'pending')
+      .eq('email', email);
+
+    if (error) {
+      throw new Error(`Error revoking collaborator invitations: ${error.message}`);
+    }
+
+    return true;
+  }
+};
+
+module.exports = eventCollaboratorsDb;
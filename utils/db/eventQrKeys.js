@@ -0,0 +1,84 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Event QR signing keys database utilities (public keys and versions, never private keys)
+const eventQrKeysDb = {
+  // Create a key version
+  create: async (keyData) => {
+    const { data, error } = await supabaseService
+      .from('event_qr_keys')
+      .insert([keyData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating QR signing key: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the active key of an event
+  findActiveByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('event_qr_keys')
+      .select('*')
+      .eq('event_id', eventId)
+      .is('retired_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding QR signing key: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find a key version of an event
+  findByEventAndVersion: async (eventId, version) => {
+    const { data, error } = await supabaseService
+      .from('event_qr_keys')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding QR signing key: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find all key versions of an event, newest first
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('event_qr_keys')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding QR signing keys: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Retire the active version and create the next one in a single transaction
+  rotate: async (eventId, currentVersion, { public_key: publicKey, created_by: createdBy = null }) => {
+    const { data, error } = await supabaseService.rpc('rotate_event_qr_key', {
+      p_event_id: eventId,
+      p_current_version: currentVersion,
+      p_public_key: publicKey,
+      p_created_by: createdBy
+    });
+
+    if (error) {
+      throw new Error(`Error rotating QR signing key: ${error.message}`);
+    }
+
+    return data;
+  }
+};
+
+module.exports = eventQrKeysDb;
@@ -18,16 +18,21 @@ const eventDbOptimized = {
    * Utilise des requêtes standards compatibles avec toutes les BDD
    * 
    * @param {UUID} organizerId - ID de l'organisateur
-   * @param {Object} options - Options de pagination
+   * @param {Object} options - Options de pagination et IDs des événements partagés avec l'utilisateur
    * @returns {Promise<Array>} Events avec stats
    */
-  findByOrganizerWithStats: async (organizerId, { page = 1, limit = 50 } = {}) => {
+  findByOrganizerWithStats: async (organizerId, { page = 1, limit = 50, sharedEventIds = [] } = {}) => {
     try {
-      // Récupère les événements de l'organisateur
-      const { data: events, error: eventsError, count } = await supabaseService
+      // Récupère les événements de l'organisateur et ceux partagés avec lui
+      let eventsQuery = supabaseService
         .from('events')
-        .select('*', { count: 'exact' })
-        .eq('organizer_id', organizerId)
+        .select('*', { count: 'exact' });
+
+      eventsQuery = sharedEventIds.length > 0
+        ? eventsQuery.or(`organizer_id.eq.${organizerId},id.in.(${sharedEventIds.join(',')})`)
+        : eventsQuery.eq('organizer_id', organizerId);
+
+      const { data: events, error: eventsError, count } = await eventsQuery
         .eq('is_active', true)
         .order('created_at', { ascending: false })
         .range((page - 1) * limit, page * limit - 1);
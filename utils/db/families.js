@@ -50,6 +50,21 @@ const familyDb = {
         return data;
     },
 
+    // Find families by event ID
+    findByEvent: async (eventId) => {
+        const { data, error } = await supabaseService
+            .from('families')
+            .select('*')
+            .eq('event_id', eventId)
+            .order('name', { ascending: true });
+
+        if (error) {
+            throw new Error(`Error finding families: ${error.message}`);
+        }
+
+        return data || [];
+    },
+
     // Update family
     update: async (id, familyData) => {
         const { data, error } = await supabaseService
@@ -53,6 +53,52 @@ const familyRsvpDb = {
         return data;
     },
 
+    // Find RSVPs of several invitations at once (campaign targeting)
+    findByInvitations: async (invitationIds) => {
+        if (!invitationIds || invitationIds.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await supabaseService
+            .from('family_rsvp')
+            .select('family_invitation_id, member_name, will_attend, dietary_restrictions, notes, is_plus_one, meal_choices, allergens, responded_at')
+            .in('family_invitation_id', invitationIds);
+
+        if (error) {
+            throw new Error(`Error finding RSVPs: ${error.message}`);
+        }
+
+        return data || [];
+    },
+
+    // Family-level answers of the public RSVP page (no invitation ID), the most recent one per family
+    findFamilyResponses: async (eventId, familyIds) => {
+        if (!familyIds || familyIds.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await supabaseService
+            .from('family_rsvp')
+            .select('family_id, status, guests_count, response_date')
+            .eq('event_id', eventId)
+            .in('family_id', familyIds)
+            .is('family_invitation_id', null)
+            .order('response_date', { ascending: false, nullsFirst: false });
+
+        if (error) {
+            throw new Error(`Error finding RSVPs: ${error.message}`);
+        }
+
+        const latestByFamily = new Map();
+        for (const response of data || []) {
+            if (!latestByFamily.has(response.family_id)) {
+                latestByFamily.set(response.family_id, response);
+            }
+        }
+
+        return [...latestByFamily.values()];
+    },
+
     // Find RSVP by invitation and member name
     findByInvitationAndMember: async (invitationId, memberName) => {
         const { data, error, status } = await supabaseService
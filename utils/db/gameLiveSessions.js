@@ -0,0 +1,114 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Live game sessions database utilities (one session per game, hosted quiz mode)
+const gameLiveSessionsDb = {
+  // Find the session of a game
+  findByGame: async (gameId) => {
+    const { data, error } = await supabaseService
+      .from('game_live_sessions')
+      .select('*')
+      .eq('game_id', gameId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding live session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Create the session of a game (null when it already exists)
+  create: async (sessionData) => {
+    const { data, error } = await supabaseService
+      .from('game_live_sessions')
+      .insert([sessionData])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`Error creating live session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Move the session to a new state, only if it is still in one of the expected states
+  // Returns null when another request changed the state first
+  transition: async (gameId, fromStates, updates) => {
+    const { data, error } = await supabaseService
+      .from('game_live_sessions')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('game_id', gameId)
+      .in('state', fromStates)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating live session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Save a live answer (null when the player already answered this question)
+  saveAnswer: async (answerData) => {
+    const { data, error } = await supabaseService
+      .from('game_answers')
+      .insert([answerData])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`Error saving answer: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Count the answers given to a question
+  countAnswers: async (questionId) => {
+    const { count, error } = await supabaseService
+      .from('game_answers')
+      .select('id', { count: 'exact', head: true })
+      .eq('question_id', questionId);
+
+    if (error) {
+      throw new Error(`Error counting answers: ${error.message}`);
+    }
+
+    return count || 0;
+  },
+
+  // Scores of every player of a game (best first, earliest first on ties)
+  findStandings: async (gameId) => {
+    const { data, error } = await supabaseService
+      .from('game_participations')
+      .select('id, player_name, player_type, family_id, guest_id, total_score, correct_answers, total_answers, started_at')
+      .eq('game_id', gameId)
+      .order('total_score', { ascending: false })
+      .order('started_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding standings: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Close every open participation of a game
+  completeParticipations: async (gameId) => {
+    const { error } = await supabaseService
+      .from('game_participations')
+      .update({ is_completed: true, completed_at: new Date().toISOString() })
+      .eq('game_id', gameId)
+      .eq('is_completed', false);
+
+    if (error) {
+      throw new Error(`Error completing participations: ${error.message}`);
+    }
+  }
+};
+
+module.exports = gameLiveSessionsDb;
@@ -0,0 +1,84 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Public game play sessions database utilities (server-side start of each play, anti-cheat)
+const gamePlaySessionsDb = {
+  // Find the play in progress of a player
+  findOpen: async (gameId, playerKey) => {
+    const { data, error } = await supabaseService
+      .from('game_play_sessions')
+      .select('*')
+      .eq('game_id', gameId)
+      .eq('player_key', playerKey)
+      .is('completed_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding play session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Start a play (null when the player already has one in progress)
+  create: async (sessionData) => {
+    const { data, error } = await supabaseService
+      .from('game_play_sessions')
+      .insert([sessionData])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`Error creating play session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Close a play (null when it was already closed by another request)
+  complete: async (id, durationMs) => {
+    const { data, error } = await supabaseService
+      .from('game_play_sessions')
+      .update({ completed_at: new Date().toISOString(), duration_ms: durationMs })
+      .eq('id', id)
+      .is('completed_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error completing play session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Link a closed play to the participation it produced
+  attachParticipation: async (id, participationId) => {
+    const { error } = await supabaseService
+      .from('game_play_sessions')
+      .update({ participation_id: participationId })
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error updating play session: ${error.message}`);
+    }
+  },
+
+  // Whether a device already completed a game
+  hasDevicePlayed: async (gameId, deviceId) => {
+    const { count, error } = await supabaseService
+      .from('game_participations')
+      .select('id', { count: 'exact', head: true })
+      .eq('game_id', gameId)
+      .eq('device_id', deviceId)
+      .eq('is_completed', true);
+
+    if (error) {
+      throw new Error(`Error checking device participations: ${error.message}`);
+    }
+
+    return count > 0;
+  }
+};
+
+module.exports = gamePlaySessionsDb;
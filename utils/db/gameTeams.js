@@ -0,0 +1,150 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Game teams database utilities (organizer-defined teams of the team mode)
+const gameTeamsDb = {
+  // Find the teams of a game with their members
+  findByGame: async (gameId) => {
+    const { data, error } = await supabaseService
+      .from('game_teams')
+      .select('*, members:game_team_members(id, family_id, guest_id)')
+      .eq('game_id', gameId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding game teams: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find team by ID
+  findById: async (id) => {
+    const { data, error } = await supabaseService
+      .from('game_teams')
+      .select('*, members:game_team_members(id, family_id, guest_id)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding game team: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Create a team (null when the game already has a team with this name)
+  create: async (teamData) => {
+    const { data, error } = await supabaseService
+      .from('game_teams')
+      .insert([teamData])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`Error creating game team: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Update a team (null when the game already has a team with this name)
+  update: async (id, teamData) => {
+    const { data, error } = await supabaseService
+      .from('game_teams')
+      .update({ ...teamData, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`Error updating game team: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Delete a team (its members are deleted with it)
+  delete: async (id) => {
+    const { error } = await supabaseService
+      .from('game_teams')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error deleting game team: ${error.message}`);
+    }
+  },
+
+  // Replace the members of a team; families and guests move out of their previous team of the game
+  setMembers: async (team, members) => {
+    const familyIds = members.filter(m => m.family_id).map(m => m.family_id);
+    const guestIds = members.filter(m => m.guest_id).map(m => m.guest_id);
+
+    const { error: deleteError } = await supabaseService
+      .from('game_team_members')
+      .delete()
+      .eq('team_id', team.id);
+
+    if (deleteError) {
+      throw new Error(`Error updating team members: ${deleteError.message}`);
+    }
+
+    for (const [column, ids] of [['family_id', familyIds], ['guest_id', guestIds]]) {
+      if (ids.length === 0) continue;
+
+      const { error } = await supabaseService
+        .from('game_team_members')
+        .delete()
+        .eq('game_id', team.game_id)
+        .in(column, ids);
+
+      if (error) {
+        throw new Error(`Error updating team members: ${error.message}`);
+      }
+    }
+
+    if (members.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabaseService
+      .from('game_team_members')
+      .insert(members.map(member => ({
+        team_id: team.id,
+        game_id: team.game_id,
+        family_id: member.family_id || null,
+        guest_id: member.guest_id || null
+      })))
+      .select('id, family_id, guest_id');
+
+    if (error) {
+      throw new Error(`Error updating team members: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Participations that count for the team scores, with the family of individual guests
+  findScoredParticipations: async (gameId, { completedOnly = true } = {}) => {
+    let query = supabaseService
+      .from('game_participations')
+      .select('id, player_name, player_type, family_id, guest_id, total_score, completed_at, guest:guests(family_id)')
+      .eq('game_id', gameId);
+
+    if (completedOnly) {
+      query = query.eq('is_completed', true);
+    }
+
+    const { data, error } = await query.order('total_score', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding participations: ${error.message}`);
+    }
+
+    return data || [];
+  }
+};
+
+module.exports = gameTeamsDb;
@@ -308,6 +308,30 @@ const gamesDb = {
     return data;
   },
 
+  // Find the participation of a player (family, guest or public access token)
+  findParticipationByPlayer: async (gameId, { familyId = null, guestId = null, accessToken = null }) => {
+    let query = supabaseService
+      .from('game_participations')
+      .select('*')
+      .eq('game_id', gameId);
+
+    if (familyId) {
+      query = query.eq('family_id', familyId);
+    } else if (guestId) {
+      query = query.eq('guest_id', guestId);
+    } else {
+      query = query.eq('access_token', accessToken);
+    }
+
+    const { data, error } = await query.limit(1).maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding participation: ${error.message}`);
+    }
+
+    return data;
+  },
+
   // Find participations by game
   findParticipationsByGame: async (gameId) => {
     const { data, error } = await supabaseService
@@ -396,8 +420,117 @@ const gamesDb = {
     return data || [];
   },
 
+  // Find the answers to review for some questions (photo answers), oldest first
+  findAnswersForReview: async (questionIds, reviewStatus) => {
+    if (!questionIds || questionIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabaseService
+      .from('game_answers')
+      .select(`
+        *,
+        participation:game_participations(id, player_name, player_type, family_id, guest_id)
+      `)
+      .in('question_id', questionIds)
+      .eq('review_status', reviewStatus)
+      .order('answered_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding answers to review: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find the answer of a participation to a question
+  findAnswer: async (participationId, questionId) => {
+    const { data, error } = await supabaseService
+      .from('game_answers')
+      .select('*')
+      .eq('participation_id', participationId)
+      .eq('question_id', questionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding answer: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find answer by ID
+  findAnswerById: async (id) => {
+    const { data, error } = await supabaseService
+      .from('game_answers')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding answer: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Update answer
+  updateAnswer: async (id, answerData) => {
+    const { data, error } = await supabaseService
+      .from('game_answers')
+      .update(answerData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating answer: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find completed participations in ranking order (best score first, earliest first on ties)
+  findRankedParticipations: async (gameId) => {
+    const { data, error } = await supabaseService
+      .from('game_participations')
+      .select('id, total_score, completed_at, rank')
+      .eq('game_id', gameId)
+      .eq('is_completed', true)
+      .order('total_score', { ascending: false })
+      .order('completed_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding participations: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
   // ==================== STATISTICS ====================
 
+  // Votes per question and answer (shoe game)
+  getVoteCounts: async (gameId) => {
+    const { data, error } = await supabaseService.rpc('get_game_vote_counts', { p_game_id: gameId });
+
+    if (error) {
+      throw new Error(`Error counting votes: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Approved prompts per player (photo scavenger)
+  getPhotoScavengerProgress: async (gameId) => {
+    const { data, error } = await supabaseService.rpc('get_photo_scavenger_progress', { p_game_id: gameId });
+
+    if (error) {
+      throw new Error(`Error finding photo scavenger progress: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
   // Get game statistics
   getGameStats: async (gameId) => {
     const { data: game, error: gameError } = await supabaseService
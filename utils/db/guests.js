@@ -103,6 +103,22 @@ const guestDb = {
       throw new Error(`Error deleting guest: ${error.message}`);
     }
 
+    return data;
+  },
+
+  // Apply an import plan (families then guests) in a single transaction
+  importBatch: async ({ eventId, userId, families = [], guests = [] }) => {
+    const { data, error } = await supabaseService.rpc('import_guests_batch', {
+      p_event_id: eventId,
+      p_user_id: userId,
+      p_families: families,
+      p_guests: guests
+    });
+
+    if (error) {
+      throw new Error(`Error importing guests: ${error.message}`);
+    }
+
     return data;
   }
 };
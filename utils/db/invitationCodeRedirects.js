@@ -0,0 +1,51 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Legacy invitation code redirects database utilities (old family qr_codes -> family_invitations)
+const invitationCodeRedirectsDb = {
+  // Create a redirect
+  create: async (redirectData) => {
+    const { data, error } = await supabaseService
+      .from('invitation_code_redirects')
+      .insert([redirectData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating invitation code redirect: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the redirect of a legacy code
+  findByLegacyCode: async (legacyCode) => {
+    const { data, error } = await supabaseService
+      .from('invitation_code_redirects')
+      .select('*')
+      .eq('legacy_code', legacyCode)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding invitation code redirect: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the legacy codes redirected to an invitation
+  findByInvitation: async (familyInvitationId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_code_redirects')
+      .select('*')
+      .eq('family_invitation_id', familyInvitationId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding invitation code redirects: ${error.message}`);
+    }
+
+    return data || [];
+  }
+};
+
+module.exports = invitationCodeRedirectsDb;
@@ -0,0 +1,69 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Invitation design versions database utilities (published versions are immutable: no update/delete)
+const invitationDesignVersionsDb = {
+  // Create a version
+  create: async (versionData) => {
+    const { data, error } = await supabaseService
+      .from('invitation_design_versions')
+      .insert([versionData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating invitation design version: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the versions of a design, newest first (content excluded)
+  findByDesign: async (designId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_design_versions')
+      .select('id, design_id, version, name, template, cover_image, note, rolled_back_from, published_by, created_at')
+      .eq('design_id', designId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding invitation design versions: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find a version of a design
+  findByDesignAndVersion: async (designId, version) => {
+    const { data, error } = await supabaseService
+      .from('invitation_design_versions')
+      .select('*')
+      .eq('design_id', designId)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding invitation design version: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the latest version of a design
+  findLatestByDesign: async (designId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_design_versions')
+      .select('*')
+      .eq('design_id', designId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding invitation design version: ${error.message}`);
+    }
+
+    return data;
+  }
+};
+
+module.exports = invitationDesignVersionsDb;
@@ -0,0 +1,90 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Invitation designs database utilities
+const invitationDesignsDb = {
+  // Find design by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('invitation_designs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding invitation design: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Update a design
+  update: async (id, designData) => {
+    const { data, error } = await supabaseService
+      .from('invitation_designs')
+      .update(designData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating invitation design: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find designs by event ID
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_designs')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding invitation designs: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find family -> design assignments of an event, with the design
+  findAssignmentsByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_family_assignments')
+      .select(`
+        id,
+        invitation_id,
+        family_id,
+        invitation_designs!inner(id, name, template, status, cover_image, custom_data, published_version)
+      `)
+      .eq('event_id', eventId);
+
+    if (error) {
+      throw new Error(`Error finding invitation family assignments: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find the design assigned to a family for an event
+  findAssignmentByFamily: async (eventId, familyId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_family_assignments')
+      .select('id, invitation_id, family_id')
+      .eq('event_id', eventId)
+      .eq('family_id', familyId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding invitation family assignment: ${error.message}`);
+    }
+
+    return data;
+  }
+};
+
+module.exports = invitationDesignsDb;
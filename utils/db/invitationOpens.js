@@ -0,0 +1,62 @@
+const { supabaseService } = require('../../config/supabase');
+
+// PostgREST returns at most 1000 rows per request: event-wide reads are paged
+const PAGE_SIZE = 1000;
+
+// Invitation opens database utilities (append-only: one row per public invitation open)
+const invitationOpensDb = {
+  // Record an open
+  create: async (openData) => {
+    const { data, error } = await supabaseService
+      .from('invitation_opens')
+      .insert([openData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error recording invitation open: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find all the opens of an event (oldest first)
+  findByEvent: async (eventId, { from = null, to = null, designId = null } = {}) => {
+    const opens = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      let query = supabaseService
+        .from('invitation_opens')
+        .select('id, family_invitation_id, family_id, design_id, source, resolved_from, device_type, referrer_host, opened_at')
+        .eq('event_id', eventId);
+
+      if (from) {
+        query = query.gte('opened_at', from);
+      }
+
+      if (to) {
+        query = query.lte('opened_at', to);
+      }
+
+      if (designId) {
+        query = query.eq('design_id', designId);
+      }
+
+      const { data, error } = await query
+        .order('opened_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Error finding invitation opens: ${error.message}`);
+      }
+
+      opens.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) {
+        return opens;
+      }
+    }
+  }
+};
+
+module.exports = invitationOpensDb;
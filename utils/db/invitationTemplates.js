@@ -0,0 +1,65 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Private invitation templates database utilities (system templates live in invitationTemplateService)
+const invitationTemplatesDb = {
+  // Create a private template
+  create: async (templateData) => {
+    const { data, error } = await supabaseService
+      .from('invitation_templates')
+      .insert([templateData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating invitation template: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find a private template by ID
+  findById: async (id) => {
+    const { data, error } = await supabaseService
+      .from('invitation_templates')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding invitation template: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find the private templates of an organizer, newest first
+  findByUser: async (userId) => {
+    const { data, error } = await supabaseService
+      .from('invitation_templates')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding invitation templates: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Delete a private template
+  delete: async (id) => {
+    const { error } = await supabaseService
+      .from('invitation_templates')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error deleting invitation template: ${error.message}`);
+    }
+
+    return true;
+  }
+};
+
+module.exports = invitationTemplatesDb;
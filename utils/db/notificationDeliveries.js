@@ -0,0 +1,97 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Notification delivery log database utilities
+const notificationDeliveriesDb = {
+  // Log a notification about to be queued
+  create: async (deliveryData) => {
+    const { data, error } = await supabaseService
+      .from('notification_deliveries')
+      .insert([deliveryData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating notification delivery: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find delivery by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('notification_deliveries')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding notification delivery: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find deliveries for an event (most recent first)
+  findByEvent: async (eventId, { status = null, template = null, channel = null, familyInvitationId = null, limit = 100, offset = 0 } = {}) => {
+    let query = supabaseService
+      .from('notification_deliveries')
+      .select('*', { count: 'exact' })
+      .eq('event_id', eventId);
+
+    if (status) query = query.eq('status', status);
+    if (template) query = query.eq('template', template);
+    if (channel) query = query.eq('channel', channel);
+    if (familyInvitationId) query = query.eq('family_invitation_id', familyInvitationId);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error finding notification deliveries: ${error.message}`);
+    }
+
+    return { deliveries: data || [], total: count || 0 };
+  },
+
+  // Update delivery (status, attempts, provider id, error)
+  update: async (id, deliveryData) => {
+    const { data, error } = await supabaseService
+      .from('notification_deliveries')
+      .update(deliveryData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating notification delivery: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Count deliveries per status for an event
+  getStats: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('notification_deliveries')
+      .select('status, channel')
+      .eq('event_id', eventId);
+
+    if (error) {
+      throw new Error(`Error getting notification stats: ${error.message}`);
+    }
+
+    return (data || []).reduce((stats, delivery) => {
+      stats.total++;
+      stats[delivery.status] = (stats[delivery.status] || 0) + 1;
+      stats.by_channel[delivery.channel] = (stats.by_channel[delivery.channel] || 0) + 1;
+      return stats;
+    }, { total: 0, by_channel: {} });
+  }
+};
+
+module.exports = notificationDeliveriesDb;
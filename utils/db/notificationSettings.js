@@ -0,0 +1,36 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Per-event notification sender settings database utilities
+const notificationSettingsDb = {
+  // Find settings for an event (null when the organizer never configured them)
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('event_notification_settings')
+      .select('*')
+      .eq('event_id', eventId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding notification settings: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Create or update the settings of an event
+  upsert: async (eventId, settingsData) => {
+    const { data, error } = await supabaseService
+      .from('event_notification_settings')
+      .upsert({ ...settingsData, event_id: eventId }, { onConflict: 'event_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving notification settings: ${error.message}`);
+    }
+
+    return data;
+  }
+};
+
+module.exports = notificationSettingsDb;
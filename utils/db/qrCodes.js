@@ -43,6 +43,46 @@ const qrCodeDb = {
     return data;
   },
 
+  // Find QR code by ID whatever its state
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('qr_codes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding QR code: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find QR code by code whatever its state (used by check-in to explain rejections)
+  findAnyByCode: async (code) => {
+    const { data, error, status } = await supabaseService
+      .from('qr_codes')
+      .select(`
+        *,
+        guests (*),
+        families (*)
+      `)
+      .eq('code', code)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding QR code: ${error.message}`);
+    }
+
+    return data;
+  },
+
   // Find QR code by guest ID
   findByGuestId: async (guestId) => {
     const { data, error, status } = await supabaseService
@@ -79,6 +119,20 @@ const qrCodeDb = {
     return data;
   },
 
+  // Increment scan count atomically (record_invitation_scan RPC, migration 063)
+  incrementScan: async (id) => {
+    const { data, error } = await supabaseService.rpc('record_invitation_scan', {
+      p_source: 'qr_codes',
+      p_id: id
+    });
+
+    if (error) {
+      throw new Error(`Error incrementing QR code scan count: ${error.message}`);
+    }
+
+    return data;
+  },
+
   // Invalidate QR code
   invalidate: async (id) => {
     const { data, error } = await supabaseService
@@ -107,6 +161,46 @@ const qrCodeDb = {
       throw new Error(`Error finding family QR codes: ${error.message}`);
     }
 
+    return data || [];
+  },
+
+  // Find valid family QR codes of an event (legacy family invitations)
+  findFamilyCodesByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('qr_codes')
+      .select(`
+        *,
+        families:family_id (name, members)
+      `)
+      .eq('event_id', eventId)
+      .eq('is_valid', true)
+      .not('family_id', 'is', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding family QR codes: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find valid QR codes of an event (guest and family codes)
+  findValidByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('qr_codes')
+      .select(`
+        *,
+        guests:guest_id (first_name, last_name, plus_one),
+        families:family_id (name)
+      `)
+      .eq('event_id', eventId)
+      .eq('is_valid', true)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding QR codes: ${error.message}`);
+    }
+
     return data || [];
   }
 };
@@ -0,0 +1,99 @@
+const { supabaseService } = require('../../config/supabase');
+
+// RSVP reminder campaigns database utilities
+const reminderCampaignsDb = {
+  // Create a new campaign
+  create: async (campaignData) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_campaigns')
+      .insert([campaignData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating reminder campaign: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find campaign by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('rsvp_reminder_campaigns')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding reminder campaign: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find campaigns by event ID
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_campaigns')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding reminder campaigns: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Active campaigns whose next run is due
+  findDue: async (now = new Date(), limit = 20) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_campaigns')
+      .select('*')
+      .eq('status', 'active')
+      .lte('next_run_at', now.toISOString())
+      .order('next_run_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error finding due reminder campaigns: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Update campaign
+  update: async (id, campaignData) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_campaigns')
+      .update(campaignData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating reminder campaign: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Delete campaign (draft campaigns only, enforced by the route)
+  delete: async (id) => {
+    const { error } = await supabaseService
+      .from('rsvp_reminder_campaigns')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error deleting reminder campaign: ${error.message}`);
+    }
+  }
+};
+
+module.exports = reminderCampaignsDb;
@@ -0,0 +1,55 @@
+const { supabaseService } = require('../../config/supabase');
+
+// RSVP reminder recipients database utilities (per-family follow-up of a campaign)
+const reminderRecipientsDb = {
+  // Create a recipient on its first reminder
+  create: async (recipientData) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_recipients')
+      .insert([recipientData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating reminder recipient: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find recipients of a campaign
+  findByCampaign: async (campaignId) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_recipients')
+      .select(`
+        *,
+        families:family_id (name)
+      `)
+      .eq('campaign_id', campaignId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding reminder recipients: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Update recipient
+  update: async (id, recipientData) => {
+    const { data, error } = await supabaseService
+      .from('rsvp_reminder_recipients')
+      .update(recipientData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating reminder recipient: ${error.message}`);
+    }
+
+    return data;
+  }
+};
+
+module.exports = reminderRecipientsDb;
@@ -0,0 +1,90 @@
+const { supabaseService } = require('../../config/supabase');
+
+// PostgREST returns at most 1000 rows per request: event-wide reads are paged
+const PAGE_SIZE = 1000;
+
+// RSVP change history database utilities (append-only: no update/delete)
+const rsvpHistoryDb = {
+  // Append a history entry
+  create: async (entryData) => {
+    const { data, error } = await supabaseService
+      .from('family_rsvp_history')
+      .insert([entryData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating RSVP history entry: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find history entries for an event (most recent first)
+  findByEvent: async (eventId, { since = null, familyId = null, limit = 100, offset = 0 } = {}) => {
+    let query = supabaseService
+      .from('family_rsvp_history')
+      .select('*', { count: 'exact' })
+      .eq('event_id', eventId);
+
+    if (since) {
+      query = query.gte('created_at', since);
+    }
+
+    if (familyId) {
+      query = query.eq('family_id', familyId);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error finding RSVP history: ${error.message}`);
+    }
+
+    return { entries: data || [], total: count || 0 };
+  },
+
+  // Find history entries for a family invitation (most recent first)
+  findByInvitation: async (invitationId) => {
+    const { data, error } = await supabaseService
+      .from('family_rsvp_history')
+      .select('*')
+      .eq('family_invitation_id', invitationId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding RSVP history: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find all the answers given by guests for an event (oldest first), for engagement analytics
+  findGuestResponsesByEvent: async (eventId) => {
+    const responses = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabaseService
+        .from('family_rsvp_history')
+        .select('family_id, family_invitation_id, created_at')
+        .eq('event_id', eventId)
+        .eq('changed_by_type', 'guest')
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Error finding RSVP history: ${error.message}`);
+      }
+
+      responses.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) {
+        return responses;
+      }
+    }
+  }
+};
+
+module.exports = rsvpHistoryDb;
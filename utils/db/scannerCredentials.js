@@ -0,0 +1,115 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Scanner credentials database utilities (door-staff PINs and magic links per event)
+const scannerCredentialsDb = {
+  // Create a scanner credential
+  create: async (credentialData) => {
+    const { data, error } = await supabaseService
+      .from('scanner_credentials')
+      .insert([credentialData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating scanner credential: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find scanner credential by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('scanner_credentials')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding scanner credential: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find scanner credentials by event ID
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('scanner_credentials')
+      .select('id, event_id, label, method, created_by, expires_at, revoked_at, last_used_at, created_at')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding scanner credentials: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Find the credential of an event matching a PIN hash
+  findByEventAndPinHash: async (eventId, pinHash) => {
+    const { data, error } = await supabaseService
+      .from('scanner_credentials')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('pin_hash', pinHash)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error finding scanner credential: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  },
+
+  // Find the credential matching a magic link token hash
+  findByTokenHash: async (tokenHash) => {
+    const { data, error } = await supabaseService
+      .from('scanner_credentials')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding scanner credential: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Update scanner credential
+  update: async (id, updateData) => {
+    const { data, error } = await supabaseService
+      .from('scanner_credentials')
+      .update(updateData)
+      .eq('id', id)
+      .select('id, event_id, label, method, created_by, expires_at, revoked_at, last_used_at, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating scanner credential: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Record the last use of a credential
+  touch: async (id) => {
+    const { error } = await supabaseService
+      .from('scanner_credentials')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error updating scanner credential activity: ${error.message}`);
+    }
+  }
+};
+
+module.exports = scannerCredentialsDb;
@@ -0,0 +1,83 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Scanner devices database utilities (named check-in stations per event)
+const scannerDevicesDb = {
+  // Register a new scanner device for an event
+  create: async (deviceData) => {
+    const { data, error } = await supabaseService
+      .from('scanner_devices')
+      .insert([deviceData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating scanner device: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find scanner device by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('scanner_devices')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding scanner device: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find scanner devices by event ID
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('scanner_devices')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding scanner devices: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Update scanner device
+  update: async (id, deviceData) => {
+    const { data, error } = await supabaseService
+      .from('scanner_devices')
+      .update(deviceData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating scanner device: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Record device activity (last scan or last offline sync)
+  touch: async (id, { synced = false } = {}) => {
+    const now = new Date().toISOString();
+    const { error } = await supabaseService
+      .from('scanner_devices')
+      .update(synced ? { last_seen_at: now, last_sync_at: now } : { last_seen_at: now })
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error updating scanner device activity: ${error.message}`);
+    }
+  }
+};
+
+module.exports = scannerDevicesDb;
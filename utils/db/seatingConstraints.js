@@ -0,0 +1,68 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Seating constraints database utilities
+const seatingConstraintsDb = {
+  // Create a new constraint
+  create: async (constraintData) => {
+    const { data, error } = await supabaseService
+      .from('seating_constraints')
+      .insert([constraintData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating seating constraint: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find constraint by ID
+  findById: async (id) => {
+    const { data, error, status } = await supabaseService
+      .from('seating_constraints')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || status === 404 || status === 406) {
+        return null;
+      }
+      throw new Error(`Error finding seating constraint: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  // Find constraints by event ID
+  findByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('seating_constraints')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding seating constraints: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  // Delete constraint
+  delete: async (id) => {
+    const { error } = await supabaseService
+      .from('seating_constraints')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error deleting seating constraint: ${error.message}`);
+    }
+
+    return true;
+  }
+};
+
+module.exports = seatingConstraintsDb;
@@ -1,5 +1,6 @@
 const { supabaseService } = require('../../config/supabase');
 const logger = require('../logger');
+const { PERMISSIONS, authorizeEvent, canAccessEvent } = require('../../services/eventAccessService');
 
 /**
  * 🔧 SEATING TABLES DATABASE UTILITIES - VERSION CORRIGÉE
@@ -49,26 +50,17 @@ const seatingTablesDb = {
   },
 
   /**
-   * Vérifie qu'un utilisateur a accès à un événement
+   * Vérifie qu'un utilisateur a accès à un événement (propriétaire ou collaborateur)
+   * @param {string} permission - Droit requis (modification par défaut)
    */
-  checkEventAccess: async (eventId, userId) => {
+  checkEventAccess: async (eventId, userId, permission = PERMISSIONS.EDIT) => {
     if (!seatingTablesDb.validateUUID(eventId) || !seatingTablesDb.validateUUID(userId)) {
       throw new Error('Invalid event ID or user ID format');
     }
 
-    const { data: event, error } = await supabaseService
-      .from('events')
-      .select('id, organizer_id')
-      .eq('id', eventId)
-      .eq('organizer_id', userId)
-      .eq('is_active', true)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        throw new Error('Event not found or access denied');
-      }
-      throw new Error(`Database error: ${error.message}`);
+    const event = await authorizeEvent(eventId, userId, permission);
+    if (!event || !event.is_active) {
+      throw new Error('Event not found or access denied');
     }
 
     return event;
@@ -151,7 +143,8 @@ const seatingTablesDb = {
         table_shape: tableData.table_shape || 'round',
         position_x: tableData.position_x || 0,
         position_y: tableData.position_y || 0,
-        notes: tableData.notes?.trim() || null
+        notes: tableData.notes?.trim() || null,
+        tags: tableData.tags || []
       };
 
       // Insérer la table
@@ -181,9 +174,11 @@ const seatingTablesDb = {
   },
 
   /**
-   * Récupérer une table par ID avec vérification d'accès
+   * Récupérer une table par ID avec vérification d'accès (propriétaire ou collaborateur)
+   * Sans userId, l'appelant a déjà autorisé l'événement de la table
+   * @param {string} permission - Droit requis (lecture par défaut)
    */
-  findById: async (id, userId) => {
+  findById: async (id, userId, permission = PERMISSIONS.VIEW) => {
     try {
       if (!seatingTablesDb.validateUUID(id)) {
         throw new Error('Invalid table ID format');
@@ -193,7 +188,7 @@ const seatingTablesDb = {
         .from('seating_tables')
         .select(`
           *,
-          event:event_id(id, organizer_id)
+          event:event_id(id, organizer_id, is_active)
         `)
         .eq('id', id)
         .single();
@@ -206,7 +201,7 @@ const seatingTablesDb = {
       }
 
       // Vérifier l'accès
-      if (data.event?.organizer_id !== userId) {
+      if (userId && !(await canAccessEvent(data.event, userId, permission))) {
         throw new Error('Access denied to this seating table');
       }
 
@@ -223,7 +218,7 @@ const seatingTablesDb = {
   findByEvent: async (eventId, userId) => {
     try {
       // Vérifier l'accès à l'événement
-      await seatingTablesDb.checkEventAccess(eventId, userId);
+      await seatingTablesDb.checkEventAccess(eventId, userId, PERMISSIONS.VIEW);
 
       // Vérifier que les tables existent
       const tablesExist = await seatingTablesDb.checkTablesExist();
@@ -367,7 +362,7 @@ const seatingTablesDb = {
   getUnassignedGuests: async (eventId, userId) => {
     try {
       // Vérifier l'accès à l'événement
-      await seatingTablesDb.checkEventAccess(eventId, userId);
+      await seatingTablesDb.checkEventAccess(eventId, userId, PERMISSIONS.VIEW);
 
       // ESSAI 1: Récupérer tous les invités de l'événement
       let allGuests = [];
@@ -469,7 +464,7 @@ const seatingTablesDb = {
   getAvailableFamilies: async (eventId, userId) => {
     try {
       // Vérifier l'accès à l'événement
-      await seatingTablesDb.checkEventAccess(eventId, userId);
+      await seatingTablesDb.checkEventAccess(eventId, userId, PERMISSIONS.VIEW);
 
       // ESSAI 1: Récupérer toutes les familles de l'utilisateur
       let families = [];
@@ -567,7 +562,7 @@ const seatingTablesDb = {
       }
 
       // Vérifier l'accès à la table
-      const existingTable = await seatingTablesDb.findById(id, userId);
+      const existingTable = await seatingTablesDb.findById(id, userId, PERMISSIONS.EDIT);
       if (!existingTable) {
         throw new Error('Table not found or access denied');
       }
@@ -586,6 +581,7 @@ const seatingTablesDb = {
         position_x: tableData.position_x,
         position_y: tableData.position_y,
         notes: tableData.notes?.trim() || null,
+        tags: tableData.tags,
         updated_at: new Date().toISOString()
       };
 
@@ -630,7 +626,7 @@ const seatingTablesDb = {
       }
 
       // Vérifier l'accès à la table
-      const existingTable = await seatingTablesDb.findById(id, userId);
+      const existingTable = await seatingTablesDb.findById(id, userId, PERMISSIONS.EDIT);
       if (!existingTable) {
         throw new Error('Table not found or access denied');
       }
@@ -706,7 +702,7 @@ const seatingTablesDb = {
   getStats: async (eventId, userId) => {
     try {
       // Vérifier l'accès à l'événement
-      await seatingTablesDb.checkEventAccess(eventId, userId);
+      await seatingTablesDb.checkEventAccess(eventId, userId, PERMISSIONS.VIEW);
 
       const tablesExist = await seatingTablesDb.checkTablesExist();
       if (!tablesExist) {
@@ -0,0 +1,79 @@
+const { supabaseService } = require('../../config/supabase');
+
+// Table assignments database utilities (exports, auto-assign)
+const tableAssignmentsDb = {
+  // Find the seating tables of an event, with their count of manual guests
+  findTablesByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('seating_tables')
+      .select('id, name, seats, table_shape, tags, position_x, position_y, table_manual_guests(count)')
+      .eq('event_id', eventId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding seating tables: ${error.message}`);
+    }
+
+    return (data || []).map(({ table_manual_guests: manualGuests, ...table }) => ({
+      ...table,
+      tags: table.tags || [],
+      manual_guest_count: manualGuests?.[0]?.count || 0
+    }));
+  },
+
+  // Find guest and family assignments of an event, with their table
+  findByEvent: async (eventId) => {
+    const tables = await tableAssignmentsDb.findTablesByEvent(eventId);
+
+    if (tables.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabaseService
+      .from('table_assignments')
+      .select('id, table_id, guest_id, family_id, assignment_type, seat_number, manual_guest_name, manual_guest_count')
+      .in('table_id', tables.map(table => table.id));
+
+    if (error) {
+      throw new Error(`Error finding table assignments: ${error.message}`);
+    }
+
+    const tablesById = new Map(tables.map(table => [table.id, table]));
+    return (data || []).map(assignment => ({
+      ...assignment,
+      table: tablesById.get(assignment.table_id)
+    }));
+  },
+
+  // Find the manual guests (table_manual_guests) of an event
+  findManualGuestsByEvent: async (eventId) => {
+    const { data, error } = await supabaseService
+      .from('table_manual_guests')
+      .select('id, table_id, first_name, last_name, dietary_restrictions, seat_number, seating_tables!inner(event_id)')
+      .eq('seating_tables.event_id', eventId);
+
+    if (error) {
+      throw new Error(`Error finding manual guests: ${error.message}`);
+    }
+
+    return (data || []).map(({ seating_tables: table, ...manualGuest }) => manualGuest);
+  },
+
+  // Apply an auto-assign plan in one transaction (apply_seating_plan RPC)
+  applyPlan: async ({ eventId, userId, assignments, reset = false }) => {
+    const { data, error } = await supabaseService.rpc('apply_seating_plan', {
+      p_event_id: eventId,
+      p_user_id: userId,
+      p_assignments: assignments,
+      p_reset: reset
+    });
+
+    if (error) {
+      throw new Error(`Error applying seating plan: ${error.message}`);
+    }
+
+    return data;
+  }
+};
+
+module.exports = tableAssignmentsDb;